@@ -0,0 +1,132 @@
+// backend/mock/icd11-server.js
+// Local stand-in for the WHO ICD-API, for tests and offline demos.
+// Serves the OAuth2 token endpoint plus search, codeinfo and entity lookups
+// over a simple-tabulation file (the bundled sample by default).
+//
+//   npm run mock:icd11                      # http://localhost:4010
+//   ICD11_PROVIDER=mock npm start           # point the API at it
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const icd11Importer = require('../utils/icd11-importer');
+
+const WHO_BASE = 'http://id.who.int';
+
+/**
+ * Build the mock ICD-API app
+ * @param {Object} options - { tabulationFile, clientId?, clientSecret? } (no credentials = accept any)
+ * @returns {express.Application}
+ */
+function createMockServer(options = {}) {
+  const tabulationFile = options.tabulationFile || path.join(__dirname, '../data/icd11-sample-tabulation.tsv');
+  const { entities } = icd11Importer.parseFile({
+    filename: path.basename(tabulationFile),
+    content: fs.readFileSync(tabulationFile),
+  });
+  const byId = new Map(entities.map(e => [e.id, e]));
+  const tokens = new Set();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const entityUri = (req, entity) =>
+    `${WHO_BASE}/icd/release/11/${req.params.release}/${req.params.linearization}/${encodeURIComponent(entity.id)}`;
+
+  /**
+   * POST /connect/token
+   * OAuth2 client-credentials grant
+   */
+  app.post('/connect/token', (req, res) => {
+    const { grant_type: grantType, client_id: clientId, client_secret: clientSecret } = req.body || {};
+    if (grantType !== 'client_credentials') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    const expected = options.clientId ? clientId === options.clientId && clientSecret === options.clientSecret : clientId && clientSecret;
+    if (!expected) {
+      return res.status(400).json({ error: 'invalid_client' });
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.add(token);
+    res.json({ access_token: token, expires_in: 3600, token_type: 'Bearer', scope: req.body.scope || 'icdapi_access' });
+  });
+
+  // Every ICD-API call needs a token issued above and an API-Version header
+  app.use('/icd', (req, res, next) => {
+    const token = String(req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!tokens.has(token)) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    if (!req.get('API-Version')) {
+      return res.status(400).json({ error: 'API-Version header is required' });
+    }
+    res.set('Content-Language', req.get('Accept-Language') || 'en');
+    next();
+  });
+
+  /**
+   * GET /icd/release/11/:release/:linearization/search?q=
+   */
+  app.get('/icd/release/11/:release/:linearization/search', (req, res) => {
+    const words = String(req.query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const destinationEntities = entities
+      .filter(e => e.classKind === 'category')
+      .map(e => {
+        const haystack = `${e.code} ${e.title}`.toLowerCase();
+        const hits = words.filter(w => haystack.includes(w)).length;
+        return { entity: e, score: words.length ? hits / words.length : 0 };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.entity.code.localeCompare(b.entity.code))
+      .map(({ entity, score }) => ({
+        id: entityUri(req, entity),
+        title: entity.title,
+        theCode: entity.code,
+        score,
+        chapter: entity.chapter,
+        isLeaf: entity.isLeaf,
+      }));
+    res.json({ error: false, errorMessage: null, destinationEntities });
+  });
+
+  /**
+   * GET /icd/release/11/:release/:linearization/codeinfo/:code
+   */
+  app.get('/icd/release/11/:release/:linearization/codeinfo/:code', (req, res) => {
+    const entity = byId.get(String(req.params.code).toUpperCase());
+    if (!entity || !entity.code) {
+      return res.status(404).json({ error: `Code ${req.params.code} not found` });
+    }
+    res.json({ code: entity.code, stemId: entityUri(req, entity) });
+  });
+
+  /**
+   * GET /icd/release/11/:release/:linearization/:id
+   */
+  app.get('/icd/release/11/:release/:linearization/:id', (req, res) => {
+    const entity = byId.get(req.params.id);
+    if (!entity) {
+      return res.status(404).json({ error: `Entity ${req.params.id} not found` });
+    }
+    const parent = entity.parent ? byId.get(entity.parent) : null;
+    res.json({
+      '@id': entityUri(req, entity),
+      title: { '@language': req.get('Accept-Language') || 'en', '@value': entity.title },
+      ...(entity.code ? { code: entity.code } : {}),
+      classKind: entity.classKind,
+      ...(parent ? { parent: [entityUri(req, parent)] } : {}),
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.PORT || 4010;
+  createMockServer({ tabulationFile: process.argv[2] }).listen(port, () => {
+    console.log(`🧪 Mock ICD-API listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = createMockServer;
@@ -0,0 +1,118 @@
+// backend/routes/admin.js
+const express = require('express');
+
+const services = require('../utils/services');
+const PersistentLRUCache = require('../utils/lru-cache');
+const { namasteSearchTerms } = require('../utils/search-terms');
+const { requireAdminToken } = require('../utils/auth');
+
+const router = express.Router();
+const icd11Client = services.icd11;
+const terminology = services.terminology;
+
+router.use(requireAdminToken);
+
+/**
+ * Helper: Validate a purge/list pattern, returning an error message or null
+ */
+function patternError(pattern) {
+  try {
+    PersistentLRUCache.matcher(pattern);
+    return null;
+  } catch (e) {
+    return `Invalid pattern: ${e.message}`;
+  }
+}
+
+/**
+ * GET /api/admin/icd11/cache
+ * Query:
+ *  - pattern: glob (search:nlm:fev*) on cache keys
+ *  - limit, offset: paging over entries, most recently used first
+ */
+router.get('/icd11/cache', (req, res) => {
+  try {
+    const { pattern = '', limit = 50, offset = 0 } = req.query;
+    const error = patternError(pattern);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const listing = icd11Client.cache.list({
+      pattern: String(pattern),
+      limit: parseInt(limit, 10) || 50,
+      offset: parseInt(offset, 10) || 0,
+    });
+    res.json({ stats: icd11Client.getCacheStats(), ...listing });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to inspect cache', message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/icd11/cache/warm
+ * body: {
+ *   source?: 'namaste' (default; every search term the mapping routes derive from NAMASTE concepts) | 'terms',
+ *   terms?: string[] (with source 'terms'),
+ *   maxResults?: number | number[] (default 5, the mapping default),
+ *   refresh?: boolean (re-fetch terms that are already cached)
+ * }
+ */
+router.post('/icd11/cache/warm', async (req, res) => {
+  try {
+    const { source = 'namaste', terms = [], maxResults = 5, refresh = false } = req.body || {};
+    if (!icd11Client.useRemote) {
+      return res.status(409).json({ error: 'Remote ICD-11 provider is disabled (ICD11_MODE=local); nothing to warm' });
+    }
+
+    let wanted;
+    if (source === 'namaste') {
+      wanted = terminology.list().flatMap(concept => namasteSearchTerms(concept, services.thesaurus));
+    } else if (source === 'terms') {
+      if (!Array.isArray(terms) || terms.length === 0) {
+        return res.status(400).json({ error: 'terms array is required when source is "terms"' });
+      }
+      wanted = terms;
+    } else {
+      return res.status(400).json({ error: 'source must be namaste or terms' });
+    }
+
+    const limits = (Array.isArray(maxResults) ? maxResults : [maxResults])
+      .map(n => parseInt(n, 10))
+      .filter(n => n > 0);
+    if (limits.length === 0) {
+      return res.status(400).json({ error: 'maxResults must be a positive number or array of numbers' });
+    }
+
+    const runs = [];
+    for (const limit of limits) {
+      runs.push({ maxResults: limit, ...(await icd11Client.warmCache(wanted, { maxResults: limit, refresh: refresh === true })) });
+    }
+    res.json({ source, provider: icd11Client.provider.name, runs, stats: icd11Client.getCacheStats() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Cache warm-up failed', message: e.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/icd11/cache
+ * Query:
+ *  - pattern: glob on cache keys; omit to purge every entry
+ */
+router.delete('/icd11/cache', (req, res) => {
+  try {
+    const { pattern = '' } = req.query;
+    const error = patternError(pattern);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const purged = icd11Client.cache.purge(String(pattern));
+    res.json({ purged, pattern: pattern || '*', stats: icd11Client.getCacheStats() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Cache purge failed', message: e.message });
+  }
+});
+
+module.exports = router;
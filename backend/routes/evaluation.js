@@ -0,0 +1,96 @@
+// backend/routes/evaluation.js
+const express = require('express');
+
+const services = require('../utils/services');
+
+const router = express.Router();
+const evaluator = services.evaluator;
+
+/**
+ * GET /api/evaluation/gold
+ * The bundled gold-standard crosswalk
+ */
+router.get('/gold', (req, res) => {
+  try {
+    res.json(evaluator.defaultGold());
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to read gold crosswalk', message: e.message });
+  }
+});
+
+/**
+ * POST /api/evaluation/runs
+ * body: {
+ *   label?, gold?: { name, entries: [{ namasteCode, icd11Codes }] } (default: bundled crosswalk),
+ *   fixtures?: recorded ICD-11 responses (default: bundled fixtures),
+ *   weights?: scorer weights for this run, ks?: [1, 3, 5], thresholds?: [0.1 … 0.9], maxResults?
+ * }
+ * Runs the mapping pipeline offline against the gold crosswalk and stores the result.
+ */
+router.post('/runs', async (req, res) => {
+  try {
+    const { label, gold, fixtures, weights, ks, thresholds, maxResults } = req.body || {};
+    if ((ks && !Array.isArray(ks)) || (thresholds && !Array.isArray(thresholds))) {
+      return res.status(400).json({ error: 'ks and thresholds must be arrays' });
+    }
+    const result = await evaluator.run({ label, gold, fixtures, weights, ks, thresholds, maxResults: parseInt(maxResults, 10) || undefined });
+    if (!result.success) return res.status(400).json({ error: result.error });
+    res.status(201).json(result.run);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Evaluation failed', message: e.message });
+  }
+});
+
+/**
+ * GET /api/evaluation/runs
+ * Stored runs with their overall metrics, newest first
+ */
+router.get('/runs', (req, res) => {
+  try {
+    const runs = evaluator.list();
+    res.json({ total: runs.length, runs });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to list evaluation runs', message: e.message });
+  }
+});
+
+/**
+ * GET /api/evaluation/runs/:id
+ * One run with per-category and per-code results
+ */
+router.get('/runs/:id', (req, res) => {
+  const run = evaluator.get(req.params.id);
+  if (!run) return res.status(404).json({ error: `Evaluation run ${req.params.id} not found` });
+  res.json(run);
+});
+
+/**
+ * DELETE /api/evaluation/runs/:id
+ */
+router.delete('/runs/:id', (req, res) => {
+  if (!evaluator.remove(req.params.id)) {
+    return res.status(404).json({ error: `Evaluation run ${req.params.id} not found` });
+  }
+  res.status(204).end();
+});
+
+/**
+ * GET /api/evaluation/compare?base={runId}&candidate={runId}
+ * Metric-by-metric deltas (candidate − base), overall and per category,
+ * and the codes whose first correct target moved
+ */
+router.get('/compare', (req, res) => {
+  const { base, candidate } = req.query;
+  if (!base || !candidate) {
+    return res.status(400).json({ error: 'base and candidate run ids are required' });
+  }
+  const runs = { base: evaluator.get(base), candidate: evaluator.get(candidate) };
+  const missing = Object.entries(runs).find(([, run]) => !run);
+  if (missing) return res.status(404).json({ error: `Evaluation run ${req.query[missing[0]]} not found` });
+  res.json(evaluator.compare(runs.base, runs.candidate));
+});
+
+module.exports = router;
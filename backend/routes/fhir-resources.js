@@ -0,0 +1,284 @@
+// backend/routes/fhir-resources.js
+const express = require('express');
+
+const services = require('../utils/services');
+const FhirStore = require('../utils/fhir-store');
+const BundleProcessor = require('../utils/fhir-bundle');
+const outcome = require('../utils/fhir-outcome');
+const fhirVersion = require('../utils/fhir-version');
+
+// Mounted by routes/fhir.js, which has already negotiated req.fhirBuilder
+const router = express.Router();
+const store = services.fhirStore;
+const validator = services.fhirValidator;
+const bundles = new BundleProcessor({ store, validator });
+
+// Route pattern matching the stored resource types only, so /metadata etc. are left alone
+const TYPE = `:type(${FhirStore.TYPES.join('|')})`;
+
+/**
+ * Helper: Answer a failed FhirStore result as an OperationOutcome with its HTTP status
+ */
+function sendFailure(res, result) {
+  outcome.send(res, { 'not-found': 404, gone: 410, conflict: 412 }[result.reason] || 400, result.error);
+}
+
+/**
+ * Helper: Absolute base URL of the FHIR endpoint, for fullUrl, Location and paging links
+ */
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+/**
+ * Helper: Send one resource version with its ETag and Last-Modified (and Location when created)
+ */
+function sendResource(req, res, resource, status = 200) {
+  res.set('ETag', `W/"${resource.meta.versionId}"`);
+  res.set('Last-Modified', new Date(resource.meta.lastUpdated).toUTCString());
+  if (status === 201) {
+    res.location(`${baseUrl(req)}/${resource.resourceType}/${resource.id}/_history/${resource.meta.versionId}`);
+  }
+  fhirVersion.send(res, resource, status);
+}
+
+/**
+ * Helper: first/previous/next/last links of a page; `params` are the [name, value] pairs to repeat
+ */
+function pageLinks(url, params, { total, count, offset }) {
+  const link = start => {
+    const query = new URLSearchParams([...params, ['_count', String(count)], ['_offset', String(start)]]);
+    return `${url}?${query}`;
+  };
+  const last = count > 0 ? Math.max(0, Math.floor((total - 1) / count) * count) : 0;
+  return {
+    self: link(offset),
+    first: link(0),
+    previous: offset > 0 && count > 0 ? link(Math.max(0, offset - count)) : null,
+    next: count > 0 && offset + count < total ? link(offset + count) : null,
+    last: link(last),
+  };
+}
+
+/**
+ * Helper: Search a type with query or form parameters and answer a searchset Bundle.
+ * Unknown parameters are ignored (and left out of the self link) unless the
+ * client sends `Prefer: handling=strict`.
+ */
+function search(req, res, params) {
+  const result = store.search(req.params.type, params);
+  if (!result.success) return sendFailure(res, result);
+  if (result.unknown.length > 0 && /handling\s*=\s*strict/i.test(req.get('Prefer') || '')) {
+    return outcome.send(res, 400, result.unknown.map(name => ({
+      code: 'not-supported',
+      diagnostics: `Unknown search parameter ${name} for ${req.params.type}`,
+      expression: [name],
+    })));
+  }
+
+  const base = baseUrl(req);
+  fhirVersion.send(res, req.fhirBuilder.createSearchBundle(result.resources, {
+    base,
+    total: result.total,
+    links: pageLinks(`${base}/${req.params.type}`, result.applied, result),
+  }));
+}
+
+/**
+ * Helper: Answer a history Bundle for one resource (id) or a whole type (id null)
+ */
+function sendHistory(req, res, id) {
+  const count = req.query._count === undefined ? 20 : parseInt(req.query._count, 10);
+  const offset = req.query._offset === undefined ? 0 : parseInt(req.query._offset, 10);
+  if (!(count >= 0) || !(offset >= 0)) {
+    return outcome.send(res, 400, { diagnostics: '_count and _offset must be non-negative integers', expression: ['_count', '_offset'] });
+  }
+  const limit = Math.min(count, 100);
+  const result = store.history(req.params.type, id, { since: req.query._since, count: limit, offset });
+  if (!result.success) return sendFailure(res, result);
+
+  const base = baseUrl(req);
+  const url = `${base}/${req.params.type}${id ? `/${id}` : ''}/_history`;
+  fhirVersion.send(res, req.fhirBuilder.createHistoryBundle(req.params.type, result.versions, {
+    base,
+    total: result.total,
+    links: pageLinks(url, req.query._since ? [['_since', String(req.query._since)]] : [], {
+      total: result.total,
+      count: limit,
+      offset,
+    }),
+  }));
+}
+
+/**
+ * POST /api/fhir
+ * Process a transaction or batch Bundle (see utils/fhir-bundle.js). `urn:uuid:`
+ * fullUrls are replaced by the ids given to the created resources. A transaction
+ * is all-or-nothing and fails with the status of the first entry that failed;
+ * a batch answers each entry's own status. Answers a transaction-response or
+ * batch-response Bundle with status, location and ETag per entry.
+ */
+router.post('/', (req, res) => {
+  try {
+    const result = bundles.process(req.body, { builder: req.fhirBuilder, base: baseUrl(req) });
+    if (!result.success) {
+      return outcome.send(res, result.status, {
+        diagnostics: `${req.body && req.body.type === 'transaction' && result.index !== undefined ? 'Transaction failed' : 'Invalid Bundle'}: ${result.error}`,
+        expression: [result.index !== undefined ? `Bundle.entry[${result.index}]` : 'Bundle'],
+      });
+    }
+    fhirVersion.send(res, result.bundle);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Bundle processing failed: ${e.message}`);
+  }
+});
+
+/**
+ * GET /api/fhir/:type  (Condition, Patient, Encounter, Provenance)
+ * Search: _id, _lastUpdated and per type
+ *   Condition: patient, subject, encounter, code (NAMASTE or ICD-11, [system|]code),
+ *              clinical-status, verification-status, recorded-date ([eq|ne|gt|lt|ge|le|sa|eb]date)
+ *   Patient: identifier, name, gender, birthdate
+ *   Encounter: patient, subject, status, class, date
+ *   Provenance: target, patient, agent, recorded
+ * Comma-separated values are alternatives; repeated parameters must all match.
+ * Paged with _count (default 20, max 100) and _offset; the Bundle links to the other pages.
+ */
+router.get(`/${TYPE}`, (req, res) => {
+  try {
+    search(req, res, req.query);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Search failed: ${e.message}`);
+  }
+});
+
+/**
+ * POST /api/fhir/:type/_search
+ * Same as the GET search with form-encoded parameters
+ */
+router.post(`/${TYPE}/_search`, (req, res) => {
+  try {
+    search(req, res, { ...req.query, ...(req.body || {}) });
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Search failed: ${e.message}`);
+  }
+});
+
+/**
+ * POST /api/fhir/:type
+ * Create a resource; the server assigns its id. Answers 201 with Location and ETag.
+ */
+router.post(`/${TYPE}`, (req, res) => {
+  try {
+    const validation = validator.validate(req.body);
+    if (!validation.valid) {
+      return outcome.send(res, 400, validation.issues);
+    }
+    const result = store.create(req.params.type, req.body);
+    if (!result.success) return sendFailure(res, result);
+    sendResource(req, res, result.resource, 201);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Create failed: ${e.message}`);
+  }
+});
+
+/**
+ * GET /api/fhir/:type/_history
+ * History of every resource of a type, newest first. Query: _since, _count, _offset
+ */
+router.get(`/${TYPE}/_history`, (req, res) => {
+  try {
+    sendHistory(req, res, null);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `History failed: ${e.message}`);
+  }
+});
+
+/**
+ * GET /api/fhir/:type/:id
+ * Current version; 410 Gone once deleted
+ */
+router.get(`/${TYPE}/:id`, (req, res) => {
+  try {
+    const result = store.read(req.params.type, req.params.id);
+    if (!result.success) return sendFailure(res, result);
+    sendResource(req, res, result.resource);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Read failed: ${e.message}`);
+  }
+});
+
+/**
+ * PUT /api/fhir/:type/:id
+ * Replace a resource, or create it under this id (201). With `If-Match: W/"<versionId>"`
+ * the update only happens if that is still the current version (412 otherwise).
+ */
+router.put(`/${TYPE}/:id`, (req, res) => {
+  try {
+    const validation = validator.validate(req.body);
+    if (!validation.valid) {
+      return outcome.send(res, 400, validation.issues);
+    }
+    const ifMatch = req.get('If-Match');
+    const result = store.update(req.params.type, req.params.id, req.body, {
+      ifMatch: ifMatch ? ifMatch.replace(/^W\//, '').replace(/"/g, '') : undefined,
+    });
+    if (!result.success) return sendFailure(res, result);
+    sendResource(req, res, result.resource, result.created ? 201 : 200);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Update failed: ${e.message}`);
+  }
+});
+
+/**
+ * DELETE /api/fhir/:type/:id
+ * Delete a resource (204); its history stays readable
+ */
+router.delete(`/${TYPE}/:id`, (req, res) => {
+  try {
+    const result = store.delete(req.params.type, req.params.id);
+    if (!result.success) return sendFailure(res, result);
+    res.set('ETag', `W/"${result.versionId}"`);
+    res.status(204).end();
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Delete failed: ${e.message}`);
+  }
+});
+
+/**
+ * GET /api/fhir/:type/:id/_history
+ * Every version of a resource, newest first, deletions included. Query: _since, _count, _offset
+ */
+router.get(`/${TYPE}/:id/_history`, (req, res) => {
+  try {
+    sendHistory(req, res, req.params.id);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `History failed: ${e.message}`);
+  }
+});
+
+/**
+ * GET /api/fhir/:type/:id/_history/:vid
+ * One version (vread)
+ */
+router.get(`/${TYPE}/:id/_history/:vid`, (req, res) => {
+  try {
+    const result = store.vread(req.params.type, req.params.id, req.params.vid);
+    if (!result.success) return sendFailure(res, result);
+    sendResource(req, res, result.resource);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Read failed: ${e.message}`);
+  }
+});
+
+module.exports = router;
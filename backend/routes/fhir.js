@@ -1,24 +1,31 @@
 // backend/routes/fhir.js
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
 
 const FHIRBuilder = require('../utils/fhir-builder');
-const ICD11Client = require('../utils/icd11-client');
+const services = require('../utils/services');
+const { localizedDisplay } = require('../utils/designations');
+const { UpstreamUnavailableError } = require('../utils/resilience');
+const MappingStore = require('../utils/mapping-store');
+const FhirStore = require('../utils/fhir-store');
+const fhirVersion = require('../utils/fhir-version');
+const outcome = require('../utils/fhir-outcome');
+const capabilities = require('../utils/fhir-capabilities');
+const TerminologyRepository = require('../utils/terminology-repository');
+const { targetKind } = require('../utils/icd11-code');
+const resourceRoutes = require('./fhir-resources');
 
 const router = express.Router();
 const fhirBuilder = new FHIRBuilder();
-const icd11Client = new ICD11Client();
-
-// Load NAMASTE sample data
-let namasteData = [];
-try {
-  const dataPath = path.join(__dirname, '../data/namaste-sample.json');
-  namasteData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-  console.log(`📚 Loaded ${namasteData.length} NAMASTE codes for FHIR routes`);
-} catch (error) {
-  console.error('❌ Failed to load NAMASTE data:', error.message);
-}
+const icd11Client = services.icd11;
+const terminology = services.terminology;
+const searchEngine = services.search;
+const mappingStore = services.mappings;
+const mapper = services.mapper;
+const fhirStore = services.fhirStore;
+const fhirValidator = services.fhirValidator;
+
+// Resources are built for the FHIR version asked for with `Accept: application/fhir+json; fhirVersion=4.0|5.0`
+router.use(fhirVersion.middleware);
 
 /**
  * GET /api/fhir/CodeSystem/namaste-codes
@@ -26,11 +33,29 @@ try {
  */
 router.get('/CodeSystem/namaste-codes', (req, res) => {
   try {
-    const codeSystem = fhirBuilder.createNamasteCodeSystem(namasteData);
-    res.json(codeSystem);
+    const codeSystem = req.fhirBuilder.createNamasteCodeSystem(terminology.list(), terminology.version);
+    fhirVersion.send(res, codeSystem);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `CodeSystem generation failed: ${e.message}`);
+  }
+});
+
+/**
+ * GET /api/fhir/ConceptMap/namaste-to-icd11
+ * ConceptMap of every approved mapping in the curation store
+ */
+router.get('/ConceptMap/namaste-to-icd11', (req, res) => {
+  try {
+    const approved = mappingStore.list({ status: 'approved', limit: Infinity }).mappings;
+    const conceptMap = req.fhirBuilder.createConceptMap(approved.map(m => ({
+      ...m,
+      comment: `Approved by ${m.reviewedBy} on ${m.reviewedAt.slice(0, 10)}`,
+    })));
+    fhirVersion.send(res, conceptMap);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'CodeSystem generation failed' });
+    outcome.send(res, 500, `ConceptMap generation failed: ${e.message}`);
   }
 });
 
@@ -43,84 +68,156 @@ router.post('/ConceptMap/namaste-to-icd11', (req, res) => {
   try {
     const { mappings } = req.body || {};
     if (!Array.isArray(mappings) || mappings.length === 0) {
-      return res.status(400).json({
-        error: 'Invalid input',
-        message: 'Provide mappings array with sourceCode/sourceDisplay/targetCode/targetDisplay/confidence',
+      return outcome.send(res, 400, {
+        code: 'required',
+        diagnostics: 'Provide mappings array with sourceCode/sourceDisplay/targetCode/targetDisplay/confidence',
+        expression: ['mappings'],
       });
     }
-    const conceptMap = fhirBuilder.createConceptMap(mappings);
-    res.json(conceptMap);
+    const conceptMap = req.fhirBuilder.createConceptMap(mappings);
+    fhirVersion.send(res, conceptMap);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'ConceptMap generation failed' });
+    outcome.send(res, 500, `ConceptMap generation failed: ${e.message}`);
   }
 });
 
 /**
  * POST /api/fhir/Condition
- * body: { patient, namasteCode, icd11Code?, encounter?, autoMap? }
- * Returns double-coded Condition (NAMASTE + ICD-11 if provided or auto-mapped)
+ * body: { patient, namasteCode, icd11Code?, tm2Code?, encounter?, autoMap? }
+ * Returns a Condition coded with NAMASTE plus ICD-11: a chapter 26 TM2 pattern
+ * (tm2Code) and/or an MMS disease (icd11Code), each as its own coding.
+ * icd11Code may be a postcoordinated cluster such as "5A11&XS25" or "SM00.1/MG26";
+ * malformed or unknown components are rejected with 400. autoMap fills in the
+ * kinds not given with the best TM2 + MMS pair, approved mappings first.
+ * The Condition is stored (201, readable at its Location) together with a
+ * Provenance naming the curated mappings its ICD-11 codings came from.
+ * A body that is itself a Condition resource is a plain FHIR create instead.
  */
-router.post('/Condition', async (req, res) => {
+router.post('/Condition', async (req, res, next) => {
   try {
-    const { patient, namasteCode, icd11Code = null, encounter = null, autoMap = false } = req.body || {};
+    if (req.body && req.body.resourceType) return next('route');
+
+    const { patient, namasteCode, icd11Code = null, tm2Code = null, encounter = null, autoMap = false } = req.body || {};
 
     if (!patient || !namasteCode) {
-      return res.status(400).json({ error: 'patient and namasteCode are required' });
+      return outcome.send(res, 400, ['patient', 'namasteCode'].filter(name => !(req.body || {})[name]).map(name => ({
+        code: 'required',
+        diagnostics: `${name} is required`,
+        expression: [name],
+      })));
+    }
+    if (tm2Code && targetKind(tm2Code) !== 'tm2') {
+      return outcome.send(res, 400, {
+        code: 'code-invalid',
+        diagnostics: `Invalid TM2 code ${tm2Code}: tm2Code must be an ICD-11 chapter 26 (S…) code`,
+        expression: ['tm2Code'],
+      });
     }
 
-    const namasteDetails = namasteData.find(x => x.code === namasteCode);
+    const namasteDetails = terminology.get(namasteCode);
     if (!namasteDetails) {
-      return res.status(404).json({ error: `NAMASTE code ${namasteCode} not found` });
+      return outcome.send(res, 404, { code: 'code-invalid', diagnostics: `NAMASTE code ${namasteCode} not found`, expression: ['namasteCode'] });
+    }
+
+    // Targets by kind (tm2, mms, pair); given codes are parsed and every component must exist
+    const targets = {};
+    let upstream = null;
+    for (const code of [tm2Code, icd11Code].filter(Boolean)) {
+      const resolved = await icd11Client.resolveCode(code);
+      if (!resolved.valid) {
+        return outcome.send(res, 400, resolved.errors.map(e => ({
+          code: 'code-invalid',
+          diagnostics: `Invalid ICD-11 code ${code}: ${e.message}`,
+          expression: [code === tm2Code ? 'tm2Code' : 'icd11Code'],
+        })));
+      }
+      targets[targetKind(resolved.code)] = { code: resolved.code, display: resolved.display, components: resolved.components };
+      upstream = resolved.upstream || upstream;
     }
 
-    let icd11Details = null;
-    if (autoMap && !icd11Code) {
-      // Use the ICD-11 client to attempt a best match
-      const terms = [...(namasteDetails.keywords || []), (namasteDetails.display || '').toLowerCase()];
-      const matches = await icd11Client.findMatches([...new Set(terms)], 1);
-      if (matches && matches.length > 0) {
-        icd11Details = { code: matches[0].code, display: matches[0].display };
+    if (autoMap && !targets.pair && !(targets.tm2 && targets.mms)) {
+      // A curator-approved mapping wins over any heuristic match; the upstream is only asked for kinds still missing
+      const approved = mapper.approved(namasteDetails.code).map(m => mapper.curated(m));
+      let { bestPair } = mapper.pairTargets(approved);
+      if (!bestPair || !bestPair.complete) {
+        const ranked = await mapper.rank(namasteDetails, { maxResults: 3 });
+        upstream = ranked.upstream;
+        bestPair = mapper.pairTargets([...approved, ...ranked.candidates]).bestPair;
       }
-    } else if (icd11Code) {
-      // Try to lookup the provided ICD-11 code to fill display text
-      const results = await icd11Client.search(icd11Code, 1);
-      if (results && results.length > 0) {
-        icd11Details = { code: results[0].code, display: results[0].display };
-      } else {
-        icd11Details = { code: icd11Code, display: 'ICD-11 Code' };
+      const pick = side => {
+        const entry = approved.find(m => m.targetCode === side.targetCode);
+        return {
+          code: side.targetCode,
+          display: side.targetDisplay,
+          confidence: side.confidence,
+          autoMapped: true,
+          ...(entry ? { curationId: entry.curation.id } : {}),
+        };
+      };
+      if (bestPair && !bestPair.tm2 && !bestPair.mms) {
+        if (!targets.tm2 && !targets.mms) targets.pair = pick(bestPair);
+      } else if (bestPair) {
+        if (bestPair.tm2 && !targets.tm2) targets.tm2 = pick(bestPair.tm2);
+        if (bestPair.mms && !targets.mms) targets.mms = pick(bestPair.mms);
       }
     }
 
-    const condition = fhirBuilder.createCondition(
+    const icd11Details = ['tm2', 'mms', 'pair'].filter(kind => targets[kind]).map(kind => targets[kind]);
+    const condition = req.fhirBuilder.createCondition(
       { id: patient.id, name: patient.name },
       { code: namasteDetails.code, display: namasteDetails.display },
       icd11Details,
       encounter
     );
 
-    const validation = fhirBuilder.validateResource(condition);
+    const validation = fhirValidator.validate(condition);
     if (!validation.valid) {
-      return res.status(400).json({ error: 'Invalid FHIR resource', validation });
+      return outcome.send(res, 400, validation.issues);
     }
 
-    res.json({
-      resource: condition,
+    const stored = fhirStore.create('Condition', condition).resource;
+    const curated = icd11Details.filter(t => t.curationId);
+    const provenance = fhirStore.create('Provenance', req.fhirBuilder.createProvenance(stored, {
+      entities: curated.map(t => ({ role: 'source', display: `Curated mapping ${t.curationId} (${namasteDetails.code} → ${t.code})` })),
+    })).resource;
+
+    const info = target => target
+      ? {
+        code: target.code,
+        display: target.display,
+        system: fhirBuilder.icd11System,
+        autoMapped: Boolean(target.autoMapped),
+        ...(typeof target.confidence === 'number' ? { confidence: target.confidence } : {}),
+        ...(target.curationId ? { source: 'curated', curationId: target.curationId } : {}),
+        ...(target.components ? { components: target.components } : {}),
+      }
+      : null;
+
+    res.set('ETag', `W/"${stored.meta.versionId}"`);
+    res.location(`${req.protocol}://${req.get('host')}${req.baseUrl}/Condition/${stored.id}/_history/${stored.meta.versionId}`);
+    res.status(201).json({
+      resource: stored,
+      provenance: `Provenance/${provenance.id}`,
       mappingInfo: {
         namaste: {
           code: namasteDetails.code,
           display: namasteDetails.display,
           system: fhirBuilder.namasteSystem,
         },
-        icd11: icd11Details
-          ? { code: icd11Details.code, display: icd11Details.display, system: fhirBuilder.icd11System, autoMapped: autoMap }
-          : null,
+        tm2: info(targets.tm2),
+        mms: info(targets.mms),
+        pair: info(targets.pair),
+        // First ICD-11 coding, as reported before TM2 and MMS targets were separated
+        icd11: info(icd11Details[0]),
+        ...(upstream ? { upstream } : {}),
       },
       validation,
     });
   } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return outcome.sendUnavailable(res, e);
     console.error(e);
-    res.status(500).json({ error: 'Condition creation failed', message: e.message });
+    outcome.send(res, 500, `Condition creation failed: ${e.message}`);
   }
 });
 
@@ -132,89 +229,217 @@ router.post('/Bundle', (req, res) => {
   try {
     const { resources, type = 'document' } = req.body || {};
     if (!Array.isArray(resources) || resources.length === 0) {
-      return res.status(400).json({ error: 'resources array is required' });
+      return outcome.send(res, 400, { code: 'required', diagnostics: 'resources array is required', expression: ['resources'] });
     }
 
-    // Optional validation per-resource
-    const validation = resources.map(r => ({
-      id: r.id,
-      resourceType: r.resourceType,
-      validation: fhirBuilder.validateResource(r),
-    }));
-    const invalid = validation.filter(v => !v.validation.valid);
-    if (invalid.length > 0) {
-      return res.status(400).json({ error: 'Invalid resources in bundle', invalidResources: invalid });
+    // Resources of types with a loaded StructureDefinition are validated against it
+    const issues = resources.flatMap((r, index) => (r && fhirValidator.supports(r.resourceType)
+      ? fhirValidator.validate(r).issues.map(issue => ({ ...issue, diagnostics: `resources[${index}]: ${issue.diagnostics}` }))
+      : []));
+    if (issues.some(issue => issue.severity === 'error' || issue.severity === 'fatal')) {
+      return outcome.send(res, 400, issues);
     }
 
-    const bundle = fhirBuilder.createBundle(resources, type);
+    const bundle = req.fhirBuilder.createBundle(resources, type);
     res.json({ bundle, summary: { type, resourceCount: resources.length } });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Bundle creation failed' });
+    outcome.send(res, 500, `Bundle creation failed: ${e.message}`);
   }
 });
 
 /**
- * GET /api/fhir/ValueSet/$expand
- * Query params: filter, count
- * Returns a ValueSet.expansion suitable for UI auto-complete
+ * Helper: Flatten a FHIR Parameters resource into a plain object.
+ * Plain JSON bodies are returned unchanged.
  */
-router.get('/ValueSet/$expand', (req, res) => {
-  try {
-    const { filter = '', count = 20 } = req.query;
-    let filtered = [...namasteData];
-
-    if (filter) {
-      const f = String(filter).toLowerCase();
-      filtered = filtered.filter(
-        x =>
-          x.display.toLowerCase().includes(f) ||
-          x.description.toLowerCase().includes(f) ||
-          (x.keywords || []).some(k => String(k).toLowerCase().includes(f))
-      );
+function readParameters(body = {}) {
+  if (!body || body.resourceType !== 'Parameters') return body || {};
+  const out = {};
+  (body.parameter || []).forEach(p => {
+    const key = Object.keys(p).find(k => k.startsWith('value') || k === 'resource');
+    out[p.name] = key ? p[key] : p.part;
+  });
+  return out;
+}
+
+/**
+ * Helper: Turn the requested value set (implicit `url` or an inline ValueSet
+ * with compose.include concept lists/filters) into a concept predicate
+ */
+function valueSetPredicate({ url, valueSet }) {
+  const errors = [];
+  const includes = [];
+
+  if (url) {
+    const match = String(url).match(/^(.*)\?fhir_vs(?:=(.*))?$/);
+    if (!match || match[1] !== fhirBuilder.namasteSystem) {
+      errors.push(`Unknown value set ${url}`);
+    } else if (match[2] && match[2].startsWith('isa/')) {
+      includes.push({ filter: [{ property: 'concept', op: 'is-a', value: match[2].slice(4) }] });
+    } else if (match[2]) {
+      errors.push(`Unsupported implicit value set ${url}`);
+    } else {
+      includes.push({});
     }
+  }
 
-    const limited = filtered.slice(0, parseInt(count, 10));
-    const vs = fhirBuilder.createValueSet(
-      limited.map(x => ({ code: x.code, display: x.display })),
-      fhirBuilder.namasteSystem,
-      'NAMASTE Codes ValueSet'
-    );
+  if (valueSet) {
+    ((valueSet.compose && valueSet.compose.include) || []).forEach(include => {
+      if (include.system && include.system !== fhirBuilder.namasteSystem) {
+        errors.push(`Only NAMASTE value sets can be expanded (got ${include.system})`);
+        return;
+      }
+      includes.push(include);
+    });
+  }
+
+  if (includes.length === 0) return { predicate: null, errors };
+
+  const compiled = includes.map(include => {
+    const codes = (include.concept || []).map(c => c.code);
+    const { predicate, errors: filterErrors } = terminology.compileFilters(include.filter || []);
+    errors.push(...filterErrors);
+    return concept => (codes.length === 0 || codes.includes(concept.code)) && predicate(concept);
+  });
+
+  return { predicate: concept => compiled.some(test => test(concept)), errors };
+}
+
+/**
+ * Helper: Shared $expand implementation for GET and POST
+ */
+function expandValueSet(params, res, builder) {
+  const {
+    url = '',
+    valueSet = null,
+    filter = '',
+    count = 20,
+    offset = 0,
+    displayLanguage = '',
+    includeDesignations = false,
+  } = params;
+  const size = parseInt(count, 10) || 20;
+  const start = parseInt(offset, 10) || 0;
+
+  const { predicate, errors } = valueSetPredicate({ url, valueSet });
+  if (errors.length > 0) {
+    return outcome.send(res, 400, errors.map(error => ({ diagnostics: error, expression: ['valueSet'] })));
+  }
+
+  let total;
+  let limited;
+  if (filter) {
+    const found = searchEngine.autocomplete(String(filter), { limit: size, offset: start, filter: predicate });
+    total = found.total;
+    limited = found.results.map(hit => hit.concept);
+  } else {
+    const all = predicate ? terminology.list().filter(predicate) : terminology.list();
+    total = all.length;
+    limited = all.slice(start, start + size);
+  }
+
+  const vs = builder.createValueSet(
+    limited.map(x => ({
+      code: x.code,
+      display: localizedDisplay(x, displayLanguage).display,
+      ...(String(includeDesignations) === 'true' ? { designation: fhirBuilder.createDesignations(x) } : {}),
+    })),
+    fhirBuilder.namasteSystem,
+    'NAMASTE Codes ValueSet',
+    {
+      total,
+      offset: start,
+      parameter: [
+        ...(url ? [{ name: 'url', valueUri: String(url) }] : []),
+        ...(filter ? [{ name: 'filter', valueString: String(filter) }] : []),
+        ...(displayLanguage ? [{ name: 'displayLanguage', valueCode: String(displayLanguage) }] : []),
+        { name: 'count', valueInteger: size },
+        { name: 'offset', valueInteger: start },
+      ],
+    }
+  );
+  if (valueSet && valueSet.compose) vs.compose = valueSet.compose;
+
+  fhirVersion.send(res, vs);
+}
 
-    res.json(vs);
+/**
+ * GET /api/fhir/ValueSet/$expand
+ * Query params: url, filter, count, offset, displayLanguage, includeDesignations
+ * Returns a ValueSet.expansion suitable for UI auto-complete; with a filter
+ * the contains list is ranked by search relevance. displayLanguage accepts
+ * tags such as 'ta' or 'ur,hi', or 'native' for each system's own script.
+ * `url` may name an implicit value set, e.g. all descendants of Jwara:
+ *   url=http://namaste.ayush.gov.in/fhir/CodeSystem/namaste-codes?fhir_vs=isa/NAMG01
+ */
+router.get('/ValueSet/\\$expand', (req, res) => {
+  try {
+    expandValueSet(req.query, res, req.fhirBuilder);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'ValueSet $expand failed' });
+    outcome.send(res, 500, `ValueSet $expand failed: ${e.message}`);
+  }
+});
+
+/**
+ * POST /api/fhir/ValueSet/$expand
+ * body: Parameters resource or plain JSON with the GET parameters plus
+ * `valueSet` - an inline ValueSet whose compose.include may list concepts and
+ * filters such as { property: 'concept', op: 'is-a' | 'descendent-of' | 'is-not-a' | 'generalizes', value }
+ */
+router.post('/ValueSet/\\$expand', (req, res) => {
+  try {
+    expandValueSet(readParameters(req.body), res, req.fhirBuilder);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `ValueSet $expand failed: ${e.message}`);
   }
 });
 
 /**
  * GET /api/fhir/CodeSystem/$lookup
- * Query params: system, code
+ * Query params: system, code, version? (defaults to the served NAMASTE release), displayLanguage?
  * Returns a Parameters resource with properties per FHIR $lookup convention
  */
-router.get('/CodeSystem/$lookup', (req, res) => {
+router.get('/CodeSystem/\\$lookup', (req, res) => {
   try {
-    const { system, code } = req.query;
+    const { system, code, version, displayLanguage = '' } = req.query;
     if (!code) {
-      return res.status(400).json({ error: 'code parameter is required' });
+      return outcome.send(res, 400, { code: 'required', diagnostics: 'code parameter is required', expression: ['code'] });
     }
     if (system && system !== fhirBuilder.namasteSystem) {
-      return res.status(400).json({ error: 'Only NAMASTE CodeSystem lookup supported in this demo' });
+      return outcome.send(res, 400, {
+        code: 'not-supported',
+        diagnostics: `$lookup is only available for ${fhirBuilder.namasteSystem}, not ${system}`,
+        expression: ['system'],
+      });
     }
 
-    const item = namasteData.find(x => x.code === code);
+    const release = version ? terminology.getRelease(String(version)) : null;
+    if (version && !release) {
+      return outcome.send(res, 404, { diagnostics: `NAMASTE release ${version} not found`, expression: ['version'] });
+    }
+
+    const item = release ? release.concepts.find(x => x.code === code) : terminology.get(code);
     if (!item) {
-      return res.status(404).json({ error: `Code ${code} not found in NAMASTE` });
+      return outcome.send(res, 404, { code: 'code-invalid', diagnostics: `Code ${code} not found in NAMASTE`, expression: ['code'] });
     }
 
     const parameters = {
       resourceType: 'Parameters',
       parameter: [
         { name: 'name', valueString: 'NAMASTE' },
-        { name: 'version', valueString: '2025.1.0' },
-        { name: 'display', valueString: item.display },
+        { name: 'version', valueString: release ? release.version : terminology.version },
+        { name: 'display', valueString: localizedDisplay(item, displayLanguage).display },
         { name: 'definition', valueString: item.description },
+        ...fhirBuilder.createDesignations(item).map(d => ({
+          name: 'designation',
+          part: [
+            { name: 'language', valueCode: d.language },
+            { name: 'use', valueCoding: d.use },
+            { name: 'value', valueString: d.value },
+          ],
+        })),
         {
           name: 'property',
           part: [
@@ -229,63 +454,298 @@ router.get('/CodeSystem/$lookup', (req, res) => {
             { name: 'value', valueString: item.system || 'AYUSH' },
           ],
         },
+        ...(item.parent
+          ? [{ name: 'property', part: [{ name: 'code', valueCode: 'parent' }, { name: 'value', valueCode: item.parent }] }]
+          : []),
+        ...(release ? release.concepts.filter(x => x.parent === item.code).map(x => x.code) : terminology.children(item.code))
+          .map(child => ({ name: 'property', part: [{ name: 'code', valueCode: 'child' }, { name: 'value', valueCode: child }] })),
       ],
     };
 
-    res.json(parameters);
+    fhirVersion.send(res, parameters);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'CodeSystem $lookup failed' });
+    outcome.send(res, 500, `CodeSystem $lookup failed: ${e.message}`);
   }
 });
 
 /**
- * POST /api/fhir/ConceptMap/$translate
- * body: { code, reverse? }
- * For demo: NAMASTE -> ICD-11 suggestions using ICD11Client
+ * Helper: Shared $subsumes implementation for GET and POST
+ */
+function subsumes(params, res) {
+  const { system, version, codeA, codeB } = params;
+  if (!codeA || !codeB) {
+    return outcome.send(res, 400, ['codeA', 'codeB'].filter(name => !params[name]).map(name => ({
+      code: 'required',
+      diagnostics: `${name} parameter is required`,
+      expression: [name],
+    })));
+  }
+  if (system && system !== fhirBuilder.namasteSystem) {
+    return outcome.send(res, 400, {
+      code: 'not-supported',
+      diagnostics: `$subsumes is only available for ${fhirBuilder.namasteSystem}, not ${system}`,
+      expression: ['system'],
+    });
+  }
+  if (version && version !== terminology.version) {
+    return outcome.send(res, 400, {
+      code: 'not-supported',
+      diagnostics: `Subsumption is only available for the served release ${terminology.version}`,
+      expression: ['version'],
+    });
+  }
+  const missing = [codeA, codeB].filter(code => !terminology.has(code));
+  if (missing.length > 0) {
+    return outcome.send(res, 404, missing.map(code => ({
+      code: 'code-invalid',
+      diagnostics: `Code ${code} not found in NAMASTE`,
+      expression: [code === codeA ? 'codeA' : 'codeB'],
+    })));
+  }
+
+  fhirVersion.send(res, {
+    resourceType: 'Parameters',
+    parameter: [{ name: 'outcome', valueCode: terminology.subsumes(String(codeA), String(codeB)) }],
+  });
+}
+
+/**
+ * GET /api/fhir/CodeSystem/$subsumes
+ * Query params: codeA, codeB, system?, version?
+ * Returns Parameters with outcome: equivalent | subsumes | subsumed-by | not-subsumed
  */
-router.post('/ConceptMap/$translate', async (req, res) => {
+router.get('/CodeSystem/\\$subsumes', (req, res) => {
   try {
-    const { code, reverse = false } = req.body || {};
-    if (!code) return res.status(400).json({ error: 'code is required' });
+    subsumes(req.query, res);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `CodeSystem $subsumes failed: ${e.message}`);
+  }
+});
 
-    if (reverse) {
-      // Demo: Reverse not implemented
-      return res.status(501).json({ error: 'Reverse translate (ICD-11 -> NAMASTE) not implemented in demo' });
-    }
+/**
+ * POST /api/fhir/CodeSystem/$subsumes
+ * body: Parameters resource or { codeA, codeB, system?, version? }
+ */
+router.post('/CodeSystem/\\$subsumes', (req, res) => {
+  try {
+    subsumes(readParameters(req.body), res);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `CodeSystem $subsumes failed: ${e.message}`);
+  }
+});
 
-    const src = namasteData.find(x => x.code === code);
-    if (!src) {
-      return res.status(404).json({ error: `NAMASTE code ${code} not found` });
-    }
+/**
+ * Helper: Codings to translate from $translate's code/system, coding or
+ * codeableConcept parameters
+ */
+function translateCodings({ system, code, coding, codeableConcept }) {
+  if (code) return [{ system, code: String(code) }];
+  if (coding) return [coding];
+  if (codeableConcept) return codeableConcept.coding || [];
+  return [];
+}
 
-    const terms = [...(src.keywords || []), (src.display || '').toLowerCase()];
-    const results = await icd11Client.findMatches([...new Set(terms)], 3);
+/**
+ * Helper: $translate parameters under their R4 names. R5 names the code to
+ * translate sourceCode/sourceCoding/sourceCodeableConcept, or
+ * targetCode/targetCoding/targetCodeableConcept to translate in reverse.
+ */
+function r4TranslateParams(params) {
+  const { sourceCode, sourceCoding, sourceCodeableConcept, targetCode, targetCoding, targetCodeableConcept, targetSystem, ...rest } = params;
+  const reverse = Boolean(targetCode || targetCoding || targetCodeableConcept);
+  return {
+    ...rest,
+    code: rest.code || sourceCode || targetCode,
+    coding: rest.coding || sourceCoding || targetCoding,
+    codeableConcept: rest.codeableConcept || sourceCodeableConcept || targetCodeableConcept,
+    targetsystem: rest.targetsystem || targetSystem,
+    ...(reverse ? { reverse: true } : {}),
+  };
+}
 
-    const matches = results.map(r => ({
-      equivalence: (r.confidence || 0) >= 0.8 ? 'equivalent' : 'wider',
-      concept: { system: fhirBuilder.icd11System, code: r.code, display: r.display },
-    }));
+/**
+ * Helper: $translate match parameter
+ */
+function translateMatch({ equivalence, concept, source }, builder) {
+  return {
+    name: 'match',
+    part: [
+      builder.fhirVersion === '5.0'
+        ? { name: 'relationship', valueCode: builder.getRelationship(equivalence) }
+        : { name: 'equivalence', valueCode: equivalence },
+      { name: 'concept', valueCoding: concept },
+      { name: 'source', valueUri: source },
+    ],
+  };
+}
 
-    const out = {
-      resourceType: 'Parameters',
-      parameter: [
-        { name: 'result', valueBoolean: matches.length > 0 },
-        { name: 'message', valueString: `Found ${matches.length} potential matches` },
-        ...matches.map(m => ({
-          name: 'match',
-          part: [
-            { name: 'equivalence', valueCode: m.equivalence },
-            { name: 'concept', valueCoding: m.concept },
-          ],
+/**
+ * Helper: NAMASTE → ICD-11 matches for one code: approved mappings, then heuristics
+ */
+async function translateForward(code) {
+  const src = terminology.get(code);
+  if (!src) return null;
+
+  const approved = mapper.approved(src.code).map(m => ({
+    equivalence: m.equivalence,
+    concept: { system: m.targetSystem, code: m.targetCode, display: m.targetDisplay },
+    source: fhirBuilder.conceptMapUrl,
+  }));
+
+  let candidates = [];
+  let upstream = { status: 'ok' };
+  try {
+    ({ candidates, upstream } = await mapper.rank(src, { maxResults: 3 }));
+  } catch (e) {
+    if (!(e instanceof UpstreamUnavailableError) || approved.length === 0) throw e;
+    upstream = e.toJSON();
+  }
+
+  return {
+    upstream,
+    matches: [
+      ...approved,
+      ...candidates.map(c => ({
+        equivalence: c.confidence >= 0.8 ? 'equivalent' : 'wider',
+        concept: { system: fhirBuilder.icd11System, code: c.targetCode, display: c.targetDisplay },
+        source: fhirBuilder.suggestionMapUrl,
+      })),
+    ],
+  };
+}
+
+/**
+ * Helper: ICD-11 → NAMASTE matches for one code: approved mappings read
+ * backwards, then NAMASTE concepts scored against the ICD-11 title
+ */
+async function translateReverse(code) {
+  const approved = mapper.approvedTo(code).map(m => ({
+    equivalence: MappingStore.inverseEquivalence(m.equivalence),
+    concept: { system: m.sourceSystem, code: m.sourceCode, display: m.sourceDisplay },
+    source: fhirBuilder.conceptMapUrl,
+  }));
+
+  let icd = null;
+  try {
+    icd = await icd11Client.lookup(code);
+  } catch (e) {
+    if (!(e instanceof UpstreamUnavailableError) || approved.length === 0) throw e;
+    return { upstream: e.toJSON(), matches: approved };
+  }
+  if (!icd) return approved.length > 0 ? { upstream: { status: 'ok' }, matches: approved } : null;
+
+  return {
+    upstream: icd11Client.lookupStatus(icd),
+    matches: [
+      ...approved,
+      ...mapper.rankReverse(icd)
+        .filter(c => c.confidence >= 0.3)
+        .slice(0, 5)
+        .map(c => ({
+          equivalence: MappingStore.inverseEquivalence(c.confidence >= 0.8 ? 'equivalent' : 'wider'),
+          concept: { system: fhirBuilder.namasteSystem, code: c.targetCode, display: c.targetDisplay },
+          source: fhirBuilder.suggestionMapUrl,
         })),
-      ],
-    };
+    ],
+  };
+}
+
+/**
+ * Helper: Shared $translate implementation for GET and POST.
+ * Forward translates NAMASTE → ICD-11; with reverse=true, ICD-11 → NAMASTE.
+ * Matches state an R4 equivalence, or an R5 relationship when R5 was negotiated.
+ * Each match names its source: the curated ConceptMap for approved mappings,
+ * the suggestion map for heuristic ones.
+ */
+async function translate(input, res, builder) {
+  const params = r4TranslateParams(input);
+  const { url, targetsystem } = params;
+  const reverse = params.reverse === true || params.reverse === 'true';
+  const sourceSystem = reverse ? fhirBuilder.icd11System : fhirBuilder.namasteSystem;
+  const targetSystem = reverse ? fhirBuilder.namasteSystem : fhirBuilder.icd11System;
+
+  if (url && ![fhirBuilder.conceptMapUrl, fhirBuilder.suggestionMapUrl].includes(url)) {
+    return outcome.send(res, 404, { diagnostics: `ConceptMap ${url} not found`, expression: ['url'] });
+  }
+  if (targetsystem && targetsystem !== targetSystem) {
+    return outcome.send(res, 400, {
+      code: 'not-supported',
+      diagnostics: `Cannot translate ${reverse ? 'in reverse ' : ''}to ${targetsystem}; the target system is ${targetSystem}`,
+      expression: ['targetsystem'],
+    });
+  }
 
-    res.json(out);
+  const codings = translateCodings(params);
+  if (codings.length === 0) {
+    return outcome.send(res, 400, { code: 'required', diagnostics: 'One of code, coding or codeableConcept is required' });
+  }
+  const usable = codings.filter(c => c.code && (!c.system || c.system === sourceSystem));
+  if (usable.length === 0) {
+    return outcome.send(res, 400, {
+      code: 'not-supported',
+      diagnostics: `No coding from ${sourceSystem}${reverse ? '' : '; use reverse=true to translate ICD-11 codes'}`,
+    });
+  }
+
+  const outcomes = await Promise.all(usable.map(c => (reverse ? translateReverse(c.code) : translateForward(c.code))));
+  if (outcomes.every(o => !o)) {
+    const codes = usable.map(c => c.code).join(', ');
+    return outcome.send(res, 404, { code: 'code-invalid', diagnostics: `${reverse ? 'ICD-11' : 'NAMASTE'} code ${codes} not found` });
+  }
+
+  // Approved matches for every coding first, then heuristics, each concept once
+  const found = outcomes.filter(Boolean);
+  const seen = new Set();
+  const matches = [
+    ...found.flatMap(o => o.matches.filter(m => m.source === fhirBuilder.conceptMapUrl)),
+    ...found.flatMap(o => o.matches.filter(m => m.source !== fhirBuilder.conceptMapUrl)),
+  ].filter(m => !seen.has(m.concept.code) && seen.add(m.concept.code));
+  const degraded = found.some(o => o.upstream.status === 'degraded');
+
+  fhirVersion.send(res, {
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'result', valueBoolean: matches.length > 0 },
+      {
+        name: 'message',
+        valueString: degraded
+          ? `Found ${matches.length} potential matches (ICD-11 upstream degraded; results may be incomplete or stale)`
+          : `Found ${matches.length} potential matches`,
+      },
+      ...matches.map(m => translateMatch(m, builder)),
+    ],
+  });
+}
+
+/**
+ * GET /api/fhir/ConceptMap/$translate
+ * Query params: code, system?, targetsystem?, url?, reverse? (R5: sourceCode | targetCode, targetSystem?)
+ */
+router.get('/ConceptMap/\\$translate', async (req, res) => {
+  try {
+    await translate(req.query, res, req.fhirBuilder);
   } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return outcome.sendUnavailable(res, e);
     console.error(e);
-    res.status(500).json({ error: 'Translate failed' });
+    outcome.send(res, 500, `Translate failed: ${e.message}`);
+  }
+});
+
+/**
+ * POST /api/fhir/ConceptMap/$translate
+ * body: Parameters resource or { url?, system?, code? | coding? | codeableConcept?, targetsystem?, reverse? }
+ * Returns Parameters with result, message and one match (equivalence or R5 relationship, concept, source) per target
+ */
+router.post('/ConceptMap/\\$translate', async (req, res) => {
+  try {
+    await translate(readParameters(req.body), res, req.fhirBuilder);
+  } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return outcome.sendUnavailable(res, e);
+    console.error(e);
+    outcome.send(res, 500, `Translate failed: ${e.message}`);
   }
 });
 
@@ -295,7 +755,7 @@ router.post('/ConceptMap/$translate', async (req, res) => {
  */
 router.get('/Patient/demo', (req, res) => {
   try {
-    const p = fhirBuilder.createDemoPatient({
+    const p = req.fhirBuilder.createDemoPatient({
       id: 'demo-patient-001',
       given: 'Rajesh',
       family: 'Kumar',
@@ -304,59 +764,208 @@ router.get('/Patient/demo', (req, res) => {
       phone: '+91-9876543210',
       city: 'New Delhi',
     });
-    res.json(p);
+    fhirVersion.send(res, p);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Demo patient failed' });
+    outcome.send(res, 500, `Demo patient failed: ${e.message}`);
   }
 });
 
 /**
- * GET /api/fhir/capability
- * Minimal CapabilityStatement for demo
+ * Helper: Answer $validate's OperationOutcome. Validation findings are the
+ * result of the operation, so it answers 200 whether or not the resource is valid.
  */
-router.get('/capability', (req, res) => {
+function sendValidation(req, res, resource, profile) {
+  const { issues } = fhirValidator.validate(resource, { profile });
+  fhirVersion.send(res, req.fhirBuilder.createOperationOutcome(issues.length > 0
+    ? issues
+    : [{ severity: 'information', code: 'informational', diagnostics: 'All OK' }]));
+}
+
+/**
+ * POST /api/fhir/:type/$validate
+ * body: the resource, or Parameters with `resource` and optional `profile`.
+ * Query: profile? (canonical of a loaded profile to validate against besides meta.profile)
+ * Checks cardinality, datatypes, value-set bindings and NAMASTE/ICD-11 codes
+ * against the loaded StructureDefinitions (utils/fhir-validator.js).
+ */
+router.post('/:type([A-Z][A-Za-z]+)/\\$validate', (req, res) => {
   try {
-    const capability = {
-      resourceType: 'CapabilityStatement',
-      id: 'namaste-icd11-capability',
-      status: 'active',
-      date: new Date().toISOString(),
-      kind: 'instance',
-      fhirVersion: '4.0.1',
-      format: ['json'],
-      rest: [
-        {
-          mode: 'server',
-          resource: [
-            { type: 'CodeSystem' },
-            { type: 'ConceptMap' },
-            { type: 'Condition' },
-            { type: 'Bundle' },
-            { type: 'ValueSet' },
-            { type: 'Patient' },
-          ],
-          security: {
-            service: [
-              {
-                coding: [
-                  {
-                    system: 'http://terminology.hl7.org/CodeSystem/restful-security-service',
-                    code: 'OAuth',
-                    display: 'OAuth2',
-                  },
-                ],
-              },
-            ],
-          },
-        },
-      ],
-    };
-    res.json(capability);
+    const params = req.body && req.body.resourceType === 'Parameters' ? readParameters(req.body) : { resource: req.body };
+    const { resource } = params;
+    const profile = req.query.profile || params.profile;
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+      return outcome.send(res, 400, { code: 'required', diagnostics: 'A resource to validate is required', expression: ['resource'] });
+    }
+    if (resource.resourceType !== req.params.type) {
+      return outcome.send(res, 400, {
+        diagnostics: `resourceType ${resource.resourceType} does not match ${req.params.type}`,
+        expression: ['resource.resourceType'],
+      });
+    }
+    sendValidation(req, res, resource, profile);
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Validation failed: ${e.message}`);
+  }
+});
+
+/**
+ * Helper: $validate of the current version of a stored resource
+ */
+function validateStored(req, res, params) {
+  const result = fhirStore.read(req.params.type, req.params.id);
+  if (!result.success) {
+    return outcome.send(res, { 'not-found': 404, gone: 410 }[result.reason] || 400, result.error);
+  }
+  sendValidation(req, res, result.resource, req.query.profile || params.profile);
+}
+
+const STORED_VALIDATE = `/:type(${FhirStore.TYPES.join('|')})/:id/\\$validate`;
+
+/**
+ * GET /api/fhir/:type/:id/$validate  (stored Condition, Patient, Encounter, Provenance)
+ * Validate the current version of a stored resource. Query: profile?
+ */
+router.get(STORED_VALIDATE, (req, res) => {
+  try {
+    validateStored(req, res, {});
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Validation failed: ${e.message}`);
+  }
+});
+
+/**
+ * POST /api/fhir/:type/:id/$validate
+ * body: optional Parameters with `profile`
+ */
+router.post(STORED_VALIDATE, (req, res) => {
+  try {
+    validateStored(req, res, readParameters(req.body));
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Capability generation failed' });
+    outcome.send(res, 500, `Validation failed: ${e.message}`);
   }
 });
 
+// Convenience endpoints that are not FHIR interactions, left out of the CapabilityStatement
+const NON_FHIR_ROUTES = ['POST /Bundle', 'POST /ConceptMap/namaste-to-icd11'];
+
+/**
+ * Helper: CapabilityStatement.rest of this router, read from its registered routes
+ */
+function describeRoutes() {
+  return capabilities.describe(router, {
+    exclude: NON_FHIR_ROUTES,
+    searchParameters: type => (FhirStore.TYPES.includes(type)
+      ? Object.entries({ ...FhirStore.SEARCH_PARAMETERS.common, ...FhirStore.SEARCH_PARAMETERS[type] })
+        .map(([name, p]) => ({ name, type: p.type, documentation: p.description }))
+      : []),
+    profiles: type => fhirValidator.profiles(type),
+    // $validate is offered for types with a loaded StructureDefinition
+    anyType: type => fhirValidator.supports(type),
+  });
+}
+
+/**
+ * Helper: Code systems, versions, filters and translation support for TerminologyCapabilities
+ */
+function terminologyCapabilities(builder) {
+  const source = icd11Client.getSourceInfo();
+  const icd11Versions = [
+    ...(icd11Client.useLocal && source.local.release ? [source.local.release] : []),
+    ...(icd11Client.useRemote && source.provider.release ? [source.provider.release] : []),
+  ].filter((version, index, all) => all.indexOf(version) === index);
+
+  return builder.createTerminologyCapabilities({
+    codeSystems: [
+      {
+        uri: fhirBuilder.namasteSystem,
+        versions: terminology.listReleases().map(release => ({
+          code: release.version,
+          isDefault: release.active,
+          filter: Object.entries(TerminologyRepository.FILTER_OPERATORS).map(([code, op]) => ({ code, op })),
+          property: ['category', 'tm-system', 'parent', 'child'],
+        })),
+        subsumption: true,
+      },
+      {
+        // Postcoordinated clusters (stem codes joined with "/", extensions with "&") are accepted
+        uri: fhirBuilder.icd11System,
+        versions: (icd11Versions.length > 0 ? icd11Versions : [null]).map(code => ({ code, compositional: true })),
+        subsumption: false,
+      },
+    ],
+    expansionParameters: capabilities.OPERATIONS['ValueSet-expand'].parameter.filter(p => p.use === 'in').map(p => p.name),
+    // $translate defaults to the curated NAMASTE → ICD-11 map; reverse=true translates ICD-11 → NAMASTE
+    translation: { needsMap: false },
+  });
+}
+
+/**
+ * GET /api/fhir/OperationDefinition
+ * searchset Bundle of the OperationDefinitions of every operation served here
+ */
+router.get('/OperationDefinition', (req, res) => {
+  try {
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    const definitions = describeRoutes().operations
+      .map(id => req.fhirBuilder.createOperationDefinition(id, capabilities.OPERATIONS[id], `${capabilities.OPERATION_BASE}${id}`));
+    fhirVersion.send(res, req.fhirBuilder.createSearchBundle(definitions, { base, total: definitions.length }));
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `OperationDefinition search failed: ${e.message}`);
+  }
+});
+
+/**
+ * GET /api/fhir/OperationDefinition/:id
+ * e.g. CodeSystem-lookup, ValueSet-expand, ConceptMap-translate, Resource-validate
+ */
+router.get('/OperationDefinition/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!describeRoutes().operations.includes(id)) {
+      return outcome.send(res, 404, `OperationDefinition/${id} not found`);
+    }
+    fhirVersion.send(res, req.fhirBuilder.createOperationDefinition(id, capabilities.OPERATIONS[id], `${capabilities.OPERATION_BASE}${id}`));
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `OperationDefinition read failed: ${e.message}`);
+  }
+});
+
+/**
+ * GET /api/fhir/metadata (alias: /api/fhir/capability)
+ * Query: mode? - full | normative (CapabilityStatement, the default) | terminology (TerminologyCapabilities)
+ * The CapabilityStatement is built from the routes registered on this router:
+ * every resource type with its interactions, search parameters, profiles and
+ * operations (each linked to its OperationDefinition), plus transaction and batch.
+ */
+router.get(['/metadata', '/capability'], (req, res) => {
+  try {
+    const mode = req.query.mode || 'full';
+    if (mode === 'terminology') return fhirVersion.send(res, terminologyCapabilities(req.fhirBuilder));
+    if (mode !== 'full' && mode !== 'normative') {
+      return outcome.send(res, 400, {
+        code: 'not-supported',
+        diagnostics: `Unknown mode ${mode}; use full, normative or terminology`,
+        expression: ['mode'],
+      });
+    }
+    const { resources, interactions } = describeRoutes();
+    fhirVersion.send(res, req.fhirBuilder.createCapabilityStatement(resources, {
+      interactions,
+      base: `${req.protocol}://${req.get('host')}${req.baseUrl}`,
+    }));
+  } catch (e) {
+    console.error(e);
+    outcome.send(res, 500, `Capability generation failed: ${e.message}`);
+  }
+});
+
+// Read, vread, update, delete, history and search of stored Condition, Patient, Encounter and Provenance resources
+router.use(resourceRoutes);
+
 module.exports = router;
@@ -1,70 +1,37 @@
 // backend/routes/mapping.js
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
 
-const ICD11Client = require('../utils/icd11-client');
+const services = require('../utils/services');
+const { namasteSearchTerms } = require('../utils/search-terms');
+const { UpstreamUnavailableError, sendUnavailable } = require('../utils/resilience');
+const MappingStore = require('../utils/mapping-store');
+const MappingJobs = require('../utils/mapping-jobs');
+const MappingCoverage = require('../utils/mapping-coverage');
+const FHIRBuilder = require('../utils/fhir-builder');
+const csv = require('../utils/csv');
+const exchange = require('../utils/mapping-exchange');
+const fhirVersion = require('../utils/fhir-version');
+const { requireCurator } = require('../utils/auth');
 
 const router = express.Router();
-const icd11Client = new ICD11Client();
-
-// Load NAMASTE data
-let namasteData = [];
-try {
-  const dataPath = path.join(__dirname, '../data/namaste-sample.json');
-  namasteData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-  console.log(`📚 Loaded ${namasteData.length} NAMASTE codes for mapping routes`);
-} catch (error) {
-  console.error('❌ Failed to load NAMASTE data:', error.message);
-}
-
-/**
- * Helper: Extract keywords from text (very simple tokenizer)
- */
-function extractKeywords(text = '') {
-  const stop = new Set(['a','an','the','of','and','or','but','in','on','at','to','for','with','by','due','including','disease','disorder']);
-  return String(text)
-    .toLowerCase()
-    .split(/[\s\-,._/]+/)
-    .filter(w => w.length > 2 && !stop.has(w));
-}
-
-/**
- * Helper: Calculate similarity between NAMASTE and ICD-11 titles with keyword bonus
- */
-function similarityScore(namaste, icdTitle, kws = []) {
-  const n = (namaste || '').toLowerCase().trim();
-  const t = (icdTitle || '').toLowerCase().trim();
-  if (!n || !t) return 0;
-
-  if (n === t) return 1.0;
-  if (n.includes(t) || t.includes(n)) return 0.9;
-
-  const w1 = n.split(/[\s\-,._/]+/).filter(w => w.length > 2);
-  const w2 = t.split(/[\s\-,._/]+/).filter(w => w.length > 2);
-  if (!w1.length || !w2.length) return 0;
-
-  let matches = 0;
-  for (const a of w1) {
-    for (const b of w2) {
-      if (a === b) matches += 1;
-      else if (a.includes(b) || b.includes(a)) matches += 0.7;
-    }
-  }
-  let score = matches / Math.max(w1.length, w2.length);
-
-  if (Array.isArray(kws) && kws.length) {
-    const K = kws.map(k => String(k).toLowerCase());
-    const km = K.filter(k => t.includes(k)).length;
-    score = Math.min(1, score + (km / K.length) * 0.3);
-  }
-
-  return Math.round(score * 100) / 100;
-}
+const icd11Client = services.icd11;
+const terminology = services.terminology;
+const mappingStore = services.mappings;
+const scorer = services.scorer;
+const thesaurus = services.thesaurus;
+const mapper = services.mapper;
+const mappingJobs = services.mappingJobs;
+const coverage = services.coverage;
+const fhirBuilder = new FHIRBuilder();
 
 /**
  * POST /api/mapping/namaste-to-icd11
  * body: { namasteCode, maxResults?, confidenceThreshold? }
+ * Approved mappings from the curation store come first; heuristic matches
+ * fill the remaining places and are recorded as proposals for review.
+ * TM2 pattern (chapter 26) and MMS disease targets are limited to maxResults
+ * each and also returned separately under `targets`, with the best TM2 + MMS
+ * pair as `bestPair`.
  */
 router.post('/namaste-to-icd11', async (req, res) => {
   try {
@@ -73,44 +40,18 @@ router.post('/namaste-to-icd11', async (req, res) => {
       return res.status(400).json({ error: 'namasteCode is required' });
     }
 
-    const src = namasteData.find(x => x.code === namasteCode);
+    const src = terminology.get(namasteCode);
     if (!src) {
       return res.status(404).json({ error: `NAMASTE code ${namasteCode} not found` });
     }
 
-    // Build search terms
-    const terms = [
-      ...(src.keywords || []),
-      ...(src.synonyms || []).map(s => String(s).toLowerCase()),
-      ...extractKeywords(src.display),
-      ...extractKeywords(src.description)
-    ];
-    const uniqueTerms = [...new Set(terms)].filter(Boolean);
-
-    // Query ICD-11
-    const icdResults = await icd11Client.findMatches(uniqueTerms, maxResults);
-
-    // Score & map
-    const scored = icdResults.map(r => {
-      const sim = icd11Client.calculateSimilarity(src.display, r.display, src.keywords || []);
-      return {
-        sourceCode: src.code,
-        sourceDisplay: src.display,
-        sourceSystem: 'http://namaste.ayush.gov.in/fhir/CodeSystem/namaste-codes',
-        targetCode: r.code,
-        targetDisplay: r.display,
-        targetSystem: 'http://id.who.int/icd/release/11/mms',
-        confidence: Math.max(sim, r.confidence || 0),
-        matchType: r.type || 'stem',
-        reasoning: buildReasoning(sim, src, r)
-      };
-    });
-
-    // Filter and sort
-    const filtered = scored
-      .filter(m => (m.confidence || 0) >= Number(confidenceThreshold))
-      .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
-      .slice(0, Number(maxResults));
+    // Curated mappings, then ranked ICD-11 heuristics (the same ranking as mapping jobs)
+    const approved = mapper.approved(src.code).map(m => mapper.curated(m));
+    const { candidates, upstream } = await mapper.rank(src, { maxResults });
+    const heuristics = mapper.selectTargets(approved, candidates, { maxResults, threshold: confidenceThreshold })
+      .map(m => ({ ...m, sourceSystem: fhirBuilder.namasteSystem, targetSystem: fhirBuilder.icd11System }));
+    const { tm2, mms, pairs, bestPair } = mapper.pairTargets([...approved, ...mapper.propose(heuristics)]);
+    const filtered = [...pairs, ...tm2, ...mms];
 
     res.json({
       sourceCode: {
@@ -120,10 +61,14 @@ router.post('/namaste-to-icd11', async (req, res) => {
         category: src.category
       },
       totalFound: filtered.length,
-      searchTermsUsed: uniqueTerms.slice(0, 20),
-      mappings: filtered
+      searchTermsUsed: namasteSearchTerms(src, thesaurus).slice(0, 20),
+      mappings: filtered,
+      targets: { tm2, mms, pairs },
+      bestPair,
+      upstream
     });
   } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return sendUnavailable(res, e);
     console.error(e);
     res.status(500).json({ error: 'Mapping failed', message: e.message });
   }
@@ -140,42 +85,44 @@ router.post('/icd11-to-namaste', async (req, res) => {
       return res.status(400).json({ error: 'icd11Code is required' });
     }
 
-    const lookups = await icd11Client.search(icd11Code, 1);
-    if (!Array.isArray(lookups) || lookups.length === 0) {
+    const icd = await icd11Client.lookup(icd11Code);
+    if (!icd) {
       return res.status(404).json({ error: `ICD-11 code ${icd11Code} not found` });
     }
-    const icd = lookups[0];
-
-    // Reverse match NAMASTE by similarity of titles/keywords
-    const scored = namasteData.map(n => {
-      const sim = similarityScore(n.display, icd.display, n.keywords || []);
-      return {
-        sourceCode: icd.code,
-        sourceDisplay: icd.display,
-        sourceSystem: 'http://id.who.int/icd/release/11/mms',
-        targetCode: n.code,
-        targetDisplay: n.display,
-        targetSystem: 'http://namaste.ayush.gov.in/fhir/CodeSystem/namaste-codes',
-        confidence: sim,
-        reasoning: sim >= 0.8
-          ? 'Strong semantic similarity'
-          : sim >= 0.6
-          ? 'Moderate similarity'
-          : 'Keyword overlap'
-      };
-    });
 
-    const filtered = scored
-      .filter(m => (m.confidence || 0) >= Number(confidenceThreshold))
-      .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
-      .slice(0, Number(maxResults));
+    // Approved mappings to this code first, then reverse match NAMASTE by similarity of titles/keywords
+    const approved = mapper.approvedTo(icd.code).map(m => ({
+      ...mapper.curated(m),
+      sourceCode: icd.code,
+      sourceDisplay: icd.display,
+      sourceSystem: m.targetSystem,
+      targetCode: m.sourceCode,
+      targetDisplay: m.sourceDisplay,
+      targetSystem: m.sourceSystem,
+      equivalence: MappingStore.inverseEquivalence(m.equivalence),
+    }));
+
+    const scored = mapper.rankReverse(icd).map(m => ({
+      ...m,
+      sourceSystem: 'http://id.who.int/icd/release/11/mms',
+      targetSystem: 'http://namaste.ayush.gov.in/fhir/CodeSystem/namaste-codes',
+    }));
+
+    const filtered = [
+      ...approved,
+      ...scored
+        .filter(m => (m.confidence || 0) >= Number(confidenceThreshold))
+        .slice(0, Math.max(0, Number(maxResults) - approved.length)),
+    ];
 
     res.json({
       sourceCode: { code: icd.code, display: icd.display },
       totalFound: filtered.length,
-      mappings: filtered
+      mappings: filtered,
+      upstream: icd11Client.lookupStatus(icd)
     });
   } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return sendUnavailable(res, e);
     console.error(e);
     res.status(500).json({ error: 'Reverse mapping failed', message: e.message });
   }
@@ -184,6 +131,9 @@ router.post('/icd11-to-namaste', async (req, res) => {
 /**
  * POST /api/mapping/batch
  * body: { namasteCodes: string[], maxResultsPerCode?, confidenceThreshold? }
+ * Codes are mapped concurrently; the shared ICD-11 scheduler caps upstream load
+ * and serves the whole batch as one lane so other requests are not starved.
+ * Large sets should use POST /api/mapping/jobs instead.
  */
 router.post('/batch', async (req, res) => {
   try {
@@ -192,55 +142,31 @@ router.post('/batch', async (req, res) => {
       return res.status(400).json({ error: 'namasteCodes array is required' });
     }
 
-    const results = [];
-    for (const code of namasteCodes) {
-      const src = namasteData.find(x => x.code === code);
-      if (!src) {
-        results.push({ namasteCode: code, success: false, error: 'NAMASTE code not found' });
-        continue;
-      }
-
-      const terms = [
-        ...(src.keywords || []),
-        ...(src.synonyms || []).map(s => String(s).toLowerCase()),
-        ...extractKeywords(src.display),
-        ...extractKeywords(src.description)
-      ];
-      const uniqueTerms = [...new Set(terms)].filter(Boolean);
-
-      const icdResults = await icd11Client.findMatches(uniqueTerms, maxResultsPerCode);
-
-      const mapped = icdResults
-        .map(r => ({
-          targetCode: r.code,
-          targetDisplay: r.display,
-          confidence: icd11Client.calculateSimilarity(src.display, r.display, src.keywords || [])
-        }))
-        .filter(m => (m.confidence || 0) >= Number(confidenceThreshold))
-        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
-        .slice(0, Number(maxResultsPerCode));
-
-      results.push({
-        namasteCode: src.code,
-        namasteDisplay: src.display,
-        count: mapped.length,
-        mappings: mapped,
-        success: true
-      });
-
-      // tiny delay to be polite with the external API
-      await new Promise(r => setTimeout(r, 100));
-    }
+    const results = await mapper.mapCodes(namasteCodes, { maxResultsPerCode, confidenceThreshold });
 
     const successCount = results.filter(r => r.success).length;
     const totalMappings = results.reduce((sum, r) => sum + (r.count || 0), 0);
+    const degraded = results.filter(r => r.upstream && r.upstream.status === 'degraded');
+
+    // Nothing answered at all: the upstream is down rather than the codes unmappable
+    if (degraded.length > 0 && successCount === 0) {
+      return sendUnavailable(res, new UpstreamUnavailableError('ICD-11 upstream unavailable for every code in the batch', {
+        provider: icd11Client.provider.name,
+        retryAfter: Math.max(...degraded.map(r => r.upstream.retryAfter || 0)) || undefined,
+      }));
+    }
 
     res.json({
       totalCodes: namasteCodes.length,
       successful: successCount,
       failed: namasteCodes.length - successCount,
       totalMappings,
-      results
+      results,
+      upstream: {
+        status: degraded.length > 0 ? 'degraded' : 'ok',
+        provider: icd11Client.provider.name,
+        ...(degraded.length > 0 ? { degradedCodes: degraded.map(r => r.namasteCode) } : {})
+      }
     });
   } catch (e) {
     console.error(e);
@@ -248,9 +174,202 @@ router.post('/batch', async (req, res) => {
   }
 });
 
+/**
+ * Helper: HTTP status for a failed MappingJobs result
+ */
+function jobFailureStatus(result) {
+  return { 'not-found': 404, conflict: 409 }[result.reason] || 400;
+}
+
+/**
+ * Helper: Links for a job
+ */
+function jobLinks(id) {
+  const base = `/api/mapping/jobs/${id}`;
+  return {
+    self: base,
+    events: `${base}/events`,
+    cancel: `${base}/cancel`,
+    results: `${base}/results`,
+  };
+}
+
+/**
+ * POST /api/mapping/jobs
+ * body: { namasteCodes?: string[] | category?: string, maxResultsPerCode?, confidenceThreshold? }
+ * Queues a background mapping job and answers 202 with its id straight away.
+ */
+router.post('/jobs', (req, res) => {
+  try {
+    const result = mappingJobs.submit(req.body || {});
+    if (!result.success) return res.status(jobFailureStatus(result)).json({ error: result.error });
+    const links = jobLinks(result.job.id);
+    res.status(202).location(links.self).json({ ...result.job, links });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to submit mapping job', message: e.message });
+  }
+});
+
+/**
+ * GET /api/mapping/jobs
+ * Query: status? (queued|running|completed|cancelled|failed)
+ */
+router.get('/jobs', (req, res) => {
+  const { status } = req.query;
+  if (status && !MappingJobs.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${MappingJobs.STATUSES.join(', ')}` });
+  }
+  const jobs = mappingJobs.list({ status });
+  res.json({ total: jobs.length, jobs: jobs.map(job => ({ ...job, links: jobLinks(job.id) })) });
+});
+
+/**
+ * GET /api/mapping/jobs/:id
+ * Status and progress of one job
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = mappingJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  res.json({ ...mappingJobs.summary(job), links: jobLinks(job.id) });
+});
+
+/**
+ * GET /api/mapping/jobs/:id/events
+ * Server-sent events: 'progress' after each code, 'done' once the job has
+ * completed, failed or been cancelled (the stream then closes).
+ */
+router.get('/jobs/:id/events', (req, res) => {
+  const job = mappingJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const onProgress = summary => {
+    if (summary.id === job.id) send('progress', summary);
+  };
+  const onFinished = summary => {
+    if (summary.id !== job.id) return;
+    send('done', summary);
+    close();
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const close = () => {
+    clearInterval(heartbeat);
+    mappingJobs.off('progress', onProgress);
+    mappingJobs.off('finished', onFinished);
+    res.end();
+  };
+
+  const summary = mappingJobs.summary(job);
+  if (['completed', 'cancelled', 'failed'].includes(summary.status)) {
+    send('done', summary);
+    return close();
+  }
+  send('progress', summary);
+  mappingJobs.on('progress', onProgress);
+  mappingJobs.on('finished', onFinished);
+  req.on('close', close);
+});
+
+/**
+ * POST /api/mapping/jobs/:id/cancel
+ * Queued jobs are cancelled at once; running jobs stop after the codes in flight.
+ */
+router.post('/jobs/:id/cancel', (req, res) => {
+  try {
+    const result = mappingJobs.cancel(req.params.id);
+    if (!result.success) return res.status(jobFailureStatus(result)).json({ error: result.error });
+    res.json({ ...result.job, links: jobLinks(result.job.id) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to cancel mapping job', message: e.message });
+  }
+});
+
+/**
+ * GET /api/mapping/jobs/:id/results?format=json|csv|conceptmap
+ * Results mapped so far: per-code results (json), one row per mapping (csv)
+ * or a FHIR ConceptMap (R4, or R5 with `Accept: application/fhir+json; fhirVersion=5.0`).
+ * Available while the job runs as well as afterwards.
+ */
+router.get('/jobs/:id/results', (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const job = mappingJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+
+    if (format === 'json') {
+      return res.json({ job: mappingJobs.summary(job), results: job.results.filter(Boolean) });
+    }
+
+    if (format === 'csv') {
+      const rows = job.results.filter(Boolean).flatMap(r => {
+        if (!r.success || r.mappings.length === 0) {
+          return [{ namasteCode: r.namasteCode, namasteDisplay: r.namasteDisplay || '', error: r.error || 'No mapping above threshold' }];
+        }
+        return r.mappings.map(m => ({
+          namasteCode: r.namasteCode,
+          namasteDisplay: r.namasteDisplay,
+          icd11Code: m.targetCode,
+          icd11Display: m.targetDisplay,
+          targetKind: m.targetKind || '',
+          confidence: m.confidence,
+          equivalence: m.equivalence || '',
+          curationStatus: m.curation ? m.curation.status : '',
+          curationId: m.curation ? m.curation.id : '',
+        }));
+      });
+      const headers = ['namasteCode', 'namasteDisplay', 'icd11Code', 'icd11Display', 'targetKind', 'confidence', 'equivalence', 'curationStatus', 'curationId', 'error'];
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="mapping-job-${job.id}.csv"`);
+      return res.send(csv.stringify(rows, headers));
+    }
+
+    if (format === 'conceptmap') {
+      const { version, error } = fhirVersion.negotiate(req.get('Accept'));
+      if (error) return res.status(406).json({ error: 'Not Acceptable', message: error });
+      const conceptMap = fhirVersion.builderFor(version).createConceptMap(mappingJobs.mappings(job));
+      conceptMap.id = `mapping-job-${job.id}`;
+      res.set('Content-Type', fhirVersion.contentType(version));
+      return res.json(conceptMap);
+    }
+
+    res.status(400).json({ error: 'format must be one of json, csv, conceptmap' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to export mapping job results', message: e.message });
+  }
+});
+
+/**
+ * DELETE /api/mapping/jobs/:id
+ * Removes a job that is not running, with its results
+ */
+router.delete('/jobs/:id', (req, res) => {
+  try {
+    const result = mappingJobs.remove(req.params.id);
+    if (!result.success) return res.status(jobFailureStatus(result)).json({ error: result.error });
+    res.status(204).end();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete mapping job', message: e.message });
+  }
+});
+
+// Heuristic suggestions returned by /suggestions
+const SUGGESTION_LIMIT = 3;
+
 /**
  * GET /api/mapping/suggestions/:code?type=namaste|icd11
- * Quick suggestions for mapping
+ * Quick suggestions for mapping: approved mappings, then heuristic matches
+ * that a curator has neither approved nor rejected
  */
 router.get('/suggestions/:code', async (req, res) => {
   try {
@@ -258,63 +377,384 @@ router.get('/suggestions/:code', async (req, res) => {
     const { type = 'namaste' } = req.query;
 
     if (type === 'namaste') {
-      const src = namasteData.find(x => x.code === code);
+      const src = terminology.get(code);
       if (!src) return res.status(404).json({ error: `NAMASTE code ${code} not found` });
 
-      const terms = [...new Set([...(src.keywords || []), ...(src.synonyms || []).map(s => String(s).toLowerCase())])];
-      const icd = await icd11Client.findMatches(terms, 3);
+      // Approved targets first; rank() leaves out approved and rejected ones
+      const approved = mapper.approved(src.code);
+      const { candidates, upstream } = await mapper.rank(src, { maxResults: SUGGESTION_LIMIT });
 
       return res.json({
         source: { code: src.code, display: src.display },
-        suggestions: icd.map(r => ({
-          code: r.code,
-          display: r.display,
-          confidence: r.confidence || 0.6,
-          reason: 'Keyword & type match'
-        }))
+        suggestions: [
+          ...approved.map(m => ({
+            code: m.targetCode,
+            display: m.targetDisplay,
+            confidence: 1.0,
+            features: [],
+            curation: { id: m.id, status: m.status }
+          })),
+          ...candidates.map(c => ({ code: c.targetCode, display: c.targetDisplay, confidence: c.confidence, features: c.features })),
+        ],
+        upstream
       });
     }
 
     if (type === 'icd11') {
-      const resICD = await icd11Client.search(code, 1);
-      if (!resICD.length) return res.status(404).json({ error: `ICD-11 code ${code} not found` });
-
-      const icd = resICD[0];
-      const kws = extractKeywords(icd.display);
-      const suggestions = namasteData
-        .filter(n => (n.keywords || []).some(k => kws.includes(String(k).toLowerCase())) || kws.some(k => n.display.toLowerCase().includes(k)))
-        .slice(0, 3)
-        .map(n => ({
-          code: n.code,
-          display: n.display,
-          confidence: similarityScore(n.display, icd.display, n.keywords || []),
-          reason: 'Keyword overlap'
-        }));
+      const icd = await icd11Client.lookup(code);
+      if (!icd) return res.status(404).json({ error: `ICD-11 code ${code} not found` });
+
+      // Approved sources first; rankReverse() leaves out approved and rejected ones
+      const approved = mapper.approvedTo(icd.code);
+      const heuristics = mapper.rankReverse(icd)
+        .filter(m => m.confidence > 0)
+        .slice(0, Math.max(0, SUGGESTION_LIMIT - approved.length));
 
       return res.json({
         source: { code: icd.code, display: icd.display },
-        suggestions
+        suggestions: [
+          ...approved.map(m => ({
+            code: m.sourceCode,
+            display: m.sourceDisplay,
+            confidence: 1.0,
+            features: [],
+            curation: { id: m.id, status: m.status }
+          })),
+          ...heuristics.map(m => ({ code: m.targetCode, display: m.targetDisplay, confidence: m.confidence, features: m.features })),
+        ],
+        upstream: icd11Client.lookupStatus(icd)
       });
     }
 
     return res.status(400).json({ error: 'Invalid type; use namaste or icd11' });
   } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return sendUnavailable(res, e);
     console.error(e);
     res.status(500).json({ error: 'Suggestions failed', message: e.message });
   }
 });
 
-/* Helper to build reasoning text */
-function buildReasoning(sim, src, icd) {
-  const parts = [];
-  if (sim >= 0.8) parts.push('High semantic similarity');
-  else if (sim >= 0.6) parts.push('Moderate similarity');
-  else parts.push('Keyword match');
-  if ((src.keywords || []).some(k => (icd.display || '').toLowerCase().includes(String(k).toLowerCase()))) {
-    parts.push('Keyword overlap');
+/**
+ * GET /api/mapping/scoring
+ * Features, weights and combination rule of the mapping scorer
+ * (weights can be overridden with MAPPING_SCORE_WEIGHTS)
+ */
+router.get('/scoring', (req, res) => {
+  res.json(scorer.describe());
+});
+
+/**
+ * GET /api/mapping/coverage?threshold=0.7&format=json|csv&view=codes|category|system
+ * Mapping coverage of the NAMASTE release overall, per category and per
+ * system: codes with approved mappings, with candidates awaiting review,
+ * with only candidates below `threshold`, and with none, plus the spread of
+ * best candidate confidences. CSV exports one row per code or per group.
+ */
+router.get('/coverage', (req, res) => {
+  try {
+    const { format = 'json', view = 'codes' } = req.query;
+    const threshold = req.query.threshold === undefined ? 0.7 : Number(req.query.threshold);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+    }
+    if (!['json', 'csv'].includes(format) || !MappingCoverage.VIEWS.includes(view)) {
+      return res.status(400).json({ error: `format must be json or csv and view one of ${MappingCoverage.VIEWS.join(', ')}` });
+    }
+
+    const report = coverage.report({ threshold });
+    if (format === 'json') return res.json(report);
+
+    const { headers, rows } = coverage.table(report, view);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="mapping-coverage-${view}.csv"`);
+    res.send(csv.stringify(rows, headers));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to build coverage report', message: e.message });
+  }
+});
+
+/**
+ * Helper: HTTP status for a failed MappingStore result
+ */
+function curationStatus(result) {
+  return { 'not-found': 404, conflict: 409 }[result.reason] || 400;
+}
+
+/**
+ * Helper: Resolve an ICD-11 target for a curated mapping; returns { display } or { error }
+ */
+async function resolveTarget(code) {
+  const resolved = await icd11Client.resolveCode(code);
+  if (!resolved.valid) {
+    return { error: `Invalid ICD-11 code ${code}: ${resolved.errors.map(e => e.message).join('; ')}` };
+  }
+  return { code: resolved.code, display: resolved.display };
+}
+
+/**
+ * GET /api/mapping/curated
+ * Query: status? (proposed|approved|rejected|retired), sourceCode?, targetCode?,
+ * origin? (algorithm|manual|import), limit?, offset?
+ */
+router.get('/curated', (req, res) => {
+  try {
+    const { status, sourceCode, targetCode, origin, limit = 50, offset = 0 } = req.query;
+    if (status && !MappingStore.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${MappingStore.STATUSES.join(', ')}` });
+    }
+    const listing = mappingStore.list({
+      status,
+      sourceCode,
+      targetCode,
+      origin,
+      limit: parseInt(limit, 10) || 50,
+      offset: parseInt(offset, 10) || 0,
+    });
+    res.json({ stats: mappingStore.stats(), ...listing });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to list curated mappings', message: e.message });
+  }
+});
+
+/**
+ * GET /api/mapping/curated/:id
+ * One curated mapping with its review history
+ */
+router.get('/curated/:id', (req, res) => {
+  const mapping = mappingStore.get(req.params.id);
+  if (!mapping) return res.status(404).json({ error: `Mapping ${req.params.id} not found` });
+  res.json(mapping);
+});
+
+/**
+ * POST /api/mapping/curated
+ * Propose a mapping by hand, as the authenticated curator
+ * body: { sourceCode, targetCode, equivalence?, confidence?, comment? }
+ * The ICD-11 target may be a postcoordinated cluster; every component must exist.
+ */
+router.post('/curated', requireCurator, async (req, res) => {
+  try {
+    const { sourceCode, targetCode, equivalence, confidence, comment } = req.body || {};
+    if (!sourceCode || !targetCode) {
+      return res.status(400).json({ error: 'sourceCode and targetCode are required' });
+    }
+    const src = terminology.get(sourceCode);
+    if (!src) return res.status(404).json({ error: `NAMASTE code ${sourceCode} not found` });
+
+    const target = await resolveTarget(targetCode);
+    if (target.error) return res.status(400).json({ error: target.error });
+
+    const result = mappingStore.add({
+      sourceCode: src.code,
+      sourceDisplay: src.display,
+      targetCode: target.code,
+      targetDisplay: target.display,
+      equivalence,
+      confidence,
+      comment,
+    }, req.user.name);
+    if (!result.success) {
+      return res.status(curationStatus(result)).json({ error: result.error, ...(result.mapping ? { mapping: result.mapping } : {}) });
+    }
+    res.status(201).json(result.mapping);
+  } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return sendUnavailable(res, e);
+    console.error(e);
+    res.status(500).json({ error: 'Failed to propose mapping', message: e.message });
+  }
+});
+
+/**
+ * POST /api/mapping/curated/:id/review
+ * body: { action: 'approve'|'reject'|'retire'|'reopen', comment?, equivalence? }
+ * proposed → approved | rejected, approved → retired, rejected → proposed.
+ * The authenticated curator is recorded as the reviewer.
+ */
+router.post('/curated/:id/review', requireCurator, (req, res) => {
+  try {
+    const { action, comment, equivalence } = req.body || {};
+    const result = mappingStore.review(req.params.id, { action, reviewer: req.user.name, comment, equivalence });
+    if (!result.success) return res.status(curationStatus(result)).json({ error: result.error });
+    res.json(result.mapping);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Review failed', message: e.message });
+  }
+});
+
+/**
+ * PATCH /api/mapping/curated/:id
+ * Edit a mapping that has not been retired, as the authenticated curator
+ * body: { comment?, targetCode?, equivalence?, confidence? }
+ * A new targetCode is checked against ICD-11 and its display taken from there.
+ */
+router.patch('/curated/:id', requireCurator, async (req, res) => {
+  try {
+    const { comment, targetCode, equivalence, confidence } = req.body || {};
+    const changes = { equivalence, confidence };
+
+    if (targetCode !== undefined) {
+      const target = await resolveTarget(targetCode);
+      if (target.error) return res.status(400).json({ error: target.error });
+      changes.targetCode = target.code;
+      changes.targetDisplay = target.display;
+    }
+
+    const result = mappingStore.edit(req.params.id, changes, { reviewer: req.user.name, comment });
+    if (!result.success) return res.status(curationStatus(result)).json({ error: result.error });
+    res.json(result.mapping);
+  } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return sendUnavailable(res, e);
+    console.error(e);
+    res.status(500).json({ error: 'Edit failed', message: e.message });
+  }
+});
+
+/**
+ * Helper: Check that every source is a NAMASTE code and every target an
+ * existing ICD-11 code, filling in canonical codes and missing displays.
+ * Returns row-level errors.
+ */
+async function checkCodes(records) {
+  const errors = [];
+  const targets = new Map();
+  for (const record of records) {
+    if (!record.targetCode || targets.has(record.targetCode.toUpperCase())) continue;
+    targets.set(record.targetCode.toUpperCase(), await icd11Client.resolveCode(record.targetCode));
+  }
+
+  records.forEach(record => {
+    const src = record.sourceCode && terminology.get(record.sourceCode);
+    if (record.sourceCode && !src) {
+      errors.push({ row: record.row, field: 'sourceCode', message: `NAMASTE code ${record.sourceCode} not found` });
+    } else if (src) {
+      record.sourceCode = src.code;
+      record.sourceDisplay = record.sourceDisplay || src.display;
+    }
+
+    const target = record.targetCode && targets.get(record.targetCode.toUpperCase());
+    if (target && !target.valid) {
+      errors.push({ row: record.row, field: 'targetCode', message: `Invalid ICD-11 code ${record.targetCode}: ${target.errors.map(e => e.message).join('; ')}` });
+    } else if (target) {
+      record.targetCode = target.code;
+      record.targetDisplay = record.targetDisplay || target.display;
+    }
+  });
+  return errors;
+}
+
+/**
+ * Helper: Serialise mappings in an exchange format as a download. ConceptMaps
+ * are written in the FHIR version negotiated from Accept.
+ */
+function sendMappings(req, res, mappings, format, name) {
+  if (format === 'sssom') {
+    res.set('Content-Type', 'text/tab-separated-values; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}.sssom.tsv"`);
+    return res.send(exchange.toSssom(mappings, {
+      mapping_set_id: fhirBuilder.conceptMapUrl,
+      mapping_set_title: 'NAMASTE to ICD-11 mappings',
+    }));
+  }
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+    return res.send(exchange.toCsv(mappings));
   }
-  if ((icd.type || '').toLowerCase() === 'stem') parts.push('ICD-11 category level match');
-  return parts.join(', ');
+  const { version, error } = fhirVersion.negotiate(req.get('Accept'));
+  if (error) return res.status(406).json({ error: 'Not Acceptable', message: error });
+  res.set('Content-Type', fhirVersion.contentType(version));
+  res.set('Content-Disposition', `attachment; filename="${name}.json"`);
+  return res.send(JSON.stringify(exchange.toConceptMap(mappings, fhirVersion.builderFor(version)), null, 2));
 }
 
+const EXCHANGE_FORMATS = ['sssom', 'csv', 'conceptmap'];
+
+/**
+ * GET /api/mapping/export?format=sssom|csv|conceptmap&status=approved|proposed|rejected|retired|all
+ * Curated mappings as an SSSOM TSV mapping set, a plain CSV or a FHIR
+ * ConceptMap. Only approved mappings are exported unless status says otherwise.
+ */
+router.get('/export', (req, res) => {
+  try {
+    const { format = 'sssom', status = 'approved' } = req.query;
+    if (!EXCHANGE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXCHANGE_FORMATS.join(', ')}` });
+    }
+    if (status !== 'all' && !MappingStore.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be all or one of ${MappingStore.STATUSES.join(', ')}` });
+    }
+
+    const { mappings } = mappingStore.list({ status: status === 'all' ? undefined : status, limit: Infinity });
+    mappings.sort((a, b) => a.sourceCode.localeCompare(b.sourceCode) || a.targetCode.localeCompare(b.targetCode));
+    sendMappings(req, res, mappings, format, `namaste-icd11-${status}`);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to export mappings', message: e.message });
+  }
+});
+
+/**
+ * POST /api/mapping/import
+ * body: { format?: 'sssom'|'csv'|'tsv'|'xlsx'|'json'|'conceptmap', filename?, content, encoding?: 'base64',
+ *   conceptMap?, dryRun? }
+ * Every NAMASTE code must exist and every ICD-11 code must resolve; the set is
+ * stored only if all rows are valid. New pairs become proposals; rows with a
+ * status (CSV status column, SSSOM predicate_modifier Not, ConceptMap
+ * 'disjoint') are reviewed as part of the import. The authenticated curator
+ * is recorded as proposer and reviewer.
+ */
+router.post('/import', requireCurator, async (req, res) => {
+  try {
+    const { dryRun = false } = req.body || {};
+    const proposer = req.user.name;
+    const reviewer = req.user.name;
+    const parsed = exchange.readMappings(req.body || {});
+    const errors = [...parsed.errors, ...(await checkCodes(parsed.records.filter(r => r.sourceCode && r.targetCode)))];
+    const result = mappingStore.import(parsed.records, { proposer, reviewer, dryRun: dryRun || errors.length > 0 });
+    const response = {
+      format: parsed.format,
+      metadata: parsed.metadata,
+      rows: parsed.records.length,
+      ...result,
+      dryRun: Boolean(dryRun),
+      success: result.success && errors.length === 0,
+      errors: [...errors, ...result.errors].sort((a, b) => String(a.row || '').localeCompare(String(b.row || ''), undefined, { numeric: true })),
+    };
+    if (!response.success) {
+      return res.status(400).json({ error: 'Mapping set failed validation', ...response, created: 0, reviewed: 0, skipped: [] });
+    }
+    res.status(dryRun ? 200 : 201).json(response);
+  } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return sendUnavailable(res, e);
+    console.error(e);
+    res.status(500).json({ error: 'Mapping import failed', message: e.message });
+  }
+});
+
+/**
+ * POST /api/mapping/convert?to=sssom|csv|conceptmap
+ * body: as for /import
+ * Converts a mapping set between formats without checking codes or storing it.
+ */
+router.post('/convert', (req, res) => {
+  try {
+    const { to = 'conceptmap' } = req.query;
+    if (!EXCHANGE_FORMATS.includes(to)) {
+      return res.status(400).json({ error: `to must be one of ${EXCHANGE_FORMATS.join(', ')}` });
+    }
+    const parsed = exchange.readMappings(req.body || {});
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({ error: 'Mapping set could not be read', format: parsed.format, errors: parsed.errors });
+    }
+    const mappings = parsed.records.map(r => ({ ...r, origin: 'import' }));
+    sendMappings(req, res, mappings, to, 'namaste-icd11-converted');
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Mapping conversion failed', message: e.message });
+  }
+});
+
 module.exports = router;
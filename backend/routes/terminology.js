@@ -1,66 +1,79 @@
 // backend/routes/terminology.js
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
 
-const ICD11Client = require('../utils/icd11-client');
 const FHIRBuilder = require('../utils/fhir-builder');
+const services = require('../utils/services');
+const { localizedDisplay } = require('../utils/designations');
+const { UpstreamUnavailableError, sendUnavailable } = require('../utils/resilience');
+const { requireAdminToken } = require('../utils/auth');
 
 const router = express.Router();
-const icd11Client = new ICD11Client();
+const icd11Client = services.icd11;
 const fhirBuilder = new FHIRBuilder();
+const terminology = services.terminology;
+const searchEngine = services.search;
 
-// Load NAMASTE sample data
-let namasteData = [];
-try {
-  const dataPath = path.join(__dirname, '../data/namaste-sample.json');
-  namasteData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-  console.log(`📚 Loaded ${namasteData.length} NAMASTE codes for terminology routes`);
-} catch (error) {
-  console.error('❌ Failed to load NAMASTE data:', error.message);
+/**
+ * Helper: Swap a concept's display for the requested language, keeping the English term
+ */
+function localize(concept, displayLanguage) {
+  if (!displayLanguage) return concept;
+  const { display, language } = localizedDisplay(concept, displayLanguage);
+  return { ...concept, display, displayLanguage: language, englishDisplay: concept.display };
 }
 
 /**
  * GET /api/terminology/namaste
  * Query:
- *  - search: text filter across display/description/keywords/synonyms
+ *  - search: ranked full-text query (any script/romanisation; typos and prefixes tolerated)
  *  - category: filter by category
+ *  - system: filter by Ayurveda/Siddha/Unani
+ *  - displayLanguage: e.g. 'ta', 'ur,hi' or 'native' (each system's own script)
  *  - limit (default 50)
  *  - offset (default 0)
+ * With a search term, results are ordered by relevance and carry `score`,
+ * `matches` (matched spans) and `highlight` (HTML with <mark> tags).
  */
 router.get('/namaste', (req, res) => {
   try {
-    const { search = '', category = '', limit = 50, offset = 0 } = req.query;
-
-    let list = [...namasteData];
+    const { search = '', category = '', system = '', displayLanguage = '', limit = 50, offset = 0 } = req.query;
+    const start = parseInt(offset, 10) || 0;
+    const size = parseInt(limit, 10) || 50;
 
-    // Search filter
     if (search && String(search).trim().length > 0) {
-      const s = String(search).toLowerCase();
-      list = list.filter(item => {
-        const inDisplay = item.display?.toLowerCase().includes(s);
-        const inDesc = item.description?.toLowerCase().includes(s);
-        const inKeywords = (item.keywords || []).some(k => String(k).toLowerCase().includes(s));
-        const inSyn = (item.synonyms || []).some(k => String(k).toLowerCase().includes(s));
-        return inDisplay || inDesc || inKeywords || inSyn;
+      const found = searchEngine.search(String(search), { category, system, limit: size, offset: start });
+      return res.json({
+        total: found.total,
+        offset: start,
+        limit: size,
+        results: found.results.map(hit => ({
+          ...localize(hit.concept, displayLanguage),
+          score: hit.score,
+          matches: hit.matches,
+          highlight: hit.highlight,
+        })),
       });
     }
 
+    let list = [...terminology.list()];
+
     // Category filter
     if (category && String(category).trim().length > 0) {
       const c = String(category).toLowerCase();
       list = list.filter(item => String(item.category || '').toLowerCase().includes(c));
     }
 
-    const start = parseInt(offset, 10) || 0;
-    const end = start + (parseInt(limit, 10) || 50);
-    const results = list.slice(start, end);
+    // System filter
+    if (system && String(system).trim().length > 0) {
+      const sys = String(system).toLowerCase();
+      list = list.filter(item => String(item.system || '').toLowerCase() === sys);
+    }
 
     res.json({
       total: list.length,
       offset: start,
-      limit: parseInt(limit, 10) || 50,
-      results,
+      limit: size,
+      results: list.slice(start, start + size).map(item => localize(item, displayLanguage)),
     });
   } catch (e) {
     console.error(e);
@@ -71,15 +84,16 @@ router.get('/namaste', (req, res) => {
 /**
  * GET /api/terminology/namaste/:code
  * Return details for a specific NAMASTE code
+ * Query: displayLanguage? (as for /namaste)
  */
 router.get('/namaste/:code', (req, res) => {
   try {
     const { code } = req.params;
-    const item = namasteData.find(x => x.code === code);
+    const item = terminology.get(code);
     if (!item) {
       return res.status(404).json({ error: `NAMASTE code ${code} not found` });
     }
-    res.json(item);
+    res.json(localize(item, req.query.displayLanguage));
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Lookup failed', message: e.message });
@@ -99,33 +113,118 @@ router.get('/icd11/search', async (req, res) => {
       return res.status(400).json({ error: 'Query parameter "q" is required' });
     }
 
-    const results = await icd11Client.search(String(q), parseInt(limit, 10) || 10);
+    const { results, status, source, staleSince } = await icd11Client.query(String(q), parseInt(limit, 10) || 10);
     res.json({
       query: q,
       total: results.length,
       results,
+      upstream: { status, source, provider: icd11Client.provider.name, ...(staleSince ? { staleSince } : {}) },
     });
   } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return sendUnavailable(res, e);
     console.error(e);
     res.status(500).json({ error: 'ICD-11 search failed', message: e.message });
   }
 });
 
+/**
+ * GET /api/terminology/icd11/lookup/:code
+ * Title, parent chain and code kind of one ICD-11 code
+ */
+router.get('/icd11/lookup/:code', async (req, res) => {
+  try {
+    const result = await icd11Client.lookup(req.params.code);
+    if (!result) {
+      return res.status(404).json({ error: `ICD-11 code ${req.params.code} not found` });
+    }
+    const children = icd11Client.useLocal
+      ? services.icd11Store.childrenOf(result.code).map(c => ({ code: c.code, display: c.title, classKind: c.classKind }))
+      : [];
+    res.json({ ...result, children, upstream: icd11Client.lookupStatus(result) });
+  } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return sendUnavailable(res, e);
+    console.error(e);
+    res.status(500).json({ error: 'ICD-11 lookup failed', message: e.message });
+  }
+});
+
+/**
+ * GET /api/terminology/icd11/validate?code=5A11%26XS25
+ * Parse a stem, extension or cluster code and check that every component exists
+ */
+router.get('/icd11/validate', async (req, res) => {
+  try {
+    const { code } = req.query;
+    if (!code) {
+      return res.status(400).json({ error: 'Query parameter "code" is required' });
+    }
+    res.json(await icd11Client.resolveCode(String(code)));
+  } catch (e) {
+    if (e instanceof UpstreamUnavailableError) return sendUnavailable(res, e);
+    console.error(e);
+    res.status(500).json({ error: 'ICD-11 validation failed', message: e.message });
+  }
+});
+
+/**
+ * GET /api/terminology/icd11/release
+ * Metadata of the offline ICD-11 release and where searches are answered from
+ */
+router.get('/icd11/release', (req, res) => {
+  try {
+    res.json(icd11Client.getSourceInfo());
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to get ICD-11 release', message: e.message });
+  }
+});
+
+/**
+ * POST /api/terminology/icd11/release/validate
+ * body: { files: [{ filename?, format?, content, encoding?, linearization? }] }
+ * Dry-run validation of WHO simple-tabulation files; nothing is stored
+ */
+router.post('/icd11/release/validate', (req, res) => {
+  try {
+    const { files } = req.body || {};
+    res.json(services.icd11Store.validate(files));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Validation failed', message: e.message });
+  }
+});
+
+/**
+ * POST /api/terminology/icd11/release
+ * body: {
+ *   files: [{ filename?, format?: 'tsv'|'csv'|'xlsx', content, encoding?: 'utf8'|'base64',
+ *             linearization?: 'mms'|'tm2' }],
+ *   release?
+ * }
+ * Replace the offline ICD-11 store with the WHO MMS/TM2 simple-tabulation files.
+ * XLSX content must be sent base64-encoded.
+ */
+router.post('/icd11/release', (req, res) => {
+  try {
+    const { files, release } = req.body || {};
+    const result = services.icd11Store.importRelease({ files, release });
+    if (!result.success) {
+      return res.status(400).json({ error: 'ICD-11 import failed validation', validation: result.validation });
+    }
+    res.status(201).json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'ICD-11 import failed', message: e.message });
+  }
+});
+
 /**
  * GET /api/terminology/categories
  * Return available categories with counts
  */
 router.get('/categories', (req, res) => {
   try {
-    const counts = new Map();
-    namasteData.forEach(item => {
-      const c = item.category || 'Uncategorized';
-      counts.set(c, (counts.get(c) || 0) + 1);
-    });
-
-    const categories = Array.from(counts.entries())
-      .map(([category, count]) => ({ category, count }))
-      .sort((a, b) => a.category.localeCompare(b.category));
+    const categories = terminology.categories();
 
     res.json({ total: categories.length, categories });
   } catch (e) {
@@ -136,12 +235,12 @@ router.get('/categories', (req, res) => {
 
 /**
  * POST /api/terminology/autocomplete
- * body: { query, systems?: ['namaste','icd11'], limit? }
+ * body: { query, systems?: ['namaste','icd11'], limit?, displayLanguage? }
  * Returns combined suggestions across NAMASTE and ICD-11
  */
 router.post('/autocomplete', async (req, res) => {
   try {
-    const { query = '', systems = ['namaste', 'icd11'], limit = 5 } = req.body || {};
+    const { query = '', systems = ['namaste', 'icd11'], limit = 5, displayLanguage = '' } = req.body || {};
     const q = String(query).trim();
     if (q.length < 2) {
       return res.json({
@@ -152,29 +251,29 @@ router.post('/autocomplete', async (req, res) => {
 
     const suggestions = [];
 
-    // NAMASTE local search
+    // NAMASTE local search (already ranked by relevance)
     if (systems.includes('namaste')) {
-      const local = namasteData
-        .filter(item =>
-          item.display?.toLowerCase().includes(q.toLowerCase()) ||
-          item.description?.toLowerCase().includes(q.toLowerCase()) ||
-          (item.keywords || []).some(k => String(k).toLowerCase().includes(q.toLowerCase()))
-        )
-        .slice(0, parseInt(limit, 10) || 5)
-        .map(item => ({
+      const local = searchEngine
+        .autocomplete(q, { limit: parseInt(limit, 10) || 5 })
+        .results.map(hit => ({
           type: 'namaste',
-          code: item.code,
-          display: item.display,
-          description: item.description,
+          code: hit.concept.code,
+          ...localizedDisplay(hit.concept, displayLanguage),
+          description: hit.concept.description,
           system: fhirBuilder.namasteSystem,
+          score: hit.score,
+          highlight: hit.highlight,
         }));
       suggestions.push(...local);
     }
 
-    // ICD-11 external search
+    // ICD-11 external search, ordered by match position in display text
+    let upstream = null;
     if (systems.includes('icd11')) {
       try {
-        const external = await icd11Client.search(q, parseInt(limit, 10) || 5);
+        const outcome = await icd11Client.query(q, parseInt(limit, 10) || 5);
+        const external = outcome.results;
+        upstream = { status: outcome.status, source: outcome.source, provider: icd11Client.provider.name };
         const mapped = external.map(r => ({
           type: 'icd11',
           code: r.code,
@@ -182,26 +281,28 @@ router.post('/autocomplete', async (req, res) => {
           description: r.fullDisplay,
           system: fhirBuilder.icd11System,
         }));
+        mapped.sort((a, b) => {
+          const am = (a.display || '').toLowerCase().indexOf(q.toLowerCase());
+          const bm = (b.display || '').toLowerCase().indexOf(q.toLowerCase());
+          if (am === -1 && bm === -1) return 0;
+          if (am === -1) return 1;
+          if (bm === -1) return -1;
+          return am - bm;
+        });
         suggestions.push(...mapped);
       } catch (e) {
+        // NAMASTE suggestions are still useful; report the ICD-11 side as degraded instead of failing
+        if (!(e instanceof UpstreamUnavailableError)) throw e;
         console.warn('ICD-11 autocomplete error:', e.message);
+        upstream = { status: 'degraded', provider: icd11Client.provider.name, error: e.message, retryAfter: e.retryAfter };
       }
     }
 
-    // Simple ordering by match position in display text
-    suggestions.sort((a, b) => {
-      const am = (a.display || '').toLowerCase().indexOf(q.toLowerCase());
-      const bm = (b.display || '').toLowerCase().indexOf(q.toLowerCase());
-      if (am === -1 && bm === -1) return 0;
-      if (am === -1) return 1;
-      if (bm === -1) return -1;
-      return am - bm;
-    });
-
     res.json({
       query: q,
       total: suggestions.length,
       suggestions: suggestions.slice(0, (parseInt(limit, 10) || 5) * 2),
+      ...(upstream ? { upstream } : {}),
     });
   } catch (e) {
     console.error(e);
@@ -211,19 +312,21 @@ router.post('/autocomplete', async (req, res) => {
 
 /**
  * GET /api/terminology/stats
- * Quick stats about terminology and cache
+ * Quick stats about terminology, cache and mapping coverage
  */
 router.get('/stats', (req, res) => {
   try {
     const stats = {
-      namaste: {
-        total: namasteData.length,
-        categories: [...new Set(namasteData.map(x => x.category || 'Uncategorized'))].length,
-        systems: [...new Set(namasteData.map(x => x.system || 'AYUSH'))],
-      },
+      namaste: terminology.stats(),
       icd11: {
         cache: icd11Client.getCacheStats(),
-        api_endpoint: 'https://clinicaltables.nlm.nih.gov/api/icd11_codes/v3/search',
+        provider: icd11Client.provider.name,
+        api_endpoint: icd11Client.provider.describe().endpoint,
+        source: icd11Client.getSourceInfo(),
+      },
+      mappings: {
+        ...services.mappings.stats(),
+        coverage: (({ distribution, ...totals }) => totals)(services.coverage.report().overall),
       },
       fhir: {
         namaste_system: fhirBuilder.namasteSystem,
@@ -239,4 +342,101 @@ router.get('/stats', (req, res) => {
   }
 });
 
+/**
+ * GET /api/terminology/releases
+ * List NAMASTE releases, newest first, with the served one flagged active
+ */
+router.get('/releases', (req, res) => {
+  try {
+    res.json({
+      active: terminology.version,
+      releases: terminology.listReleases(),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to list releases', message: e.message });
+  }
+});
+
+/**
+ * POST /api/terminology/releases/validate
+ * body: { files: [{ system, filename?, format?, content, encoding? }] }
+ * Dry-run validation of NAMASTE release files; nothing is stored
+ */
+router.post('/releases/validate', (req, res) => {
+  try {
+    const { files } = req.body || {};
+    res.json(terminology.validate(files));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Validation failed', message: e.message });
+  }
+});
+
+/**
+ * POST /api/terminology/releases
+ * body: {
+ *   files: [{ system: 'Ayurveda'|'Siddha'|'Unani', filename?, format?: 'csv'|'tsv'|'xlsx'|'json',
+ *             content, encoding?: 'utf8'|'base64' }],
+ *   version?, notes?, activate? (default true)
+ * }
+ * Import official NAMASTE CSV/XLSX files as a new numbered release.
+ * XLSX content must be sent base64-encoded. Requires the admin token.
+ */
+router.post('/releases', requireAdminToken, (req, res) => {
+  try {
+    const { files, version, notes, activate = true } = req.body || {};
+    const result = terminology.importRelease({ files, version, notes, activate: activate !== false });
+    if (!result.success) {
+      return res.status(400).json({ error: 'Release import failed validation', validation: result.validation });
+    }
+    res.status(201).json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Release import failed', message: e.message });
+  }
+});
+
+/**
+ * PUT /api/terminology/releases/active
+ * body: { version }
+ * Switch the served release without a restart. Requires the admin token.
+ */
+router.put('/releases/active', requireAdminToken, (req, res) => {
+  try {
+    const { version } = req.body || {};
+    if (!version) {
+      return res.status(400).json({ error: 'version is required' });
+    }
+    const release = terminology.activate(version);
+    if (!release) {
+      return res.status(404).json({ error: `Release ${version} not found` });
+    }
+    res.json({ active: release.version, release });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to switch release', message: e.message });
+  }
+});
+
+/**
+ * GET /api/terminology/releases/:version
+ * Release metadata; add ?includeConcepts=true for the full concept list
+ */
+router.get('/releases/:version', (req, res) => {
+  try {
+    const release = terminology.getRelease(req.params.version);
+    if (!release) {
+      return res.status(404).json({ error: `Release ${req.params.version} not found` });
+    }
+    if (String(req.query.includeConcepts) !== 'true') {
+      delete release.concepts;
+    }
+    res.json(release);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to get release', message: e.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,144 @@
+// backend/routes/thesaurus.js
+const express = require('express');
+
+const services = require('../utils/services');
+const Thesaurus = require('../utils/thesaurus');
+
+const router = express.Router();
+const thesaurus = services.thesaurus;
+
+/**
+ * Helper: HTTP status for a failed Thesaurus result
+ */
+function failureStatus(result) {
+  return { 'not-found': 404, conflict: 409 }[result.reason] || 400;
+}
+
+/**
+ * GET /api/thesaurus/relations
+ * Query: term? (either side), type? (synonym|broader|narrower|translation), source?, limit?, offset?
+ */
+router.get('/relations', (req, res) => {
+  try {
+    const { term, type, source, limit = 50, offset = 0 } = req.query;
+    if (type && !Thesaurus.TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${Thesaurus.TYPES.join(', ')}` });
+    }
+    const listing = thesaurus.list({
+      term,
+      type,
+      source,
+      limit: parseInt(limit, 10) || 50,
+      offset: parseInt(offset, 10) || 0,
+    });
+    res.json({ stats: thesaurus.stats(), ...listing });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to list thesaurus relations', message: e.message });
+  }
+});
+
+/**
+ * GET /api/thesaurus/relations/:id
+ */
+router.get('/relations/:id', (req, res) => {
+  const relation = thesaurus.get(req.params.id);
+  if (!relation) return res.status(404).json({ error: `Relation ${req.params.id} not found` });
+  res.json(relation);
+});
+
+/**
+ * POST /api/thesaurus/relations
+ * body: { from, to, type, source, language?, note? }
+ * `to` is a <type> of `from`, e.g. { from: 'jwara', to: 'fever', type: 'translation', language: 'sa' }
+ */
+router.post('/relations', (req, res) => {
+  try {
+    const result = thesaurus.add(req.body || {});
+    if (!result.success) {
+      return res.status(failureStatus(result)).json({ error: result.error, ...(result.relation ? { relation: result.relation } : {}) });
+    }
+    res.status(201).json(result.relation);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to add relation', message: e.message });
+  }
+});
+
+/**
+ * PUT /api/thesaurus/relations/:id
+ * body: any of { from, to, type, source, language, note }
+ */
+router.put('/relations/:id', (req, res) => {
+  try {
+    const result = thesaurus.update(req.params.id, req.body || {});
+    if (!result.success) return res.status(failureStatus(result)).json({ error: result.error });
+    res.json(result.relation);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update relation', message: e.message });
+  }
+});
+
+/**
+ * DELETE /api/thesaurus/relations/:id
+ */
+router.delete('/relations/:id', (req, res) => {
+  try {
+    if (!thesaurus.remove(req.params.id)) {
+      return res.status(404).json({ error: `Relation ${req.params.id} not found` });
+    }
+    res.status(204).end();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete relation', message: e.message });
+  }
+});
+
+/**
+ * POST /api/thesaurus/import
+ * body: {
+ *   relations?: [{ from, to, type, source?, language?, note? }],
+ *   files?: [{ filename, content, encoding?, format? }] (CSV/TSV/XLSX/JSON with from,to,type,source,... columns),
+ *   source?: default source for rows without one, sourceDescription?,
+ *   mode?: 'merge' (default) | 'replace' (drop existing relations of the imported sources first),
+ *   dryRun?: boolean
+ * }
+ * Nothing is imported unless every row is valid; errors are reported per row.
+ */
+router.post('/import', (req, res) => {
+  try {
+    const { relations = [], files = [], source, sourceDescription, mode = 'merge', dryRun = false } = req.body || {};
+    if (!Array.isArray(relations) || !Array.isArray(files)) {
+      return res.status(400).json({ error: 'relations and files must be arrays' });
+    }
+    const result = thesaurus.import({ relations, files, source, sourceDescription, mode, dryRun: dryRun === true });
+    if (!result.success) {
+      return res.status(400).json({ error: 'Thesaurus import failed validation', ...result });
+    }
+    res.json({ ...result, stats: thesaurus.stats() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Thesaurus import failed', message: e.message });
+  }
+});
+
+/**
+ * GET /api/thesaurus/terms/:term
+ * Directly related terms (both directions) and the search expansion used by the mapping routes
+ */
+router.get('/terms/:term', (req, res) => {
+  try {
+    const term = Thesaurus.normaliseTerm(req.params.term);
+    res.json({
+      term,
+      related: thesaurus.related(term),
+      expansion: thesaurus.expand([term]),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Term lookup failed', message: e.message });
+  }
+});
+
+module.exports = router;
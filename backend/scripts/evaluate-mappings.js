@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// backend/scripts/evaluate-mappings.js
+// Usage: node scripts/evaluate-mappings.js [--label <name>] [--gold <file>] [--fixtures <file>]
+//          [--weights <json>] [--k 1,3,5] [--max-results <n>] [--compare <run id>|previous]
+//        node scripts/evaluate-mappings.js --record [--gold <file>] [--fixtures <file>] [--max-results <n>]
+// Evaluates NAMASTE → ICD-11 mapping quality against a gold crosswalk with ICD-11 responses
+// replayed from fixtures, or (--record) records the fixtures from the configured ICD11_PROVIDER.
+const fs = require('fs');
+const path = require('path');
+
+const services = require('../utils/services');
+const { createProvider, configFromEnv } = require('../utils/icd11-providers');
+
+const args = process.argv.slice(2);
+const options = {};
+let record = false;
+let compareWith;
+let goldFile;
+let fixtureFile = services.evaluator.fixtureFile;
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--record': record = true; break;
+    case '--label': options.label = args[++i]; break;
+    case '--gold': goldFile = args[++i]; break;
+    case '--fixtures': fixtureFile = args[++i]; break;
+    case '--weights': options.weights = JSON.parse(args[++i]); break;
+    case '--k': options.ks = String(args[++i]).split(',').map(Number); break;
+    case '--max-results': options.maxResults = parseInt(args[++i], 10); break;
+    case '--compare': compareWith = args[++i]; break;
+    default:
+      console.error(`Unknown option ${args[i]}`);
+      console.error('Usage: node scripts/evaluate-mappings.js [--label <name>] [--gold <file>] [--fixtures <file>] [--weights <json>] [--k 1,3,5] [--max-results <n>] [--compare <run id>|previous] [--record]');
+      process.exit(1);
+  }
+}
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+const pct = value => (value === null || value === undefined ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+const signed = value => (value === null || value === undefined ? '   -  ' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}`.padStart(6));
+
+function printMetrics(name, m, ks) {
+  const atK = ks.map(k => `P@${k} ${pct(m.precisionAtK[k])}  R@${k} ${pct(m.recallAtK[k])}`).join('  ');
+  console.log(`${name.padEnd(28)} ${String(m.codes).padStart(3)} codes  MRR ${pct(m.mrr)}  ${atK}`);
+}
+
+async function main() {
+  const evaluator = services.evaluator;
+  const gold = goldFile ? readJson(goldFile) : undefined;
+
+  if (record) {
+    const config = configFromEnv();
+    if (config.provider === 'replay') {
+      console.error('❌ Set ICD11_PROVIDER to a live provider (nlm, who or mock) to record fixtures');
+      process.exit(1);
+    }
+    const fixtures = await evaluator.record({ provider: createProvider(config), gold, maxResults: options.maxResults || 10 });
+    fs.mkdirSync(path.dirname(fixtureFile), { recursive: true });
+    fs.writeFileSync(fixtureFile, `${JSON.stringify(fixtures, null, 2)}\n`);
+    console.log(`✅ Recorded ${Object.keys(fixtures.searches).length} searches from ${fixtures.provider} into ${fixtureFile}`);
+    return;
+  }
+
+  const result = await evaluator.run({ ...options, gold, fixtures: readJson(fixtureFile) });
+  if (!result.success) {
+    console.error(`❌ ${result.error}`);
+    process.exit(1);
+  }
+  const { run } = result;
+  const { ks, thresholds } = run.config;
+
+  console.log(`\n📊 Evaluation ${run.id}${run.label ? ` (${run.label})` : ''} against ${run.config.gold.name || 'gold crosswalk'}\n`);
+  printMetrics('Overall', run.overall, ks);
+  Object.entries(run.byCategory).forEach(([category, m]) => printMetrics(`  ${category}`, m, ks));
+
+  console.log('\nThreshold   Precision  Recall     F1  Coverage');
+  thresholds.forEach(t => {
+    const m = run.overall.thresholds[t];
+    console.log(`  ≥ ${t.toFixed(2)}     ${pct(m.precision)}  ${pct(m.recall)}  ${pct(m.f1)}  ${pct(m.coverage)}`);
+  });
+
+  const missed = run.codes.filter(c => !c.firstRelevantRank);
+  if (missed.length > 0) console.log(`\n⚠️  No gold target found for ${missed.map(c => c.namasteCode).join(', ')}`);
+  run.skipped.forEach(s => console.warn(`⚠️  Skipped ${s.namasteCode}: ${s.reason}`));
+  run.warnings.forEach(w => console.warn(`⚠️  ${w}`));
+
+  if (compareWith) {
+    const baseId = compareWith === 'previous'
+      ? (evaluator.list().find(r => r.id !== run.id) || {}).id
+      : compareWith;
+    const base = baseId && evaluator.get(baseId);
+    if (!base) {
+      console.error(`❌ Run ${compareWith} not found`);
+      process.exit(1);
+    }
+    const comparison = evaluator.compare(base, run);
+    console.log(`\n🔀 Change against ${base.id}${base.label ? ` (${base.label})` : ''} (percentage points)`);
+    [['Overall', comparison.overall], ...Object.entries(comparison.byCategory).map(([c, d]) => [`  ${c}`, d])].forEach(([name, d]) => {
+      const atK = ks.map(k => `P@${k} ${signed(d.precisionAtK && d.precisionAtK[k] ? d.precisionAtK[k].delta : null)}  R@${k} ${signed(d.recallAtK && d.recallAtK[k] ? d.recallAtK[k].delta : null)}`).join('  ');
+      console.log(`${name.padEnd(28)} MRR ${signed(d.mrr ? d.mrr.delta : null)}  ${atK}`);
+    });
+    comparison.codes.forEach(c => console.log(`  ${c.change === 'improved' ? '⬆️ ' : '⬇️ '} ${c.namasteCode}: first gold target at rank ${c.firstRelevantRank.base || '-'} → ${c.firstRelevantRank.candidate || '-'}`));
+  }
+
+  console.log(`\n✅ Run stored in ${services.dataDir}/evaluations/${run.id}.json`);
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// backend/scripts/import-icd11.js
+// Usage: node scripts/import-icd11.js <tabulation file> [...more files] [--release <name>] [--tm2 <file>]
+// Imports WHO ICD-11 simple-tabulation files (TXT/TSV/XLSX) into the offline store.
+const fs = require('fs');
+const path = require('path');
+
+const services = require('../utils/services');
+
+const usage = 'Usage: node scripts/import-icd11.js <tabulation file> [...] [--tm2 <file>] [--release <name>]';
+const args = process.argv.slice(2);
+const files = [];
+let release;
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--help':
+    case '-h':
+      console.log(usage);
+      process.exit(0);
+      break;
+    case '--release': release = args[++i]; break;
+    case '--tm2': files.push({ file: args[++i], linearization: 'tm2' }); break;
+    default:
+      if (args[i].startsWith('-')) {
+        console.error(`Unknown option ${args[i]}`);
+        console.error(usage);
+        process.exit(1);
+      }
+      files.push({ file: args[i] });
+  }
+}
+
+if (files.length === 0 || files.some(f => !f.file)) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const missing = files.filter(({ file }) => !fs.existsSync(file) || !fs.statSync(file).isFile());
+if (missing.length > 0) {
+  missing.forEach(({ file }) => console.error(`❌ No such file: ${file}`));
+  process.exit(1);
+}
+
+const result = services.icd11Store.importRelease({
+  release,
+  files: files.map(({ file, linearization }) => ({
+    filename: path.basename(file),
+    content: fs.readFileSync(file),
+    ...(linearization ? { linearization } : {}),
+  })),
+});
+
+const { validation } = result;
+validation.warnings.slice(0, 20).forEach(w => console.warn(`⚠️  ${w.file || ''}${w.row ? `:${w.row}` : ''} ${w.message}`));
+validation.errors.slice(0, 50).forEach(e => console.error(`❌ ${e.file || ''}${e.row ? `:${e.row}` : ''} ${e.message}`));
+
+if (!result.success) {
+  console.error(`❌ Import failed with ${validation.errors.length} error(s)`);
+  process.exit(1);
+}
+
+console.log(`✅ ICD-11 release ${result.release.release} stored in ${services.dataDir}`, result.release.counts);
@@ -10,6 +10,10 @@ const path = require('path');
 const terminologyRoutes = require('./routes/terminology');
 const mappingRoutes = require('./routes/mapping');
 const fhirRoutes = require('./routes/fhir');
+const adminRoutes = require('./routes/admin');
+const thesaurusRoutes = require('./routes/thesaurus');
+const evaluationRoutes = require('./routes/evaluation');
+const fhirOutcome = require('./utils/fhir-outcome');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,6 +33,10 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   message: 'Too many requests from this IP, please try again later.',
+  handler: (req, res, next, options) => {
+    if (fhirOutcome.isFhirRequest(req)) return fhirOutcome.send(res, options.statusCode, options.message);
+    res.status(options.statusCode).send(options.message);
+  },
 });
 app.use(limiter);
 
@@ -41,7 +49,7 @@ app.use(
 );
 
 // Body parsing
-app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.json({ limit: '10mb', type: ['application/json', 'application/fhir+json'] }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static frontend
@@ -51,6 +59,9 @@ app.use(express.static(path.join(__dirname, '../frontend')));
 app.use('/api/terminology', terminologyRoutes);
 app.use('/api/mapping', mappingRoutes);
 app.use('/api/fhir', fhirRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/thesaurus', thesaurusRoutes);
+app.use('/api/evaluation', evaluationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -90,6 +101,14 @@ app.get('/', (req, res) => {
 // eslint-disable-next-line no-unused-vars
 app.use((err, req, res, next) => {
   console.error('Error:', err);
+  if (fhirOutcome.isFhirRequest(req)) {
+    // Client errors raised by middleware (malformed JSON, oversized bodies) keep their status
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    return fhirOutcome.send(res, status, {
+      code: err.type === 'entity.parse.failed' ? 'structure' : fhirOutcome.issueType(status),
+      diagnostics: status < 500 || process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+    });
+  }
   res.status(500).json({
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
@@ -98,6 +117,12 @@ app.use((err, req, res, next) => {
 
 // 404 handler
 app.use((req, res) => {
+  if (fhirOutcome.isFhirRequest(req)) {
+    return fhirOutcome.send(res, 404, {
+      code: 'not-supported',
+      diagnostics: `${req.method} ${req.path} is not supported by this FHIR server`,
+    });
+  }
   res.status(404).json({
     error: 'Not found',
     message: 'The requested endpoint does not exist',
@@ -0,0 +1,109 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FhirStore = require('../utils/fhir-store');
+const BundleProcessor = require('../utils/fhir-bundle');
+const FHIRBuilder = require('../utils/fhir-builder');
+
+// Profile validation is covered by FhirValidator; these tests are about the store
+const validator = { validate: () => ({ valid: true, errors: [] }) };
+const builder = new FHIRBuilder();
+const base = 'http://localhost/api/fhir';
+
+let dataDir;
+let store;
+let bundles;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'namaste-bundle-'));
+    store = new FhirStore({ dataDir });
+    bundles = new BundleProcessor({ store, validator });
+    store.update('Patient', 'p1', { resourceType: 'Patient', id: 'p1', gender: 'female' });
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const transaction = entry => bundles.process({ resourceType: 'Bundle', type: 'transaction', entry }, { builder, base });
+
+const newPatient = {
+    fullUrl: 'urn:uuid:7d0c1a2e-0000-4000-8000-000000000001',
+    resource: { resourceType: 'Patient', gender: 'male' },
+    request: { method: 'POST', url: 'Patient' }
+};
+const conditionFor = reference => ({
+    resource: { resourceType: 'Condition', subject: { reference } },
+    request: { method: 'POST', url: 'Condition' }
+});
+
+// What a fresh store reads from disk
+const persisted = type => Array.from(new FhirStore({ dataDir }).load(type).values());
+
+test('a transaction creates every entry and resolves urn:uuid references', () => {
+    const result = transaction([conditionFor(newPatient.fullUrl), newPatient]);
+
+    assert.strictEqual(result.success, true);
+    const [condition, patient] = result.bundle.entry.map(e => e.resource);
+    assert.strictEqual(condition.subject.reference, `Patient/${patient.id}`);
+    assert.deepStrictEqual(result.bundle.entry.map(e => e.response.status), ['201 Created', '201 Created']);
+    assert.strictEqual(persisted('Patient').length, 2);
+    assert.strictEqual(persisted('Condition').length, 1);
+});
+
+test('a failing entry undoes the entries that ran before it', () => {
+    const result = transaction([
+        newPatient,
+        conditionFor(newPatient.fullUrl),
+        {
+            resource: { resourceType: 'Patient', id: 'p1', gender: 'other' },
+            request: { method: 'PUT', url: 'Patient/p1', ifMatch: 'W/"7"' }
+        }
+    ]);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 412);
+    assert.strictEqual(result.index, 2);
+    assert.strictEqual(store.search('Patient').total, 1);
+    assert.strictEqual(store.search('Condition').total, 0);
+    assert.strictEqual(persisted('Patient').length, 1);
+    assert.deepStrictEqual(persisted('Condition'), []);
+});
+
+test('a rolled-back delete leaves the resource readable', () => {
+    const result = transaction([
+        { request: { method: 'DELETE', url: 'Patient/p1' } },
+        conditionFor('urn:uuid:7d0c1a2e-0000-4000-8000-00000000dead')
+    ]);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(store.read('Patient', 'p1').resource.gender, 'female');
+    assert.strictEqual(store.history('Patient', 'p1').total, 1);
+});
+
+test('an exception inside a store transaction restores every type', () => {
+    assert.throws(() => store.transaction(() => {
+        store.create('Condition', { resourceType: 'Condition' });
+        store.delete('Patient', 'p1');
+        throw new Error('boom');
+    }), /boom/);
+
+    assert.strictEqual(store.search('Condition').total, 0);
+    assert.strictEqual(store.read('Patient', 'p1').success, true);
+});
+
+test('batch entries succeed or fail on their own', () => {
+    const result = bundles.process({
+        resourceType: 'Bundle',
+        type: 'batch',
+        entry: [newPatient, { request: { method: 'DELETE', url: 'Patient/missing' } }]
+    }, { builder, base });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.bundle.entry.map(e => e.response.status), ['201 Created', '404 Not Found']);
+    assert.strictEqual(persisted('Patient').length, 2);
+});
@@ -0,0 +1,61 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FhirStore = require('../utils/fhir-store');
+
+let dataDir;
+let store;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'namaste-fhir-'));
+    store = new FhirStore({ dataDir });
+    [
+        ['c-patient', 'Patient/123'],
+        ['c-group', 'Group/123'],
+        ['c-other', 'Patient/456'],
+        ['c-absolute', 'https://emr.example.org/fhir/Patient/123/_history/2']
+    ].forEach(([id, reference]) => store.update('Condition', id, {
+        resourceType: 'Condition',
+        id,
+        subject: { reference },
+        encounter: { reference: 'Encounter/e1' }
+    }));
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const ids = params => {
+    const result = store.search('Condition', params);
+    assert.strictEqual(result.success, true);
+    return result.resources.map(r => r.id).sort();
+};
+
+test('a bare id given to patient stands for a Patient only', () => {
+    assert.deepStrictEqual(ids({ patient: '123' }), ['c-absolute', 'c-patient']);
+});
+
+test('a typed reference matches the same type and id, relative or absolute', () => {
+    assert.deepStrictEqual(ids({ patient: 'Patient/123' }), ['c-absolute', 'c-patient']);
+    assert.deepStrictEqual(ids({ subject: 'Group/123' }), ['c-group']);
+    assert.deepStrictEqual(ids({ subject: 'https://emr.example.org/fhir/Patient/123' }), ['c-absolute', 'c-patient']);
+});
+
+test('a bare id given to subject matches any type with that id', () => {
+    assert.deepStrictEqual(ids({ subject: '123' }), ['c-absolute', 'c-group', 'c-patient']);
+});
+
+test('an id does not match as a suffix of a longer id', () => {
+    assert.deepStrictEqual(ids({ patient: '23' }), []);
+    assert.deepStrictEqual(ids({ patient: 'Patient/23' }), []);
+});
+
+test('comma-separated references are alternatives and repeated parameters are ANDed', () => {
+    assert.deepStrictEqual(ids({ patient: '123,456' }), ['c-absolute', 'c-other', 'c-patient']);
+    assert.deepStrictEqual(ids({ patient: ['123', 'Patient/456'] }), []);
+    assert.deepStrictEqual(ids({ patient: '456', encounter: 'e1' }), ['c-other']);
+});
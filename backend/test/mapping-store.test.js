@@ -0,0 +1,111 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MappingStore = require('../utils/mapping-store');
+
+let dataDir;
+let store;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'namaste-mappings-'));
+    store = new MappingStore({ dataDir });
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const proposal = (targetCode = 'SM21') => store.add({
+    sourceCode: 'AYU-001',
+    sourceDisplay: 'Jwara',
+    targetCode,
+    targetDisplay: 'Fever disorder (TM2)',
+    confidence: 0.9
+}, 'asha').mapping;
+
+const saved = () => JSON.parse(fs.readFileSync(path.join(dataDir, 'mappings', 'mappings.json'), 'utf8')).mappings;
+
+test('approve records the reviewer and persists the new status', () => {
+    const { id } = proposal();
+    const result = store.review(id, { action: 'approve', reviewer: 'ravi', comment: 'Matches the TM2 pattern' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.mapping.status, 'approved');
+    assert.strictEqual(result.mapping.reviewedBy, 'ravi');
+    assert.strictEqual(result.mapping.equivalence, 'equivalent');
+    assert.deepStrictEqual(result.mapping.history.map(h => [h.action, h.status, h.by]), [
+        ['propose', 'proposed', 'asha'],
+        ['approve', 'approved', 'ravi']
+    ]);
+    assert.strictEqual(saved()[0].status, 'approved');
+});
+
+test('reject, reopen, approve and retire follow the allowed transitions', () => {
+    const { id } = proposal();
+    const step = action => store.review(id, { action, reviewer: 'ravi' });
+
+    assert.strictEqual(step('reject').mapping.status, 'rejected');
+    assert.strictEqual(step('reopen').mapping.status, 'proposed');
+    assert.strictEqual(step('approve').mapping.status, 'approved');
+    assert.strictEqual(step('retire').mapping.status, 'retired');
+    assert.strictEqual(store.get(id).history.length, 5);
+});
+
+test('transitions that do not start from the current status are refused', () => {
+    const { id } = proposal();
+
+    const retire = store.review(id, { action: 'retire', reviewer: 'ravi' });
+    assert.strictEqual(retire.success, false);
+    assert.strictEqual(retire.reason, 'conflict');
+
+    store.review(id, { action: 'approve', reviewer: 'ravi' });
+    const reject = store.review(id, { action: 'reject', reviewer: 'ravi' });
+    assert.strictEqual(reject.success, false);
+    assert.strictEqual(reject.reason, 'conflict');
+    assert.strictEqual(store.get(id).status, 'approved');
+});
+
+test('a review needs a known action and a reviewer', () => {
+    const { id } = proposal();
+
+    assert.strictEqual(store.review(id, { action: 'publish', reviewer: 'ravi' }).reason, 'invalid');
+    assert.strictEqual(store.review(id, { action: 'approve' }).reason, 'invalid');
+    assert.strictEqual(store.review('missing', { action: 'approve', reviewer: 'ravi' }).reason, 'not-found');
+    assert.strictEqual(store.get(id).status, 'proposed');
+});
+
+test('retired mappings cannot be edited', () => {
+    const { id } = proposal();
+    store.review(id, { action: 'approve', reviewer: 'ravi' });
+    store.review(id, { action: 'retire', reviewer: 'ravi' });
+
+    const result = store.edit(id, { confidence: 0.5 }, { reviewer: 'ravi' });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.reason, 'conflict');
+});
+
+test('a review that cannot be saved leaves the mapping unchanged', () => {
+    const { id } = proposal();
+    store.store.write = () => { throw new Error('disk full'); };
+
+    assert.throws(() => store.review(id, { action: 'approve', reviewer: 'ravi' }), /disk full/);
+    const entry = store.get(id);
+    assert.strictEqual(entry.status, 'proposed');
+    assert.strictEqual(entry.reviewedBy, null);
+    assert.strictEqual(entry.history.length, 1);
+});
+
+test('an edit that cannot be saved leaves the mapping unchanged', () => {
+    const { id } = proposal();
+    store.store.write = () => { throw new Error('disk full'); };
+
+    assert.throws(() => store.edit(id, { targetCode: 'sm22', confidence: 0.4 }, { reviewer: 'ravi' }), /disk full/);
+    const entry = store.get(id);
+    assert.strictEqual(entry.targetCode, 'SM21');
+    assert.strictEqual(entry.confidence, 0.9);
+    assert.strictEqual(entry.history.length, 1);
+    assert.strictEqual(store.findPair('AYU-001', 'SM22'), null);
+});
@@ -0,0 +1,92 @@
+/**
+ * Bearer-token protection for routes that change what the server serves
+ * (release imports, release switching, cache administration) and for
+ * mapping curation. ADMIN_TOKEN authenticates the identity "admin";
+ * CURATOR_TOKENS ("name=token,name=token") authenticates named curators,
+ * whose name is recorded in the curation history.
+ */
+const crypto = require('crypto');
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} given - Token from the request
+ * @param {string} expected - Configured token
+ * @returns {boolean}
+ */
+function tokenMatches(given, expected) {
+    const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+    return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Bearer token of a request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function bearerToken(req) {
+    const [scheme, token] = String(req.get('authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Curators configured in CURATOR_TOKENS
+ * @returns {Array} - [{ name, token }]
+ */
+function curators() {
+    return String(process.env.CURATOR_TOKENS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.includes('='))
+        .map(entry => ({ name: entry.slice(0, entry.indexOf('=')).trim(), token: entry.slice(entry.indexOf('=') + 1).trim() }))
+        .filter(curator => curator.name && curator.token);
+}
+
+/**
+ * Identity a request authenticates as
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { name, role: 'admin' | 'curator' }, or null
+ */
+function authenticate(req) {
+    const token = bearerToken(req);
+    if (!token) return null;
+    if (process.env.ADMIN_TOKEN && tokenMatches(token, process.env.ADMIN_TOKEN)) {
+        return { name: 'admin', role: 'admin' };
+    }
+    const curator = curators().find(c => tokenMatches(token, c.token));
+    return curator ? { name: curator.name, role: 'curator' } : null;
+}
+
+/**
+ * Express middleware requiring a curator or admin token; sets `req.user`
+ */
+function requireCurator(req, res, next) {
+    if (!process.env.ADMIN_TOKEN && curators().length === 0) {
+        return res.status(403).json({ error: 'Curation is disabled; set CURATOR_TOKENS or ADMIN_TOKEN to enable it' });
+    }
+    const user = authenticate(req);
+    if (!user) {
+        res.set('WWW-Authenticate', 'Bearer realm="curation"');
+        return res.status(401).json({ error: 'A valid curator bearer token is required' });
+    }
+    req.user = user;
+    next();
+}
+
+/**
+ * Express middleware requiring `Authorization: Bearer <ADMIN_TOKEN>`.
+ * Without ADMIN_TOKEN configured the protected routes are switched off.
+ */
+function requireAdminToken(req, res, next) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) {
+        return res.status(403).json({ error: 'Admin API is disabled; set ADMIN_TOKEN to enable it' });
+    }
+    const token = bearerToken(req);
+    if (!token || !tokenMatches(token, expected)) {
+        res.set('WWW-Authenticate', 'Bearer realm="admin"');
+        return res.status(401).json({ error: 'A valid admin bearer token is required' });
+    }
+    next();
+}
+
+module.exports = { requireAdminToken, requireCurator, authenticate, bearerToken, tokenMatches };
@@ -0,0 +1,315 @@
+const { namasteSearchTerms } = require('./search-terms');
+const { UpstreamUnavailableError } = require('./resilience');
+const { targetKind } = require('./icd11-code');
+
+/**
+ * NAMASTE → ICD-11 mapping of single codes, shared by the mapping routes
+ * and background mapping jobs.
+ *
+ * Approved mappings from the curation store always come first. Heuristic
+ * ICD-11 matches fill the remaining places, skip targets a curator has
+ * already approved or rejected, and are recorded as proposals for review.
+ *
+ * NAMASTE diagnoses are double-coded: a chapter 26 TM2 pattern and, where
+ * one applies, an MMS biomedical disease. Targets of each kind are limited
+ * and ranked on their own, and the best TM2 + MMS pair is suggested.
+ */
+class ConceptMapper {
+    /**
+     * @param {Object} options - { terminology, icd11, mappings, scorer, thesaurus }
+     *   Without a mappings store, curation is ignored: nothing is approved, rejected or proposed.
+     */
+    constructor(options = {}) {
+        this.terminology = options.terminology;
+        this.icd11 = options.icd11;
+        this.mappings = options.mappings;
+        this.scorer = options.scorer;
+        this.thesaurus = options.thesaurus || null;
+    }
+
+    /**
+     * Approved mapping in the shape returned by the mapping routes
+     * @param {Object} m - Curation store entry
+     * @returns {Object} - Mapping
+     */
+    curated(m) {
+        return {
+            sourceCode: m.sourceCode,
+            sourceDisplay: m.sourceDisplay,
+            sourceSystem: m.sourceSystem,
+            targetCode: m.targetCode,
+            targetDisplay: m.targetDisplay,
+            targetSystem: m.targetSystem,
+            confidence: 1.0,
+            matchType: 'curated',
+            equivalence: m.equivalence,
+            features: [],
+            curation: { id: m.id, status: m.status, reviewedBy: m.reviewedBy, reviewedAt: m.reviewedAt }
+        };
+    }
+
+    /**
+     * Record heuristic matches as proposals and tag each with its curation entry
+     * @param {Array} mappings - Scored heuristic mappings
+     * @returns {Array} - Mappings with { curation: { id, status } }
+     */
+    propose(mappings) {
+        if (!this.mappings) return mappings;
+        this.mappings.propose(mappings);
+        return mappings.map(m => {
+            const entry = this.mappings.findPair(m.sourceCode, m.targetCode);
+            return entry ? { ...m, curation: { id: entry.id, status: entry.status } } : m;
+        });
+    }
+
+    /**
+     * Heuristic ICD-11 matches for a NAMASTE concept, skipping targets that are
+     * already approved or were rejected by a curator. When the upstream is
+     * unavailable but approved mappings exist, those are served on their own.
+     * @param {Object} src - NAMASTE concept
+     * @param {number} maxResults - Upstream results per search term
+     * @param {Object} options - { lane }
+     * @returns {Promise<Object>} - { results, upstream }
+     */
+    async heuristicMatches(src, maxResults, options = {}) {
+        const skip = this.mappings ? this.mappings.rejectedTargets(src.code) : new Set();
+        this.approved(src.code).forEach(m => skip.add(m.targetCode.toUpperCase()));
+
+        try {
+            const { results, upstream } = await this.icd11.findMatchesWithStatus(namasteSearchTerms(src, this.thesaurus), maxResults, options);
+            return { results: results.filter(r => !skip.has(String(r.code).toUpperCase())), upstream };
+        } catch (error) {
+            if (!(error instanceof UpstreamUnavailableError) || this.approved(src.code).length === 0) throw error;
+            return { results: [], upstream: error.toJSON() };
+        }
+    }
+
+    /**
+     * Approved mappings from a NAMASTE code
+     * @param {string} code - NAMASTE code
+     * @returns {Array} - Curation store entries
+     */
+    approved(code) {
+        return this.mappings ? this.mappings.approvedFor(code) : [];
+    }
+
+    /**
+     * Heuristic candidates for a NAMASTE concept: every distinct upstream
+     * match, scored and best first. Thresholds and result limits are applied
+     * afterwards (see selectTargets), so they cut by score alone.
+     * @param {Object} src - NAMASTE concept
+     * @param {Object} options - { maxResults, lane }
+     * @returns {Promise<Object>} - { candidates: [{ sourceCode, sourceDisplay, targetCode, targetDisplay, confidence, matchType, features }], upstream }
+     */
+    async rank(src, { maxResults = 3, lane } = {}) {
+        const outcome = await this.heuristicMatches(src, maxResults, { lane });
+        const candidates = outcome.results
+            .map(r => {
+                const { score, features } = this.scorer.score(src, r);
+                return {
+                    sourceCode: src.code,
+                    sourceDisplay: src.display,
+                    targetCode: r.code,
+                    targetDisplay: r.display,
+                    confidence: score,
+                    matchType: r.type || 'stem',
+                    features
+                };
+            })
+            .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+        return { candidates, upstream: outcome.upstream };
+    }
+
+    /**
+     * Approved mappings to an ICD-11 code
+     * @param {string} code - ICD-11 code
+     * @returns {Array} - Curation store entries
+     */
+    approvedTo(code) {
+        return this.mappings ? this.mappings.approvedTo(code) : [];
+    }
+
+    /**
+     * NAMASTE candidates for an ICD-11 entry, scored with the same features as
+     * the forward direction and best first. NAMASTE codes already approved for
+     * the entry, or rejected for it by a curator, are left out.
+     * @param {Object} icd - ICD-11 entry { code, display, type }
+     * @returns {Array} - [{ sourceCode, sourceDisplay, targetCode, targetDisplay, confidence, features }]
+     */
+    rankReverse(icd) {
+        const skip = this.mappings ? this.mappings.rejectedSources(icd.code) : new Set();
+        this.approvedTo(icd.code).forEach(m => skip.add(m.sourceCode));
+
+        return this.terminology.list()
+            .filter(n => !skip.has(n.code))
+            .map(n => {
+                const { score, features } = this.scorer.score(n, icd);
+                return {
+                    sourceCode: icd.code,
+                    sourceDisplay: icd.display,
+                    targetCode: n.code,
+                    targetDisplay: n.display,
+                    confidence: score,
+                    features
+                };
+            })
+            .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+    }
+
+    /**
+     * Heuristic candidates worth returning next to approved mappings: at most
+     * maxResults per target kind (TM2, MMS) counting the approved ones of that
+     * kind, each at or above the confidence threshold
+     * @param {Array} approved - Approved mappings ({ targetCode })
+     * @param {Array} candidates - rank() candidates, best first
+     * @param {Object} options - { maxResults, threshold }
+     * @returns {Array} - Selected candidates, best first
+     */
+    selectTargets(approved, candidates, { maxResults = 3, threshold = 0.3 } = {}) {
+        const room = { tm2: Number(maxResults), mms: Number(maxResults) };
+        approved.forEach(m => {
+            const kind = targetKind(m.targetCode);
+            if (kind === 'pair') {
+                room.tm2--;
+                room.mms--;
+            } else {
+                room[kind]--;
+            }
+        });
+        return candidates.filter(m => {
+            if ((m.confidence || 0) < Number(threshold)) return false;
+            const kind = targetKind(m.targetCode);
+            if (kind === 'pair' || room[kind] <= 0) return false;
+            room[kind]--;
+            return true;
+        });
+    }
+
+    /**
+     * Split mappings by target kind and suggest the best TM2 + MMS pair.
+     * An approved pair (`TM2/MMS` cluster) wins; otherwise the best TM2 and the
+     * best MMS target are combined with the geometric mean of their confidences.
+     * A pair missing one side keeps the other side's confidence and is marked incomplete.
+     * @param {Array} mappings - Mappings ({ targetCode, targetDisplay, confidence })
+     * @returns {Object} - { tm2, mms, pairs, bestPair: { targetCode, targetDisplay, confidence, complete, tm2, mms } | null }
+     */
+    pairTargets(mappings) {
+        const byConfidence = (a, b) => (b.confidence || 0) - (a.confidence || 0);
+        const kinds = { tm2: [], mms: [], pair: [] };
+        mappings.forEach(m => {
+            const kind = targetKind(m.targetCode);
+            kinds[kind].push({ ...m, targetKind: kind });
+        });
+        Object.values(kinds).forEach(list => list.sort(byConfidence));
+
+        let bestPair = null;
+        const [pair] = kinds.pair;
+        const [tm2] = kinds.tm2;
+        const [mms] = kinds.mms;
+        if (pair) {
+            bestPair = {
+                targetCode: pair.targetCode,
+                targetDisplay: pair.targetDisplay,
+                confidence: pair.confidence,
+                complete: true,
+                tm2: null,
+                mms: null
+            };
+        } else if (tm2 || mms) {
+            const sides = [tm2, mms].filter(Boolean);
+            const confidence = sides.reduce((product, m) => product * (m.confidence || 0), 1) ** (1 / sides.length);
+            bestPair = {
+                targetCode: sides.map(m => m.targetCode).join('/'),
+                targetDisplay: sides.map(m => m.targetDisplay).join(' / '),
+                confidence: Math.round(confidence * 1000) / 1000,
+                complete: sides.length === 2,
+                tm2: tm2 ? { targetCode: tm2.targetCode, targetDisplay: tm2.targetDisplay, confidence: tm2.confidence } : null,
+                mms: mms ? { targetCode: mms.targetCode, targetDisplay: mms.targetDisplay, confidence: mms.confidence } : null
+            };
+        }
+
+        return { tm2: kinds.tm2, mms: kinds.mms, pairs: kinds.pair, bestPair };
+    }
+
+    /**
+     * Map one NAMASTE code: approved mappings, then scored heuristic matches
+     * @param {string} code - NAMASTE code
+     * @param {Object} options - { maxResultsPerCode, confidenceThreshold, lane }
+     * @returns {Promise<Object>} - { namasteCode, namasteDisplay, count, mappings, targets: { tm2, mms, pairs }, bestPair, success, upstream }
+     *   or { namasteCode, success: false, error, upstream? }. maxResultsPerCode applies per target kind.
+     */
+    async mapCode(code, { maxResultsPerCode = 3, confidenceThreshold = 0.3, lane } = {}) {
+        const src = this.terminology.get(code);
+        if (!src) {
+            return { namasteCode: code, success: false, error: 'NAMASTE code not found' };
+        }
+
+        const approved = this.approved(src.code).map(m => ({
+            targetCode: m.targetCode,
+            targetDisplay: m.targetDisplay,
+            confidence: 1.0,
+            equivalence: m.equivalence,
+            curation: { id: m.id, status: m.status, reviewedBy: m.reviewedBy }
+        }));
+
+        let outcome;
+        try {
+            outcome = await this.rank(src, { maxResults: maxResultsPerCode, lane });
+        } catch (error) {
+            if (!(error instanceof UpstreamUnavailableError)) throw error;
+            return { namasteCode: code, success: false, error: error.message, upstream: error.toJSON() };
+        }
+
+        const heuristics = this.selectTargets(approved, outcome.candidates, {
+            maxResults: maxResultsPerCode,
+            threshold: confidenceThreshold
+        });
+        const { tm2, mms, pairs, bestPair } = this.pairTargets([
+            ...approved,
+            ...this.propose(heuristics).map(({ sourceCode, sourceDisplay, ...m }) => m)
+        ]);
+        const mapped = [...pairs, ...tm2, ...mms];
+
+        return {
+            namasteCode: src.code,
+            namasteDisplay: src.display,
+            count: mapped.length,
+            mappings: mapped,
+            targets: { tm2, mms, pairs },
+            bestPair,
+            success: true,
+            upstream: outcome.upstream
+        };
+    }
+
+    /**
+     * Map many NAMASTE codes with a small worker pool. All codes share one
+     * scheduler lane so the batch cannot starve other upstream callers.
+     * @param {Array<string>} codes - NAMASTE codes
+     * @param {Object} options - { maxResultsPerCode, confidenceThreshold, lane, concurrency, onResult(result, index), isCancelled() }
+     * @returns {Promise<Array>} - mapCode() results in input order (unset for codes skipped after cancellation)
+     */
+    async mapCodes(codes, options = {}) {
+        const { concurrency = 8, onResult, isCancelled } = options;
+        const mapOptions = {
+            maxResultsPerCode: options.maxResultsPerCode,
+            confidenceThreshold: options.confidenceThreshold,
+            lane: options.lane || this.icd11.scheduler.lane('batch')
+        };
+        const results = new Array(codes.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < codes.length && !(isCancelled && isCancelled())) {
+                const index = next++;
+                results[index] = await this.mapCode(codes[index], mapOptions);
+                if (onResult) onResult(results[index], index);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, codes.length) }, worker));
+        // Proposals of the whole batch are written once
+        if (this.mappings) this.mappings.flush();
+        return results;
+    }
+}
+
+module.exports = ConceptMapper;
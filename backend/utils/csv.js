@@ -0,0 +1,117 @@
+/**
+ * Minimal RFC 4180 CSV reader/writer.
+ * Handles quoted fields, embedded delimiters, escaped quotes and CRLF line endings.
+ */
+
+/**
+ * Parse delimited text into an array of rows
+ * @param {string} text - Raw CSV/TSV text
+ * @param {Object} options - { delimiter }
+ * @returns {Array<Array<string>>} - Rows of cell values
+ */
+function parseRows(text, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (inQuotes) {
+            if (ch === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"' && field.length === 0) {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop fully blank lines
+    return rows.filter(r => r.some(cell => String(cell).trim().length > 0));
+}
+
+/**
+ * Parse delimited text with a header row into objects
+ * @param {string} text - Raw CSV/TSV text
+ * @param {Object} options - { delimiter }
+ * @returns {Object} - { headers, records } where records carry their 1-based source line in `__row`
+ */
+function parse(text, options = {}) {
+    const rows = parseRows(text, options);
+    if (rows.length === 0) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = rows[0].map(h => String(h).trim());
+    const records = rows.slice(1).map((cells, index) => {
+        const record = { __row: index + 2 };
+        headers.forEach((header, col) => {
+            record[header] = cells[col] !== undefined ? String(cells[col]).trim() : '';
+        });
+        return record;
+    });
+
+    return { headers, records };
+}
+
+/**
+ * Quote a single cell value if needed
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - Escaped cell
+ */
+function escapeCell(value, delimiter = ',') {
+    if (value === null || value === undefined) return '';
+    const str = Array.isArray(value) ? value.join('|') : String(value);
+    if (str.includes('"') || str.includes(delimiter) || /[\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Serialize objects to delimited text
+ * @param {Array<Object>} records - Rows to write
+ * @param {Array<string>} headers - Column order
+ * @param {Object} options - { delimiter }
+ * @returns {string} - CSV/TSV text
+ */
+function stringify(records, headers, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const lines = [headers.map(h => escapeCell(h, delimiter)).join(delimiter)];
+    records.forEach(record => {
+        lines.push(headers.map(h => escapeCell(record[h], delimiter)).join(delimiter));
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { parse, parseRows, stringify, escapeCell };
@@ -0,0 +1,100 @@
+/**
+ * Language-tagged designations for NAMASTE concepts.
+ *
+ * A concept carries `designations: [{ language, value, use? }]` where
+ * `language` is a BCP 47 tag: `sa` (Sanskrit, Devanagari), `sa-Latn` (IAST),
+ * `hi` (Hindi), `ta` (Tamil), `ur` (Urdu) and so on.
+ */
+
+// Original-script language for each traditional system, used by displayLanguage=native
+const NATIVE_LANGUAGE = {
+    Ayurveda: 'sa',
+    Siddha: 'ta',
+    Unani: 'ur'
+};
+
+/**
+ * Parse a displayLanguage parameter ("ta", "ur,hi", "native") into a preference list
+ * @param {string|Array} displayLanguage - Requested language(s)
+ * @returns {Array<string>} - Language tags in order of preference
+ */
+function parseLanguages(displayLanguage) {
+    const raw = Array.isArray(displayLanguage) ? displayLanguage.join(',') : String(displayLanguage || '');
+    return raw
+        .split(',')
+        .map(tag => tag.split(';')[0].trim())
+        .filter(Boolean);
+}
+
+/**
+ * Whether a designation language satisfies a requested tag.
+ * "hi" accepts "hi" and "hi-IN"; "sa-Latn" only accepts "sa-Latn".
+ * @param {string} actual - Designation language
+ * @param {string} wanted - Requested language
+ * @returns {boolean}
+ */
+function languageMatches(actual, wanted) {
+    const a = String(actual || '').toLowerCase();
+    const w = String(wanted || '').toLowerCase();
+    if (!a || !w) return false;
+    if (a === w) return true;
+    return !w.includes('-') && a.split('-')[0] === w && !/-latn$/.test(a);
+}
+
+/**
+ * Pick the designation that best satisfies a displayLanguage request
+ * @param {Object} concept - NAMASTE concept
+ * @param {string|Array} displayLanguage - Requested language(s); "native" means the system's own script
+ * @returns {Object|null} - { language, value } or null when nothing matches
+ */
+function pickDesignation(concept, displayLanguage) {
+    const designations = concept.designations || [];
+    for (const tag of parseLanguages(displayLanguage)) {
+        const wanted = tag.toLowerCase() === 'native' ? NATIVE_LANGUAGE[concept.system] : tag;
+        if (!wanted) continue;
+        if (languageMatches('en', wanted)) {
+            return { language: 'en', value: concept.display };
+        }
+        const found = designations.find(d => languageMatches(d.language, wanted));
+        if (found) return { language: found.language, value: found.value };
+    }
+    return null;
+}
+
+/**
+ * Display text for a concept in the requested language, falling back to English
+ * @param {Object} concept - NAMASTE concept
+ * @param {string|Array} displayLanguage - Requested language(s)
+ * @returns {Object} - { display, language }
+ */
+function localizedDisplay(concept, displayLanguage) {
+    const picked = displayLanguage ? pickDesignation(concept, displayLanguage) : null;
+    return picked
+        ? { display: picked.value, language: picked.language }
+        : { display: concept.display, language: 'en' };
+}
+
+/**
+ * Infer the designation language from an import column header
+ * @param {string} header - Normalised header (lower-case alphanumerics)
+ * @returns {string|null} - Language tag or null if the column is not a designation
+ */
+function languageForHeader(header) {
+    const explicit = header.match(/^designation([a-z]{2,3}(?:latn)?)$/);
+    if (explicit) return explicit[1].replace(/latn$/, '-Latn');
+    if (/devanagari|sanskrit/.test(header)) return 'sa';
+    if (/diacritical|iast/.test(header)) return 'sa-Latn';
+    if (/tamil/.test(header)) return 'ta';
+    if (/urdu|arabic/.test(header)) return 'ur';
+    if (/hindi/.test(header)) return 'hi';
+    return null;
+}
+
+module.exports = {
+    NATIVE_LANGUAGE,
+    parseLanguages,
+    languageMatches,
+    pickDesignation,
+    localizedDisplay,
+    languageForHeader
+};
@@ -1,22 +1,83 @@
 const { v4: uuidv4 } = require('uuid');
+const { targetKind } = require('./icd11-code');
 
+// designation.use codes: native-script names are alternative displays, English synonyms are synonyms
+const DESIGNATION_USE_DISPLAY = {
+    system: 'http://terminology.hl7.org/CodeSystem/designation-usage',
+    code: 'display'
+};
+const DESIGNATION_USE_SYNONYM = {
+    system: 'http://snomed.info/sct',
+    code: '900000000000013009',
+    display: 'Synonym'
+};
+
+// Coding extension listing each component of an ICD-11 postcoordination cluster
+const ICD11_CLUSTER_COMPONENT = 'http://namaste.ayush.gov.in/fhir/StructureDefinition/icd11-cluster-component';
+
+// ConceptMap.group extension stating which kind of ICD-11 target the group holds
+const ICD11_TARGET_KIND = 'http://namaste.ayush.gov.in/fhir/StructureDefinition/icd11-target-kind';
+
+// Condition profile requiring a code (NAMASTE/ICD-11), a Patient subject and a recorded date (data/fhir/namaste-profiles.json)
+const NAMASTE_CONDITION_PROFILE = 'http://namaste.ayush.gov.in/fhir/StructureDefinition/namaste-condition';
+
+// ConceptMap groups in output order: chapter 26 TM2 patterns, MMS diseases, TM2/MMS clusters
+const TARGET_KINDS = ['tm2', 'mms', 'pair'];
+
+// Supported FHIR versions (as negotiated with the fhirVersion media-type parameter) and their releases
+const FHIR_VERSIONS = {
+    '4.0': '4.0.1',
+    '5.0': '5.0.0'
+};
+
+// R5 ConceptMap.group.element.target.relationship for each R4 equivalence
+const R5_RELATIONSHIPS = {
+    equivalent: 'equivalent',
+    equal: 'equivalent',
+    wider: 'source-is-narrower-than-target',
+    subsumes: 'source-is-narrower-than-target',
+    narrower: 'source-is-broader-than-target',
+    specializes: 'source-is-broader-than-target',
+    relatedto: 'related-to',
+    inexact: 'related-to',
+    disjoint: 'not-related-to',
+    unmatched: 'not-related-to'
+};
+
+/**
+ * Builds FHIR resources for one FHIR version. Mappings carry R4 equivalence
+ * codes internally; R5 output states them as ConceptMap relationships. The
+ * CodeSystem, ValueSet, Condition and Bundle structures built here are valid
+ * in both versions and differ only in the declared fhirVersion.
+ */
 class FHIRBuilder {
-    constructor() {
+    /**
+     * @param {Object} options - { fhirVersion: '4.0' (default) or '5.0' }
+     */
+    constructor(options = {}) {
+        this.fhirVersion = options.fhirVersion || '4.0';
+        if (!FHIR_VERSIONS[this.fhirVersion]) {
+            throw new Error(`Unsupported FHIR version ${this.fhirVersion}; supported are ${Object.keys(FHIR_VERSIONS).join(', ')}`);
+        }
         this.namasteSystem = 'http://namaste.ayush.gov.in/fhir/CodeSystem/namaste-codes';
         this.icd11System = 'http://id.who.int/icd/release/11/mms';
         this.conceptMapUrl = 'http://namaste.ayush.gov.in/fhir/ConceptMap/namaste-to-icd11';
+        // Source of $translate matches suggested by the mapping scorer rather than approved by a curator
+        this.suggestionMapUrl = 'http://namaste.ayush.gov.in/fhir/ConceptMap/namaste-to-icd11-suggested';
     }
 
     /**
      * Create a FHIR CodeSystem for NAMASTE codes
      * @param {Array} namasteCodes - Array of NAMASTE code objects
+     * @param {string} version - NAMASTE release version being served
      * @returns {Object} - FHIR CodeSystem resource
      */
-    createNamasteCodeSystem(namasteCodes) {
-        const concepts = namasteCodes.map(code => ({
+    createNamasteCodeSystem(namasteCodes, version) {
+        const toConcept = code => ({
             code: code.code,
             display: code.display,
             definition: code.description,
+            designation: this.createDesignations(code),
             property: [
                 {
                     code: 'category',
@@ -27,13 +88,29 @@ class FHIRBuilder {
                     valueString: code.system
                 }
             ]
-        }));
+        });
+
+        // Nest children under their parents; codes whose parent is missing stay at the top level
+        const known = new Set(namasteCodes.map(code => code.code));
+        const byParent = new Map();
+        namasteCodes.forEach(code => {
+            const parent = code.parent && known.has(code.parent) ? code.parent : null;
+            if (!byParent.has(parent)) byParent.set(parent, []);
+            byParent.get(parent).push(code);
+        });
+        const nest = parent => (byParent.get(parent) || []).map(code => {
+            const concept = toConcept(code);
+            const children = nest(code.code);
+            if (children.length > 0) concept.concept = children;
+            return concept;
+        });
+        const concepts = nest(null);
 
         return {
             resourceType: 'CodeSystem',
             id: 'namaste-codes',
             url: this.namasteSystem,
-            version: '2025.1.0',
+            version: version,
             name: 'NAMASTE',
             title: 'National AYUSH Morbidity & Standardized Terminologies Electronic',
             status: 'active',
@@ -52,6 +129,7 @@ class FHIRBuilder {
                 }
             ],
             description: 'NAMASTE codes for Ayurveda, Siddha, and Unani traditional medicine disorders',
+            language: 'en',
             jurisdiction: [
                 {
                     coding: [
@@ -63,32 +141,104 @@ class FHIRBuilder {
                     ]
                 }
             ],
+            hierarchyMeaning: 'is-a',
             content: 'complete',
             count: namasteCodes.length,
+            property: [
+                {
+                    code: 'category',
+                    description: 'NAMASTE disease category',
+                    type: 'string'
+                },
+                {
+                    code: 'system',
+                    description: 'Traditional medicine system (Ayurveda, Siddha, Unani)',
+                    type: 'string'
+                },
+                {
+                    code: 'parent',
+                    uri: 'http://hl7.org/fhir/concept-properties#parent',
+                    description: 'The concept this one is a kind of',
+                    type: 'code'
+                },
+                {
+                    code: 'child',
+                    uri: 'http://hl7.org/fhir/concept-properties#child',
+                    description: 'Concepts that are a kind of this one',
+                    type: 'code'
+                }
+            ],
+            filter: [
+                {
+                    code: 'concept',
+                    description: 'Select concepts by their position in the is-a hierarchy',
+                    operator: ['is-a', 'descendent-of', 'is-not-a', 'generalizes'],
+                    value: 'A NAMASTE code'
+                }
+            ],
             concept: concepts
         };
     }
 
+    /**
+     * Build FHIR concept designations for a NAMASTE concept
+     * @param {Object} code - NAMASTE code object with designations/synonyms
+     * @returns {Array} - CodeSystem.concept.designation entries
+     */
+    createDesignations(code) {
+        const native = (code.designations || []).map(d => ({
+            language: d.language,
+            use: DESIGNATION_USE_DISPLAY,
+            value: d.value
+        }));
+        const synonyms = (code.synonyms || []).map(value => ({
+            language: 'en',
+            use: DESIGNATION_USE_SYNONYM,
+            value
+        }));
+        return [...native, ...synonyms];
+    }
+
     /**
      * Create a FHIR ConceptMap for NAMASTE to ICD-11 mappings
-     * @param {Array} mappings - Array of mapping objects
-     * @returns {Object} - FHIR ConceptMap resource
+     * @param {Array} mappings - Array of mapping objects; curated ones may carry
+     *   `equivalence` (used instead of the confidence-derived relationship) and `comment`
+     * @returns {Object} - FHIR ConceptMap resource with one group per target kind
+     *   (TM2 pattern, MMS disease, TM2/MMS pair), each marked with an icd11-target-kind extension
      */
     createConceptMap(mappings) {
-        const groups = [{
-            source: this.namasteSystem,
-            target: this.icd11System,
-            element: mappings.map(mapping => ({
-                code: mapping.sourceCode,
-                display: mapping.sourceDisplay,
-                target: [{
+        // One element per target kind and source code, listing all of its targets
+        const kinds = new Map(TARGET_KINDS.map(kind => [kind, new Map()]));
+        mappings.forEach(mapping => {
+            const elements = kinds.get(targetKind(mapping.targetCode));
+            if (!elements.has(mapping.sourceCode)) {
+                elements.set(mapping.sourceCode, {
+                    code: mapping.sourceCode,
+                    display: mapping.sourceDisplay,
+                    target: []
+                });
+            }
+            const confidence = typeof mapping.confidence === 'number'
+                ? `Confidence: ${(mapping.confidence * 100).toFixed(1)}%`
+                : null;
+            elements.get(mapping.sourceCode).target.push(this.createMapTarget(
+                mapping.equivalence || this.getRelationshipType(mapping.confidence),
+                {
                     code: mapping.targetCode,
                     display: mapping.targetDisplay,
-                    relationship: this.getRelationshipType(mapping.confidence),
-                    comment: `Confidence: ${(mapping.confidence * 100).toFixed(1)}%`
-                }]
-            }))
-        }];
+                    comment: [mapping.comment, confidence].filter(Boolean).join('; ')
+                }
+            ));
+        });
+
+        const groups = TARGET_KINDS
+            .filter(kind => kinds.get(kind).size > 0)
+            .map(kind => ({
+                extension: [{ url: ICD11_TARGET_KIND, valueCode: kind }],
+                source: this.namasteSystem,
+                target: this.icd11System,
+                element: Array.from(kinds.get(kind).values())
+            }));
 
         return {
             resourceType: 'ConceptMap',
@@ -102,17 +252,163 @@ class FHIRBuilder {
             date: new Date().toISOString(),
             publisher: 'Ministry of AYUSH, Government of India',
             description: 'Mapping between NAMASTE traditional medicine codes and ICD-11',
-            sourceCanonical: this.namasteSystem,
-            targetCanonical: this.icd11System,
+            ...(this.fhirVersion === '5.0'
+                ? { sourceScopeCanonical: this.namasteSystem, targetScopeCanonical: this.icd11System }
+                : { sourceCanonical: this.namasteSystem, targetCanonical: this.icd11System }),
             group: groups
         };
     }
 
+    /**
+     * ConceptMap target stating how the source relates to it: R4 `equivalence`
+     * or R5 `relationship`. R5 requires a comment when the source is broader
+     * than the target or unrelated to it, so one is supplied if missing.
+     * @param {string} equivalence - R4 equivalence code
+     * @param {Object} target - { code, display, comment }
+     * @returns {Object} - ConceptMap.group.element.target
+     */
+    createMapTarget(equivalence, target) {
+        const { comment, ...rest } = target;
+        if (this.fhirVersion !== '5.0') {
+            return { ...rest, equivalence, ...(comment ? { comment } : {}) };
+        }
+        const relationship = this.getRelationship(equivalence);
+        const required = {
+            'source-is-broader-than-target': 'Source concept is broader than the target',
+            'not-related-to': 'Source concept does not map to the target'
+        }[relationship];
+        const text = comment || required;
+        return { ...rest, relationship, ...(text ? { comment: text } : {}) };
+    }
+
+    /**
+     * @param {string} equivalence - R4 ConceptMap equivalence
+     * @returns {string} - The code for this builder's version: the equivalence itself for R4, its R5 relationship otherwise
+     */
+    getRelationship(equivalence) {
+        return this.fhirVersion === '5.0' ? R5_RELATIONSHIPS[equivalence] || 'related-to' : equivalence;
+    }
+
+    /**
+     * Create the server's CapabilityStatement for this builder's FHIR version
+     * @param {Array} resources - CapabilityStatement.rest.resource entries
+     * @param {Object} options - { interactions: system interaction codes, base: FHIR base URL }
+     * @returns {Object} - FHIR CapabilityStatement resource
+     */
+    createCapabilityStatement(resources, { interactions = [], base } = {}) {
+        return {
+            resourceType: 'CapabilityStatement',
+            id: `namaste-icd11-capability-r${this.fhirVersion.charAt(0)}`,
+            status: 'active',
+            date: new Date().toISOString(),
+            publisher: 'Ministry of AYUSH, Government of India',
+            kind: 'instance',
+            software: { name: 'NAMASTE-ICD-11 Integration API' },
+            implementation: {
+                description: 'NAMASTE and ICD-11 terminology services',
+                ...(base ? { url: base } : {})
+            },
+            fhirVersion: FHIR_VERSIONS[this.fhirVersion],
+            format: ['json', 'application/fhir+json'],
+            rest: [
+                {
+                    mode: 'server',
+                    resource: resources,
+                    ...(interactions.length > 0 ? { interaction: interactions.map(code => ({ code })) } : {}),
+                    security: {
+                        service: [
+                            {
+                                coding: [
+                                    {
+                                        system: 'http://terminology.hl7.org/CodeSystem/restful-security-service',
+                                        code: 'OAuth',
+                                        display: 'OAuth2'
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Create an OperationDefinition for an operation as this server serves it
+     * @param {string} id - Id of the standard definition, e.g. 'CodeSystem-lookup'
+     * @param {Object} operation - { code, resource, type, instance, description, parameter }
+     * @param {string} url - Canonical URL of this definition
+     * @returns {Object} - FHIR OperationDefinition resource
+     */
+    createOperationDefinition(id, operation, url) {
+        return {
+            resourceType: 'OperationDefinition',
+            id,
+            url,
+            name: id.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(''),
+            title: `$${operation.code} (${operation.resource.join(', ')})`,
+            status: 'active',
+            kind: 'operation',
+            publisher: 'Ministry of AYUSH, Government of India',
+            description: operation.description,
+            code: operation.code,
+            base: `http://hl7.org/fhir/OperationDefinition/${id}`,
+            resource: operation.resource,
+            system: false,
+            type: operation.type,
+            instance: operation.instance,
+            parameter: operation.parameter
+        };
+    }
+
+    /**
+     * Create the server's TerminologyCapabilities for this builder's FHIR version
+     * @param {Object} options - {
+     *     codeSystems: [{ uri, versions: [{ code, isDefault?, compositional?, filter?, property? }], subsumption? }],
+     *     expansionParameters: [names], translation: { needsMap }
+     *   }
+     * @returns {Object} - FHIR TerminologyCapabilities resource
+     */
+    createTerminologyCapabilities({ codeSystems, expansionParameters = [], translation }) {
+        return {
+            resourceType: 'TerminologyCapabilities',
+            id: `namaste-icd11-terminology-r${this.fhirVersion.charAt(0)}`,
+            status: 'active',
+            date: new Date().toISOString(),
+            publisher: 'Ministry of AYUSH, Government of India',
+            kind: 'instance',
+            software: { name: 'NAMASTE-ICD-11 Integration API' },
+            implementation: { description: 'NAMASTE and ICD-11 terminology services' },
+            codeSystem: codeSystems.map(cs => ({
+                uri: cs.uri,
+                version: cs.versions.map(v => ({
+                    ...(v.code ? { code: v.code } : {}),
+                    ...(v.isDefault !== undefined ? { isDefault: v.isDefault } : {}),
+                    compositional: Boolean(v.compositional),
+                    ...(v.filter && v.filter.length > 0 ? { filter: v.filter } : {}),
+                    ...(v.property && v.property.length > 0 ? { property: v.property } : {})
+                })),
+                // R5 requires the content of each code system (all codes are known here)
+                ...(this.fhirVersion === '5.0' ? { content: 'complete' } : {}),
+                subsumption: Boolean(cs.subsumption)
+            })),
+            expansion: {
+                hierarchical: false,
+                paging: true,
+                incomplete: false,
+                parameter: expansionParameters.map(name => ({ name })),
+                textFilter: 'Words are matched against displays, synonyms and native-script names and ranked by relevance'
+            },
+            translation
+        };
+    }
+
     /**
      * Create a FHIR Condition resource with double coding
      * @param {Object} patient - Patient reference
      * @param {Object} namasteCode - NAMASTE code object
-     * @param {Object} icd11Code - ICD-11 code object
+     * @param {Object|Array} icd11Code - ICD-11 code object, { code, display, components? } for clusters,
+     *   or several of them (e.g. a TM2 pattern and an MMS disease), each becoming its own coding
      * @param {Object} encounter - Encounter reference (optional)
      * @returns {Object} - FHIR Condition resource
      */
@@ -123,7 +419,7 @@ class FHIRBuilder {
             meta: {
                 versionId: '1',
                 lastUpdated: new Date().toISOString(),
-                profile: ['http://hl7.org/fhir/StructureDefinition/Condition']
+                profile: [NAMASTE_CONDITION_PROFILE]
             },
             clinicalStatus: {
                 coding: [{
@@ -163,14 +459,25 @@ class FHIRBuilder {
             recordedDate: new Date().toISOString()
         };
 
-        // Add ICD-11 coding if provided
-        if (icd11Code) {
-            condition.code.coding.push({
+        // Add ICD-11 codings if provided; a cluster keeps its full code string plus one extension per component
+        [].concat(icd11Code || []).forEach(icd11Code => {
+            const coding = {
                 system: this.icd11System,
                 code: icd11Code.code,
                 display: icd11Code.display
-            });
-        }
+            };
+            if (Array.isArray(icd11Code.components) && icd11Code.components.length > 1) {
+                coding.extension = icd11Code.components.map(component => ({
+                    url: ICD11_CLUSTER_COMPONENT,
+                    valueCoding: {
+                        system: this.icd11System,
+                        code: component.code,
+                        display: component.display
+                    }
+                }));
+            }
+            condition.code.coding.push(coding);
+        });
 
         // Add encounter reference if provided
         if (encounter) {
@@ -206,14 +513,144 @@ class FHIRBuilder {
         };
     }
 
+    /**
+     * Create a transaction-response or batch-response Bundle
+     * @param {string} type - 'transaction-response' or 'batch-response'
+     * @param {Array} entries - Entries with their response (and resource, when one is returned)
+     * @returns {Object} - FHIR Bundle resource
+     */
+    createResponseBundle(type, entries) {
+        return {
+            resourceType: 'Bundle',
+            id: uuidv4(),
+            meta: { lastUpdated: new Date().toISOString() },
+            type,
+            entry: entries
+        };
+    }
+
+    /**
+     * Create an OperationOutcome
+     * @param {Array} issues - [{ severity: 'fatal'|'error'|'warning'|'information', code (IssueType), diagnostics, expression? }]
+     * @returns {Object} - FHIR OperationOutcome resource
+     */
+    createOperationOutcome(issues) {
+        return {
+            resourceType: 'OperationOutcome',
+            issue: issues.map(({ severity = 'error', code = 'processing', diagnostics, expression }) => ({
+                severity,
+                code,
+                ...(diagnostics ? { diagnostics } : {}),
+                ...(expression && expression.length > 0 ? { expression } : {})
+            }))
+        };
+    }
+
+    /**
+     * Create a searchset Bundle
+     * @param {Array} resources - Matching resources of this page
+     * @param {Object} options - { base (server base URL), total, links: { self, first, previous, next, last } }
+     * @returns {Object} - FHIR Bundle resource
+     */
+    createSearchBundle(resources, { base, total, links = {} }) {
+        return {
+            resourceType: 'Bundle',
+            id: uuidv4(),
+            meta: { lastUpdated: new Date().toISOString() },
+            type: 'searchset',
+            total,
+            link: Object.entries(links)
+                .filter(([, url]) => url)
+                .map(([relation, url]) => ({ relation, url })),
+            entry: resources.map(resource => ({
+                fullUrl: `${base}/${resource.resourceType}/${resource.id}`,
+                resource,
+                search: { mode: 'match' }
+            }))
+        };
+    }
+
+    /**
+     * Create a history Bundle
+     * @param {string} type - Resource type
+     * @param {Array} versions - FhirStore.history() versions, newest first
+     * @param {Object} options - { base (server base URL), total, links }
+     * @returns {Object} - FHIR Bundle resource; deleted versions have a request but no resource
+     */
+    createHistoryBundle(type, versions, { base, total, links = {} }) {
+        return {
+            resourceType: 'Bundle',
+            id: uuidv4(),
+            meta: { lastUpdated: new Date().toISOString() },
+            type: 'history',
+            total,
+            link: Object.entries(links)
+                .filter(([, url]) => url)
+                .map(([relation, url]) => ({ relation, url })),
+            entry: versions.map(version => ({
+                fullUrl: `${base}/${type}/${version.id}`,
+                ...(version.resource ? { resource: version.resource } : {}),
+                request: {
+                    method: version.method,
+                    url: version.method === 'POST' ? type : `${type}/${version.id}`
+                },
+                response: {
+                    status: version.method === 'DELETE' ? '204 No Content'
+                        : version.method === 'POST' || version.versionId === '1' ? '201 Created' : '200 OK',
+                    etag: `W/"${version.versionId}"`,
+                    lastModified: version.lastUpdated
+                }
+            }))
+        };
+    }
+
+    /**
+     * Create a Provenance recording who produced a resource version
+     * @param {Object} target - Resource the record is about (resourceType, id, meta.versionId)
+     * @param {Object} options - { activity: 'CREATE'|'UPDATE'|'DELETE', agent: display name of the software or person,
+     *   entities: [{ role: 'source'|'derivation'|…, display }] e.g. curated mappings the coding came from }
+     * @returns {Object} - FHIR Provenance resource (without id; the store assigns one)
+     */
+    createProvenance(target, { activity = 'CREATE', agent = 'NAMASTE-ICD-11 Integration API', entities = [] } = {}) {
+        const reference = `${target.resourceType}/${target.id}`;
+        return {
+            resourceType: 'Provenance',
+            target: [{
+                reference: target.meta && target.meta.versionId ? `${reference}/_history/${target.meta.versionId}` : reference
+            }],
+            recorded: new Date().toISOString(),
+            activity: {
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation',
+                    code: activity,
+                    display: { CREATE: 'create', UPDATE: 'revise', DELETE: 'delete' }[activity] || activity.toLowerCase()
+                }]
+            },
+            agent: [{
+                type: {
+                    coding: [{
+                        system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type',
+                        code: 'assembler',
+                        display: 'Assembler'
+                    }]
+                },
+                who: { display: agent }
+            }],
+            ...(entities.length > 0 ? {
+                entity: entities.map(e => ({ role: e.role || 'source', what: { display: e.display } }))
+            } : {})
+        };
+    }
+
     /**
      * Create a FHIR ValueSet for terminology expansion
      * @param {Array} codes - Array of codes to include
      * @param {string} system - Code system URL
      * @param {string} title - ValueSet title
+     * @param {Object} expansion - Optional paging info: { total, offset, parameter }
      * @returns {Object} - FHIR ValueSet resource
      */
-    createValueSet(codes, system, title) {
+    createValueSet(codes, system, title, expansion = {}) {
         return {
             resourceType: 'ValueSet',
             id: uuidv4(),
@@ -227,10 +664,14 @@ class FHIRBuilder {
             expansion: {
                 identifier: uuidv4(),
                 timestamp: new Date().toISOString(),
+                ...(expansion.total !== undefined ? { total: expansion.total } : {}),
+                ...(expansion.offset !== undefined ? { offset: expansion.offset } : {}),
+                ...(expansion.parameter ? { parameter: expansion.parameter } : {}),
                 contains: codes.map(code => ({
                     system: system,
                     code: code.code,
-                    display: code.display
+                    display: code.display,
+                    ...(code.designation ? { designation: code.designation } : {})
                 }))
             }
         };
@@ -290,56 +731,19 @@ class FHIRBuilder {
     /**
      * Determine relationship type based on confidence score
      * @param {number} confidence - Confidence score (0-1)
-     * @returns {string} - FHIR relationship code
+     * @returns {string} - R4 ConceptMap equivalence code
      */
     getRelationshipType(confidence) {
         if (confidence >= 0.9) return 'equivalent';
         if (confidence >= 0.7) return 'relatedto';
         if (confidence >= 0.5) return 'wider';
-        return 'related';
-    }
-
-    /**
-     * Validate FHIR resource structure
-     * @param {Object} resource - FHIR resource to validate
-     * @returns {Object} - Validation result
-     */
-    validateResource(resource) {
-        const errors = [];
-        const warnings = [];
-
-        // Basic validation
-        if (!resource.resourceType) {
-            errors.push('Missing required field: resourceType');
-        }
-
-        if (!resource.id) {
-            warnings.push('Missing recommended field: id');
-        }
-
-        // Resource-specific validation
-        switch (resource.resourceType) {
-            case 'Condition':
-                if (!resource.subject) errors.push('Condition missing required field: subject');
-                if (!resource.code) errors.push('Condition missing required field: code');
-                break;
-                
-            case 'Patient':
-                if (!resource.name) errors.push('Patient missing required field: name');
-                break;
-                
-            case 'CodeSystem':
-                if (!resource.url) errors.push('CodeSystem missing required field: url');
-                if (!resource.status) errors.push('CodeSystem missing required field: status');
-                break;
-        }
-
-        return {
-            valid: errors.length === 0,
-            errors,
-            warnings
-        };
+        return 'inexact';
     }
 }
 
+FHIRBuilder.VERSIONS = FHIR_VERSIONS;
+FHIRBuilder.R5_RELATIONSHIPS = R5_RELATIONSHIPS;
+FHIRBuilder.ICD11_TARGET_KIND = ICD11_TARGET_KIND;
+FHIRBuilder.NAMASTE_CONDITION_PROFILE = NAMASTE_CONDITION_PROFILE;
+
 module.exports = FHIRBuilder;
\ No newline at end of file
@@ -0,0 +1,234 @@
+const { STATUS_CODES } = require('http');
+const { v4: uuidv4 } = require('uuid');
+
+// Transactions are processed in this order of request methods, as the FHIR spec requires
+const TRANSACTION_ORDER = ['DELETE', 'POST', 'PUT', 'GET'];
+
+// HTTP status of a failed FhirStore result
+const FAILURE_STATUS = { 'not-found': 404, gone: 410, conflict: 412, invalid: 400 };
+
+/**
+ * @param {number} status - HTTP status code
+ * @returns {string} - Status line for Bundle.entry.response.status, e.g. "201 Created"
+ */
+function statusLine(status) {
+    return `${status} ${STATUS_CODES[status]}`;
+}
+
+/**
+ * Processes transaction and batch Bundles against a FhirStore.
+ *
+ * Entries whose fullUrl is a `urn:uuid:` get their server id before anything
+ * runs, so references to them from any other entry are rewritten to
+ * `Type/id`. A transaction runs DELETE, POST, PUT and GET entries in that
+ * order inside one store transaction and is undone entirely when an entry
+ * fails; a batch runs the entries in Bundle order and each succeeds or fails
+ * on its own. Responses list the entries in request order.
+ */
+class BundleProcessor {
+    /**
+     * @param {Object} options - { store: FhirStore, validator: FhirValidator checking created and updated resources }
+     */
+    constructor(options = {}) {
+        this.store = options.store;
+        this.validator = options.validator;
+    }
+
+    /**
+     * Parse an entry's request into what it acts on
+     * @param {Object} entry - Bundle entry
+     * @returns {Object} - { method, type, id?, versionId?, query?, ifMatch? } or { error }
+     */
+    parseRequest(entry) {
+        const request = entry && entry.request;
+        if (!request || !request.method || !request.url) return { error: 'entry.request with method and url is required' };
+        const method = String(request.method).toUpperCase();
+        if (!TRANSACTION_ORDER.includes(method)) return { error: `Method ${method} is not supported; use ${TRANSACTION_ORDER.join(', ')}` };
+
+        const [pathPart, query = ''] = String(request.url).replace(/^\/+/, '').split('?');
+        const [type, id, history, versionId, ...rest] = pathPart.split('/');
+        if (!this.store.supports(type)) return { error: `Resource type ${type} is not supported` };
+        if (rest.length > 0 || (history !== undefined && history !== '_history')) return { error: `Unsupported url ${request.url}` };
+
+        const needsId = method === 'PUT' || method === 'DELETE';
+        if (needsId && !id) return { error: `${method} needs a url of the form ${type}/[id]` };
+        if (method === 'POST' && id) return { error: `POST url must be the resource type, not ${request.url}` };
+        if ((method === 'POST' || method === 'PUT') && (!entry.resource || entry.resource.resourceType !== type)) {
+            return { error: `entry.resource must be a ${type}` };
+        }
+
+        return {
+            method,
+            type,
+            ...(id ? { id } : {}),
+            ...(versionId ? { versionId } : {}),
+            ...(query ? { query: new URLSearchParams(query) } : {}),
+            ...(request.ifMatch ? { ifMatch: String(request.ifMatch).replace(/^W\//, '').replace(/"/g, '') } : {})
+        };
+    }
+
+    /**
+     * Copy of a resource with references to other entries' fullUrls replaced by their `Type/id`
+     * @param {Object} resource - Entry resource
+     * @param {Map} references - fullUrl → 'Type/id'
+     * @returns {Object} - { resource } or { error } naming a urn:uuid reference that no entry declares
+     */
+    resolveReferences(resource, references) {
+        let unresolved = null;
+        const walk = value => {
+            if (Array.isArray(value)) return value.map(walk);
+            if (!value || typeof value !== 'object') return value;
+            return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+                if (key === 'reference' && typeof child === 'string') {
+                    if (references.has(child)) return [key, references.get(child)];
+                    if (child.startsWith('urn:uuid:')) unresolved = unresolved || child;
+                    return [key, child];
+                }
+                return [key, walk(child)];
+            }));
+        };
+        const resolved = walk(resource);
+        return unresolved ? { error: `Reference ${unresolved} does not match the fullUrl of any entry` } : { resource: resolved };
+    }
+
+    /**
+     * Run one entry
+     * @param {Object} entry - Bundle entry
+     * @param {Object} request - parseRequest() result
+     * @param {Object} context - { builder, base, references, reserved (entry → id) }
+     * @returns {Object} - { status, resource?, location?, etag?, lastModified?, error? }
+     */
+    execute(entry, request, context) {
+        if (request.error) return { status: 400, error: request.error };
+        const { type, id, method } = request;
+        const failure = result => ({ status: FAILURE_STATUS[result.reason] || 400, error: result.error });
+        const version = (resource, status) => ({
+            status,
+            resource,
+            ...(status === 200 && method === 'GET' ? {} : { location: `${type}/${resource.id}/_history/${resource.meta.versionId}` }),
+            etag: `W/"${resource.meta.versionId}"`,
+            lastModified: resource.meta.lastUpdated
+        });
+
+        if (method === 'POST' || method === 'PUT') {
+            const resolved = this.resolveReferences(entry.resource, context.references);
+            if (resolved.error) return { status: 400, error: resolved.error };
+            const validation = this.validator.validate(resolved.resource);
+            if (!validation.valid) return { status: 400, error: validation.errors.join('; ') };
+
+            if (method === 'POST') {
+                const result = this.store.create(type, resolved.resource, { id: context.reserved.get(entry) });
+                return result.success ? version(result.resource, 201) : failure(result);
+            }
+            const result = this.store.update(type, id, resolved.resource, { ifMatch: request.ifMatch });
+            return result.success ? version(result.resource, result.created ? 201 : 200) : failure(result);
+        }
+
+        if (method === 'DELETE') {
+            const result = this.store.delete(type, id);
+            return result.success ? { status: 204, etag: `W/"${result.versionId}"` } : failure(result);
+        }
+
+        // GET: read, vread or search
+        if (id) {
+            const result = request.versionId ? this.store.vread(type, id, request.versionId) : this.store.read(type, id);
+            return result.success ? version(result.resource, 200) : failure(result);
+        }
+        const params = {};
+        (request.query || new URLSearchParams()).forEach((value, name) => {
+            params[name] = name in params ? [].concat(params[name], value) : value;
+        });
+        const result = this.store.search(type, params);
+        if (!result.success) return failure(result);
+        return {
+            status: 200,
+            resource: context.builder.createSearchBundle(result.resources, { base: context.base, total: result.total })
+        };
+    }
+
+    /**
+     * Process a transaction or batch Bundle
+     * @param {Object} bundle - Bundle of type 'transaction' or 'batch'
+     * @param {Object} options - { builder: FHIRBuilder for the negotiated version, base: absolute FHIR base URL }
+     * @returns {Object} - { success, bundle } with the transaction-response/batch-response Bundle,
+     *   or { success: false, status, error, index? } when the Bundle or (for a transaction) an entry failed
+     */
+    process(bundle, { builder, base }) {
+        if (!bundle || bundle.resourceType !== 'Bundle') return { success: false, status: 400, error: 'A Bundle resource is required' };
+        if (!['transaction', 'batch'].includes(bundle.type)) {
+            return { success: false, status: 400, error: `Bundle.type must be transaction or batch, not ${bundle.type}` };
+        }
+        const transaction = bundle.type === 'transaction';
+        const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+        const requests = entries.map(entry => this.parseRequest(entry));
+
+        if (transaction) {
+            const invalid = requests.findIndex(r => r.error);
+            if (invalid !== -1) return { success: false, status: 400, error: requests[invalid].error, index: invalid };
+            // The same resource may not be changed by two entries of one transaction
+            const seen = new Map();
+            for (const [index, r] of requests.entries()) {
+                if (r.method === 'GET' || r.method === 'POST') continue;
+                const key = `${r.type}/${r.id}`;
+                if (seen.has(key)) return { success: false, status: 400, error: `Entries ${seen.get(key)} and ${index} both change ${key}`, index };
+                seen.set(key, index);
+            }
+        }
+
+        // Server ids for created resources, and the Type/id every declared fullUrl stands for
+        const reserved = new Map();
+        const references = new Map();
+        entries.forEach((entry, index) => {
+            const r = requests[index];
+            if (r.error) return;
+            if (r.method === 'POST') reserved.set(entry, uuidv4());
+            const id = r.method === 'POST' ? reserved.get(entry) : r.id;
+            if (entry.fullUrl && (r.method === 'POST' || r.method === 'PUT')) references.set(entry.fullUrl, `${r.type}/${id}`);
+        });
+
+        const context = { builder, base, references, reserved };
+        const order = entries.map((_, index) => index);
+        if (transaction) {
+            order.sort((a, b) => TRANSACTION_ORDER.indexOf(requests[a].method) - TRANSACTION_ORDER.indexOf(requests[b].method) || a - b);
+        }
+
+        const outcomes = new Array(entries.length);
+        const run = () => {
+            for (const index of order) {
+                outcomes[index] = this.execute(entries[index], requests[index], context);
+                if (transaction && outcomes[index].error) {
+                    return { success: false, status: outcomes[index].status, error: outcomes[index].error, index };
+                }
+            }
+            return { success: true };
+        };
+        const result = transaction ? this.store.transaction(run) : run();
+        if (!result.success) return result;
+
+        return {
+            success: true,
+            bundle: builder.createResponseBundle(`${bundle.type}-response`, outcomes.map((outcome, index) => ({
+                ...(outcome.resource && outcome.resource.resourceType !== 'Bundle' ? { fullUrl: `${base}/${outcome.resource.resourceType}/${outcome.resource.id}` } : {}),
+                ...(outcome.resource ? { resource: outcome.resource } : {}),
+                response: {
+                    status: statusLine(outcome.status),
+                    ...(outcome.location ? { location: outcome.location } : {}),
+                    ...(outcome.etag ? { etag: outcome.etag } : {}),
+                    ...(outcome.lastModified ? { lastModified: outcome.lastModified } : {}),
+                    ...(outcome.error ? {
+                        outcome: builder.createOperationOutcome([{
+                            severity: 'error',
+                            code: outcome.status === 404 || outcome.status === 410 ? 'not-found' : outcome.status === 412 ? 'conflict' : 'processing',
+                            diagnostics: outcome.error,
+                            expression: [`Bundle.entry[${index}]`]
+                        }])
+                    } : {})
+                }
+            })))
+        };
+    }
+}
+
+BundleProcessor.TRANSACTION_ORDER = TRANSACTION_ORDER;
+
+module.exports = BundleProcessor;
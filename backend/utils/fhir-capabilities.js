@@ -0,0 +1,247 @@
+// Canonical base of the OperationDefinitions describing the operations as served here
+const OPERATION_BASE = 'http://namaste.ayush.gov.in/fhir/OperationDefinition/';
+
+const param = (use, name, min, max, type, documentation, part) => ({
+    name, use, min, max, ...(type ? { type } : {}), ...(documentation ? { documentation } : {}), ...(part ? { part } : {})
+});
+
+/**
+ * Operations served under /api/fhir, keyed by OperationDefinition id (as in
+ * the FHIR specification). Each narrows the standard definition in `base`
+ * to the parameters this server accepts and returns.
+ */
+const OPERATIONS = {
+    'CodeSystem-lookup': {
+        code: 'lookup',
+        resource: ['CodeSystem'],
+        type: true,
+        instance: false,
+        description: 'Details of a NAMASTE code in the served or a named release',
+        parameter: [
+            param('in', 'code', 1, '1', 'code', 'NAMASTE code'),
+            param('in', 'system', 0, '1', 'uri', 'Only the NAMASTE code system is supported'),
+            param('in', 'version', 0, '1', 'string', 'NAMASTE release; defaults to the served release'),
+            param('in', 'displayLanguage', 0, '1', 'code', "Language tags such as 'ta' or 'ur,hi', or 'native'"),
+            param('out', 'name', 1, '1', 'string'),
+            param('out', 'version', 0, '1', 'string'),
+            param('out', 'display', 1, '1', 'string'),
+            param('out', 'definition', 0, '1', 'string'),
+            param('out', 'designation', 0, '*', null, 'Native-script names and synonyms', [
+                param('out', 'language', 0, '1', 'code'),
+                param('out', 'use', 0, '1', 'Coding'),
+                param('out', 'value', 1, '1', 'string')
+            ]),
+            param('out', 'property', 0, '*', null, 'category, tm-system, parent and child', [
+                param('out', 'code', 1, '1', 'code'),
+                param('out', 'value', 0, '1', 'string')
+            ])
+        ]
+    },
+    'CodeSystem-subsumes': {
+        code: 'subsumes',
+        resource: ['CodeSystem'],
+        type: true,
+        instance: false,
+        description: 'Subsumption between two NAMASTE codes of the served release',
+        parameter: [
+            param('in', 'codeA', 1, '1', 'code'),
+            param('in', 'codeB', 1, '1', 'code'),
+            param('in', 'system', 0, '1', 'uri', 'Only the NAMASTE code system is supported'),
+            param('in', 'version', 0, '1', 'string', 'Must be the served release'),
+            param('out', 'outcome', 1, '1', 'code', 'equivalent | subsumes | subsumed-by | not-subsumed')
+        ]
+    },
+    'ValueSet-expand': {
+        code: 'expand',
+        resource: ['ValueSet'],
+        type: true,
+        instance: false,
+        description: 'Expansion of NAMASTE value sets, ranked by search relevance when filtered',
+        parameter: [
+            param('in', 'url', 0, '1', 'uri', 'Implicit value set, e.g. the NAMASTE system with ?fhir_vs or ?fhir_vs=isa/[code]'),
+            param('in', 'valueSet', 0, '1', 'ValueSet', 'Inline value set with concept lists and is-a, descendent-of, is-not-a or generalizes filters'),
+            param('in', 'filter', 0, '1', 'string', 'Text matched against displays, synonyms and native-script names'),
+            param('in', 'count', 0, '1', 'integer'),
+            param('in', 'offset', 0, '1', 'integer'),
+            param('in', 'displayLanguage', 0, '1', 'code'),
+            param('in', 'includeDesignations', 0, '1', 'boolean'),
+            param('out', 'return', 1, '1', 'ValueSet')
+        ]
+    },
+    'ConceptMap-translate': {
+        code: 'translate',
+        resource: ['ConceptMap'],
+        type: true,
+        instance: false,
+        description: 'NAMASTE to ICD-11 translation, or ICD-11 to NAMASTE with reverse=true. ' +
+            'Curated mappings come first, then suggestions. R5 parameter names (sourceCode, targetCode, targetSystem, …) are accepted too.',
+        parameter: [
+            param('in', 'url', 0, '1', 'uri', 'Curated or suggestion ConceptMap'),
+            param('in', 'system', 0, '1', 'uri'),
+            param('in', 'code', 0, '1', 'code'),
+            param('in', 'coding', 0, '1', 'Coding'),
+            param('in', 'codeableConcept', 0, '1', 'CodeableConcept'),
+            param('in', 'targetsystem', 0, '1', 'uri'),
+            param('in', 'reverse', 0, '1', 'boolean'),
+            param('out', 'result', 1, '1', 'boolean'),
+            param('out', 'message', 0, '1', 'string'),
+            param('out', 'match', 0, '*', null, null, [
+                param('out', 'equivalence', 0, '1', 'code', 'R4 equivalence; R5 states a relationship'),
+                param('out', 'concept', 0, '1', 'Coding'),
+                param('out', 'source', 0, '1', 'uri')
+            ])
+        ]
+    },
+    'Resource-validate': {
+        code: 'validate',
+        resource: ['Resource'],
+        type: true,
+        instance: true,
+        description: 'Validation against the loaded StructureDefinitions, value sets and NAMASTE/ICD-11 codes',
+        parameter: [
+            param('in', 'resource', 0, '1', 'Resource', 'Resource to validate (type level)'),
+            param('in', 'profile', 0, '1', 'uri', 'Profile to validate against besides meta.profile'),
+            param('out', 'return', 1, '1', 'OperationOutcome')
+        ]
+    }
+};
+
+// Operation ids by operation code
+const OPERATIONS_BY_CODE = Object.keys(OPERATIONS).reduce((byCode, id) => {
+    (byCode[OPERATIONS[id].code] = byCode[OPERATIONS[id].code] || []).push(id);
+    return byCode;
+}, {});
+
+/**
+ * Every route of an Express router, including those of mounted routers
+ * @param {Object} router - Express router
+ * @returns {Array} - [{ method: 'GET', path: '/CodeSystem/$lookup' }]
+ */
+function routeTable(router) {
+    return router.stack.flatMap(layer => {
+        if (layer.route) {
+            return [].concat(layer.route.path).flatMap(routePath => Object.keys(layer.route.methods)
+                .filter(method => method !== '_all')
+                .map(method => ({ method: method.toUpperCase(), path: routePath.replace(/\\/g, '') })));
+        }
+        return layer.handle && Array.isArray(layer.handle.stack) ? routeTable(layer.handle) : [];
+    });
+}
+
+/**
+ * Resource types a route's first segment serves
+ * @param {string} segment - Literal type, `:type(A|B)` or a pattern such as `:type([A-Z][A-Za-z]+)`
+ * @returns {Array|string|null} - Types, '*' for every served type, or null for non-resource paths
+ */
+function routeTypes(segment) {
+    if (/^[A-Z][A-Za-z]+$/.test(segment)) return [segment];
+    const alternatives = segment.match(/^:\w+\(([A-Za-z|]+)\)$/);
+    if (alternatives) return alternatives[1].split('|');
+    return segment.startsWith(':') ? '*' : null;
+}
+
+/**
+ * The FHIR interaction or operation a route implements
+ * @param {string} method - HTTP method
+ * @param {Array} rest - Path segments after the type
+ * @returns {Object|null} - { interaction } or { operation, level: 'type' | 'instance' }
+ */
+function classify(method, rest) {
+    const [first, second, third, ...more] = rest;
+    if (more.length > 0) return null;
+    const isId = segment => segment !== undefined && !/^[_$]/.test(segment);
+
+    if (first === undefined) return { interaction: { GET: 'search-type', POST: 'create' }[method] };
+    if (first === '_search' && second === undefined) return method === 'POST' ? { interaction: 'search-type' } : null;
+    if (first === '_history' && second === undefined) return method === 'GET' ? { interaction: 'history-type' } : null;
+    if (first.startsWith('$') && second === undefined) return { operation: first.slice(1), level: 'type' };
+    if (!isId(first)) return null;
+
+    // A literal id (e.g. CodeSystem/namaste-codes) is a fixed resource that can only be read
+    const literal = !first.startsWith(':');
+    if (second === undefined) {
+        return { interaction: literal ? (method === 'GET' ? 'read' : undefined) : { GET: 'read', PUT: 'update', DELETE: 'delete', PATCH: 'patch' }[method] };
+    }
+    if (second.startsWith('$') && third === undefined) return { operation: second.slice(1), level: 'instance' };
+    if (second === '_history' && method === 'GET') return { interaction: third === undefined ? 'history-instance' : 'vread' };
+    return null;
+}
+
+/**
+ * Describe the REST capabilities of a FHIR router from its routes
+ * @param {Object} router - Express router serving the FHIR base
+ * @param {Object} options - {
+ *     exclude: ['METHOD /path'] routes that are not FHIR interactions,
+ *     searchParameters: type → [{ name, type, documentation }],
+ *     profiles: type → [canonical],
+ *     anyType: type → whether routes for any type (such as `:type([A-Z][A-Za-z]+)`) serve it
+ *   }
+ * @returns {Object} - { resources: [CapabilityStatement.rest.resource], interactions: [system interaction codes], operations: [ids] }
+ */
+function describe(router, { exclude = [], searchParameters = () => [], profiles = () => [], anyType = () => true } = {}) {
+    const types = new Map();
+    const everyType = [];
+    const interactions = new Set();
+    const entry = type => {
+        if (!types.has(type)) types.set(type, { interactions: new Set(), operations: new Set() });
+        return types.get(type);
+    };
+
+    routeTable(router)
+        .filter(route => !exclude.includes(`${route.method} ${route.path}`))
+        .forEach(route => {
+            const [segment, ...rest] = route.path.split('/').slice(1);
+            if (segment === '' && rest.length === 0 && route.method === 'POST') {
+                interactions.add('transaction').add('batch');
+                return;
+            }
+            const served = routeTypes(segment);
+            const found = served && classify(route.method, rest);
+            if (!found || (!found.interaction && !found.operation)) return;
+            if (found.operation) {
+                const on = OPERATIONS_BY_CODE[found.operation] || [];
+                const id = on.find(key => OPERATIONS[key].resource.includes('Resource') ||
+                    (served !== '*' && served.some(type => OPERATIONS[key].resource.includes(type))));
+                if (!id) return;
+                found.operation = id;
+            }
+            if (served === '*') everyType.push(found);
+            else served.forEach(type => {
+                if (found.interaction) entry(type).interactions.add(found.interaction);
+                else entry(type).operations.add(found.operation);
+            });
+        });
+
+    // Routes for any type (e.g. $validate) apply to the types served otherwise that they accept
+    everyType.forEach(found => types.forEach((t, type) => {
+        if (anyType(type)) (found.interaction ? t.interactions : t.operations).add(found.interaction || found.operation);
+    }));
+
+    const operations = new Set();
+    const resources = [...types.entries()].map(([type, t]) => {
+        t.operations.forEach(id => operations.add(id));
+        const versioned = t.interactions.has('vread');
+        const supportedProfile = profiles(type);
+        const searchParam = t.interactions.has('search-type') ? searchParameters(type) : [];
+        return {
+            type,
+            ...(supportedProfile.length > 0 ? { supportedProfile } : {}),
+            interaction: [...t.interactions].map(code => ({ code })),
+            ...(versioned ? { versioning: 'versioned', readHistory: true } : {}),
+            ...(t.interactions.has('update') ? { updateCreate: true } : {}),
+            ...(searchParam.length > 0 ? { searchParam } : {}),
+            ...(t.operations.size > 0
+                ? { operation: [...t.operations].map(id => ({ name: OPERATIONS[id].code, definition: `${OPERATION_BASE}${id}` })) }
+                : {})
+        };
+    });
+
+    return { resources, interactions: [...interactions], operations: [...operations] };
+}
+
+module.exports = {
+    OPERATION_BASE,
+    OPERATIONS,
+    routeTable,
+    describe
+};
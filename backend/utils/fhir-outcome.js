@@ -0,0 +1,71 @@
+const fhirVersion = require('./fhir-version');
+
+// OperationOutcome issue type for each HTTP error status
+const ISSUE_TYPES = {
+    400: 'invalid',
+    401: 'login',
+    403: 'forbidden',
+    404: 'not-found',
+    405: 'not-supported',
+    406: 'not-supported',
+    409: 'conflict',
+    410: 'deleted',
+    412: 'conflict',
+    413: 'too-costly',
+    415: 'not-supported',
+    422: 'processing',
+    429: 'throttled',
+    500: 'exception',
+    501: 'not-supported',
+    503: 'transient'
+};
+
+/**
+ * @param {number} status - HTTP error status
+ * @returns {string} - Issue type (http://hl7.org/fhir/issue-type) describing it
+ */
+function issueType(status) {
+    return ISSUE_TYPES[status] || (status >= 500 ? 'exception' : 'processing');
+}
+
+/**
+ * @param {Object} req - Express request
+ * @returns {boolean} - Whether the request is for the FHIR API, whose errors are OperationOutcomes
+ */
+function isFhirRequest(req) {
+    return /^\/api\/fhir(\/|\?|$)/.test(req.originalUrl);
+}
+
+/**
+ * Answer an error as an OperationOutcome in the negotiated FHIR version
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status (4xx or 5xx)
+ * @param {string|Object|Array} issues - Diagnostics text, or one or more
+ *   { diagnostics, code?, expression?, severity? }; severity defaults to error
+ *   and code to the issue type of the status
+ */
+function send(res, status, issues) {
+    const { req } = res;
+    const builder = req.fhirBuilder || fhirVersion.builderFor(req.fhirVersion);
+    const outcome = builder.createOperationOutcome([].concat(typeof issues === 'string' ? { diagnostics: issues } : issues)
+        .map(issue => ({ severity: 'error', code: issueType(status), ...issue })));
+    res.status(status).type(fhirVersion.contentType(req.fhirVersion)).json(outcome);
+}
+
+/**
+ * Answer 503 with Retry-After for an UpstreamUnavailableError
+ * @param {Object} res - Express response
+ * @param {UpstreamUnavailableError} error - Failure of the ICD-11 service
+ */
+function sendUnavailable(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    send(res, 503, { code: 'transient', diagnostics: `ICD-11 service${error.provider ? ` (${error.provider})` : ''} unavailable: ${error.message}` });
+}
+
+module.exports = {
+    ISSUE_TYPES,
+    issueType,
+    isFhirRequest,
+    send,
+    sendUnavailable
+};
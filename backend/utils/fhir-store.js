@@ -0,0 +1,453 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JsonStore = require('./json-store');
+
+/**
+ * Resource types kept by the store
+ */
+const TYPES = ['Condition', 'Patient', 'Encounter', 'Provenance'];
+
+// Value extractors shared by the search parameters below
+const codings = concept => (concept && Array.isArray(concept.coding) ? concept.coding : []);
+const code = value => (value === undefined || value === null ? [] : [{ code: value }]);
+const references = (...refs) => refs.flat().filter(r => r && r.reference);
+
+/**
+ * Search parameters per resource type: FHIR parameter type, description and
+ * the values of a resource it matches against. Token values are codings
+ * ({ system, code }), reference values are References, date and string values
+ * are strings. `target` is the type a bare id given to a reference parameter
+ * stands for. `_id` and `_lastUpdated` apply to every type.
+ */
+const SEARCH_PARAMETERS = {
+    common: {
+        _id: { type: 'token', description: 'Logical id of the resource', values: r => code(r.id) },
+        _lastUpdated: { type: 'date', description: 'When the resource version last changed', values: r => [r.meta && r.meta.lastUpdated] }
+    },
+    Condition: {
+        patient: { type: 'reference', target: 'Patient', description: 'Who has the condition', values: r => references(r.subject) },
+        subject: { type: 'reference', description: 'Who has the condition', values: r => references(r.subject) },
+        encounter: { type: 'reference', target: 'Encounter', description: 'Encounter the condition was recorded in', values: r => references(r.encounter) },
+        code: { type: 'token', description: 'NAMASTE or ICD-11 (TM2 or MMS) code of the condition', values: r => codings(r.code) },
+        'clinical-status': { type: 'token', description: 'active | recurrence | relapse | inactive | remission | resolved', values: r => codings(r.clinicalStatus) },
+        'verification-status': { type: 'token', description: 'unconfirmed | provisional | differential | confirmed | refuted | entered-in-error', values: r => codings(r.verificationStatus) },
+        'recorded-date': { type: 'date', description: 'Date the condition was first recorded', values: r => [r.recordedDate] }
+    },
+    Patient: {
+        identifier: { type: 'token', description: 'A patient identifier (e.g. ABHA number)', values: r => (r.identifier || []).map(i => ({ system: i.system, code: i.value })) },
+        name: {
+            type: 'string',
+            description: 'A part of the patient name',
+            values: r => (r.name || []).flatMap(n => [n.text, n.family, ...(n.given || [])])
+        },
+        gender: { type: 'token', description: 'Gender of the patient', values: r => code(r.gender) },
+        birthdate: { type: 'date', description: 'Date of birth of the patient', values: r => [r.birthDate] }
+    },
+    Encounter: {
+        patient: { type: 'reference', target: 'Patient', description: 'The patient present at the encounter', values: r => references(r.subject) },
+        subject: { type: 'reference', description: 'The patient present at the encounter', values: r => references(r.subject) },
+        status: { type: 'token', description: 'planned | arrived | in-progress | finished | cancelled | …', values: r => code(r.status) },
+        class: { type: 'token', description: 'Classification of the encounter', values: r => [].concat(r.class || []).flatMap(c => (c.coding ? c.coding : [c])) },
+        date: { type: 'date', description: 'Start of the encounter', values: r => [r.period && r.period.start] }
+    },
+    Provenance: {
+        target: { type: 'reference', description: 'Resources the provenance record is about', values: r => references(r.target) },
+        patient: {
+            type: 'reference',
+            target: 'Patient',
+            description: 'Patient targeted by the provenance record',
+            values: r => references(r.target).filter(t => t.reference.startsWith('Patient/'))
+        },
+        agent: { type: 'reference', description: 'Who participated in the activity', values: r => references((r.agent || []).map(a => a.who)) },
+        recorded: { type: 'date', description: 'When the activity was recorded', values: r => [r.recorded] }
+    }
+};
+
+// Comparison prefixes of date search values
+const DATE_PREFIXES = ['eq', 'ne', 'gt', 'lt', 'ge', 'le', 'sa', 'eb'];
+
+/**
+ * Time range a FHIR date/dateTime stands for at its precision
+ * ("2025" is the whole year, "2025-03-01" the whole day)
+ * @param {string} value - FHIR date or dateTime
+ * @returns {Object|null} - { start, end } in ms (end exclusive), or null when unparsable
+ */
+function dateRange(value) {
+    const match = String(value || '').match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (match) {
+        const [, year, month, day] = match;
+        const start = Date.UTC(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1);
+        const end = day
+            ? Date.UTC(Number(year), Number(month) - 1, Number(day) + 1)
+            : Date.UTC(Number(year) + (month ? 0 : 1), month ? Number(month) : 0, 1);
+        return { start, end };
+    }
+    const instant = Date.parse(value);
+    return Number.isNaN(instant) ? null : { start: instant, end: instant + 1 };
+}
+
+/**
+ * Type and id of a reference
+ * @param {string} reference - "Patient/123", a full URL ending in it (optionally with
+ *   /_history/n), or a bare id
+ * @returns {Object} - { type, id }; type is null for a bare id
+ */
+function parseReference(reference) {
+    const ref = String(reference).replace(/\/_history\/.*$/, '');
+    const match = ref.match(/(?:^|\/)([A-Z][A-Za-z]+)\/([^/]+)$/);
+    return match ? { type: match[1], id: match[2] } : { type: null, id: ref };
+}
+
+/**
+ * Matcher for one search value of a parameter. Comma-separated values are alternatives.
+ * @param {Object} definition - SEARCH_PARAMETERS entry
+ * @param {string} value - Search value
+ * @returns {Object} - { match(resource) } or { error }
+ */
+function matcher(definition, value) {
+    const alternatives = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    if (alternatives.length === 0) return { error: 'empty search value' };
+
+    const tests = [];
+    for (const alternative of alternatives) {
+        if (definition.type === 'token') {
+            const [system, tokenCode] = alternative.includes('|') ? alternative.split('|') : [undefined, alternative];
+            tests.push(c => (system === undefined || (system === '' ? !c.system : c.system === system)) &&
+                (!tokenCode || String(c.code).toUpperCase() === tokenCode.toUpperCase()));
+        } else if (definition.type === 'reference') {
+            // A bare id is of the parameter's target type, when it has a single one
+            const wanted = parseReference(alternative);
+            const type = wanted.type || definition.target || null;
+            tests.push(r => {
+                const ref = parseReference(r.reference);
+                return ref.id === wanted.id && (type === null || ref.type === type);
+            });
+        } else if (definition.type === 'string') {
+            const wanted = alternative.toLowerCase();
+            tests.push(s => String(s).toLowerCase().startsWith(wanted));
+        } else if (definition.type === 'date') {
+            const prefix = DATE_PREFIXES.includes(alternative.slice(0, 2)) ? alternative.slice(0, 2) : 'eq';
+            const range = dateRange(prefix === alternative.slice(0, 2) ? alternative.slice(2) : alternative);
+            if (!range) return { error: `invalid date ${alternative}` };
+            tests.push(d => {
+                const own = dateRange(d);
+                if (!own) return false;
+                const t = own.start;
+                switch (prefix) {
+                    case 'ne': return t < range.start || t >= range.end;
+                    case 'gt':
+                    case 'sa': return t >= range.end;
+                    case 'lt':
+                    case 'eb': return t < range.start;
+                    case 'ge': return t >= range.start;
+                    case 'le': return t < range.end;
+                    default: return t >= range.start && t < range.end;
+                }
+            });
+        }
+    }
+
+    return {
+        match: resource => definition.values(resource)
+            .filter(v => v !== undefined && v !== null && v !== '')
+            .some(v => tests.some(test => test(v)))
+    };
+}
+
+/**
+ * Versioned store of FHIR resources (Condition, Patient, Encounter, Provenance)
+ * behind the /api/fhir read, vread, update, delete, history and search interactions.
+ *
+ * Every create, update and delete adds a version; deleted resources keep
+ * their history and read as gone. Each type lives in its own document under
+ * `<dataDir>/fhir/<Type>.json` as `{ resources: [{ id, versions: [{ versionId,
+ * lastUpdated, method, resource }] }] }` (resource is null for a delete).
+ */
+class FhirStore {
+    /**
+     * @param {Object} options - { dataDir }
+     */
+    constructor(options = {}) {
+        this.dir = path.join(options.dataDir, 'fhir');
+        this.stores = {};
+        this.entries = {};
+        // Types changed inside transaction(), written once it commits
+        this.pending = null;
+    }
+
+    /**
+     * In-memory entries of a type, read from disk on first use
+     * @param {string} type - Resource type
+     * @returns {Map} - id → { id, versions }
+     */
+    load(type) {
+        if (!this.entries[type]) {
+            this.stores[type] = new JsonStore(path.join(this.dir, `${type}.json`), { resources: [] });
+            this.entries[type] = new Map((this.stores[type].read().resources || []).map(e => [e.id, e]));
+        }
+        return this.entries[type];
+    }
+
+    /**
+     * Persist one type
+     * @param {string} type - Resource type
+     */
+    save(type) {
+        if (this.pending) {
+            this.pending.add(type);
+            return;
+        }
+        this.stores[type].write({ resources: Array.from(this.load(type).values()) });
+    }
+
+    /**
+     * Run changes all-or-nothing: they are kept and written only if work()
+     * returns without throwing and without { success: false }; otherwise every
+     * type is restored to its state before the call.
+     * @param {Function} work - Synchronous function making the changes
+     * @returns {*} - What work() returned
+     */
+    transaction(work) {
+        if (this.pending) return work();
+        const snapshot = Object.fromEntries(TYPES.map(type => [type, JSON.stringify(Array.from(this.load(type).values()))]));
+        const rollback = () => TYPES.forEach(type => {
+            this.entries[type] = new Map(JSON.parse(snapshot[type]).map(e => [e.id, e]));
+        });
+
+        const changed = new Set();
+        this.pending = changed;
+        let result;
+        try {
+            result = work();
+        } catch (error) {
+            rollback();
+            throw error;
+        } finally {
+            this.pending = null;
+        }
+        if (result && result.success === false) rollback();
+        else changed.forEach(type => this.save(type));
+        return result;
+    }
+
+    /**
+     * @param {string} type - Resource type
+     * @returns {boolean} - Whether the store keeps this type
+     */
+    supports(type) {
+        return TYPES.includes(type);
+    }
+
+    /**
+     * Add a version to an entry and persist it
+     * @param {string} type - Resource type
+     * @param {string} id - Logical id
+     * @param {string} method - 'POST', 'PUT' or 'DELETE'
+     * @param {Object|null} resource - New content (null for a delete)
+     * @returns {Object} - The version added
+     */
+    addVersion(type, id, method, resource) {
+        const entries = this.load(type);
+        if (!entries.has(id)) entries.set(id, { id, versions: [] });
+        const entry = entries.get(id);
+        const versionId = String(entry.versions.length + 1);
+        const lastUpdated = new Date().toISOString();
+        const version = {
+            versionId,
+            lastUpdated,
+            method,
+            resource: resource
+                ? { ...resource, resourceType: type, id, meta: { ...(resource.meta || {}), versionId, lastUpdated } }
+                : null
+        };
+        entry.versions.push(version);
+        this.save(type);
+        return version;
+    }
+
+    /**
+     * Check a resource submitted for a type
+     * @param {string} type - Resource type
+     * @param {Object} resource - Submitted resource
+     * @returns {string|null} - Error message, or null when acceptable
+     */
+    checkResource(type, resource) {
+        if (!this.supports(type)) return `Resource type ${type} is not supported; supported are ${TYPES.join(', ')}`;
+        if (!resource || typeof resource !== 'object' || Array.isArray(resource)) return 'A resource body is required';
+        if (resource.resourceType !== type) return `resourceType must be ${type}`;
+        return null;
+    }
+
+    /**
+     * Create a resource with a new server-assigned id
+     * @param {string} type - Resource type
+     * @param {Object} resource - Resource (any id is replaced)
+     * @param {Object} options - { id } server id reserved beforehand (e.g. for a transaction Bundle entry)
+     * @returns {Object} - { success, resource } or { success: false, reason: 'invalid'|'conflict', error }
+     */
+    create(type, resource, { id = uuidv4() } = {}) {
+        const error = this.checkResource(type, resource);
+        if (error) return { success: false, reason: 'invalid', error };
+        if (this.load(type).has(id)) return { success: false, reason: 'conflict', error: `${type}/${id} already exists` };
+        return { success: true, resource: this.addVersion(type, id, 'POST', resource).resource };
+    }
+
+    /**
+     * Current version of a resource
+     * @param {string} type - Resource type
+     * @param {string} id - Logical id
+     * @returns {Object} - { success, resource } or { success: false, reason: 'not-found'|'gone', error }
+     */
+    read(type, id) {
+        const entry = this.supports(type) ? this.load(type).get(id) : null;
+        if (!entry) return { success: false, reason: 'not-found', error: `${type}/${id} not found` };
+        const current = entry.versions[entry.versions.length - 1];
+        if (!current.resource) {
+            return { success: false, reason: 'gone', error: `${type}/${id} was deleted`, versionId: current.versionId };
+        }
+        return { success: true, resource: current.resource };
+    }
+
+    /**
+     * One version of a resource
+     * @param {string} type - Resource type
+     * @param {string} id - Logical id
+     * @param {string} versionId - Version id
+     * @returns {Object} - { success, resource } or { success: false, reason: 'not-found'|'gone', error }
+     */
+    vread(type, id, versionId) {
+        const entry = this.supports(type) ? this.load(type).get(id) : null;
+        const version = entry ? entry.versions.find(v => v.versionId === String(versionId)) : null;
+        if (!version) return { success: false, reason: 'not-found', error: `${type}/${id}/_history/${versionId} not found` };
+        if (!version.resource) return { success: false, reason: 'gone', error: `${type}/${id} was deleted in version ${versionId}` };
+        return { success: true, resource: version.resource };
+    }
+
+    /**
+     * Replace a resource, creating it under the given id if it does not exist
+     * @param {string} type - Resource type
+     * @param {string} id - Logical id
+     * @param {Object} resource - New content; its id must be absent or match
+     * @param {Object} options - { ifMatch } version the client expects to replace
+     * @returns {Object} - { success, created, resource } or { success: false, reason: 'invalid'|'conflict', error }
+     */
+    update(type, id, resource, { ifMatch } = {}) {
+        const error = this.checkResource(type, resource);
+        if (error) return { success: false, reason: 'invalid', error };
+        if (!/^[A-Za-z0-9\-.]{1,64}$/.test(String(id))) {
+            return { success: false, reason: 'invalid', error: `Invalid id ${id}` };
+        }
+        if (resource.id !== undefined && resource.id !== id) {
+            return { success: false, reason: 'invalid', error: `Resource id ${resource.id} does not match ${id} in the URL` };
+        }
+
+        const entry = this.load(type).get(id);
+        const current = entry ? entry.versions[entry.versions.length - 1] : null;
+        if (ifMatch !== undefined && (!current || current.versionId !== String(ifMatch))) {
+            return {
+                success: false,
+                reason: 'conflict',
+                error: `${type}/${id} is at version ${current ? current.versionId : 'none'}, not ${ifMatch}`
+            };
+        }
+
+        const created = !current || !current.resource;
+        return { success: true, created, resource: this.addVersion(type, id, 'PUT', resource).resource };
+    }
+
+    /**
+     * Delete a resource; its history is kept
+     * @param {string} type - Resource type
+     * @param {string} id - Logical id
+     * @returns {Object} - { success, versionId, alreadyDeleted } or { success: false, reason: 'not-found', error }
+     */
+    delete(type, id) {
+        const entry = this.supports(type) ? this.load(type).get(id) : null;
+        if (!entry) return { success: false, reason: 'not-found', error: `${type}/${id} not found` };
+        const current = entry.versions[entry.versions.length - 1];
+        if (!current.resource) return { success: true, versionId: current.versionId, alreadyDeleted: true };
+        return { success: true, versionId: this.addVersion(type, id, 'DELETE', null).versionId };
+    }
+
+    /**
+     * Versions of one resource, or of every resource of a type, newest first
+     * @param {string} type - Resource type
+     * @param {string} id - Logical id; omit for the whole type
+     * @param {Object} options - { since, count, offset }
+     * @returns {Object} - { success, total, versions: [{ id, versionId, lastUpdated, method, resource }] }
+     *   or { success: false, reason: 'not-found'|'invalid', error }
+     */
+    history(type, id, { since, count = 20, offset = 0 } = {}) {
+        if (!this.supports(type)) return { success: false, reason: 'invalid', error: `Resource type ${type} is not supported` };
+        const entries = id ? [this.load(type).get(id)].filter(Boolean) : Array.from(this.load(type).values());
+        if (id && entries.length === 0) return { success: false, reason: 'not-found', error: `${type}/${id} not found` };
+
+        let sinceTime = null;
+        if (since) {
+            sinceTime = Date.parse(since);
+            if (Number.isNaN(sinceTime)) return { success: false, reason: 'invalid', error: `Invalid _since ${since}` };
+        }
+        const versions = entries
+            .flatMap(e => e.versions.map(v => ({ id: e.id, ...v })))
+            .filter(v => sinceTime === null || Date.parse(v.lastUpdated) >= sinceTime)
+            .sort((a, b) => b.lastUpdated.localeCompare(a.lastUpdated) || Number(b.versionId) - Number(a.versionId));
+        return { success: true, total: versions.length, versions: versions.slice(offset, offset + count) };
+    }
+
+    /**
+     * Search current (non-deleted) resources of a type, most recently updated first.
+     * Parameters are ANDed; repeating one (recorded-date=ge2025&recorded-date=lt2026) ANDs its values.
+     * @param {string} type - Resource type
+     * @param {Object} params - Search parameters (values may be arrays), plus _count and _offset
+     * @returns {Object} - { success, total, resources, applied, unknown } or { success: false, reason: 'invalid', error };
+     *   applied lists the [name, value] pairs used, unknown the parameter names ignored
+     */
+    search(type, params = {}) {
+        if (!this.supports(type)) return { success: false, reason: 'invalid', error: `Resource type ${type} is not supported` };
+        const definitions = { ...SEARCH_PARAMETERS.common, ...SEARCH_PARAMETERS[type] };
+
+        const count = params._count === undefined ? 20 : parseInt(params._count, 10);
+        const offset = params._offset === undefined ? 0 : parseInt(params._offset, 10);
+        if (!(count >= 0) || !(offset >= 0)) {
+            return { success: false, reason: 'invalid', error: '_count and _offset must be non-negative integers' };
+        }
+
+        const matchers = [];
+        const applied = [];
+        const unknown = [];
+        for (const [name, raw] of Object.entries(params)) {
+            if (name === '_count' || name === '_offset' || name === '_format') continue;
+            if (!definitions[name]) {
+                unknown.push(name);
+                continue;
+            }
+            for (const value of [].concat(raw)) {
+                const m = matcher(definitions[name], value);
+                if (m.error) return { success: false, reason: 'invalid', error: `${name}: ${m.error}` };
+                matchers.push(m.match);
+                applied.push([name, String(value)]);
+            }
+        }
+
+        const matching = Array.from(this.load(type).values())
+            .map(e => e.versions[e.versions.length - 1].resource)
+            .filter(r => r && matchers.every(match => match(r)))
+            .sort((a, b) => b.meta.lastUpdated.localeCompare(a.meta.lastUpdated));
+
+        return {
+            success: true,
+            total: matching.length,
+            count: Math.min(count, 100),
+            offset,
+            resources: matching.slice(offset, offset + Math.min(count, 100)),
+            applied,
+            unknown
+        };
+    }
+}
+
+FhirStore.TYPES = TYPES;
+FhirStore.SEARCH_PARAMETERS = SEARCH_PARAMETERS;
+
+module.exports = FhirStore;
@@ -0,0 +1,476 @@
+const fs = require('fs');
+const path = require('path');
+
+const { parse: parseIcd11 } = require('./icd11-code');
+
+const NAMASTE_SYSTEM = 'http://namaste.ayush.gov.in/fhir/CodeSystem/namaste-codes';
+const ICD11_SYSTEM = 'http://id.who.int/icd/release/11/mms';
+const CORE = 'http://hl7.org/fhir/StructureDefinition/';
+
+// Primitive datatypes and what a valid JSON value of each looks like (FHIR R4 regexes)
+const PRIMITIVES = {
+    boolean: v => typeof v === 'boolean',
+    integer: v => Number.isInteger(v) && v >= -2147483648 && v <= 2147483647,
+    positiveInt: v => Number.isInteger(v) && v > 0,
+    unsignedInt: v => Number.isInteger(v) && v >= 0,
+    decimal: v => typeof v === 'number' && Number.isFinite(v),
+    string: v => typeof v === 'string' && v.trim().length > 0,
+    markdown: v => typeof v === 'string' && v.trim().length > 0,
+    xhtml: v => typeof v === 'string' && /^\s*<div[\s>]/.test(v),
+    code: v => typeof v === 'string' && /^[^\s]+( [^\s]+)*$/.test(v),
+    id: v => typeof v === 'string' && /^[A-Za-z0-9\-.]{1,64}$/.test(v),
+    uri: v => typeof v === 'string' && /^\S+$/.test(v),
+    url: v => typeof v === 'string' && /^\S+$/.test(v),
+    canonical: v => typeof v === 'string' && /^\S+$/.test(v),
+    oid: v => typeof v === 'string' && /^urn:oid:[0-2](\.(0|[1-9][0-9]*))+$/.test(v),
+    uuid: v => typeof v === 'string' && /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(v),
+    base64Binary: v => typeof v === 'string' && /^(\s*([0-9a-zA-Z+/=]){4}\s*)+$/.test(v),
+    date: v => typeof v === 'string' && /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?$/.test(v),
+    dateTime: v => typeof v === 'string' && /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$/.test(v),
+    instant: v => typeof v === 'string' && /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/.test(v),
+    time: v => typeof v === 'string' && /^([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?$/.test(v)
+};
+
+// FHIRPath system types used by the official definitions for ids and primitive values
+const SYSTEM_TYPES = {
+    'http://hl7.org/fhirpath/System.String': 'string',
+    'http://hl7.org/fhirpath/System.Boolean': 'boolean',
+    'http://hl7.org/fhirpath/System.Integer': 'integer',
+    'http://hl7.org/fhirpath/System.Decimal': 'decimal',
+    'http://hl7.org/fhirpath/System.Date': 'date',
+    'http://hl7.org/fhirpath/System.DateTime': 'dateTime',
+    'http://hl7.org/fhirpath/System.Time': 'time'
+};
+
+const capitalise = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Validates FHIR resources against StructureDefinitions.
+ *
+ * Definitions are read from local directories of FHIR JSON (single resources
+ * or Bundles): the R4 subset and NAMASTE profiles shipped in data/fhir, and
+ * optionally an extracted `hl7.fhir.r4.core` package to cover every base
+ * type. Checks element cardinality, unknown elements, primitive formats,
+ * choice types, reference targets, required and extensible value-set
+ * bindings, and that NAMASTE codes exist and ICD-11 codes are well formed.
+ * FHIRPath invariants are not evaluated.
+ */
+class FhirValidator {
+    /**
+     * @param {Object} options - { terminology: TerminologyRepository, directories: [dir] }
+     *   later directories override definitions with the same url
+     */
+    constructor(options = {}) {
+        this.terminology = options.terminology;
+        this.directories = options.directories || [];
+        this.definitions = null;
+        this.indexes = new Map();
+        this.memberships = new Map();
+    }
+
+    /**
+     * Read StructureDefinitions, ValueSets and CodeSystems from the directories (once)
+     */
+    load() {
+        if (this.definitions) return;
+        this.definitions = new Map();
+        this.valueSets = new Map();
+        this.codeSystems = new Map();
+
+        const add = resource => {
+            if (!resource || !resource.url) return;
+            const registry = {
+                StructureDefinition: this.definitions,
+                ValueSet: this.valueSets,
+                CodeSystem: this.codeSystems
+            }[resource.resourceType];
+            if (registry) registry.set(resource.url, resource);
+        };
+        const readDirectory = dir => {
+            if (!fs.existsSync(dir)) {
+                console.error(`❌ FHIR definitions directory ${dir} not found`);
+                return;
+            }
+            fs.readdirSync(dir, { withFileTypes: true }).forEach(file => {
+                // An extracted FHIR package keeps its resources under package/
+                if (file.isDirectory() && file.name === 'package') return readDirectory(path.join(dir, file.name));
+                if (!file.isFile() || !file.name.endsWith('.json')) return;
+                try {
+                    const resource = JSON.parse(fs.readFileSync(path.join(dir, file.name), 'utf8'));
+                    if (resource.resourceType === 'Bundle') (resource.entry || []).forEach(e => add(e.resource));
+                    else add(resource);
+                } catch (error) {
+                    console.error(`❌ Failed to read FHIR definitions from ${file.name}:`, error.message);
+                }
+            });
+        };
+        this.directories.forEach(readDirectory);
+        console.log(`📐 Loaded ${this.definitions.size} StructureDefinitions and ${this.valueSets.size} ValueSets`);
+    }
+
+    /**
+     * @param {string} type - Resource type
+     * @returns {boolean} - Whether a base StructureDefinition for the type is loaded
+     */
+    supports(type) {
+        this.load();
+        return this.definitions.has(`${CORE}${type}`);
+    }
+
+    /**
+     * @param {string} type - Resource type
+     * @returns {Array} - Canonicals of the loaded profiles constraining the type
+     */
+    profiles(type) {
+        this.load();
+        return [...this.definitions.values()]
+            .filter(d => d.type === type && d.kind === 'resource' && d.derivation === 'constraint')
+            .map(d => d.url);
+    }
+
+    /**
+     * Snapshot elements of a StructureDefinition; a profile with only a
+     * differential gets its base snapshot with the differential laid over it
+     * @param {Object} definition - StructureDefinition
+     * @returns {Array|null} - ElementDefinitions, or null when the base is unknown
+     */
+    snapshot(definition) {
+        if (definition.snapshot && definition.snapshot.element) return definition.snapshot.element;
+        const base = this.definitions.get(definition.baseDefinition);
+        const elements = base ? this.snapshot(base) : null;
+        if (!elements) return null;
+        const merged = elements.map(e => ({ ...e }));
+        ((definition.differential && definition.differential.element) || [])
+            .filter(d => !d.sliceName)
+            .forEach(d => {
+                const index = merged.findIndex(e => e.path === d.path && !e.sliceName);
+                if (index === -1) merged.push(d);
+                else merged[index] = { ...merged[index], ...d };
+            });
+        return merged;
+    }
+
+    /**
+     * Elements of a StructureDefinition grouped by parent path
+     * @param {string} url - Canonical URL
+     * @returns {Object|null} - { definition, children: Map(parentPath → [ElementDefinition]) }
+     */
+    index(url) {
+        this.load();
+        if (!this.indexes.has(url)) {
+            const definition = this.definitions.get(url);
+            const elements = definition ? this.snapshot(definition) : null;
+            let entry = null;
+            if (elements) {
+                const children = new Map();
+                elements.filter(e => !e.sliceName && e.path.includes('.')).forEach(e => {
+                    const parent = e.path.slice(0, e.path.lastIndexOf('.'));
+                    if (!children.has(parent)) children.set(parent, []);
+                    children.get(parent).push(e);
+                });
+                entry = { definition, children };
+            }
+            this.indexes.set(url, entry);
+        }
+        return this.indexes.get(url);
+    }
+
+    /**
+     * Whether codes of a code system can be checked, and how
+     * @param {string} system - Code system URL
+     * @returns {Function|null} - code → boolean, or null when the system is unknown here
+     */
+    systemMembership(system) {
+        if (system === NAMASTE_SYSTEM) return code => Boolean(this.terminology.get(code));
+        if (system === ICD11_SYSTEM) return code => parseIcd11(code).valid;
+        const codeSystem = this.codeSystems.get(system);
+        if (!codeSystem || codeSystem.content !== 'complete') return null;
+        const codes = new Set();
+        const collect = concepts => (concepts || []).forEach(c => {
+            codes.add(c.code);
+            collect(c.concept);
+        });
+        collect(codeSystem.concept);
+        return code => codes.has(code);
+    }
+
+    /**
+     * Membership test of a value set built from its compose (or expansion)
+     * @param {string} url - ValueSet canonical, optionally with |version
+     * @returns {Function|null} - (system, code) → boolean; system undefined matches any.
+     *   Null when the value set is unknown or uses filters this validator cannot evaluate.
+     */
+    valueSetMembership(url) {
+        const canonical = String(url).split('|')[0];
+        if (this.memberships.has(canonical)) return this.memberships.get(canonical);
+        this.memberships.set(canonical, null); // guards against value sets including themselves
+
+        const valueSet = this.valueSets.get(canonical);
+        let membership = null;
+        if (valueSet && valueSet.compose) {
+            const tests = (valueSet.compose.include || []).map(include => {
+                if (include.filter && include.filter.length > 0) return null;
+                const nested = (include.valueSet || []).map(vs => this.valueSetMembership(vs));
+                if (nested.includes(null)) return null;
+                let inSystem = () => true;
+                if (include.concept) {
+                    const codes = new Set(include.concept.map(c => c.code));
+                    inSystem = code => codes.has(code);
+                } else if (include.system) {
+                    inSystem = this.systemMembership(include.system);
+                    if (!inSystem) return null;
+                }
+                return (system, code) => (!include.system || system === undefined || system === include.system) &&
+                    inSystem(code) && nested.every(test => test(system, code));
+            });
+            if (!tests.includes(null)) membership = (system, code) => tests.some(test => test(system, code));
+        } else if (valueSet && valueSet.expansion) {
+            const contains = (valueSet.expansion.contains || []).map(c => `${c.system}|${c.code}`);
+            membership = (system, code) => contains.some(key => key === `${system}|${code}` || (system === undefined && key.endsWith(`|${code}`)));
+        }
+        this.memberships.set(canonical, membership);
+        return membership;
+    }
+
+    /**
+     * Validate a resource against its base definition and the profiles it claims
+     * @param {Object} resource - FHIR resource
+     * @param {Object} options - { profile } extra profile canonical to validate against
+     * @returns {Object} - { valid, issues: [{ severity, code, diagnostics, expression }], errors, warnings }
+     *   where errors and warnings are "expression: diagnostics" strings
+     */
+    validate(resource, { profile } = {}) {
+        const issues = [];
+        this.validateResource(resource, null, issues, profile ? [profile] : []);
+
+        const seen = new Set();
+        const unique = issues.filter(i => {
+            const key = `${i.severity}|${i.expression}|${i.diagnostics}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        const describe = i => `${i.expression[0]}: ${i.diagnostics}`;
+        const errors = unique.filter(i => i.severity === 'error' || i.severity === 'fatal').map(describe);
+        return {
+            valid: errors.length === 0,
+            issues: unique,
+            errors,
+            warnings: unique.filter(i => i.severity === 'warning').map(describe)
+        };
+    }
+
+    /**
+     * Validate one resource, possibly nested in a Bundle or contained
+     * @param {Object} resource - FHIR resource
+     * @param {string|null} expression - FHIRPath of the resource, null at the top level
+     * @param {Array} issues - Collected issues
+     * @param {Array} profiles - Profile canonicals requested besides meta.profile
+     */
+    validateResource(resource, expression, issues, profiles = []) {
+        const issue = (severity, code, diagnostics, where) => issues.push({ severity, code, diagnostics, expression: [where] });
+        if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+            return issue('fatal', 'structure', 'A resource must be a JSON object', expression || 'Resource');
+        }
+        const type = resource.resourceType;
+        if (!type) return issue('fatal', 'required', 'resourceType is required', expression || 'Resource');
+        const where = expression || type;
+
+        const claimed = [...profiles, ...((resource.meta && Array.isArray(resource.meta.profile)) ? resource.meta.profile : [])]
+            .map(url => String(url).split('|')[0]);
+        const applicable = [];
+        claimed.forEach(url => {
+            const index = this.index(url);
+            if (!index) issue('warning', 'not-supported', `Profile ${url} is not known here; validated against the base definition`, where);
+            else if (index.definition.type !== type) issue('error', 'invalid', `Profile ${url} is for ${index.definition.type}, not ${type}`, where);
+            else applicable.push(index);
+        });
+        if (applicable.length === 0) {
+            const base = this.index(`${CORE}${type}`);
+            if (!base) return issue('error', 'not-supported', `No StructureDefinition is loaded for ${type}`, where);
+            applicable.push(base);
+        }
+        applicable.forEach(index => this.checkChildren(resource, type, index, where, issues, true));
+    }
+
+    /**
+     * Check the properties of an object against the child elements of a path
+     * @param {Object} value - JSON object
+     * @param {string} elementPath - Element path in the definition (e.g. "Condition.stage")
+     * @param {Object} index - index() of the definition the path belongs to
+     * @param {string} expression - FHIRPath of the object
+     * @param {Array} issues - Collected issues
+     * @param {boolean} isResource - Whether `value` is a resource (resourceType is expected)
+     */
+    checkChildren(value, elementPath, index, expression, issues, isResource = false) {
+        const issue = (severity, code, diagnostics, where) => issues.push({ severity, code, diagnostics, expression: [where] });
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return issue('error', 'structure', 'Expected a JSON object', expression);
+        }
+        if (Object.keys(value).length === 0) {
+            return issue('error', 'structure', 'Elements must have a value or children', expression);
+        }
+
+        const known = new Set(isResource ? ['resourceType'] : []);
+        for (const element of index.children.get(elementPath) || []) {
+            const name = element.path.slice(elementPath.length + 1);
+            const types = (element.type || []).map(t => ({ ...t, code: SYSTEM_TYPES[t.code] || t.code }));
+
+            // Properties this element covers: name, or prefix + type for choice elements
+            let properties;
+            if (name.endsWith('[x]')) {
+                const prefix = name.slice(0, -3);
+                properties = Object.keys(value)
+                    .filter(key => key.startsWith(prefix) && /^[A-Z]/.test(key.charAt(prefix.length)))
+                    .map(key => ({ key, type: types.find(t => capitalise(t.code) === key.slice(prefix.length)) }));
+                properties.filter(p => !p.type).forEach(p => {
+                    issue('error', 'structure', `${p.key} is not an allowed type for ${name}`, `${expression}.${p.key}`);
+                });
+                properties = properties.filter(p => p.type);
+                if (properties.length > 1) {
+                    issue('error', 'structure', `Only one of ${properties.map(p => p.key).join(', ')} is allowed`, expression);
+                }
+            } else {
+                properties = name in value ? [{ key: name, type: types[0] }] : [];
+            }
+            properties.forEach(p => known.add(p.key).add(`_${p.key}`));
+            if (!name.endsWith('[x]')) known.add(`_${name}`);
+
+            const count = properties.reduce((sum, p) => sum + (Array.isArray(value[p.key]) ? value[p.key].length : 1), 0);
+            const where = `${expression}.${name.replace('[x]', '')}`;
+            if (count < (element.min || 0)) {
+                issue('error', 'required', `Minimum required = ${element.min}, but only found ${count}`, where);
+            }
+            if (element.max !== undefined && element.max !== '*' && count > Number(element.max)) {
+                issue('error', 'structure', `Maximum allowed = ${element.max}, but found ${count}`, where);
+            }
+
+            for (const { key, type } of properties) {
+                const repeating = element.max === '*' || Number(element.max) > 1;
+                const items = value[key];
+                if (repeating && !Array.isArray(items)) {
+                    issue('error', 'structure', `${key} repeats and must be an array`, `${expression}.${key}`);
+                    continue;
+                }
+                if (!repeating && Array.isArray(items)) {
+                    issue('error', 'structure', `${key} does not repeat and must not be an array`, `${expression}.${key}`);
+                    continue;
+                }
+                if (repeating && items.length === 0) {
+                    issue('error', 'structure', 'Arrays must not be empty', `${expression}.${key}`);
+                }
+                [].concat(items).forEach((item, i) => {
+                    this.checkValue(item, element, type, index, repeating ? `${expression}.${key}[${i}]` : `${expression}.${key}`, issues);
+                });
+            }
+        }
+
+        Object.keys(value)
+            .filter(key => !known.has(key))
+            .forEach(key => issue('error', 'structure', `Unrecognised element ${key}`, `${expression}.${key}`));
+    }
+
+    /**
+     * Check one value of an element against its type, then its binding and terminology
+     * @param {*} item - JSON value
+     * @param {Object} element - ElementDefinition
+     * @param {Object} type - Type of the value ({ code, targetProfile? })
+     * @param {Object} index - index() of the definition the element belongs to
+     * @param {string} expression - FHIRPath of the value
+     * @param {Array} issues - Collected issues
+     */
+    checkValue(item, element, type, index, expression, issues) {
+        const issue = (severity, code, diagnostics) => issues.push({ severity, code, diagnostics, expression: [expression] });
+
+        if (element.contentReference) {
+            const target = element.contentReference.slice(element.contentReference.indexOf('#') + 1);
+            return this.checkChildren(item, target, index, expression, issues);
+        }
+        if (!type) return;
+        if (item === null) return issue('error', 'structure', 'null is not a valid value');
+
+        if (PRIMITIVES[type.code]) {
+            if (!PRIMITIVES[type.code](item)) return issue('error', 'value', `${JSON.stringify(item)} is not a valid ${type.code}`);
+        } else if (type.code === 'Resource') {
+            return this.validateResource(item, expression, issues);
+        } else if (type.code === 'BackboneElement' || type.code === 'Element') {
+            return this.checkChildren(item, element.path, index, expression, issues);
+        } else {
+            const datatype = this.index(`${CORE}${type.code}`);
+            if (datatype) this.checkChildren(item, type.code, datatype, expression, issues);
+            else if (!item || typeof item !== 'object' || Array.isArray(item)) return issue('error', 'structure', `Expected a ${type.code} object`);
+        }
+
+        // A complex value that is not an object has been reported above; its codes are not checked as well
+        if (!PRIMITIVES[type.code] && (!item || typeof item !== 'object' || Array.isArray(item))) return;
+
+        if (type.code === 'Reference') this.checkReference(item, type, issue);
+        if (type.code === 'Coding') this.checkCoding(item, expression, issues);
+        if (type.code === 'CodeableConcept') {
+            (Array.isArray(item.coding) ? item.coding : []).forEach((c, i) => this.checkCoding(c, `${expression}.coding[${i}]`, issues));
+        }
+        if (element.binding) this.checkBinding(item, type.code, element.binding, issue);
+    }
+
+    /**
+     * A literal reference must point at one of the allowed target types
+     */
+    checkReference(item, type, issue) {
+        const targets = (type.targetProfile || []).map(p => p.slice(p.lastIndexOf('/') + 1));
+        const match = typeof item.reference === 'string' && item.reference.match(/^(?:.*\/)?([A-Z][A-Za-z]+)\/[A-Za-z0-9\-.]{1,64}(\/_history\/[A-Za-z0-9\-.]{1,64})?$/);
+        if (match && targets.length > 0 && !targets.includes('Resource') && !targets.includes(match[1])) {
+            issue('error', 'invalid', `Reference to ${match[1]} is not allowed here; expected ${targets.join(' | ')}`);
+        }
+    }
+
+    /**
+     * Codings in NAMASTE must name an existing code, ICD-11 codes must be well formed,
+     * and codes of locally known complete code systems must exist
+     */
+    checkCoding(coding, expression, issues) {
+        if (!coding || typeof coding !== 'object' || !coding.system || !coding.code) return;
+        const issue = (severity, code, diagnostics) => issues.push({ severity, code, diagnostics, expression: [expression] });
+
+        if (coding.system === NAMASTE_SYSTEM) {
+            const concept = this.terminology.get(coding.code);
+            if (!concept) return issue('error', 'code-invalid', `Unknown NAMASTE code ${coding.code}`);
+            if (coding.display && coding.display !== concept.display) {
+                issue('warning', 'code-invalid', `Display "${coding.display}" does not match NAMASTE display "${concept.display}" for ${coding.code}`);
+            }
+            return;
+        }
+        if (coding.system === ICD11_SYSTEM) {
+            const parsed = parseIcd11(coding.code);
+            if (!parsed.valid) issue('error', 'code-invalid', `Invalid ICD-11 code ${coding.code}: ${parsed.errors.map(e => e.message).join('; ')}`);
+            return;
+        }
+        const inSystem = this.systemMembership(coding.system);
+        if (inSystem && !inSystem(coding.code)) issue('error', 'code-invalid', `Unknown code ${coding.code} in ${coding.system}`);
+    }
+
+    /**
+     * Required bindings must be met (error); extensible ones should be (warning)
+     */
+    checkBinding(item, typeCode, binding, issue) {
+        if (!binding.valueSet || (binding.strength !== 'required' && binding.strength !== 'extensible')) return;
+        const membership = this.valueSetMembership(binding.valueSet);
+        if (!membership) return;
+
+        let codings;
+        if (typeCode === 'code') codings = [{ code: item }];
+        else if (typeCode === 'Coding') codings = [item];
+        else if (typeCode === 'CodeableConcept') codings = Array.isArray(item.coding) ? item.coding : [];
+        else return;
+
+        if (codings.some(c => c && c.code !== undefined && membership(c.system, c.code))) return;
+        const codes = codings.filter(c => c && c.code !== undefined).map(c => (c.system ? `${c.system}|${c.code}` : c.code));
+        const subject = codes.length > 0 ? `${codes.join(', ')} is not in` : 'No code is given from';
+        if (binding.strength === 'required') issue('error', 'code-invalid', `${subject} the required value set ${binding.valueSet}`);
+        else issue('warning', 'code-invalid', `${subject} the value set ${binding.valueSet}; a code from it should be used where one applies`);
+    }
+}
+
+FhirValidator.NAMASTE_SYSTEM = NAMASTE_SYSTEM;
+FhirValidator.ICD11_SYSTEM = ICD11_SYSTEM;
+
+module.exports = FhirValidator;
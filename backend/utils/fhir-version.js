@@ -0,0 +1,107 @@
+const FHIRBuilder = require('./fhir-builder');
+
+const DEFAULT_VERSION = '4.0';
+
+// One builder per supported version
+const builders = {};
+
+/**
+ * Normalise a fhirVersion media-type parameter ("4.0", "4.0.1", "5.0.0") to a supported version
+ * @param {string} value - Requested version
+ * @returns {string|null} - '4.0', '5.0' or null when unsupported
+ */
+function normalise(value) {
+    const match = String(value || '').trim().replace(/^"|"$/g, '').match(/^(\d+)\.(\d+)/);
+    const version = match ? `${match[1]}.${match[2]}` : null;
+    return version && FHIRBuilder.VERSIONS[version] ? version : null;
+}
+
+/**
+ * Pick the FHIR version from an Accept header such as
+ * `application/fhir+json; fhirVersion=5.0`. Media ranges are tried by
+ * quality; ranges without fhirVersion accept the default (R4).
+ * @param {string} accept - Accept header
+ * @returns {Object} - { version } or { error } when only unsupported versions were asked for
+ */
+function negotiate(accept) {
+    const ranges = String(accept || '')
+        .split(',')
+        .map((range, index) => {
+            const [type, ...params] = range.split(';').map(part => part.trim());
+            const values = Object.fromEntries(params.map(p => {
+                const [key, ...value] = p.split('=');
+                return [key.trim().toLowerCase(), value.join('=').trim()];
+            }));
+            return { type: type.toLowerCase(), q: values.q === undefined ? 1 : Number(values.q), fhirVersion: values.fhirversion, index };
+        })
+        .filter(r => r.type && r.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    const versioned = ranges.filter(r => r.fhirVersion !== undefined);
+    if (versioned.length === 0) return { version: DEFAULT_VERSION };
+
+    for (const range of ranges) {
+        if (range.fhirVersion === undefined) return { version: DEFAULT_VERSION };
+        const version = normalise(range.fhirVersion);
+        if (version) return { version };
+    }
+    return {
+        error: `Unsupported fhirVersion ${versioned.map(r => r.fhirVersion).join(', ')}; supported are ${Object.keys(FHIRBuilder.VERSIONS).join(', ')}`
+    };
+}
+
+/**
+ * @param {string} version - Supported FHIR version
+ * @returns {FHIRBuilder} - Builder producing resources of that version
+ */
+function builderFor(version = DEFAULT_VERSION) {
+    if (!builders[version]) builders[version] = new FHIRBuilder({ fhirVersion: version });
+    return builders[version];
+}
+
+/**
+ * @param {string} version - Supported FHIR version
+ * @returns {string} - Content-Type of FHIR JSON in that version
+ */
+function contentType(version = DEFAULT_VERSION) {
+    return `application/fhir+json; fhirVersion=${version}`;
+}
+
+/**
+ * Send a FHIR resource labelled with the negotiated version. Other JSON sent
+ * by FHIR routes (e.g. reports wrapping a resource) stays application/json.
+ * @param {Object} res - Express response
+ * @param {Object} resource - FHIR resource
+ * @param {number} status - HTTP status
+ */
+function send(res, resource, status = 200) {
+    res.status(status).set('Content-Type', contentType(res.req.fhirVersion)).json(resource);
+}
+
+/**
+ * Express middleware: negotiate the FHIR version from Accept and expose it as
+ * req.fhirVersion with a matching req.fhirBuilder. Answers 406 with an R4 OperationOutcome when only unsupported
+ * versions are acceptable.
+ */
+function middleware(req, res, next) {
+    const { version, error } = negotiate(req.get('Accept'));
+    res.vary('Accept');
+    if (error) {
+        return res.status(406).type(contentType()).json(builderFor().createOperationOutcome([
+            { severity: 'error', code: 'not-supported', diagnostics: error }
+        ]));
+    }
+
+    req.fhirVersion = version;
+    req.fhirBuilder = builderFor(version);
+    next();
+}
+
+module.exports = {
+    DEFAULT_VERSION,
+    negotiate,
+    builderFor,
+    contentType,
+    send,
+    middleware
+};
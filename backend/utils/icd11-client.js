@@ -1,90 +1,396 @@
-const axios = require('axios');
+const { createProvider } = require('./icd11-providers');
+const icd11Code = require('./icd11-code');
+const PersistentLRUCache = require('./lru-cache');
+const { CircuitBreaker, UpstreamUnavailableError, retry } = require('./resilience');
+const UpstreamScheduler = require('./upstream-scheduler');
+
+const MODES = ['auto', 'local', 'remote'];
 
 class ICD11Client {
-    constructor() {
-        this.baseUrl = 'https://clinicaltables.nlm.nih.gov/api/icd11_codes/v3/search';
-        this.cache = new Map();
-        this.cacheExpiry = 60 * 60 * 1000; // 1 hour
+    /**
+     * @param {Object} options - { store, mode, provider, cache, cacheTtl }
+     *  - store: ICD11Store with an imported release, searched before the network
+     *  - mode: 'auto' (local first, remote fallback), 'local' (never call out) or 'remote'
+     *  - provider: remote provider instance, or config for createProvider (default NLM)
+     *  - cache: PersistentLRUCache for remote responses (default: in-memory, 1000 entries)
+     *  - cacheTtl: ms a search result stays fresh (default 1 hour)
+     *  - retry: { retries, baseDelay, maxDelay } for transient upstream failures
+     *  - circuit: { failureThreshold, resetTimeout } for the upstream circuit breaker
+     *  - scheduler: UpstreamScheduler shared by all remote calls (default: 4 concurrent calls)
+     */
+    constructor(options = {}) {
+        this.provider = options.provider && typeof options.provider.search === 'function'
+            ? options.provider
+            : createProvider(options.provider);
+        this.system = 'http://id.who.int/icd/release/11/mms';
+        this.store = options.store || null;
+        this.mode = MODES.includes(options.mode) ? options.mode : 'auto';
+        this.cacheTtl = options.cacheTtl || 60 * 60 * 1000; // 1 hour
+        this.cache = options.cache || new PersistentLRUCache({ defaultTtl: this.cacheTtl });
+        this.retryOptions = { retries: 2, baseDelay: 200, maxDelay: 2000, ...(options.retry || {}) };
+        this.breaker = new CircuitBreaker({ name: `ICD-11 ${this.provider.name}`, ...(options.circuit || {}) });
+        this.scheduler = options.scheduler || new UpstreamScheduler();
+    }
+
+    /**
+     * Whether searches are answered from the local release
+     * @returns {boolean}
+     */
+    get useLocal() {
+        return this.mode !== 'remote' && Boolean(this.store && this.store.loaded);
+    }
+
+    /**
+     * Whether the remote API may be called
+     * @returns {boolean}
+     */
+    get useRemote() {
+        return this.mode !== 'local';
     }
 
     /**
-     * Search ICD-11 codes using the NLM Clinical Tables API
+     * Search ICD-11 codes in the local release, falling back to the remote provider
      * @param {string} searchTerm - The term to search for
      * @param {number} maxResults - Maximum number of results to return
-     * @returns {Promise<Array>} - Array of search results
+     * @param {Object} options - { lane } scheduler lane for remote calls
+     * @returns {Promise<Array>} - Array of search results; rejects with UpstreamUnavailableError
      */
-    async search(searchTerm, maxResults = 10) {
+    async search(searchTerm, maxResults = 10, options = {}) {
+        return (await this.query(searchTerm, maxResults, options)).results;
+    }
+
+    /**
+     * Search and report where the answer came from
+     * @param {string} searchTerm - The term to search for
+     * @param {number} maxResults - Maximum number of results to return
+     * @param {Object} options - { lane } scheduler lane for remote calls
+     * @returns {Promise<Object>} - { results, status: 'ok'|'degraded', source, staleSince?, error? };
+     *   rejects with UpstreamUnavailableError when the upstream failed and nothing is cached
+     */
+    async query(searchTerm, maxResults = 10, options = {}) {
         if (!searchTerm || searchTerm.trim().length === 0) {
-            return [];
+            return { results: [], status: 'ok', source: 'none' };
         }
 
-        const cacheKey = `${searchTerm.toLowerCase()}_${maxResults}`;
-        
-        // Check cache first
-        if (this.cache.has(cacheKey)) {
+        if (this.useLocal) {
+            const local = this.searchLocal(searchTerm, maxResults);
+            if (local.length > 0 || !this.useRemote) {
+                return { results: local, status: 'ok', source: 'local' };
+            }
+        } else if (!this.useRemote) {
+            return { results: [], status: 'ok', source: 'none' };
+        }
+
+        return this.queryRemote(searchTerm, maxResults, options);
+    }
+
+    /**
+     * Search the imported ICD-11 release
+     * @param {string} searchTerm - The term to search for
+     * @param {number} maxResults - Maximum number of results to return
+     * @returns {Array} - Array of search results
+     */
+    searchLocal(searchTerm, maxResults = 10) {
+        return this.store.search(searchTerm, maxResults).map(({ entity }) => this.fromEntity(entity));
+    }
+
+    /**
+     * Look up a single ICD-11 code: title, parents and code kind
+     * @param {string} code - ICD-11 code
+     * @param {Object} options - { lane } scheduler lane for remote calls
+     * @returns {Promise<Object|null>} - Result as returned by search() (flagged `stale` when served
+     *   from an expired cache entry during an outage), or null if unknown; rejects with
+     *   UpstreamUnavailableError when the upstream failed and nothing is cached
+     */
+    async lookup(code, options = {}) {
+        const wanted = String(code || '').trim();
+        if (!wanted) return null;
+
+        if (this.useLocal) {
+            const entity = this.store.get(wanted);
+            if (entity && entity.classKind === 'category') {
+                return this.fromEntity(entity);
+            }
+            if (!this.useRemote) return null;
+        } else if (!this.useRemote) {
+            return null;
+        }
+
+        if (typeof this.provider.lookup === 'function') {
+            const cacheKey = this.cacheKey('lookup', wanted);
             const cached = this.cache.get(cacheKey);
-            if (Date.now() - cached.timestamp < this.cacheExpiry) {
-                return cached.data;
+            if (cached !== undefined) return cached;
+
+            try {
+                return await this.scheduler.run(cacheKey, async () => {
+                    const found = await this.callUpstream(() => this.provider.lookup(wanted));
+                    if (!found) return null;
+                    const result = this.fromRemote(found);
+                    this.cache.set(cacheKey, result, 24 * 60 * 60 * 1000);
+                    return result;
+                }, options.lane);
+            } catch (error) {
+                console.error(`❌ ICD-11 lookup failed for "${wanted}":`, error.message);
+                const stale = this.cache.getStale(cacheKey);
+                if (stale) return { ...stale.value, stale: true, staleSince: new Date(stale.storedAt).toISOString() };
+                throw this.unavailable(error, `ICD-11 lookup of ${wanted}`);
             }
-            this.cache.delete(cacheKey);
         }
 
-        try {
-            const url = `${this.baseUrl}?terms=${encodeURIComponent(searchTerm)}&maxList=${maxResults}`;
-            console.log(`🔍 Searching ICD-11: ${searchTerm}`);
-            
-            const response = await axios.get(url, {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'NAMASTE-ICD11-Integration/1.0'
-                }
-            });
+        const outcome = await this.queryRemote(wanted, 5, options);
+        const found = outcome.results.find(r => r.code.toUpperCase() === wanted.toUpperCase());
+        if (!found) return null;
+        return outcome.status === 'degraded' ? { ...found, stale: true, staleSince: outcome.staleSince } : found;
+    }
 
-            const results = this.parseResponse(response.data);
-            
-            // Cache the results
-            this.cache.set(cacheKey, {
-                data: results,
-                timestamp: Date.now()
-            });
+    /**
+     * Upstream status for a lookup() result
+     * @param {Object} result - Lookup result
+     * @returns {Object} - { status: 'ok' } or { status: 'degraded', source: 'stale-cache', staleSince }
+     */
+    lookupStatus(result) {
+        return result && result.stale
+            ? { status: 'degraded', provider: this.provider.name, source: 'stale-cache', staleSince: result.staleSince }
+            : { status: 'ok', provider: this.provider.name };
+    }
 
-            console.log(`✅ Found ${results.length} ICD-11 matches for "${searchTerm}"`);
-            return results;
+    /**
+     * Parse a code or postcoordination cluster and look up every component
+     * @param {string} code - e.g. "5A11", "5A11&XS25" or "SM00.1/MG26"
+     * @returns {Promise<Object>} - { valid, code, display, components: [{ code, role, operator, display }], errors, upstream };
+     *   rejects with UpstreamUnavailableError when a component cannot be checked
+     */
+    async resolveCode(code) {
+        const parsed = icd11Code.parse(code);
+        if (!parsed.valid) {
+            return { valid: false, code: parsed.code, display: null, components: parsed.components, errors: parsed.errors };
+        }
+
+        const errors = [];
+        const lane = this.scheduler.lane('resolve');
+        const components = await Promise.all(parsed.components.map(async component => {
+            const found = await this.lookup(component.code, { lane });
+            if (!found) {
+                errors.push({
+                    index: component.index,
+                    component: component.code,
+                    message: `Component ${component.index} "${component.code}" (${component.role}) was not found in ICD-11`
+                });
+                return component;
+            }
+            return {
+                ...component,
+                display: found.display,
+                ...(found.linearization ? { linearization: found.linearization } : {}),
+                ...(found.stale ? { stale: true } : {})
+            };
+        }));
+
+        errors.sort((a, b) => a.index - b.index);
+        return {
+            valid: errors.length === 0,
+            code: parsed.code,
+            display: errors.length === 0 ? icd11Code.clusterDisplay(components) : null,
+            components,
+            errors,
+            upstream: { status: components.some(c => c.stale) ? 'degraded' : 'ok' }
+        };
+    }
+
+    /**
+     * Convert a local release entity into the search result format
+     * @param {Object} entity - ICD11Store entity
+     * @returns {Object} - Search result with hierarchy details
+     */
+    fromEntity(entity) {
+        const type = entity.linearization === 'extension' ? 'extension' : 'stem';
+        const parents = this.store.ancestors(entity.id).map(p => ({
+            code: p.code || p.blockId || p.chapter,
+            display: p.title,
+            classKind: p.classKind
+        }));
+        return {
+            code: entity.code,
+            display: entity.title,
+            type,
+            fullDisplay: `${entity.code} ${entity.title}`,
+            system: this.system,
+            searchable: `${entity.code} ${entity.title}`.toLowerCase(),
+            confidence: this.calculateInitialConfidence(type),
+            classKind: entity.classKind,
+            linearization: entity.linearization,
+            chapter: entity.chapter,
+            isLeaf: entity.isLeaf,
+            parent: parents[0] || null,
+            parents,
+            source: 'local'
+        };
+    }
+
+    /**
+     * Search ICD-11 codes using the configured remote provider
+     * @param {string} searchTerm - The term to search for
+     * @param {number} maxResults - Maximum number of results to return
+     * @param {Object} options - { lane } scheduler lane
+     * @returns {Promise<Array>} - Array of search results; rejects with UpstreamUnavailableError
+     */
+    async searchRemote(searchTerm, maxResults = 10, options = {}) {
+        return (await this.queryRemote(searchTerm, maxResults, options)).results;
+    }
+
+    /**
+     * Remote search through the cache. When the provider fails, an expired cache
+     * entry is served instead and the outcome is marked degraded.
+     * @param {string} searchTerm - The term to search for
+     * @param {number} maxResults - Maximum number of results to return
+     * @param {Object} options - { lane } scheduler lane
+     * @returns {Promise<Object>} - As for query()
+     */
+    async queryRemote(searchTerm, maxResults = 10, options = {}) {
+        const cacheKey = this.cacheKey('search', searchTerm, maxResults);
+
+        // Check cache first
+        const cached = this.cache.get(cacheKey);
+        if (cached !== undefined) {
+            return { results: cached, status: 'ok', source: 'cache' };
+        }
 
+        try {
+            const results = await this.fetchRemote(searchTerm, maxResults, options);
+            console.log(`✅ Found ${results.length} ICD-11 matches for "${searchTerm}"`);
+            return { results, status: 'ok', source: this.provider.name };
         } catch (error) {
             console.error(`❌ ICD-11 search failed for "${searchTerm}":`, error.message);
-            return [];
+            const stale = this.cache.getStale(cacheKey);
+            if (stale) {
+                return {
+                    results: stale.value,
+                    status: 'degraded',
+                    source: 'stale-cache',
+                    staleSince: new Date(stale.storedAt).toISOString(),
+                    error: error.message
+                };
+            }
+            throw this.unavailable(error, `ICD-11 search for "${searchTerm}"`);
         }
     }
 
     /**
-     * Parse the API response into a standardized format
-     * @param {Array} apiResponse - Raw API response
-     * @returns {Array} - Parsed results
+     * Query the provider and cache the results, bypassing any cached entry.
+     * Empty results are kept for a shorter time so new upstream content shows up sooner.
+     * The call goes through the scheduler, so a search already queued or in flight
+     * for the same term is shared rather than repeated.
+     * @param {string} searchTerm - The term to search for
+     * @param {number} maxResults - Maximum number of results to return
+     * @param {Object} options - { lane } scheduler lane
+     * @returns {Promise<Array>} - Array of search results; throws on provider errors
      */
-    parseResponse(apiResponse) {
-        if (!apiResponse || !Array.isArray(apiResponse) || apiResponse.length < 4) {
-            return [];
-        }
+    async fetchRemote(searchTerm, maxResults = 10, options = {}) {
+        const cacheKey = this.cacheKey('search', searchTerm, maxResults);
+        return this.scheduler.run(cacheKey, async () => {
+            console.log(`🔍 Searching ICD-11 (${this.provider.name}): ${searchTerm}`);
+
+            const found = await this.callUpstream(() => this.provider.search(searchTerm, maxResults));
+            const results = found.map(r => this.fromRemote(r));
+            const ttl = results.length > 0 ? this.cacheTtl : Math.min(this.cacheTtl, 5 * 60 * 1000);
+            this.cache.set(cacheKey, results, ttl);
+            return results;
+        }, options.lane);
+    }
 
-        const [totalCount, codes, extraData, displayData, codeSystems] = apiResponse;
+    /**
+     * Call the provider through the circuit breaker, retrying transient failures
+     * with jittered exponential backoff
+     * @param {Function} fn - Provider call
+     * @returns {Promise<*>} - Provider result
+     */
+    callUpstream(fn) {
+        return this.breaker.execute(() => retry(fn, this.retryOptions));
+    }
 
-        if (!codes || !displayData) {
-            return [];
+    /**
+     * Wrap a provider failure for callers
+     * @param {Error} error - Provider or breaker error
+     * @param {string} what - Description of the failed call
+     * @returns {UpstreamUnavailableError}
+     */
+    unavailable(error, what) {
+        if (error instanceof UpstreamUnavailableError) {
+            error.provider = this.provider.name;
+            return error;
         }
+        return new UpstreamUnavailableError(`${what} failed: ${error.message}`, {
+            provider: this.provider.name,
+            retryAfter: this.breaker.retryAfter || 5,
+            cause: error
+        });
+    }
 
-        return codes.map((code, index) => {
-            const displayInfo = displayData[index] || [];
-            return {
-                code: code,
-                display: displayInfo[1] || 'Unknown',
-                type: displayInfo[2] || 'stem',
-                fullDisplay: displayInfo[0] || code,
-                system: 'http://id.who.int/icd/release/11/mms',
-                searchable: `${code} ${displayInfo[1] || ''}`.toLowerCase(),
-                confidence: this.calculateInitialConfidence(displayInfo[2])
-            };
+    /**
+     * Cache key for a remote call; keys are namespaced by provider so switching
+     * providers never serves another backend's answers
+     * @param {string} kind - 'search' or 'lookup'
+     * @param {string} term - Search term or code
+     * @param {number} maxResults - Result limit (searches only)
+     * @returns {string} - e.g. "search:nlm:fever:5"
+     */
+    cacheKey(kind, term, maxResults) {
+        const normalized = String(term).trim().toLowerCase();
+        return kind === 'search'
+            ? `search:${this.provider.name}:${normalized}:${maxResults}`
+            : `${kind}:${this.provider.name}:${normalized}`;
+    }
+
+    /**
+     * Pre-fetch searches into the cache
+     * @param {Array<string>} terms - Search terms
+     * @param {Object} options - { maxResults, refresh (re-fetch cached terms), concurrency }
+     * @returns {Promise<Object>} - { requested, fetched, alreadyCached, failed: [{ term, error }] }
+     */
+    async warmCache(terms, options = {}) {
+        const { maxResults = 5, refresh = false, concurrency = 4 } = options;
+        const unique = [...new Set((terms || []).map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+        const summary = { requested: unique.length, fetched: 0, alreadyCached: 0, failed: [] };
+
+        const pending = unique.filter(term => {
+            if (!refresh && this.cache.has(this.cacheKey('search', term, maxResults))) {
+                summary.alreadyCached++;
+                return false;
+            }
+            return true;
         });
+
+        const lane = this.scheduler.lane('warm');
+        const worker = async () => {
+            while (pending.length > 0) {
+                const term = pending.shift();
+                try {
+                    await this.fetchRemote(term, maxResults, { lane });
+                    summary.fetched++;
+                } catch (error) {
+                    summary.failed.push({ term, error: error.message });
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+        console.log(`🔥 Warmed ICD-11 cache: ${summary.fetched} fetched, ${summary.alreadyCached} already cached, ${summary.failed.length} failed`);
+        return summary;
+    }
+
+    /**
+     * Complete a provider result with the fields every caller expects
+     * @param {Object} result - { code, display, type, fullDisplay, ... } from the provider
+     * @returns {Object} - Search result
+     */
+    fromRemote(result) {
+        return {
+            ...result,
+            system: this.system,
+            searchable: `${result.code} ${result.display || ''}`.toLowerCase(),
+            confidence: this.calculateInitialConfidence(result.type),
+            source: this.provider.name
+        };
     }
 
     /**
@@ -105,125 +411,72 @@ class ICD11Client {
      * Find potential matches for NAMASTE terms
      * @param {Array} keywords - Array of keywords to search
      * @param {number} maxResults - Maximum results per keyword
-     * @returns {Promise<Array>} - Combined and scored results
+     * @param {Object} options - { lane } scheduler lane; defaults to a lane per call
+     * @returns {Promise<Array>} - Distinct results of all keywords, unranked; rejects with UpstreamUnavailableError
      */
-    async findMatches(keywords, maxResults = 5) {
-        if (!keywords || keywords.length === 0) {
-            return [];
-        }
-
-        try {
-            // Search for each keyword and collect all results
-            const allPromises = keywords.map(keyword => 
-                this.search(keyword.trim(), maxResults)
-            );
-
-            const allResults = await Promise.all(allPromises);
-            
-            // Flatten and deduplicate results
-            const uniqueResults = new Map();
-            
-            allResults.forEach(results => {
-                results.forEach(result => {
-                    if (!uniqueResults.has(result.code) || 
-                        uniqueResults.get(result.code).confidence < result.confidence) {
-                        uniqueResults.set(result.code, result);
-                    }
-                });
-            });
-
-            // Convert back to array and sort by confidence
-            return Array.from(uniqueResults.values())
-                .sort((a, b) => b.confidence - a.confidence)
-                .slice(0, maxResults * 2); // Return more results for better mapping
-
-        } catch (error) {
-            console.error('Error finding matches:', error);
-            return [];
-        }
+    async findMatches(keywords, maxResults = 5, options = {}) {
+        return (await this.findMatchesWithStatus(keywords, maxResults, options)).results;
     }
 
     /**
-     * Enhanced similarity calculation between NAMASTE and ICD-11 terms
-     * @param {string} namasteTerm - NAMASTE term
-     * @param {string} icd11Term - ICD-11 term
-     * @param {Array} namasteKeywords - NAMASTE keywords
-     * @returns {number} - Similarity score between 0 and 1
+     * Find potential matches and report the upstream status.
+     * Terms that failed upstream are skipped as long as at least one term was
+     * answered (live or from cache); the outcome is then marked degraded.
+     * @param {Array} keywords - Array of keywords to search
+     * @param {number} maxResults - Maximum results per keyword
+     * @param {Object} options - { lane } scheduler lane; defaults to a lane per call so
+     *   concurrent requests take turns at the upstream
+     * @returns {Promise<Object>} - { results (distinct, unranked), upstream: { status, provider, failedTerms?, staleTerms?, retryAfter? } };
+     *   rejects with UpstreamUnavailableError when no term could be answered
      */
-    calculateSimilarity(namasteTerm, icd11Term, namasteKeywords = []) {
-        if (!namasteTerm || !icd11Term) return 0;
-
-        const term1 = namasteTerm.toLowerCase().trim();
-        const term2 = icd11Term.toLowerCase().trim();
-
-        // Exact match
-        if (term1 === term2) return 1.0;
+    async findMatchesWithStatus(keywords, maxResults = 5, options = {}) {
+        if (!keywords || keywords.length === 0) {
+            return { results: [], upstream: { status: 'ok', provider: this.provider.name } };
+        }
 
-        // Check if one contains the other
-        if (term1.includes(term2) || term2.includes(term1)) {
-            return 0.9;
+        // Search for each keyword and collect all results; the scheduler limits
+        // how many of these reach the upstream at once
+        const lane = options.lane || this.scheduler.lane('match');
+        const outcomes = await Promise.all(keywords.map(keyword =>
+            this.query(keyword.trim(), maxResults, { lane })
+                .catch(error => {
+                    if (error instanceof UpstreamUnavailableError) return { term: keyword, failed: error };
+                    throw error;
+                })
+        ));
+
+        const failed = outcomes.filter(o => o.failed);
+        if (failed.length === outcomes.length) {
+            throw failed[0].failed;
         }
 
-        // Word-based similarity
-        const words1 = term1.split(/[\s\-,._]+/).filter(w => w.length > 2);
-        const words2 = term2.split(/[\s\-,._]+/).filter(w => w.length > 2);
-        
-        if (words1.length === 0 || words2.length === 0) return 0;
-
-        let matches = 0;
-        words1.forEach(word1 => {
-            words2.forEach(word2 => {
-                if (word1 === word2) {
-                    matches += 1;
-                } else if (word1.includes(word2) || word2.includes(word1)) {
-                    matches += 0.7;
-                } else if (this.isRelatedTerm(word1, word2)) {
-                    matches += 0.5;
+        // Flatten and deduplicate results
+        const uniqueResults = new Map();
+        outcomes.filter(o => !o.failed).forEach(({ results }) => {
+            results.forEach(result => {
+                if (!uniqueResults.has(result.code) ||
+                    uniqueResults.get(result.code).confidence < result.confidence) {
+                    uniqueResults.set(result.code, result);
                 }
             });
         });
 
-        let wordSimilarity = matches / Math.max(words1.length, words2.length);
-
-        // Keyword bonus
-        if (namasteKeywords.length > 0) {
-            const keywordMatches = namasteKeywords.filter(keyword => 
-                term2.includes(keyword.toLowerCase())
-            ).length;
-            const keywordBonus = keywordMatches / namasteKeywords.length * 0.3;
-            wordSimilarity = Math.min(1.0, wordSimilarity + keywordBonus);
-        }
-
-        return Math.round(wordSimilarity * 100) / 100; // Round to 2 decimal places
-    }
-
-    /**
-     * Check if two medical terms are related
-     * @param {string} term1 - First term
-     * @param {string} term2 - Second term
-     * @returns {boolean} - Whether terms are related
-     */
-    isRelatedTerm(term1, term2) {
-        const medicalSynonyms = {
-            'fever': ['pyrexia', 'hyperthermia', 'temperature'],
-            'diabetes': ['mellitus', 'diabetic'],
-            'hypertension': ['blood pressure', 'bp'],
-            'heart': ['cardiac', 'cardio'],
-            'breathing': ['respiratory', 'pulmonary', 'lung'],
-            'joint': ['articular', 'arthritis'],
-            'skin': ['dermal', 'dermatitis', 'cutaneous'],
-            'kidney': ['renal', 'nephritis'],
-            'liver': ['hepatic', 'hepatitis']
-        };
-
-        for (const [key, synonyms] of Object.entries(medicalSynonyms)) {
-            if ((term1.includes(key) && synonyms.some(s => term2.includes(s))) ||
-                (term2.includes(key) && synonyms.some(s => term1.includes(s)))) {
-                return true;
-            }
+        const staleTerms = keywords.filter((_, i) => outcomes[i].status === 'degraded');
+        const upstream = { status: 'ok', provider: this.provider.name };
+        if (failed.length > 0 || staleTerms.length > 0) {
+            Object.assign(upstream, {
+                status: 'degraded',
+                ...(failed.length > 0 ? {
+                    failedTerms: failed.map(o => o.term),
+                    retryAfter: Math.max(...failed.map(o => o.failed.retryAfter))
+                } : {}),
+                ...(staleTerms.length > 0 ? { staleTerms } : {})
+            });
         }
 
-        return false;
+        // Every distinct candidate is returned: relevance ranking and truncation
+        // are left to ConceptMapper.rank, after scoring
+        return { results: Array.from(uniqueResults.values()), upstream };
     }
 
     /**
@@ -236,12 +489,24 @@ class ICD11Client {
 
     /**
      * Get cache statistics
-     * @returns {Object} - Cache statistics
+     * @returns {Object} - Size, bounds and hit/miss/eviction counters (keys via cache.list())
      */
     getCacheStats() {
+        return this.cache.stats();
+    }
+
+    /**
+     * Describe where searches are answered from
+     * @returns {Object} - Mode, remote provider, local release, remote endpoint, circuit and scheduler state
+     */
+    getSourceInfo() {
         return {
-            size: this.cache.size,
-            entries: Array.from(this.cache.keys())
+            mode: this.mode,
+            provider: this.provider.describe(),
+            local: this.store ? this.store.stats() : { loaded: false },
+            remote: this.useRemote ? this.provider.describe().endpoint : null,
+            circuit: this.breaker.stats(),
+            scheduler: this.scheduler.stats()
         };
     }
 }
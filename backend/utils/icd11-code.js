@@ -0,0 +1,128 @@
+const { CODE_PATTERN } = require('./icd11-importer');
+
+/**
+ * ICD-11 code strings and postcoordination clusters.
+ *
+ * A cluster is a stem code optionally followed by further components:
+ *   `&` attaches an extension code (X...) to the stem before it, e.g. 5A11&XS25
+ *   `/` joins another stem code, e.g. a TM2 pattern with an MMS disease: SM00.1/MG26
+ * Extension codes can never stand alone or start a cluster.
+ */
+
+const OPERATORS = ['&', '/'];
+
+/**
+ * Whether a component is an extension code
+ * @param {string} code - Single ICD-11 code
+ * @returns {boolean}
+ */
+function isExtension(code) {
+    return String(code || '').toUpperCase().startsWith('X');
+}
+
+/**
+ * Whether a stem code belongs to chapter 26, the Traditional Medicine (TM2)
+ * module, whose codes are the only ones starting with S
+ * @param {string} code - Single ICD-11 code
+ * @returns {boolean}
+ */
+function isTM2(code) {
+    return /^S[A-Z]/.test(String(code || '').toUpperCase());
+}
+
+/**
+ * Kind of mapping target a code or cluster is
+ * @param {string} input - Code or cluster
+ * @returns {string} - 'tm2' (chapter 26 pattern), 'mms' (biomedical) or 'pair' (TM2 and MMS stems joined with `/`)
+ */
+function targetKind(input) {
+    const stems = parse(input).components.map(c => c.code).filter(code => !isExtension(code));
+    const tm2 = stems.filter(isTM2).length;
+    if (tm2 > 0 && tm2 < stems.length) return 'pair';
+    return tm2 > 0 ? 'tm2' : 'mms';
+}
+
+/**
+ * Split a code string into components and check its syntax
+ * @param {string} input - Code or cluster as entered
+ * @returns {Object} - { valid, input, code, stem, components: [{ code, role, operator, index }], errors }
+ */
+function parse(input) {
+    const errors = [];
+    const code = String(input || '').replace(/\s+/g, '').toUpperCase();
+
+    if (!code) {
+        return { valid: false, input, code, stem: null, components: [], errors: [{ message: 'ICD-11 code is empty' }] };
+    }
+
+    const components = [];
+    let operator = null;
+    let current = '';
+    const flush = () => {
+        const index = components.length + 1;
+        if (!current) {
+            errors.push({
+                index,
+                message: operator
+                    ? `Component ${index} after "${operator}" is empty`
+                    : 'Cluster cannot start with an operator'
+            });
+        } else {
+            components.push({ code: current, operator, index });
+        }
+        current = '';
+    };
+
+    for (const ch of code) {
+        if (OPERATORS.includes(ch)) {
+            flush();
+            operator = ch;
+        } else {
+            current += ch;
+        }
+    }
+    flush();
+
+    const seen = new Set();
+    components.forEach(component => {
+        const { code: part, index, operator: op } = component;
+        component.role = index === 1 ? 'stem' : isExtension(part) ? 'extension' : 'stem';
+
+        if (!CODE_PATTERN.test(part)) {
+            errors.push({ index, component: part, message: `Component ${index} "${part}" is not a valid ICD-11 code` });
+        } else if (index === 1 && isExtension(part)) {
+            errors.push({ index, component: part, message: `Cluster must start with a stem code; ${part} is an extension code` });
+        } else if (op === '&' && !isExtension(part)) {
+            errors.push({ index, component: part, message: `Component ${index} "${part}" follows "&" but is a stem code; join stem codes with "/"` });
+        } else if (op === '/' && isExtension(part)) {
+            errors.push({ index, component: part, message: `Component ${index} "${part}" follows "/" but is an extension code; attach extensions with "&"` });
+        }
+
+        if (seen.has(part)) {
+            errors.push({ index, component: part, message: `Component ${index} "${part}" is repeated` });
+        }
+        seen.add(part);
+    });
+
+    return {
+        valid: errors.length === 0,
+        input,
+        code,
+        stem: components.length > 0 ? components[0].code : null,
+        components,
+        errors
+    };
+}
+
+/**
+ * Human-readable display for a resolved cluster, e.g. "Type 2 diabetes mellitus & Severe"
+ * @param {Array} components - Components with display text
+ * @returns {string} - Display
+ */
+function clusterDisplay(components) {
+    return components
+        .map(c => (c.operator ? ` ${c.operator} ` : '') + (c.display || c.code))
+        .join('');
+}
+
+module.exports = { parse, isExtension, isTM2, targetKind, clusterDisplay };
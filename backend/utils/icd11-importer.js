@@ -0,0 +1,201 @@
+const { readRecords, normaliseHeader } = require('./namaste-importer');
+
+/**
+ * Column aliases used by the WHO ICD-11 "simple tabulation" files
+ * (LinearizationMiniOutput-MMS-en / -TM2 in TXT or XLSX form). Header names
+ * are compared after normaliseHeader().
+ */
+const COLUMN_ALIASES = {
+    foundationUri: ['foundationuri'],
+    uri: ['linearizationuri', 'linearizationreleaseuri', 'uri'],
+    code: ['code'],
+    blockId: ['blockid'],
+    title: ['title'],
+    classKind: ['classkind'],
+    isResidual: ['isresidual'],
+    chapter: ['chapterno', 'chapter'],
+    browserLink: ['browserlink'],
+    isLeaf: ['isleaf']
+};
+
+const CLASS_KINDS = ['chapter', 'block', 'category'];
+
+// Stem and extension codes: e.g. 5A11, 1A00.0, XK9K, SA00.01 (letters I and O are never used)
+const CODE_PATTERN = /^[0-9A-HJ-NP-Z][A-HJ-NP-Z][0-9][0-9A-HJ-NP-Z](\.[0-9A-HJ-NP-Z]{1,2})?$/;
+
+/**
+ * Which part of the classification an entity belongs to
+ * @param {string} chapter - Chapter number from the tabulation
+ * @param {string} override - Linearization declared for the whole file
+ * @returns {string} - 'mms', 'tm2' or 'extension'
+ */
+function linearizationFor(chapter, override) {
+    if (override) return override;
+    if (chapter === '26') return 'tm2';
+    if (chapter === 'X') return 'extension';
+    return 'mms';
+}
+
+function isTrue(value) {
+    return /^(true|yes|1)$/i.test(String(value || '').trim());
+}
+
+/**
+ * Parse and validate one simple-tabulation file.
+ *
+ * Hierarchy is not a column in the tabulation: every title is prefixed with
+ * one "- " per level below its chapter, so parents are recovered from the
+ * row order with a depth stack.
+ *
+ * @param {Object} file - { content, encoding?, format?, filename?, sheet?, linearization? }
+ * @returns {Object} - { entities, version, errors, warnings }
+ */
+function parseFile(file) {
+    const errors = [];
+    const warnings = [];
+    const source = file.filename || 'upload';
+    const override = file.linearization ? String(file.linearization).toLowerCase() : '';
+
+    if (override && !['mms', 'tm2'].includes(override)) {
+        errors.push({ file: source, field: 'linearization', message: 'linearization must be mms or tm2' });
+        return { entities: [], version: null, errors, warnings };
+    }
+
+    let records;
+    try {
+        records = readRecords(file);
+    } catch (error) {
+        errors.push({ file: source, message: `Could not read file: ${error.message}` });
+        return { entities: [], version: null, errors, warnings };
+    }
+
+    if (records.length === 0) {
+        errors.push({ file: source, message: 'File contains no data rows' });
+        return { entities: [], version: null, errors, warnings };
+    }
+
+    // The release is only named in a header such as "Version:2025 Jan 01 - 22:30 UTC"
+    const versionHeader = Object.keys(records[0]).find(key => /^version\s*:/i.test(key));
+    const version = versionHeader ? versionHeader.replace(/^version\s*:\s*/i, '').trim() : null;
+
+    const entities = [];
+    const seen = new Map();
+    const stack = [];
+
+    records.forEach(raw => {
+        const row = raw.__row;
+        const byHeader = {};
+        Object.keys(raw).forEach(key => {
+            if (key !== '__row') byHeader[normaliseHeader(key)] = raw[key];
+        });
+        const pick = field => {
+            const alias = COLUMN_ALIASES[field].find(a => byHeader[a] !== undefined && byHeader[a] !== '');
+            return alias ? String(byHeader[alias]).trim() : '';
+        };
+
+        const rawTitle = pick('title');
+        const prefix = rawTitle.match(/^(-\s*)*/)[0];
+        const depth = (prefix.match(/-/g) || []).length;
+        const title = rawTitle.slice(prefix.length).trim();
+        const classKind = pick('classKind').toLowerCase();
+        const code = pick('code').toUpperCase();
+        const blockId = pick('blockId');
+        const chapter = pick('chapter').replace(/^0(?=\d)/, '');
+
+        if (!title) {
+            errors.push({ file: source, row, field: 'title', message: 'Missing title' });
+            return;
+        }
+        if (!CLASS_KINDS.includes(classKind)) {
+            errors.push({ file: source, row, field: 'classKind', message: `Unknown class kind "${classKind}"` });
+            return;
+        }
+        if (classKind === 'category' && !code) {
+            errors.push({ file: source, row, field: 'code', message: `Missing code for "${title}"` });
+            return;
+        }
+        if (code && !CODE_PATTERN.test(code)) {
+            errors.push({ file: source, row, field: 'code', message: `Invalid ICD-11 code "${code}"` });
+            return;
+        }
+
+        const id = code || blockId || (classKind === 'chapter' && chapter ? `chapter-${chapter}` : '');
+        if (!id) {
+            errors.push({ file: source, row, field: 'blockId', message: `Missing BlockId for "${title}"` });
+            return;
+        }
+        if (seen.has(id)) {
+            errors.push({ file: source, row, field: 'code', message: `Duplicate entity ${id} (first seen on row ${seen.get(id)})` });
+            return;
+        }
+
+        if (depth > stack.length) {
+            warnings.push({ file: source, row, field: 'title', message: `${id} is nested deeper than the row before it` });
+        }
+        stack.length = Math.min(depth, stack.length);
+        const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+        stack.push(id);
+
+        seen.set(id, row);
+        entities.push({
+            id,
+            code,
+            ...(blockId ? { blockId } : {}),
+            title,
+            classKind,
+            depth,
+            parent,
+            chapter,
+            linearization: linearizationFor(chapter, override),
+            isLeaf: isTrue(pick('isLeaf')),
+            isResidual: isTrue(pick('isResidual')),
+            ...(pick('uri') ? { uri: pick('uri') } : {}),
+            ...(pick('foundationUri') ? { foundationUri: pick('foundationUri') } : {})
+        });
+    });
+
+    return { entities, version, errors, warnings };
+}
+
+/**
+ * Parse and validate the MMS and TM2 tabulation files of one release
+ * @param {Array<Object>} files - Files as accepted by parseFile
+ * @returns {Object} - { valid, version, entities, counts, errors, warnings }
+ */
+function parseFiles(files = []) {
+    const errors = [];
+    const warnings = [];
+    const entities = [];
+    const owner = new Map();
+    let version = null;
+
+    if (!Array.isArray(files) || files.length === 0) {
+        errors.push({ message: 'At least one file is required' });
+    }
+
+    (files || []).forEach(file => {
+        const result = parseFile(file);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+        version = version || result.version;
+
+        // The TM2 tabulation repeats the MMS chapter 26 rows; the first file wins
+        result.entities.forEach(entity => {
+            if (owner.has(entity.id)) {
+                warnings.push({ file: file.filename, message: `${entity.id} already imported from ${owner.get(entity.id)}` });
+                return;
+            }
+            owner.set(entity.id, file.filename || 'upload');
+            entities.push(entity);
+        });
+    });
+
+    const counts = entities.reduce((acc, entity) => {
+        acc[entity.linearization] = (acc[entity.linearization] || 0) + 1;
+        return acc;
+    }, {});
+
+    return { valid: errors.length === 0, version, entities, counts, errors, warnings };
+}
+
+module.exports = { CODE_PATTERN, parseFile, parseFiles };
@@ -0,0 +1,406 @@
+const axios = require('axios');
+const fs = require('fs');
+
+const USER_AGENT = 'NAMASTE-ICD11-Integration/1.0';
+
+/**
+ * Remote ICD-11 search backends used by ICD11Client.
+ *
+ * Every provider implements:
+ *  - name: configuration key ('nlm', 'who', 'mock', 'replay')
+ *  - search(term, maxResults) → Promise<Array<{ code, display, type, fullDisplay }>>
+ *  - lookup(code) → Promise<Object|null> (optional; the client falls back to search)
+ *  - describe() → { name, endpoint, ... } for /api/terminology/stats
+ * Providers throw on transport errors; caching and fallbacks live in the client.
+ */
+
+/**
+ * NLM Clinical Tables ICD-11 search (no authentication, MMS stems and extensions)
+ */
+class NlmProvider {
+    /**
+     * @param {Object} options - { baseUrl (host, e.g. https://clinicaltables.nlm.nih.gov), timeout }
+     */
+    constructor(options = {}) {
+        this.name = 'nlm';
+        this.baseUrl = (options.baseUrl || 'https://clinicaltables.nlm.nih.gov').replace(/\/$/, '');
+        this.searchUrl = `${this.baseUrl}/api/icd11_codes/v3/search`;
+        this.timeout = options.timeout || 10000;
+    }
+
+    async search(term, maxResults = 10) {
+        const url = `${this.searchUrl}?terms=${encodeURIComponent(term)}&maxList=${maxResults}`;
+        const response = await axios.get(url, {
+            timeout: this.timeout,
+            headers: { 'User-Agent': USER_AGENT }
+        });
+        return this.parseResponse(response.data);
+    }
+
+    /**
+     * Parse the Clinical Tables response into a standardized format
+     * @param {Array} apiResponse - Raw API response [total, codes, extra, display]
+     * @returns {Array} - Parsed results
+     */
+    parseResponse(apiResponse) {
+        if (!apiResponse || !Array.isArray(apiResponse) || apiResponse.length < 4) {
+            return [];
+        }
+
+        const [, codes, , displayData] = apiResponse;
+
+        if (!codes || !displayData) {
+            return [];
+        }
+
+        return codes.map((code, index) => {
+            const displayInfo = displayData[index] || [];
+            return {
+                code,
+                display: displayInfo[1] || 'Unknown',
+                type: displayInfo[2] || 'stem',
+                fullDisplay: displayInfo[0] || code
+            };
+        });
+    }
+
+    describe() {
+        return { name: this.name, endpoint: this.searchUrl };
+    }
+}
+
+/**
+ * WHO ICD-API (https://icd.who.int/icdapi) with OAuth2 client-credentials.
+ * Also works against a self-hosted ICD-API container, which needs no token:
+ * leave clientId empty and point baseUrl at the container.
+ */
+class WhoProvider {
+    /**
+     * @param {Object} options - { baseUrl, tokenUrl, clientId, clientSecret, scope,
+     *                             release, linearization, language, apiVersion, timeout }
+     */
+    constructor(options = {}) {
+        this.name = 'who';
+        this.baseUrl = (options.baseUrl || 'https://id.who.int').replace(/\/$/, '');
+        this.tokenUrl = options.tokenUrl || 'https://icdaccessmanagement.who.int/connect/token';
+        this.clientId = options.clientId || '';
+        this.clientSecret = options.clientSecret || '';
+        this.scope = options.scope || 'icdapi_access';
+        this.release = options.release || '2024-01';
+        this.linearization = options.linearization || 'mms';
+        this.language = options.language || 'en';
+        this.apiVersion = options.apiVersion || 'v2';
+        this.timeout = options.timeout || 10000;
+        this.token = null;
+        this.tokenRequest = null;
+    }
+
+    /**
+     * Base URL of the selected release and linearization
+     * @returns {string}
+     */
+    get linearizationUrl() {
+        return `${this.baseUrl}/icd/release/11/${this.release}/${this.linearization}`;
+    }
+
+    /**
+     * Fetch (or reuse) an access token. Concurrent callers share one token request.
+     * @returns {Promise<string|null>} - Bearer token, or null when no credentials are configured
+     */
+    async getToken() {
+        if (!this.clientId) return null;
+        if (this.token && Date.now() < this.token.expiresAt) return this.token.value;
+
+        if (!this.tokenRequest) {
+            const body = new URLSearchParams({
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                scope: this.scope,
+                grant_type: 'client_credentials'
+            });
+            this.tokenRequest = axios.post(this.tokenUrl, body.toString(), {
+                timeout: this.timeout,
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'User-Agent': USER_AGENT }
+            })
+                .then(response => {
+                    const { access_token: value, expires_in: expiresIn = 3600 } = response.data || {};
+                    if (!value) throw new Error('ICD-API token response did not include an access_token');
+                    // Renew a minute early so in-flight requests never carry an expired token
+                    this.token = { value, expiresAt: Date.now() + Math.max(0, expiresIn - 60) * 1000 };
+                    return value;
+                })
+                .finally(() => {
+                    this.tokenRequest = null;
+                });
+        }
+        return this.tokenRequest;
+    }
+
+    /**
+     * GET a path of the ICD-API with auth and language headers; retries once on 401
+     * @param {string} url - Absolute URL
+     * @param {Object} params - Query parameters
+     * @param {boolean} retried - Whether this is the retry after a rejected token
+     * @returns {Promise<Object>} - Response body
+     */
+    async request(url, params = {}, retried = false) {
+        const token = await this.getToken();
+        try {
+            const response = await axios.get(url, {
+                params,
+                timeout: this.timeout,
+                headers: {
+                    Accept: 'application/json',
+                    'Accept-Language': this.language,
+                    'API-Version': this.apiVersion,
+                    'User-Agent': USER_AGENT,
+                    ...(token ? { Authorization: `Bearer ${token}` } : {})
+                }
+            });
+            return response.data;
+        } catch (error) {
+            if (!retried && token && error.response && error.response.status === 401) {
+                this.token = null;
+                return this.request(url, params, true);
+            }
+            throw error;
+        }
+    }
+
+    async search(term, maxResults = 10) {
+        const data = await this.request(`${this.linearizationUrl}/search`, {
+            q: term,
+            flatResults: true,
+            highlightingEnabled: false,
+            useFlexisearch: false
+        });
+        if (data && data.error) {
+            throw new Error(data.errorMessage || 'ICD-API search failed');
+        }
+
+        return ((data && data.destinationEntities) || [])
+            .filter(entity => entity.theCode)
+            .slice(0, maxResults)
+            .map(entity => {
+                const display = stripTags(entity.title);
+                return {
+                    code: entity.theCode,
+                    display,
+                    type: entity.theCode.startsWith('X') ? 'extension' : 'stem',
+                    fullDisplay: `${entity.theCode} ${display}`,
+                    uri: entity.id
+                };
+            });
+    }
+
+    /**
+     * Resolve a code through /codeinfo and fetch its entity for title and parents
+     * @param {string} code - ICD-11 code
+     * @returns {Promise<Object|null>} - Result or null when the code is unknown
+     */
+    async lookup(code) {
+        let info;
+        try {
+            info = await this.request(`${this.linearizationUrl}/codeinfo/${encodeURIComponent(code)}`);
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw error;
+        }
+        if (!info || !info.stemId) return null;
+
+        const entity = await this.request(this.toBaseUrl(info.stemId));
+        const display = languageValue(entity.title);
+        const resolved = entity.code || code;
+        return {
+            code: resolved,
+            display,
+            type: resolved.startsWith('X') ? 'extension' : 'stem',
+            fullDisplay: `${resolved} ${display}`,
+            classKind: entity.classKind,
+            uri: info.stemId
+        };
+    }
+
+    /**
+     * Entity URIs always name id.who.int; rewrite them for a self-hosted or mock base URL
+     * @param {string} uri - Entity URI from the API
+     * @returns {string} - URL to fetch
+     */
+    toBaseUrl(uri) {
+        return String(uri).replace(/^https?:\/\/id\.who\.int/, this.baseUrl);
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            endpoint: this.linearizationUrl,
+            release: this.release,
+            linearization: this.linearization,
+            language: this.language,
+            authenticated: Boolean(this.clientId)
+        };
+    }
+}
+
+/**
+ * WHO ICD-API provider pointed at the local mock server (backend/mock/icd11-server.js)
+ */
+class MockProvider extends WhoProvider {
+    constructor(options = {}) {
+        const baseUrl = options.baseUrl || 'http://localhost:4010';
+        super({
+            ...options,
+            baseUrl,
+            tokenUrl: options.tokenUrl || `${baseUrl}/connect/token`,
+            clientId: options.clientId || 'mock-client',
+            clientSecret: options.clientSecret || 'mock-secret'
+        });
+        this.name = 'mock';
+    }
+}
+
+/**
+ * Search key of a fixture: the term as the client sends it, lower-cased
+ */
+function fixtureKey(term) {
+    return String(term || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Serves recorded provider responses from a fixture document, for offline
+ * evaluation and demos. Terms without a recording answer with no results
+ * and are listed in `missing` so stale fixtures can be spotted.
+ *
+ * Fixture document: { provider, recordedAt, maxResults, searches: { term: [results] }, lookups: { code: result|null } }
+ */
+class ReplayProvider {
+    /**
+     * @param {Object} options - { fixtures (document) or fixtureFile (path to one) }
+     */
+    constructor(options = {}) {
+        this.name = 'replay';
+        this.fixtureFile = options.fixtureFile || null;
+        this.fixtures = options.fixtures ||
+            (this.fixtureFile ? JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8')) : { searches: {}, lookups: {} });
+        this.missing = new Set();
+    }
+
+    async search(term, maxResults = 10) {
+        const recorded = (this.fixtures.searches || {})[fixtureKey(term)];
+        if (!recorded) {
+            this.missing.add(fixtureKey(term));
+            return [];
+        }
+        return recorded.slice(0, maxResults);
+    }
+
+    async lookup(code) {
+        const lookups = this.fixtures.lookups || {};
+        const key = String(code || '').toUpperCase();
+        if (key in lookups) return lookups[key];
+        return (Object.values(this.fixtures.searches || {}).flat().find(r => String(r.code).toUpperCase() === key)) || null;
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            endpoint: this.fixtureFile || 'inline fixtures',
+            recordedFrom: this.fixtures.provider || null,
+            recordedAt: this.fixtures.recordedAt || null,
+            searches: Object.keys(this.fixtures.searches || {}).length,
+            missing: this.missing.size
+        };
+    }
+}
+
+/**
+ * Wraps a live provider and records every response in ReplayProvider's fixture format
+ */
+class RecordingProvider {
+    /**
+     * @param {Object} provider - Live provider
+     * @param {Object} options - { maxResults } stored with the fixtures
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.name = provider.name;
+        this.fixtures = {
+            provider: provider.name,
+            recordedAt: new Date().toISOString(),
+            maxResults: options.maxResults || null,
+            searches: {},
+            lookups: {}
+        };
+    }
+
+    async search(term, maxResults = 10) {
+        const results = await this.provider.search(term, maxResults);
+        this.fixtures.searches[fixtureKey(term)] = results;
+        return results;
+    }
+
+    async lookup(code) {
+        if (typeof this.provider.lookup !== 'function') return null;
+        const result = await this.provider.lookup(code);
+        this.fixtures.lookups[String(code).toUpperCase()] = result;
+        return result;
+    }
+
+    describe() {
+        return { ...this.provider.describe(), recording: true };
+    }
+}
+
+function stripTags(text) {
+    return String(text || '').replace(/<[^>]*>/g, '');
+}
+
+/**
+ * Read a JSON-LD language value ({ "@language": "en", "@value": "..." }) or plain string
+ */
+function languageValue(value) {
+    if (value && typeof value === 'object') return value['@value'] || '';
+    return String(value || '');
+}
+
+const PROVIDERS = {
+    nlm: NlmProvider,
+    who: WhoProvider,
+    mock: MockProvider,
+    replay: ReplayProvider
+};
+
+/**
+ * Create the provider named by configuration
+ * @param {Object} config - { provider, baseUrl, ... } (see each provider's options)
+ * @returns {Object} - Provider instance
+ */
+function createProvider(config = {}) {
+    const name = String(config.provider || 'nlm').toLowerCase();
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown ICD-11 provider "${config.provider}"; use one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider(config);
+}
+
+/**
+ * Provider configuration from environment variables
+ * @param {Object} env - process.env
+ * @returns {Object} - Config for createProvider
+ */
+function configFromEnv(env = process.env) {
+    return {
+        provider: env.ICD11_PROVIDER || 'nlm',
+        baseUrl: env.ICD11_API_BASE || undefined,
+        tokenUrl: env.ICD11_TOKEN_URL || undefined,
+        clientId: env.ICD11_CLIENT_ID || undefined,
+        clientSecret: env.ICD11_CLIENT_SECRET || undefined,
+        release: env.ICD11_RELEASE || undefined,
+        linearization: env.ICD11_LINEARIZATION || undefined,
+        language: env.ICD11_LANGUAGE || undefined,
+        fixtureFile: env.ICD11_FIXTURES || undefined
+    };
+}
+
+module.exports = { NlmProvider, WhoProvider, MockProvider, ReplayProvider, RecordingProvider, createProvider, configFromEnv };
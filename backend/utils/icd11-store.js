@@ -0,0 +1,171 @@
+const EventEmitter = require('events');
+const path = require('path');
+
+const JsonStore = require('./json-store');
+const SearchEngine = require('./search-engine');
+const importer = require('./icd11-importer');
+
+/**
+ * Searchable ICD-11 entity fields and their BM25F weights
+ */
+const ICD11_FIELDS = [
+    { name: 'code', weight: 4, values: e => [e.code] },
+    { name: 'title', weight: 3, values: e => [e.title] }
+];
+
+/**
+ * Offline copy of an ICD-11 release (MMS plus the chapter 26 TM2 module).
+ *
+ * Entities come from the WHO simple-tabulation files and are kept under
+ * `<dataDir>/icd11/release.json`. Chapters and blocks are stored for the
+ * hierarchy but only coded categories are searchable. A 'change' event is
+ * emitted after each import.
+ */
+class ICD11Store extends EventEmitter {
+    /**
+     * @param {Object} options - { dataDir }
+     */
+    constructor(options = {}) {
+        super();
+        this.store = new JsonStore(path.join(options.dataDir, 'icd11', 'release.json'), null);
+        this.load();
+        this.index = new SearchEngine(this, { fields: ICD11_FIELDS, label: 'ICD-11 entities' });
+    }
+
+    /**
+     * Load the stored release, if any
+     */
+    load() {
+        const stored = this.store.read();
+        this.meta = stored ? stored.meta : null;
+        this.entities = stored ? stored.entities : [];
+        this.byId = new Map(this.entities.map(e => [e.id, e]));
+        this.children = new Map();
+        this.entities.forEach(entity => {
+            if (!entity.parent) return;
+            if (!this.children.has(entity.parent)) this.children.set(entity.parent, []);
+            this.children.get(entity.parent).push(entity.id);
+        });
+        if (this.meta) {
+            console.log(`📦 Loaded ICD-11 release ${this.meta.release} (${this.entities.length} entities)`);
+        }
+    }
+
+    /**
+     * Whether a release has been imported
+     * @returns {boolean}
+     */
+    get loaded() {
+        return this.entities.length > 0;
+    }
+
+    /**
+     * Coded categories, as indexed for search
+     * @returns {Array} - Entities
+     */
+    list() {
+        return this.entities.filter(e => e.classKind === 'category');
+    }
+
+    /**
+     * Look up an entity by code (or BlockId)
+     * @param {string} code - ICD-11 code
+     * @returns {Object|null} - Entity
+     */
+    get(code) {
+        const id = String(code || '').trim();
+        return this.byId.get(id) || this.byId.get(id.toUpperCase()) || null;
+    }
+
+    /**
+     * Parent chain from the direct parent up to the chapter
+     * @param {string} code - ICD-11 code
+     * @returns {Array} - Entities
+     */
+    ancestors(code) {
+        const result = [];
+        let current = this.get(code);
+        while (current && current.parent && result.length < 32) {
+            current = this.byId.get(current.parent);
+            if (current) result.push(current);
+        }
+        return result;
+    }
+
+    /**
+     * Direct children of an entity
+     * @param {string} code - ICD-11 code or BlockId
+     * @returns {Array} - Entities
+     */
+    childrenOf(code) {
+        const entity = this.get(code);
+        return entity ? (this.children.get(entity.id) || []).map(id => this.byId.get(id)) : [];
+    }
+
+    /**
+     * Ranked local search over coded categories
+     * @param {string} term - Search text
+     * @param {number} maxResults - Maximum results
+     * @returns {Array} - [{ entity, score }]
+     */
+    search(term, maxResults = 10) {
+        return this.index.search(term, { limit: maxResults })
+            .results.map(r => ({ entity: r.concept, score: r.score }));
+    }
+
+    /**
+     * Validate tabulation files without importing them
+     * @param {Array} files - Files for icd11-importer.parseFiles
+     * @returns {Object} - { valid, version, counts, errors, warnings }
+     */
+    validate(files) {
+        const { entities, ...summary } = importer.parseFiles(files);
+        return { ...summary, entities: entities.length };
+    }
+
+    /**
+     * Replace the local release with the given tabulation files
+     * @param {Object} options - { files, release? }
+     * @returns {Object} - { success, release, validation }
+     */
+    importRelease({ files, release } = {}) {
+        const parsed = importer.parseFiles(files);
+        const { entities, ...summary } = parsed;
+        const validation = { ...summary, entities: entities.length };
+
+        if (!parsed.valid) {
+            return { success: false, release: null, validation };
+        }
+
+        const meta = {
+            release: release || parsed.version || new Date().toISOString().slice(0, 10),
+            importedAt: new Date().toISOString(),
+            files: (files || []).map(f => f.filename || 'upload'),
+            counts: parsed.counts,
+            entities: entities.length
+        };
+
+        this.store.write({ meta, entities });
+        this.load();
+        this.emit('change');
+
+        console.log(`📦 Imported ICD-11 release ${meta.release} (${entities.length} entities)`);
+        return { success: true, release: meta, validation };
+    }
+
+    /**
+     * @returns {Object} - Release metadata and entity counts
+     */
+    stats() {
+        return {
+            loaded: this.loaded,
+            release: this.meta ? this.meta.release : null,
+            importedAt: this.meta ? this.meta.importedAt : null,
+            entities: this.entities.length,
+            categories: this.list().length,
+            counts: this.meta ? this.meta.counts : {}
+        };
+    }
+}
+
+module.exports = ICD11Store;
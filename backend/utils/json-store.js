@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Small file-backed JSON document store.
+ * Writes go to a temporary file first and are renamed into place so a crash
+ * mid-write never leaves a truncated document behind. A document that exists
+ * but cannot be read or parsed is never overwritten: read() falls back to the
+ * default value and write() throws until the file is repaired or removed.
+ */
+class JsonStore {
+    /**
+     * @param {string} filePath - Absolute path of the JSON document
+     * @param {*} defaultValue - Value returned when the document does not exist yet
+     */
+    constructor(filePath, defaultValue = null) {
+        this.filePath = filePath;
+        this.defaultValue = defaultValue;
+        // Why the document on disk could not be read, if it could not
+        this.unreadable = null;
+    }
+
+    /**
+     * Read the document from disk
+     * @returns {*} - Parsed document, or a copy of the default value
+     */
+    read() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.unreadable = null;
+            return data;
+        } catch (error) {
+            this.unreadable = error.code === 'ENOENT' ? null : error.message;
+            if (this.unreadable) {
+                console.error(`❌ Failed to read ${this.filePath}, it will not be overwritten:`, error.message);
+            }
+            return JSON.parse(JSON.stringify(this.defaultValue));
+        }
+    }
+
+    /**
+     * Atomically replace the document on disk
+     * @param {*} data - JSON-serialisable value
+     * @throws {Error} - When the last read() failed on an existing document
+     */
+    write(data) {
+        if (this.unreadable) {
+            throw new Error(`Refusing to overwrite ${this.filePath}, which could not be read (${this.unreadable})`);
+        }
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Whether the document exists on disk
+     * @returns {boolean}
+     */
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    /**
+     * Delete the document from disk
+     */
+    remove() {
+        fs.rmSync(this.filePath, { force: true });
+        this.unreadable = null;
+    }
+}
+
+module.exports = JsonStore;
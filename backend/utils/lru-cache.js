@@ -0,0 +1,276 @@
+const JsonStore = require('./json-store');
+
+/**
+ * Size-bounded LRU cache with per-entry TTLs, persisted to a JSON file.
+ *
+ * Recency is the insertion order of a Map: a hit moves the key to the end
+ * and the first key is evicted when the cache is full. Writes to disk are
+ * debounced and flushed once more on process exit, so the cache survives
+ * restarts without a disk write per request.
+ *
+ * Expired entries are kept for up to maxStale so callers can fall back to
+ * them with getStale() while the source of truth is unreachable.
+ */
+class PersistentLRUCache {
+    /**
+     * @param {Object} options - { filePath, maxEntries, defaultTtl (ms), maxStale (ms), flushDelay (ms) }
+     */
+    constructor(options = {}) {
+        this.store = options.filePath ? new JsonStore(options.filePath, null) : null;
+        this.maxEntries = options.maxEntries || 1000;
+        this.defaultTtl = options.defaultTtl || 60 * 60 * 1000;
+        this.maxStale = options.maxStale === undefined ? 7 * 24 * 60 * 60 * 1000 : options.maxStale;
+        this.flushDelay = options.flushDelay === undefined ? 1000 : options.flushDelay;
+        this.entries = new Map();
+        this.counters = { hits: 0, misses: 0, staleHits: 0, evictions: 0, expirations: 0, writes: 0 };
+        this.flushTimer = null;
+        this.dirty = false;
+        this.load();
+
+        if (this.store) {
+            process.on('exit', () => this.safeFlush());
+        }
+    }
+
+    /**
+     * Restore entries and counters from disk, dropping anything too old to serve even stale
+     */
+    load() {
+        const saved = this.store ? this.store.read() : null;
+        // The cache can be rebuilt, so an unreadable copy is dropped rather than kept
+        if (this.store && this.store.unreadable) {
+            try {
+                this.store.remove();
+            } catch (error) {
+                console.error(`❌ Failed to remove ${this.store.filePath}:`, error.message);
+            }
+        }
+        if (!saved) return;
+
+        const now = Date.now();
+        (saved.entries || []).forEach(([key, entry]) => {
+            if (entry.expiresAt + this.maxStale > now) this.entries.set(key, entry);
+        });
+        Object.assign(this.counters, saved.counters || {});
+        this.evict();
+    }
+
+    /**
+     * Write the cache to disk now
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.store || !this.dirty) return;
+        this.store.write({ counters: this.counters, entries: Array.from(this.entries.entries()) });
+        this.dirty = false;
+    }
+
+    /**
+     * Write the cache to disk, logging rather than throwing when that fails:
+     * the cache only saves upstream calls and must not take the server down
+     */
+    safeFlush() {
+        try {
+            this.flush();
+        } catch (error) {
+            console.error(`❌ Failed to save ICD-11 cache to ${this.store.filePath}:`, error.message);
+        }
+    }
+
+    scheduleFlush() {
+        this.dirty = true;
+        if (!this.store || this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.safeFlush(), this.flushDelay);
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Read an entry, counting a hit or miss
+     * @param {string} key - Cache key
+     * @returns {*} - Cached value, or undefined when missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.counters.misses++;
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            if (entry.expiresAt + this.maxStale <= Date.now()) {
+                this.entries.delete(key);
+                this.scheduleFlush();
+            }
+            this.counters.expirations++;
+            this.counters.misses++;
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        entry.hits = (entry.hits || 0) + 1;
+        this.counters.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Read an entry even if it has expired, for use when the source is unavailable
+     * @param {string} key - Cache key
+     * @returns {Object|undefined} - { value, storedAt, expiresAt, stale } or undefined
+     */
+    getStale(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt + this.maxStale <= Date.now()) return undefined;
+
+        this.counters.staleHits++;
+        return {
+            value: entry.value,
+            storedAt: entry.storedAt,
+            expiresAt: entry.expiresAt,
+            stale: entry.expiresAt <= Date.now()
+        };
+    }
+
+    /**
+     * Whether a fresh entry exists (does not touch recency or counters)
+     * @param {string} key - Cache key
+     * @returns {boolean}
+     */
+    has(key) {
+        const entry = this.entries.get(key);
+        return Boolean(entry && entry.expiresAt > Date.now());
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serialisable value
+     * @param {number} ttl - Time to live in ms (defaults to defaultTtl)
+     */
+    set(key, value, ttl = this.defaultTtl) {
+        const now = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: now, expiresAt: now + ttl, hits: 0 });
+        this.counters.writes++;
+        this.evict();
+        this.scheduleFlush();
+    }
+
+    /**
+     * Drop least recently used entries beyond maxEntries
+     */
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.counters.evictions++;
+        }
+    }
+
+    /**
+     * Remove entries whose key matches a pattern
+     * @param {string} pattern - Glob with * wildcards; empty matches everything
+     * @returns {number} - Number of entries removed
+     */
+    purge(pattern) {
+        const matcher = PersistentLRUCache.matcher(pattern);
+        let removed = 0;
+        Array.from(this.entries.keys()).forEach(key => {
+            if (matcher(key)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        });
+        if (removed > 0) this.scheduleFlush();
+        return removed;
+    }
+
+    /**
+     * Remove every entry and reset the counters
+     */
+    clear() {
+        this.entries.clear();
+        Object.keys(this.counters).forEach(name => { this.counters[name] = 0; });
+        this.scheduleFlush();
+    }
+
+    /**
+     * List entries (most recently used first) without their values
+     * @param {Object} options - { pattern, limit, offset }
+     * @returns {Object} - { total, entries: [{ key, storedAt, expiresAt, expired, hits, size }] }
+     */
+    list({ pattern = '', limit = 50, offset = 0 } = {}) {
+        const matcher = PersistentLRUCache.matcher(pattern);
+        const now = Date.now();
+        const matching = Array.from(this.entries.entries())
+            .reverse()
+            .filter(([key]) => matcher(key));
+
+        return {
+            total: matching.length,
+            entries: matching.slice(offset, offset + limit).map(([key, entry]) => ({
+                key,
+                storedAt: new Date(entry.storedAt).toISOString(),
+                expiresAt: new Date(entry.expiresAt).toISOString(),
+                expired: entry.expiresAt <= now,
+                hits: entry.hits || 0,
+                size: Array.isArray(entry.value) ? entry.value.length : 1
+            }))
+        };
+    }
+
+    /**
+     * @returns {Object} - Size, bounds and hit/miss/eviction counters
+     */
+    stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            defaultTtlSeconds: Math.round(this.defaultTtl / 1000),
+            maxStaleSeconds: Math.round(this.maxStale / 1000),
+            ...this.counters,
+            hitRate: lookups ? Math.round((this.counters.hits / lookups) * 1000) / 1000 : 0,
+            persistent: Boolean(this.store)
+        };
+    }
+
+    /**
+     * Compile a purge/list pattern. Globs are matched without regular
+     * expressions, so a pattern cannot make a match take exponential time.
+     * @param {string} pattern - Glob with * wildcards (case-insensitive, at most 200 characters)
+     * @returns {Function} - key => boolean
+     */
+    static matcher(pattern) {
+        const glob = String(pattern || '').toLowerCase();
+        if (glob.length > 200) throw new Error('pattern is longer than 200 characters');
+        if (!glob) return () => true;
+        return key => {
+            // Greedy match with backtracking to the last *: O(key × pattern) at worst
+            const text = String(key).toLowerCase();
+            let g = 0;
+            let t = 0;
+            let star = -1;
+            let resume = 0;
+            while (t < text.length) {
+                if (g < glob.length && glob[g] === '*') {
+                    star = g++;
+                    resume = t;
+                } else if (g < glob.length && glob[g] === text[t]) {
+                    g++;
+                    t++;
+                } else if (star >= 0) {
+                    g = star + 1;
+                    t = ++resume;
+                } else {
+                    return false;
+                }
+            }
+            while (g < glob.length && glob[g] === '*') g++;
+            return g === glob.length;
+        };
+    }
+}
+
+module.exports = PersistentLRUCache;
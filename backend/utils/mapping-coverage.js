@@ -0,0 +1,150 @@
+// Upper bounds of the confidence histogram bins: [0, 0.1), [0.1, 0.2), …, [0.9, 1.0]
+const BINS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0];
+
+const STATUSES = ['approved', 'awaiting-review', 'low-confidence', 'no-candidates'];
+
+/**
+ * How well NAMASTE codes are covered by ICD-11 mappings, from the curation
+ * store alone (no upstream calls).
+ *
+ * Each code of the served release falls into one status:
+ *   approved         at least one approved mapping
+ *   awaiting-review  no approved mapping, but a proposed candidate at or above the threshold
+ *   low-confidence   only proposed candidates below the threshold
+ *   no-candidates    nothing approved or proposed (never mapped, or every candidate rejected)
+ * Counts and a histogram of each code's best candidate confidence are
+ * reported overall, per category and per traditional medicine system.
+ */
+class MappingCoverage {
+    /**
+     * @param {Object} options - { terminology: TerminologyRepository, mappings: MappingStore }
+     */
+    constructor(options = {}) {
+        this.terminology = options.terminology;
+        this.mappings = options.mappings;
+    }
+
+    /**
+     * Coverage of one NAMASTE code
+     * @param {Object} concept - NAMASTE concept
+     * @param {Array} entries - Live (proposed or approved) curation entries for the code
+     * @param {number} threshold - Confidence a proposed candidate needs to count as good
+     * @returns {Object} - { code, display, category, system, status, approvedTargets, candidates, bestCandidate, bestConfidence }
+     */
+    codeCoverage(concept, entries, threshold) {
+        const approved = entries.filter(m => m.status === 'approved');
+        const proposed = entries
+            .filter(m => m.status === 'proposed')
+            .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+        const best = proposed[0] || null;
+        const bestConfidence = best && typeof best.confidence === 'number' ? best.confidence : null;
+
+        let status = 'no-candidates';
+        if (approved.length > 0) status = 'approved';
+        else if (best && (bestConfidence || 0) >= threshold) status = 'awaiting-review';
+        else if (best) status = 'low-confidence';
+
+        return {
+            code: concept.code,
+            display: concept.display,
+            category: concept.category || 'Uncategorized',
+            system: concept.system || 'AYUSH',
+            status,
+            approvedTargets: approved.map(m => m.targetCode),
+            candidates: proposed.length,
+            bestCandidate: best ? best.targetCode : null,
+            bestConfidence
+        };
+    }
+
+    /**
+     * Totals and confidence histogram for a set of codes
+     * @param {Array} codes - codeCoverage() results
+     * @returns {Object} - { codes, approved, awaitingReview, lowConfidence, noCandidates, coverage, distribution }
+     */
+    summarise(codes) {
+        const count = status => codes.filter(c => c.status === status).length;
+        const distribution = BINS.map((to, i) => ({ from: i === 0 ? 0 : BINS[i - 1], to, count: 0 }));
+        codes.forEach(c => {
+            if (c.bestConfidence === null) return;
+            const bin = BINS.findIndex(to => c.bestConfidence < to);
+            distribution[bin === -1 ? BINS.length - 1 : bin].count++;
+        });
+        return {
+            codes: codes.length,
+            approved: count('approved'),
+            awaitingReview: count('awaiting-review'),
+            lowConfidence: count('low-confidence'),
+            noCandidates: count('no-candidates'),
+            coverage: codes.length > 0 ? count('approved') / codes.length : null,
+            distribution
+        };
+    }
+
+    /**
+     * Coverage report for the served NAMASTE release
+     * @param {Object} options - { threshold = 0.7 }
+     * @returns {Object} - { generatedAt, version, threshold, overall, byCategory, bySystem, codes }
+     */
+    report({ threshold = 0.7 } = {}) {
+        const live = new Map();
+        this.mappings.list({ limit: Infinity }).mappings
+            .filter(m => m.status === 'approved' || m.status === 'proposed')
+            .forEach(m => {
+                if (!live.has(m.sourceCode)) live.set(m.sourceCode, []);
+                live.get(m.sourceCode).push(m);
+            });
+
+        const codes = this.terminology.list().map(concept => this.codeCoverage(concept, live.get(concept.code) || [], threshold));
+        const groupBy = key => {
+            const groups = new Map();
+            codes.forEach(c => {
+                if (!groups.has(c[key])) groups.set(c[key], []);
+                groups.get(c[key]).push(c);
+            });
+            return Array.from(groups.entries())
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([name, members]) => ({ [key]: name, ...this.summarise(members) }));
+        };
+
+        return {
+            generatedAt: new Date().toISOString(),
+            version: this.terminology.version,
+            threshold,
+            overall: this.summarise(codes),
+            byCategory: groupBy('category'),
+            bySystem: groupBy('system'),
+            codes
+        };
+    }
+
+    /**
+     * Flatten a report for CSV export
+     * @param {Object} report - report() result
+     * @param {string} view - 'codes' (one row per code), 'category' or 'system'
+     * @returns {Object} - { headers, rows }
+     */
+    table(report, view = 'codes') {
+        if (view === 'codes') {
+            return {
+                headers: ['code', 'display', 'category', 'system', 'status', 'approvedTargets', 'candidates', 'bestCandidate', 'bestConfidence'],
+                rows: report.codes.map(c => ({ ...c, approvedTargets: c.approvedTargets.join('; ') }))
+            };
+        }
+        const groups = view === 'system' ? report.bySystem : report.byCategory;
+        const bins = BINS.map((to, i) => `confidence${i === 0 ? 0 : BINS[i - 1]}-${to}`);
+        return {
+            headers: [view, 'codes', 'approved', 'awaitingReview', 'lowConfidence', 'noCandidates', 'coverage', ...bins],
+            rows: groups.map(g => ({
+                ...g,
+                coverage: g.coverage === null ? '' : g.coverage.toFixed(3),
+                ...Object.fromEntries(g.distribution.map((d, i) => [bins[i], d.count]))
+            }))
+        };
+    }
+}
+
+MappingCoverage.STATUSES = STATUSES;
+MappingCoverage.VIEWS = ['codes', 'category', 'system'];
+
+module.exports = MappingCoverage;
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JsonStore = require('./json-store');
+const ICD11Client = require('./icd11-client');
+const ConceptMapper = require('./concept-mapper');
+const MappingScorer = require('./mapping-scorer');
+const { ReplayProvider, RecordingProvider } = require('./icd11-providers');
+
+const DEFAULT_KS = [1, 3, 5];
+const DEFAULT_THRESHOLDS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+const round = n => (n === null ? null : Math.round(n * 1000) / 1000);
+const mean = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+/**
+ * Offline evaluation of the heuristic NAMASTE → ICD-11 pipeline against a
+ * gold-standard crosswalk.
+ *
+ * Each run maps every gold NAMASTE code with ConceptMapper.rank(), using an
+ * ICD11Client whose responses are replayed from recorded fixtures, so runs
+ * are repeatable and independent of the live service. Curated mappings are
+ * left out: only the search terms, thesaurus and scorer are measured. Runs
+ * report precision@k, recall@k, MRR and the confidence-threshold tradeoff,
+ * overall and per NAMASTE category, and are stored under
+ * `<dataDir>/evaluations/<id>.json` so two runs can be compared.
+ *
+ * Gold crosswalk: { name, version, description, entries: [{ namasteCode, icd11Codes: [], note? }] }
+ */
+class MappingEvaluator {
+    /**
+     * @param {Object} options - { dataDir, terminology, thesaurus, scorer, goldFile, fixtureFile }
+     */
+    constructor(options = {}) {
+        this.dir = path.join(options.dataDir, 'evaluations');
+        this.terminology = options.terminology;
+        this.thesaurus = options.thesaurus || null;
+        this.scorer = options.scorer;
+        this.goldFile = options.goldFile;
+        this.fixtureFile = options.fixtureFile;
+    }
+
+    /**
+     * @returns {Object} - The bundled gold crosswalk
+     */
+    defaultGold() {
+        return JSON.parse(fs.readFileSync(this.goldFile, 'utf8'));
+    }
+
+    /**
+     * @returns {Object} - The bundled ICD-11 fixtures
+     */
+    defaultFixtures() {
+        return JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    }
+
+    /**
+     * Check the shape of a gold crosswalk
+     * @param {Object} gold - Gold crosswalk
+     * @returns {string|null} - Error message
+     */
+    checkGold(gold) {
+        if (!gold || !Array.isArray(gold.entries) || gold.entries.length === 0) {
+            return 'gold must have a non-empty entries array';
+        }
+        const bad = gold.entries.findIndex(e => !e || !e.namasteCode || !Array.isArray(e.icd11Codes) || e.icd11Codes.length === 0);
+        return bad >= 0 ? `gold entry ${bad + 1} needs a namasteCode and a non-empty icd11Codes array` : null;
+    }
+
+    /**
+     * ICD-11 client for one run: remote calls only, no retries, a private in-memory cache
+     * @param {Object} provider - ReplayProvider or RecordingProvider
+     * @returns {ICD11Client}
+     */
+    client(provider) {
+        return new ICD11Client({ provider, mode: 'remote', retry: { retries: 0 } });
+    }
+
+    /**
+     * Evaluate the pipeline against a gold crosswalk
+     * @param {Object} options - { label, gold, fixtures, weights, ks, thresholds, maxResults }
+     *   gold and fixtures default to the bundled files; weights override the scorer's for this run only
+     * @returns {Promise<Object>} - { success, run } or { success: false, reason: 'invalid', error }
+     */
+    async run(options = {}) {
+        const gold = options.gold || this.defaultGold();
+        const error = this.checkGold(gold);
+        if (error) return { success: false, reason: 'invalid', error };
+
+        const ks = options.ks || DEFAULT_KS;
+        const thresholds = options.thresholds || DEFAULT_THRESHOLDS;
+        if (!ks.every(k => Number.isInteger(k) && k > 0) || !thresholds.every(t => typeof t === 'number' && t >= 0 && t <= 1)) {
+            return { success: false, reason: 'invalid', error: 'ks must be positive integers and thresholds numbers between 0 and 1' };
+        }
+        const maxResults = options.maxResults || 5;
+        const scorer = options.weights ? new MappingScorer({ weights: options.weights, thesaurus: this.thesaurus }) : this.scorer;
+        const fixtures = options.fixtures || this.defaultFixtures();
+        const provider = new ReplayProvider({ fixtures });
+        const mapper = new ConceptMapper({
+            terminology: this.terminology,
+            icd11: this.client(provider),
+            scorer,
+            thesaurus: this.thesaurus
+        });
+
+        const codes = [];
+        const skipped = [];
+        for (const entry of gold.entries) {
+            const src = this.terminology.get(entry.namasteCode);
+            if (!src) {
+                skipped.push({ namasteCode: entry.namasteCode, reason: 'NAMASTE code not found' });
+                continue;
+            }
+            const { candidates } = await mapper.rank(src, { maxResults });
+            const relevant = new Set(entry.icd11Codes.map(c => String(c).toUpperCase()));
+            const ranked = candidates.map(c => ({
+                code: c.targetCode,
+                display: c.targetDisplay,
+                confidence: c.confidence,
+                relevant: relevant.has(String(c.targetCode).toUpperCase())
+            }));
+            const first = ranked.findIndex(c => c.relevant);
+            codes.push({
+                namasteCode: src.code,
+                namasteDisplay: src.display,
+                category: entry.category || src.category || 'Uncategorized',
+                gold: [...relevant],
+                firstRelevantRank: first >= 0 ? first + 1 : null,
+                missed: [...relevant].filter(code => !ranked.some(c => c.relevant && c.code.toUpperCase() === code)),
+                ranked: ranked.slice(0, Math.max(...ks, maxResults))
+            });
+        }
+
+        const byCategory = {};
+        [...new Set(codes.map(c => c.category))].sort().forEach(category => {
+            byCategory[category] = this.metrics(codes.filter(c => c.category === category), ks, thresholds);
+        });
+
+        const warnings = [];
+        if (provider.missing.size > 0) {
+            warnings.push(`${provider.missing.size} search term(s) have no recorded fixture and returned nothing; re-record the fixtures`);
+        }
+        if (fixtures.maxResults && maxResults > fixtures.maxResults) {
+            warnings.push(`maxResults ${maxResults} exceeds the ${fixtures.maxResults} results per term recorded in the fixtures`);
+        }
+
+        const run = {
+            id: uuidv4(),
+            label: options.label || null,
+            createdAt: new Date().toISOString(),
+            config: {
+                gold: { name: gold.name || null, version: gold.version || null, entries: gold.entries.length },
+                fixtures: {
+                    provider: fixtures.provider || null,
+                    recordedAt: fixtures.recordedAt || null,
+                    missingTerms: [...provider.missing].sort()
+                },
+                maxResults,
+                ks,
+                thresholds,
+                weights: scorer.weights,
+                thesaurus: this.thesaurus ? this.thesaurus.stats().relations : 0
+            },
+            warnings,
+            skipped,
+            overall: this.metrics(codes, ks, thresholds),
+            byCategory,
+            codes
+        };
+        new JsonStore(path.join(this.dir, `${run.id}.json`)).write(run);
+        return { success: true, run };
+    }
+
+    /**
+     * Ranking and threshold metrics over a group of evaluated codes
+     * @param {Array} codes - Evaluated codes
+     * @param {Array<number>} ks - Cut-offs for precision@k and recall@k
+     * @param {Array<number>} thresholds - Confidence thresholds
+     * @returns {Object} - { codes, mrr, precisionAtK, recallAtK, thresholds: { t: { predicted, correct, precision, recall, f1, coverage } } }
+     */
+    metrics(codes, ks, thresholds) {
+        const hitsAt = (c, k) => c.ranked.slice(0, k).filter(r => r.relevant).length;
+        const goldTotal = codes.reduce((sum, c) => sum + c.gold.length, 0);
+
+        return {
+            codes: codes.length,
+            mrr: round(mean(codes.map(c => (c.firstRelevantRank ? 1 / c.firstRelevantRank : 0)))),
+            precisionAtK: Object.fromEntries(ks.map(k => [k, round(mean(codes.map(c => hitsAt(c, k) / k)))])),
+            recallAtK: Object.fromEntries(ks.map(k => [k, round(mean(codes.map(c => hitsAt(c, k) / c.gold.length)))])),
+            thresholds: Object.fromEntries(thresholds.map(t => {
+                const kept = codes.map(c => c.ranked.filter(r => r.confidence >= t));
+                const predicted = kept.reduce((sum, k) => sum + k.length, 0);
+                const correct = kept.reduce((sum, k) => sum + k.filter(r => r.relevant).length, 0);
+                const precision = predicted > 0 ? correct / predicted : null;
+                const recall = goldTotal > 0 ? correct / goldTotal : null;
+                const f1 = precision && recall ? 2 * precision * recall / (precision + recall) : 0;
+                return [t, {
+                    predicted,
+                    correct,
+                    precision: round(precision),
+                    recall: round(recall),
+                    f1: round(f1),
+                    coverage: round(codes.length > 0 ? kept.filter(k => k.length > 0).length / codes.length : null)
+                }];
+            }))
+        };
+    }
+
+    /**
+     * Record live ICD-11 responses for every search the gold codes trigger
+     * @param {Object} options - { provider (live), gold, maxResults }
+     * @returns {Promise<Object>} - Fixture document for ReplayProvider
+     */
+    async record({ provider, gold, maxResults = 10 } = {}) {
+        const recorder = new RecordingProvider(provider, { maxResults });
+        const mapper = new ConceptMapper({
+            terminology: this.terminology,
+            icd11: this.client(recorder),
+            scorer: this.scorer,
+            thesaurus: this.thesaurus
+        });
+        for (const entry of (gold || this.defaultGold()).entries) {
+            const src = this.terminology.get(entry.namasteCode);
+            if (src) await mapper.rank(src, { maxResults });
+        }
+        return recorder.fixtures;
+    }
+
+    /**
+     * Compare two runs metric by metric
+     * @param {Object} base - Run
+     * @param {Object} candidate - Run
+     * @returns {Object} - { base, candidate, overall, byCategory, codes } with { base, candidate, delta } per metric
+     */
+    compare(base, candidate) {
+        const diff = (a, b) => {
+            if (typeof a === 'number' || typeof b === 'number' || a === null || b === null) {
+                const delta = typeof a === 'number' && typeof b === 'number' ? round(b - a) : null;
+                return { base: a === undefined ? null : a, candidate: b === undefined ? null : b, delta };
+            }
+            const keys = [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+            return Object.fromEntries(keys.map(key => [key, diff((a || {})[key], (b || {})[key])]));
+        };
+        const categories = [...new Set([...Object.keys(base.byCategory), ...Object.keys(candidate.byCategory)])].sort();
+        const rankOf = (run, code) => {
+            const found = run.codes.find(c => c.namasteCode === code);
+            return found ? found.firstRelevantRank : null;
+        };
+
+        return {
+            base: { id: base.id, label: base.label, createdAt: base.createdAt, config: base.config },
+            candidate: { id: candidate.id, label: candidate.label, createdAt: candidate.createdAt, config: candidate.config },
+            overall: diff(base.overall, candidate.overall),
+            byCategory: Object.fromEntries(categories.map(c => [c, diff(base.byCategory[c], candidate.byCategory[c])])),
+            codes: [...new Set([...base.codes, ...candidate.codes].map(c => c.namasteCode))]
+                .map(code => ({ namasteCode: code, base: rankOf(base, code), candidate: rankOf(candidate, code) }))
+                .filter(c => c.base !== c.candidate)
+                .map(c => ({
+                    namasteCode: c.namasteCode,
+                    firstRelevantRank: { base: c.base, candidate: c.candidate },
+                    change: c.candidate && (!c.base || c.candidate < c.base) ? 'improved' : 'worse'
+                }))
+        };
+    }
+
+    /**
+     * @param {string} id - Run id
+     * @returns {Object|null} - Run
+     */
+    get(id) {
+        if (!/^[0-9a-f-]+$/i.test(String(id))) return null;
+        return new JsonStore(path.join(this.dir, `${id}.json`), null).read();
+    }
+
+    /**
+     * Stored runs without per-code detail, newest first
+     * @returns {Array} - [{ id, label, createdAt, config, overall }]
+     */
+    list() {
+        let files = [];
+        try {
+            files = fs.readdirSync(this.dir).filter(f => f.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return files
+            .map(file => new JsonStore(path.join(this.dir, file), null).read())
+            .filter(Boolean)
+            .map(({ id, label, createdAt, config, warnings, overall }) => ({ id, label, createdAt, config, warnings, overall }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Delete a stored run
+     * @param {string} id - Run id
+     * @returns {boolean} - Whether the run existed
+     */
+    remove(id) {
+        const store = new JsonStore(path.join(this.dir, `${id}.json`));
+        if (!/^[0-9a-f-]+$/i.test(String(id)) || !store.exists()) return false;
+        store.remove();
+        return true;
+    }
+}
+
+MappingEvaluator.DEFAULT_KS = DEFAULT_KS;
+MappingEvaluator.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+module.exports = MappingEvaluator;
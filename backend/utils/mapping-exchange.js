@@ -0,0 +1,408 @@
+const csv = require('./csv');
+const FHIRBuilder = require('./fhir-builder');
+const { readRecords, normaliseHeader } = require('./namaste-importer');
+
+const NAMASTE_SYSTEM = 'http://namaste.ayush.gov.in/fhir/CodeSystem/namaste-codes';
+const ICD11_SYSTEM = 'http://id.who.int/icd/release/11/mms';
+
+/**
+ * Prefixes written to SSSOM files and assumed when a file does not declare them
+ */
+const CURIE_MAP = {
+    NAMASTE: `${NAMASTE_SYSTEM}/`,
+    ICD11: `${ICD11_SYSTEM}/`,
+    skos: 'http://www.w3.org/2004/02/skos/core#',
+    owl: 'http://www.w3.org/2002/07/owl#',
+    semapv: 'https://w3id.org/semapv/vocab/',
+    orcid: 'https://orcid.org/'
+};
+
+/**
+ * SSSOM predicate for each ConceptMap equivalence (SKOS reads "subject <predicate> object")
+ */
+const PREDICATES = {
+    equivalent: 'skos:exactMatch',
+    equal: 'skos:exactMatch',
+    wider: 'skos:broadMatch',
+    subsumes: 'skos:broadMatch',
+    narrower: 'skos:narrowMatch',
+    specializes: 'skos:narrowMatch',
+    inexact: 'skos:closeMatch',
+    relatedto: 'skos:relatedMatch'
+};
+
+/**
+ * ConceptMap equivalence for each SSSOM predicate
+ */
+const EQUIVALENCES = {
+    'skos:exactMatch': 'equivalent',
+    'owl:equivalentClass': 'equal',
+    'skos:broadMatch': 'wider',
+    'skos:narrowMatch': 'narrower',
+    'skos:closeMatch': 'inexact',
+    'skos:relatedMatch': 'relatedto'
+};
+
+/**
+ * ConceptMap codes that state the source does not map to the target
+ */
+const NEGATIVE = ['disjoint', 'unmatched', 'not-related-to'];
+
+/**
+ * FHIR R5 ConceptMap relationship codes as R4 equivalences
+ */
+const R5_RELATIONSHIPS = {
+    'equivalent': 'equivalent',
+    'source-is-narrower-than-target': 'wider',
+    'source-is-broader-than-target': 'narrower',
+    'related-to': 'relatedto'
+};
+
+const SSSOM_COLUMNS = [
+    'subject_id', 'subject_label', 'predicate_id', 'predicate_modifier', 'object_id', 'object_label',
+    'mapping_justification', 'confidence', 'author_id', 'reviewer_id', 'mapping_date', 'comment'
+];
+
+const CSV_COLUMNS = [
+    'sourceCode', 'sourceDisplay', 'targetCode', 'targetDisplay', 'equivalence', 'confidence',
+    'status', 'comment', 'reviewedBy', 'reviewedAt', 'id'
+];
+
+/**
+ * Spreadsheet header aliases for the plain CSV/XLSX layout
+ */
+const COLUMN_ALIASES = {
+    sourceCode: ['sourcecode', 'namastecode', 'source', 'code'],
+    sourceDisplay: ['sourcedisplay', 'namastedisplay', 'namasteterm', 'sourceterm'],
+    targetCode: ['targetcode', 'icd11code', 'icdcode', 'target'],
+    targetDisplay: ['targetdisplay', 'icd11display', 'icd11title', 'targetterm'],
+    equivalence: ['equivalence', 'relationship'],
+    confidence: ['confidence', 'score'],
+    status: ['status'],
+    comment: ['comment', 'comments', 'note']
+};
+
+/**
+ * Parse the `#`-prefixed YAML metadata block of an SSSOM TSV file.
+ * Supports the subset SSSOM files use: scalars, one level of nested maps
+ * (curie_map) and lists.
+ * @param {Array<string>} lines - Header lines without the leading '#'
+ * @returns {Object} - Metadata
+ */
+function parseMetadata(lines) {
+    const metadata = {};
+    const indent = line => line.match(/^\s*/)[0].length;
+    const base = Math.min(...lines.filter(l => l.trim()).map(indent));
+    let parent = null;
+    lines.forEach(line => {
+        if (!line.trim()) return;
+        const indented = indent(line) > base;
+        const item = line.trim().match(/^-\s*(.*)$/);
+        if (indented && parent && item) {
+            if (!Array.isArray(metadata[parent])) metadata[parent] = [];
+            metadata[parent].push(unquote(item[1]));
+            return;
+        }
+        const pair = line.trim().match(/^([^:]+):\s*(.*)$/);
+        if (!pair) return;
+        const [, key, value] = pair;
+        if (indented && parent) {
+            if (typeof metadata[parent] !== 'object' || metadata[parent] === null) metadata[parent] = {};
+            metadata[parent][key.trim()] = unquote(value);
+        } else if (value === '') {
+            parent = key.trim();
+            metadata[parent] = null;
+        } else {
+            parent = null;
+            metadata[key.trim()] = unquote(value);
+        }
+    });
+    return metadata;
+}
+
+/**
+ * Confidence cell as a number (NaN when it is not one), or null when empty
+ */
+function toConfidence(value) {
+    return value === null || value === undefined || String(value).trim() === '' ? null : Number(value);
+}
+
+function unquote(value) {
+    return String(value).trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Write metadata as the `#`-prefixed YAML block of an SSSOM file
+ * @param {Object} metadata - Scalars and one level of nested maps
+ * @returns {string} - Header lines
+ */
+function stringifyMetadata(metadata) {
+    const quote = value => (/[:#'"]/.test(String(value)) ? `"${String(value).replace(/"/g, '\\"')}"` : String(value));
+    return Object.entries(metadata)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => (typeof value === 'object'
+            ? [`#${key}:`, ...Object.entries(value).map(([k, v]) => `#  ${k}: ${quote(v)}`)].join('\n')
+            : `#${key}: ${quote(value)}`))
+        .join('\n') + '\n';
+}
+
+/**
+ * Expand a CURIE (or pass through an IRI) and strip the namespace of a code system
+ * @param {string} id - e.g. "NAMASTE:NAM001" or a full IRI
+ * @param {Object} curieMap - Prefix → namespace
+ * @param {string} system - Code system whose namespace is expected
+ * @returns {string|null} - Local code, or null when the id is outside the system
+ */
+function localCode(id, curieMap, system) {
+    const value = String(id || '').trim();
+    const prefixed = value.match(/^([A-Za-z_][\w.-]*):(?!\/\/)(.+)$/);
+    const iri = prefixed && curieMap[prefixed[1]] ? `${curieMap[prefixed[1]]}${prefixed[2]}` : value;
+    const namespace = `${system}/`;
+    return iri.startsWith(namespace) && iri.length > namespace.length ? decodeURIComponent(iri.slice(namespace.length)) : null;
+}
+
+/**
+ * Compact a code into a CURIE
+ */
+function curie(prefix, code) {
+    return `${prefix}:${encodeURIComponent(code).replace(/%2E/gi, '.')}`;
+}
+
+/**
+ * Read an SSSOM TSV mapping set
+ * @param {string} text - SSSOM TSV with optional `#` metadata header
+ * @returns {Object} - { metadata, records, errors } (records in the common form, see readMappings)
+ */
+function fromSssom(text) {
+    const lines = String(text || '').replace(/^﻿/, '').split(/\r?\n/);
+    const header = lines.filter(l => l.startsWith('#')).map(l => l.slice(1));
+    const body = lines.filter(l => !l.startsWith('#')).join('\n');
+    const metadata = parseMetadata(header);
+    const curieMap = { ...CURIE_MAP, ...(metadata.curie_map || {}) };
+    const headerRows = header.length;
+
+    const { headers, records: rows } = csv.parse(body, { delimiter: '\t' });
+    const errors = [];
+    ['subject_id', 'predicate_id', 'object_id'].filter(c => !headers.includes(c)).forEach(column => {
+        errors.push({ message: `Missing required SSSOM column ${column}` });
+    });
+    if (errors.length > 0) return { metadata, records: [], errors };
+
+    const records = rows.map(raw => {
+        const row = raw.__row + headerRows;
+        const negated = String(raw.predicate_modifier || '').toLowerCase() === 'not';
+        const sourceCode = localCode(raw.subject_id, curieMap, NAMASTE_SYSTEM);
+        const targetCode = localCode(raw.object_id, curieMap, ICD11_SYSTEM);
+        if (!sourceCode) errors.push({ row, field: 'subject_id', message: `${raw.subject_id || '(empty)'} is not a NAMASTE code` });
+        if (!targetCode) errors.push({ row, field: 'object_id', message: `${raw.object_id || '(empty)'} is not an ICD-11 code` });
+        const equivalence = EQUIVALENCES[raw.predicate_id];
+        if (!equivalence) {
+            errors.push({ row, field: 'predicate_id', message: `Unsupported predicate ${raw.predicate_id || '(empty)'}; use one of ${Object.keys(EQUIVALENCES).join(', ')}` });
+        }
+        return {
+            row,
+            sourceCode,
+            sourceDisplay: raw.subject_label || null,
+            targetCode,
+            targetDisplay: raw.object_label || null,
+            equivalence: equivalence || null,
+            confidence: toConfidence(raw.confidence),
+            status: negated ? 'rejected' : null,
+            comment: raw.comment || null
+        };
+    });
+
+    return { metadata, records, errors };
+}
+
+/**
+ * Write mappings as an SSSOM TSV mapping set
+ * @param {Array} mappings - Curation store entries
+ * @param {Object} metadata - Mapping set metadata (mapping_set_id, mapping_set_title, ...)
+ * @returns {string} - SSSOM TSV
+ */
+function toSssom(mappings, metadata = {}) {
+    const rows = mappings.map(m => ({
+        subject_id: curie('NAMASTE', m.sourceCode),
+        subject_label: m.sourceDisplay,
+        predicate_id: PREDICATES[m.equivalence] || 'skos:relatedMatch',
+        predicate_modifier: m.status === 'rejected' ? 'Not' : '',
+        object_id: curie('ICD11', m.targetCode),
+        object_label: m.targetDisplay,
+        mapping_justification: m.origin === 'algorithm' && !m.reviewedBy
+            ? 'semapv:LexicalMatching'
+            : 'semapv:ManualMappingCuration',
+        confidence: typeof m.confidence === 'number' ? m.confidence : '',
+        author_id: m.origin === 'algorithm' ? '' : (m.history && m.history[0] && m.history[0].by) || '',
+        reviewer_id: m.reviewedBy || '',
+        mapping_date: (m.reviewedAt || m.createdAt || '').slice(0, 10),
+        comment: lastComment(m)
+    }));
+
+    return stringifyMetadata({
+        curie_map: CURIE_MAP,
+        mapping_set_id: metadata.mapping_set_id,
+        mapping_set_version: metadata.mapping_set_version,
+        mapping_set_title: metadata.mapping_set_title,
+        mapping_set_description: metadata.mapping_set_description,
+        license: metadata.license || 'https://creativecommons.org/licenses/by/4.0/',
+        subject_source: NAMASTE_SYSTEM,
+        object_source: ICD11_SYSTEM,
+        mapping_date: new Date().toISOString().slice(0, 10)
+    }) + csv.stringify(rows, SSSOM_COLUMNS, { delimiter: '\t' });
+}
+
+/**
+ * Most recent review comment of an entry
+ */
+function lastComment(m) {
+    const commented = (m.history || []).filter(h => h.comment);
+    return commented.length > 0 ? commented[commented.length - 1].comment : (m.comment || '');
+}
+
+/**
+ * Read the plain spreadsheet layout (CSV, TSV, XLSX or JSON rows)
+ * @param {Object} file - { content, encoding, format, filename }
+ * @returns {Object} - { metadata, records, errors }
+ */
+function fromTable(file) {
+    const errors = [];
+    const records = readRecords(file).map(raw => {
+        const byHeader = {};
+        Object.keys(raw).forEach(key => {
+            if (key !== '__row') byHeader[normaliseHeader(key)] = raw[key];
+        });
+        const pick = field => {
+            const alias = COLUMN_ALIASES[field].find(a => byHeader[a] !== undefined && String(byHeader[a]).trim() !== '');
+            return alias ? String(byHeader[alias]).trim() : null;
+        };
+        const record = {
+            row: raw.__row,
+            sourceCode: pick('sourceCode'),
+            sourceDisplay: pick('sourceDisplay'),
+            targetCode: pick('targetCode'),
+            targetDisplay: pick('targetDisplay'),
+            equivalence: pick('equivalence'),
+            confidence: toConfidence(pick('confidence')),
+            status: pick('status'),
+            comment: pick('comment')
+        };
+        if (record.equivalence && R5_RELATIONSHIPS[record.equivalence]) record.equivalence = R5_RELATIONSHIPS[record.equivalence];
+        if (!record.sourceCode) errors.push({ row: record.row, field: 'sourceCode', message: 'sourceCode is required' });
+        if (!record.targetCode) errors.push({ row: record.row, field: 'targetCode', message: 'targetCode is required' });
+        return record;
+    });
+    return { metadata: {}, records, errors };
+}
+
+/**
+ * Write mappings in the plain spreadsheet layout
+ * @param {Array} mappings - Curation store entries
+ * @returns {string} - CSV
+ */
+function toCsv(mappings) {
+    return csv.stringify(mappings.map(m => ({ ...m, comment: lastComment(m) })), CSV_COLUMNS);
+}
+
+/**
+ * Write mappings as a ConceptMap; rejected mappings are stated as 'disjoint'
+ * @param {Array} mappings - Curation store entries
+ * @param {FHIRBuilder} builder - Builder for the FHIR version to write (R4 by default)
+ * @returns {Object} - ConceptMap resource
+ */
+function toConceptMap(mappings, builder = new FHIRBuilder()) {
+    return builder.createConceptMap(mappings.map(m => ({
+        ...m,
+        equivalence: m.status === 'rejected' ? 'disjoint' : m.equivalence,
+        comment: lastComment(m) || null
+    })));
+}
+
+/**
+ * Read a NAMASTE → ICD-11 ConceptMap (R4 `equivalence` or R5 `relationship`)
+ * @param {Object} conceptMap - ConceptMap resource
+ * @returns {Object} - { metadata, records, errors }; rows are FHIRPath-style locations
+ */
+function fromConceptMap(conceptMap) {
+    const errors = [];
+    const records = [];
+    if (!conceptMap || conceptMap.resourceType !== 'ConceptMap') {
+        return { metadata: {}, records, errors: [{ message: 'conceptMap must be a ConceptMap resource' }] };
+    }
+
+    (conceptMap.group || []).forEach((group, g) => {
+        if ((group.source && group.source !== NAMASTE_SYSTEM) || (group.target && group.target !== ICD11_SYSTEM)) {
+            errors.push({ row: `group[${g}]`, message: `Only ${NAMASTE_SYSTEM} → ${ICD11_SYSTEM} groups can be imported` });
+            return;
+        }
+        (group.element || []).forEach((element, e) => {
+            (element.target || []).forEach((target, t) => {
+                const row = `group[${g}].element[${e}].target[${t}]`;
+                const code = target.equivalence || target.relationship;
+                const negated = NEGATIVE.includes(code);
+                const equivalence = negated ? null : R5_RELATIONSHIPS[code] || code || null;
+                const confidence = String(target.comment || '').match(/Confidence:\s*([\d.]+)%/);
+                records.push({
+                    row,
+                    sourceCode: element.code || null,
+                    sourceDisplay: element.display || null,
+                    targetCode: target.code || null,
+                    targetDisplay: target.display || null,
+                    equivalence,
+                    confidence: confidence ? Number(confidence[1]) / 100 : null,
+                    status: negated ? 'rejected' : null,
+                    comment: String(target.comment || '').replace(/;?\s*Confidence:\s*[\d.]+%/, '').trim() || null
+                });
+                if (!element.code) errors.push({ row, field: 'code', message: 'element.code is required' });
+                if (!target.code) errors.push({ row, field: 'target.code', message: 'target.code is required' });
+            });
+        });
+    });
+    return { metadata: { mapping_set_id: conceptMap.url, mapping_set_version: conceptMap.version, mapping_set_title: conceptMap.title }, records, errors };
+}
+
+/**
+ * Read a mapping set in any supported format into one common record form
+ * @param {Object} input - { format: 'sssom'|'csv'|'tsv'|'xlsx'|'json'|'conceptmap', content, encoding?, filename?, conceptMap? }
+ * @returns {Object} - { format, metadata, records: [{ row, sourceCode, sourceDisplay, targetCode, targetDisplay,
+ *   equivalence, confidence, status, comment }], errors: [{ row?, field?, message }] }
+ */
+function readMappings(input = {}) {
+    const filename = String(input.filename || '').toLowerCase();
+    let format = String(input.format || '').toLowerCase();
+    if (!format && filename.endsWith('.sssom.tsv')) format = 'sssom';
+    if (!format && input.conceptMap) format = 'conceptmap';
+
+    try {
+        let result;
+        if (format === 'sssom') {
+            const content = input.encoding === 'base64' ? Buffer.from(String(input.content || ''), 'base64').toString('utf8') : input.content;
+            result = fromSssom(content);
+        } else if (format === 'conceptmap') {
+            const conceptMap = input.conceptMap || (typeof input.content === 'string' ? JSON.parse(input.content) : input.content);
+            result = fromConceptMap(conceptMap);
+        } else {
+            result = fromTable({ ...input, format });
+        }
+        if (result.records.length === 0 && result.errors.length === 0) {
+            result.errors.push({ message: 'No mappings found' });
+        }
+        return { format: format || 'table', ...result };
+    } catch (error) {
+        return { format: format || 'table', metadata: {}, records: [], errors: [{ message: `Could not read mapping set: ${error.message}` }] };
+    }
+}
+
+module.exports = {
+    CURIE_MAP,
+    PREDICATES,
+    EQUIVALENCES,
+    readMappings,
+    fromSssom,
+    toSssom,
+    fromTable,
+    toCsv,
+    fromConceptMap,
+    toConceptMap,
+    parseMetadata
+};
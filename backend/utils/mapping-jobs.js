@@ -0,0 +1,308 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JsonStore = require('./json-store');
+
+const STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed'];
+const FINISHED = ['completed', 'cancelled', 'failed'];
+
+// Minimum time between progress writes of a running job
+const SAVE_INTERVAL = 2000;
+
+/**
+ * Background NAMASTE → ICD-11 batch mapping jobs.
+ *
+ * A job maps a list of NAMASTE codes (given explicitly or every code in a
+ * category) with ConceptMapper.mapCodes(). Jobs run one at a time in
+ * submission order; each is stored as `<dataDir>/jobs/<id>.json` with its
+ * per-code results, so a job that was queued or running when the process
+ * stopped is picked up again on start and only maps the codes it had not
+ * finished. Emits 'progress' (job summary) after each code and 'finished'
+ * (job summary) when a job completes, fails or is cancelled.
+ */
+class MappingJobs extends EventEmitter {
+    /**
+     * @param {Object} options - { dataDir, mapper: ConceptMapper, terminology: TerminologyRepository, concurrency }
+     */
+    constructor(options = {}) {
+        super();
+        this.dir = path.join(options.dataDir, 'jobs');
+        this.mapper = options.mapper;
+        this.terminology = options.terminology;
+        this.concurrency = options.concurrency || 8;
+        this.jobs = new Map();
+        this.queue = [];
+        this.active = null;
+        this.lastSaved = new Map();
+        this.load();
+    }
+
+    /**
+     * Read stored jobs and re-queue those that were interrupted
+     */
+    load() {
+        let files = [];
+        try {
+            files = fs.readdirSync(this.dir).filter(f => f.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`❌ Failed to read ${this.dir}:`, error.message);
+        }
+
+        files.forEach(file => {
+            const job = new JsonStore(path.join(this.dir, file)).read();
+            if (job && job.id) this.jobs.set(job.id, job);
+        });
+
+        const interrupted = Array.from(this.jobs.values())
+            .filter(job => job.status === 'queued' || job.status === 'running')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        interrupted.forEach(job => {
+            if (job.status === 'running') {
+                job.status = 'queued';
+                job.resumed = (job.resumed || 0) + 1;
+                this.save(job);
+            }
+            this.queue.push(job.id);
+        });
+        if (interrupted.length > 0) {
+            console.log(`🔁 Resuming ${interrupted.length} mapping job(s)`);
+            setImmediate(() => this.next());
+        }
+    }
+
+    /**
+     * Persist a job
+     * @param {Object} job - Job
+     */
+    save(job) {
+        new JsonStore(path.join(this.dir, `${job.id}.json`)).write(job);
+        this.lastSaved.set(job.id, Date.now());
+    }
+
+    /**
+     * Queue a new job
+     * @param {Object} request - { namasteCodes?, category?, maxResultsPerCode?, confidenceThreshold? }
+     * @returns {Object} - { success, job } or { success: false, reason: 'invalid', error }
+     */
+    submit(request = {}) {
+        const { namasteCodes, category, maxResultsPerCode = 3, confidenceThreshold = 0.3 } = request;
+        if (!namasteCodes === !category) {
+            return { success: false, reason: 'invalid', error: 'Provide either namasteCodes or category' };
+        }
+
+        let codes;
+        if (namasteCodes) {
+            if (!Array.isArray(namasteCodes) || namasteCodes.length === 0 || namasteCodes.some(c => typeof c !== 'string' || !c)) {
+                return { success: false, reason: 'invalid', error: 'namasteCodes must be a non-empty array of codes' };
+            }
+            codes = [...new Set(namasteCodes)];
+        } else {
+            const wanted = String(category).toLowerCase();
+            codes = this.terminology.list()
+                .filter(c => String(c.category || 'Uncategorized').toLowerCase() === wanted)
+                .map(c => c.code);
+            if (codes.length === 0) {
+                return {
+                    success: false,
+                    reason: 'invalid',
+                    error: `No NAMASTE codes in category "${category}"; categories are ${this.terminology.categories().map(c => c.category).join(', ')}`
+                };
+            }
+        }
+        if (typeof maxResultsPerCode !== 'number' || maxResultsPerCode < 1 ||
+            typeof confidenceThreshold !== 'number' || confidenceThreshold < 0 || confidenceThreshold > 1) {
+            return { success: false, reason: 'invalid', error: 'maxResultsPerCode must be ≥ 1 and confidenceThreshold between 0 and 1' };
+        }
+
+        const job = {
+            id: uuidv4(),
+            status: 'queued',
+            request: { ...(namasteCodes ? { namasteCodes: codes } : { category }), maxResultsPerCode, confidenceThreshold },
+            codes,
+            progress: { total: codes.length, processed: 0, successful: 0, failed: 0, mappings: 0 },
+            results: new Array(codes.length).fill(null),
+            error: null,
+            cancelRequested: false,
+            resumed: 0,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+        this.save(job);
+        this.queue.push(job.id);
+        setImmediate(() => this.next());
+        return { success: true, job: this.summary(job) };
+    }
+
+    /**
+     * Start the next queued job if none is running
+     */
+    next() {
+        if (this.active || this.queue.length === 0) return;
+        const job = this.jobs.get(this.queue.shift());
+        if (!job || job.status !== 'queued') {
+            this.next();
+            return;
+        }
+        this.active = job.id;
+        this.run(job)
+            .catch(error => {
+                console.error(`❌ Mapping job ${job.id} failed:`, error.message);
+                this.finish(job, 'failed', error.message);
+            })
+            .finally(() => {
+                this.active = null;
+                this.next();
+            });
+    }
+
+    /**
+     * Map the codes of a job that have no result yet
+     * @param {Object} job - Job
+     */
+    async run(job) {
+        job.status = 'running';
+        job.startedAt = job.startedAt || new Date().toISOString();
+        this.save(job);
+        this.emit('progress', this.summary(job));
+
+        const pending = job.codes.map((code, index) => index).filter(index => !job.results[index]);
+        const { maxResultsPerCode, confidenceThreshold } = job.request;
+        await this.mapper.mapCodes(pending.map(index => job.codes[index]), {
+            maxResultsPerCode,
+            confidenceThreshold,
+            concurrency: this.concurrency,
+            isCancelled: () => job.cancelRequested,
+            onResult: (result, i) => {
+                job.results[pending[i]] = result;
+                this.count(job, result);
+                if (Date.now() - (this.lastSaved.get(job.id) || 0) >= SAVE_INTERVAL) this.save(job);
+                this.emit('progress', this.summary(job));
+            }
+        });
+
+        this.finish(job, job.cancelRequested ? 'cancelled' : 'completed');
+    }
+
+    /**
+     * Add one code's result to the job's progress counters
+     */
+    count(job, result) {
+        job.progress.processed++;
+        if (result.success) {
+            job.progress.successful++;
+            job.progress.mappings += result.count || 0;
+        } else {
+            job.progress.failed++;
+        }
+    }
+
+    /**
+     * Mark a job finished, persist it and notify listeners
+     */
+    finish(job, status, error = null) {
+        job.status = status;
+        job.error = error;
+        job.finishedAt = new Date().toISOString();
+        this.save(job);
+        this.emit('finished', this.summary(job));
+    }
+
+    /**
+     * Cancel a queued job, or stop a running one after its in-flight codes
+     * @param {string} id - Job id
+     * @returns {Object} - { success, job } or { success: false, reason: 'not-found'|'conflict', error }
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return { success: false, reason: 'not-found', error: `Job ${id} not found` };
+        if (FINISHED.includes(job.status)) {
+            return { success: false, reason: 'conflict', error: `Job ${id} is already ${job.status}` };
+        }
+
+        job.cancelRequested = true;
+        if (job.status === 'queued') {
+            this.queue = this.queue.filter(queued => queued !== id);
+            this.finish(job, 'cancelled');
+        } else {
+            this.save(job);
+        }
+        return { success: true, job: this.summary(job) };
+    }
+
+    /**
+     * Delete a finished or queued job and its results
+     * @param {string} id - Job id
+     * @returns {Object} - { success } or { success: false, reason: 'not-found'|'conflict', error }
+     */
+    remove(id) {
+        const job = this.jobs.get(id);
+        if (!job) return { success: false, reason: 'not-found', error: `Job ${id} not found` };
+        if (job.status === 'running') {
+            return { success: false, reason: 'conflict', error: `Job ${id} is running; cancel it first` };
+        }
+
+        this.queue = this.queue.filter(queued => queued !== id);
+        this.jobs.delete(id);
+        this.lastSaved.delete(id);
+        new JsonStore(path.join(this.dir, `${id}.json`)).remove();
+        return { success: true };
+    }
+
+    /**
+     * @param {string} id - Job id
+     * @returns {Object|null} - Job including per-code results
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Job without its per-code results
+     * @param {Object} job - Job
+     * @returns {Object} - Summary
+     */
+    summary(job) {
+        const { results, codes, request, ...rest } = job;
+        const { namasteCodes, ...options } = request;
+        const percent = job.progress.total > 0 ? Math.round(job.progress.processed / job.progress.total * 100) : 100;
+        return {
+            ...rest,
+            request: namasteCodes ? { ...options, codeCount: namasteCodes.length } : options,
+            progress: { ...job.progress, percent },
+            queuePosition: job.status === 'queued' ? this.queue.indexOf(job.id) + 1 || null : null
+        };
+    }
+
+    /**
+     * Summaries of all jobs, newest first
+     * @param {Object} filters - { status }
+     * @returns {Array} - Summaries
+     */
+    list({ status } = {}) {
+        return Array.from(this.jobs.values())
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(job => this.summary(job));
+    }
+
+    /**
+     * One row per mapping found so far, for export
+     * @param {Object} job - Job
+     * @returns {Array} - [{ sourceCode, sourceDisplay, targetCode, targetDisplay, confidence, equivalence, curation }]
+     */
+    mappings(job) {
+        return job.results.filter(r => r && r.success).flatMap(r => r.mappings.map(m => ({
+            sourceCode: r.namasteCode,
+            sourceDisplay: r.namasteDisplay,
+            ...m
+        })));
+    }
+}
+
+MappingJobs.STATUSES = STATUSES;
+
+module.exports = MappingJobs;
@@ -0,0 +1,197 @@
+const { extractKeywords } = require('./search-terms');
+
+/**
+ * Scoring features, their default weights and what they measure.
+ * A candidate's score is the sum of weight × value over all features, capped at 1.
+ */
+const FEATURES = {
+    exact: { weight: 1.0, description: 'ICD-11 title equals (1) or contains/is contained in (0.9) the NAMASTE term or an English synonym' },
+    tokens: { weight: 0.6, description: 'Share of words in common between the best NAMASTE label and the ICD-11 title (partial words count 0.7)' },
+    synonyms: { weight: 0.3, description: 'Share of ICD-11 title words reached from NAMASTE terms through the thesaurus (synonyms and translations count fully, broader/narrower terms half)' },
+    keywords: { weight: 0.3, description: 'Share of NAMASTE keywords found in the ICD-11 title' },
+    matchType: { weight: 0.2, description: 'ICD-11 entity kind from the upstream result (stem 0.9, extension 0.8, other 0.7)' }
+};
+
+const MATCH_TYPE_VALUES = { stem: 0.9, extension: 0.8, other: 0.7 };
+
+const RELATION_STRENGTH = { synonym: 1, translation: 1, broader: 0.5, narrower: 0.5 };
+
+const round = (n, places = 3) => Math.round(n * 10 ** places) / 10 ** places;
+
+/**
+ * Whether text contains a phrase on word boundaries
+ */
+function containsPhrase(text, phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+}
+
+/**
+ * One scoring engine for every NAMASTE ↔ ICD-11 comparison.
+ *
+ * Forward, reverse and batch mapping all score the pair (NAMASTE concept,
+ * ICD-11 entry) the same way, so a pair ranks identically whichever side
+ * the search started from. Each result lists every feature's value, weight
+ * and contribution so callers can show why a candidate ranked where it did.
+ */
+class MappingScorer {
+    /**
+     * @param {Object} options - { weights: { exact, tokens, synonyms, keywords, matchType } } overriding the defaults,
+     *   thesaurus: Thesaurus for the synonym feature (without one it scores 0)
+     */
+    constructor(options = {}) {
+        this.thesaurus = options.thesaurus || null;
+        this.weights = Object.fromEntries(Object.entries(FEATURES).map(([name, f]) => [name, f.weight]));
+        Object.entries(options.weights || {}).forEach(([name, weight]) => {
+            if (!(name in FEATURES)) {
+                console.warn(`⚠️ Ignoring weight for unknown mapping feature "${name}"`);
+            } else if (typeof weight !== 'number' || weight < 0) {
+                console.warn(`⚠️ Ignoring invalid weight ${weight} for mapping feature "${name}"`);
+            } else {
+                this.weights[name] = weight;
+            }
+        });
+    }
+
+    /**
+     * Score an ICD-11 entry as a mapping target for a NAMASTE concept
+     * @param {Object} concept - NAMASTE concept { display, synonyms, keywords }
+     * @param {Object} icd - ICD-11 entry { display, type }
+     * @returns {Object} - { score, features: [{ feature, value, weight, contribution, detail }] }
+     */
+    score(concept, icd) {
+        const title = String((icd && icd.display) || '').toLowerCase().trim();
+        const labels = [concept.display, ...(concept.synonyms || [])]
+            .map(l => String(l || '').toLowerCase().trim())
+            .filter(Boolean);
+        const keywords = (concept.keywords || []).map(k => String(k).toLowerCase());
+
+        const values = title
+            ? {
+                exact: this.exact(labels, title),
+                tokens: this.tokens(labels, title),
+                synonyms: this.synonyms([...labels, ...keywords, ...labels.flatMap(l => extractKeywords(l))], title),
+                keywords: this.keywords(keywords, title),
+                matchType: this.matchType(icd.type)
+            }
+            : Object.fromEntries(Object.keys(FEATURES).map(name => [name, { value: 0, detail: 'No ICD-11 title' }]));
+
+        const features = Object.entries(values).map(([feature, { value, detail }]) => ({
+            feature,
+            value: round(value),
+            weight: this.weights[feature],
+            contribution: round(value * this.weights[feature]),
+            detail
+        }));
+        const total = features.reduce((sum, f) => sum + f.contribution, 0);
+
+        return { score: round(Math.min(1, total), 2), features };
+    }
+
+    /**
+     * Exact or substring match against the NAMASTE term and synonyms
+     * @returns {Object} - { value, detail }
+     */
+    exact(labels, title) {
+        const equal = labels.find(l => l === title);
+        if (equal) return { value: 1, detail: `"${equal}" equals the ICD-11 title` };
+        const partial = labels.find(l => title.includes(l) || l.includes(title));
+        if (partial) return { value: 0.9, detail: `"${partial}" and the ICD-11 title contain one another` };
+        return { value: 0, detail: null };
+    }
+
+    /**
+     * Word overlap between the best-matching NAMASTE label and the title
+     * @returns {Object} - { value, detail }
+     */
+    tokens(labels, title) {
+        const titleWords = extractKeywords(title);
+        let best = { value: 0, detail: null };
+        labels.forEach(label => {
+            const words = extractKeywords(label);
+            if (words.length === 0 || titleWords.length === 0) return;
+            let matches = 0;
+            const shared = [];
+            words.forEach(a => {
+                titleWords.forEach(b => {
+                    if (a === b) {
+                        matches += 1;
+                        shared.push(a);
+                    } else if (a.includes(b) || b.includes(a)) {
+                        matches += 0.7;
+                        shared.push(`${a}~${b}`);
+                    }
+                });
+            });
+            const value = Math.min(1, matches / Math.max(words.length, titleWords.length));
+            if (value > best.value) best = { value, detail: `"${label}" shares ${shared.join(', ')}` };
+        });
+        return best;
+    }
+
+    /**
+     * Thesaurus relations linking NAMASTE terms to words of the title
+     * @returns {Object} - { value, detail }
+     */
+    synonyms(sourceTerms, title) {
+        const titleWords = extractKeywords(title);
+        if (!this.thesaurus || titleWords.length === 0) return { value: 0, detail: null };
+
+        const covered = new Map();
+        const hits = [];
+        new Set(sourceTerms).forEach(term => {
+            this.thesaurus.related(term).forEach(({ term: related, type, source }) => {
+                if (!containsPhrase(title, related)) return;
+                const strength = RELATION_STRENGTH[type] || 0;
+                extractKeywords(related).forEach(word => {
+                    covered.set(word, Math.max(covered.get(word) || 0, strength));
+                });
+                hits.push(`${term}→${related} (${type}, ${source})`);
+            });
+        });
+
+        const value = titleWords.reduce((sum, word) => sum + (covered.get(word) || 0), 0) / titleWords.length;
+        return { value: Math.min(1, value), detail: hits.length > 0 ? [...new Set(hits)].join(', ') : null };
+    }
+
+    /**
+     * NAMASTE keywords present in the title
+     * @returns {Object} - { value, detail }
+     */
+    keywords(keywords, title) {
+        if (keywords.length === 0) return { value: 0, detail: null };
+        const found = keywords.filter(k => title.includes(k));
+        return {
+            value: found.length / keywords.length,
+            detail: found.length > 0 ? `${found.length}/${keywords.length}: ${found.join(', ')}` : null
+        };
+    }
+
+    /**
+     * Prior from the kind of ICD-11 entity
+     * @returns {Object} - { value, detail }
+     */
+    matchType(type) {
+        const kind = String(type || '').toLowerCase();
+        return { value: MATCH_TYPE_VALUES[kind] || 0.6, detail: kind || 'unknown' };
+    }
+
+    /**
+     * @returns {Object} - Features with their weights and descriptions
+     */
+    describe() {
+        return {
+            combination: 'sum of weight × value over all features, capped at 1',
+            features: Object.entries(FEATURES).map(([feature, f]) => ({
+                feature,
+                weight: this.weights[feature],
+                defaultWeight: f.weight,
+                description: f.description
+            }))
+        };
+    }
+}
+
+MappingScorer.FEATURES = FEATURES;
+
+module.exports = MappingScorer;
@@ -0,0 +1,480 @@
+const EventEmitter = require('events');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JsonStore = require('./json-store');
+
+const NAMASTE_SYSTEM = 'http://namaste.ayush.gov.in/fhir/CodeSystem/namaste-codes';
+const ICD11_SYSTEM = 'http://id.who.int/icd/release/11/mms';
+
+/**
+ * Review actions and the status changes they make
+ */
+const TRANSITIONS = {
+    approve: { from: ['proposed'], to: 'approved' },
+    reject: { from: ['proposed'], to: 'rejected' },
+    retire: { from: ['approved'], to: 'retired' },
+    reopen: { from: ['rejected'], to: 'proposed' }
+};
+
+const STATUSES = ['proposed', 'approved', 'rejected', 'retired'];
+
+/**
+ * ConceptMap equivalence codes a curator may record
+ */
+const EQUIVALENCES = ['equivalent', 'equal', 'wider', 'subsumes', 'narrower', 'specializes', 'inexact', 'relatedto'];
+
+/**
+ * Equivalence of a mapping read in the opposite direction (ICD-11 → NAMASTE)
+ */
+const INVERSE_EQUIVALENCE = {
+    wider: 'narrower',
+    narrower: 'wider',
+    subsumes: 'specializes',
+    specializes: 'subsumes'
+};
+
+/**
+ * Fields a curator may change with edit()
+ */
+const EDITABLE = ['targetCode', 'targetDisplay', 'equivalence', 'confidence'];
+
+/**
+ * Curated NAMASTE → ICD-11 mappings with a review workflow.
+ *
+ * Heuristic matches are recorded as 'proposed'. Curators approve or reject
+ * them (rejected ones can be reopened) and retire approved mappings that are
+ * no longer valid; every change is appended to the entry's history with the
+ * reviewer, timestamp and comment. Each source/target pair has at most one
+ * live (non-retired) entry, so rejected pairs are not proposed again.
+ * Stored under `<dataDir>/mappings/mappings.json`; a 'change' event is
+ * emitted after each write. Curator changes are written at once, heuristic
+ * proposals are batched into one debounced write (and flushed on exit) so
+ * mapping many codes does not rewrite the file once per code.
+ */
+class MappingStore extends EventEmitter {
+    /**
+     * @param {Object} options - { dataDir, flushDelay (ms) }
+     */
+    constructor(options = {}) {
+        super();
+        this.store = new JsonStore(path.join(options.dataDir, 'mappings', 'mappings.json'), { mappings: [] });
+        this.mappings = this.store.read().mappings || [];
+        this.flushDelay = options.flushDelay === undefined ? 1000 : options.flushDelay;
+        this.flushTimer = null;
+        this.dirty = false;
+        process.on('exit', () => this.flush());
+    }
+
+    /**
+     * Persist all entries now and notify listeners
+     */
+    save() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.store.write({ mappings: this.mappings });
+        this.dirty = false;
+        this.emit('change');
+    }
+
+    /**
+     * Apply a change and save it. If the change or the write fails the
+     * previous entries are restored, so a refused write leaves nothing
+     * behind for the next save to persist.
+     * @param {Function} change - Mutates this.mappings
+     */
+    commit(change) {
+        const previous = JSON.parse(JSON.stringify(this.mappings));
+        try {
+            change();
+            this.save();
+        } catch (error) {
+            this.mappings = previous;
+            throw error;
+        }
+    }
+
+    /**
+     * Write entries changed since the last save, if any
+     */
+    flush() {
+        if (this.dirty) this.save();
+    }
+
+    scheduleSave() {
+        this.dirty = true;
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            try {
+                this.flush();
+            } catch (error) {
+                console.error('❌ Failed to save mapping proposals:', error.message);
+            }
+        }, this.flushDelay);
+        this.flushTimer.unref();
+    }
+
+    /**
+     * @param {string} id - Mapping id
+     * @returns {Object|null} - Mapping
+     */
+    get(id) {
+        return this.mappings.find(m => m.id === id) || null;
+    }
+
+    /**
+     * Live (non-retired) entry for a source/target pair
+     * @param {string} sourceCode - NAMASTE code
+     * @param {string} targetCode - ICD-11 code
+     * @returns {Object|null} - Mapping
+     */
+    findPair(sourceCode, targetCode) {
+        return this.mappings.find(m =>
+            m.sourceCode === sourceCode &&
+            m.targetCode.toUpperCase() === String(targetCode).toUpperCase() &&
+            m.status !== 'retired') || null;
+    }
+
+    /**
+     * Filtered, paged listing, most recently updated first
+     * @param {Object} filters - { status, sourceCode, targetCode, origin, limit, offset }
+     * @returns {Object} - { total, mappings }
+     */
+    list(filters = {}) {
+        const { status, sourceCode, targetCode, origin, limit = 50, offset = 0 } = filters;
+        const matching = this.mappings
+            .filter(m => !status || m.status === status)
+            .filter(m => !sourceCode || m.sourceCode === sourceCode)
+            .filter(m => !targetCode || m.targetCode.toUpperCase() === String(targetCode).toUpperCase())
+            .filter(m => !origin || m.origin === origin)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        return { total: matching.length, mappings: matching.slice(offset, offset + limit) };
+    }
+
+    /**
+     * Approved mappings from a NAMASTE code, highest confidence first
+     * @param {string} sourceCode - NAMASTE code
+     * @returns {Array} - Mappings
+     */
+    approvedFor(sourceCode) {
+        return this.mappings
+            .filter(m => m.status === 'approved' && m.sourceCode === sourceCode)
+            .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+    }
+
+    /**
+     * Approved mappings to an ICD-11 code, highest confidence first
+     * @param {string} targetCode - ICD-11 code
+     * @returns {Array} - Mappings
+     */
+    approvedTo(targetCode) {
+        const wanted = String(targetCode || '').toUpperCase();
+        return this.mappings
+            .filter(m => m.status === 'approved' && m.targetCode.toUpperCase() === wanted)
+            .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+    }
+
+    /**
+     * Target codes that curators have rejected for a NAMASTE code
+     * @param {string} sourceCode - NAMASTE code
+     * @returns {Set<string>} - Upper-cased ICD-11 codes
+     */
+    rejectedTargets(sourceCode) {
+        return new Set(this.mappings
+            .filter(m => m.status === 'rejected' && m.sourceCode === sourceCode)
+            .map(m => m.targetCode.toUpperCase()));
+    }
+
+    /**
+     * NAMASTE codes whose mapping to an ICD-11 code curators have rejected
+     * @param {string} targetCode - ICD-11 code
+     * @returns {Set<string>} - NAMASTE codes
+     */
+    rejectedSources(targetCode) {
+        const wanted = String(targetCode || '').toUpperCase();
+        return new Set(this.mappings
+            .filter(m => m.status === 'rejected' && m.targetCode.toUpperCase() === wanted)
+            .map(m => m.sourceCode));
+    }
+
+    /**
+     * Build a new proposed entry
+     * @param {Object} input - Mapping fields
+     * @param {string} origin - 'algorithm', 'manual' or 'import'
+     * @param {string} actor - Who proposed it (defaults to the origin)
+     * @returns {Object} - Mapping
+     */
+    create(input, origin, actor) {
+        const now = new Date().toISOString();
+        return {
+            id: uuidv4(),
+            sourceSystem: NAMASTE_SYSTEM,
+            sourceCode: input.sourceCode,
+            sourceDisplay: input.sourceDisplay || null,
+            targetSystem: ICD11_SYSTEM,
+            targetCode: String(input.targetCode).toUpperCase(),
+            targetDisplay: input.targetDisplay || null,
+            equivalence: input.equivalence || null,
+            confidence: typeof input.confidence === 'number' ? input.confidence : null,
+            features: input.features || null,
+            origin,
+            status: 'proposed',
+            createdAt: now,
+            updatedAt: now,
+            reviewedBy: null,
+            reviewedAt: null,
+            history: [{ action: 'propose', status: 'proposed', by: actor || origin, at: now, comment: input.comment || null }]
+        };
+    }
+
+    /**
+     * Record heuristic matches as proposals. Pairs that already have a live
+     * entry (proposed, approved or rejected) are left alone. New entries are
+     * written by a debounced save; call flush() to write them at once.
+     * @param {Array} candidates - [{ sourceCode, sourceDisplay, targetCode, targetDisplay, confidence, features }]
+     * @returns {Array} - Newly created mappings
+     */
+    propose(candidates) {
+        const created = [];
+        (candidates || []).forEach(candidate => {
+            if (!candidate.sourceCode || !candidate.targetCode) return;
+            if (this.findPair(candidate.sourceCode, candidate.targetCode)) return;
+            const entry = this.create(candidate, 'algorithm');
+            this.mappings.push(entry);
+            created.push(entry);
+        });
+        if (created.length > 0) this.scheduleSave();
+        return created;
+    }
+
+    /**
+     * Add a proposal by hand
+     * @param {Object} input - { sourceCode, sourceDisplay, targetCode, targetDisplay, equivalence, confidence, comment }
+     * @param {string} proposer - Who proposed it
+     * @returns {Object} - { success, mapping } or { success: false, reason: 'invalid'|'conflict', error }
+     */
+    add(input, proposer) {
+        const error = this.checkFields(input);
+        if (error) return { success: false, reason: 'invalid', error };
+        if (!input.sourceCode || !input.targetCode) {
+            return { success: false, reason: 'invalid', error: 'sourceCode and targetCode are required' };
+        }
+        const existing = this.findPair(input.sourceCode, input.targetCode);
+        if (existing) {
+            return {
+                success: false,
+                reason: 'conflict',
+                error: `${input.sourceCode} → ${input.targetCode} already has a ${existing.status} mapping (${existing.id})`,
+                mapping: existing
+            };
+        }
+
+        const entry = this.create(input, 'manual', proposer);
+        this.commit(() => this.mappings.push(entry));
+        return { success: true, mapping: entry };
+    }
+
+    /**
+     * Import a mapping set. New pairs are added as proposals with origin
+     * 'import'; a row with a status (approved, rejected, retired, proposed)
+     * also moves the pair there by the matching review action, which needs a
+     * reviewer. Pairs whose live entry already has the row's status are
+     * skipped. Nothing is stored unless every row is valid.
+     * @param {Array} records - [{ row, sourceCode, sourceDisplay, targetCode, targetDisplay, equivalence, confidence, status, comment }]
+     * @param {Object} options - { proposer, reviewer, dryRun }
+     * @returns {Object} - { success, dryRun, created, reviewed, skipped, errors: [{ row, field?, message }] }
+     */
+    import(records, { proposer, reviewer, dryRun = false } = {}) {
+        const errors = [];
+        const seen = new Map();
+        const plan = [];
+        if (!proposer) errors.push({ field: 'proposer', message: 'proposer is required' });
+
+        records.forEach(record => {
+            const { row } = record;
+            const error = this.checkFields(record);
+            if (error) errors.push({ row, message: error });
+            if (record.status && !STATUSES.includes(record.status)) {
+                errors.push({ row, field: 'status', message: `status must be one of ${STATUSES.join(', ')}` });
+                return;
+            }
+
+            const pair = `${record.sourceCode}|${String(record.targetCode).toUpperCase()}`;
+            if (seen.has(pair)) {
+                errors.push({ row, message: `${record.sourceCode} → ${record.targetCode} is already listed in row ${seen.get(pair)}` });
+                return;
+            }
+            seen.set(pair, row);
+
+            const existing = this.findPair(record.sourceCode, record.targetCode);
+            const from = existing ? existing.status : 'proposed';
+            const to = record.status || from;
+            const action = from === to ? null : Object.keys(TRANSITIONS)
+                .find(a => TRANSITIONS[a].from.includes(from) && TRANSITIONS[a].to === to);
+            if (from !== to && !action) {
+                errors.push({
+                    row,
+                    field: 'status',
+                    message: existing
+                        ? `${record.sourceCode} → ${record.targetCode} is ${from} (${existing.id}) and cannot become ${to}`
+                        : `A new mapping cannot be imported as ${to}`
+                });
+                return;
+            }
+            if (action && !reviewer) {
+                errors.push({ row, field: 'status', message: `reviewer is required to import ${to} mappings` });
+                return;
+            }
+            plan.push({ record, existing, action });
+        });
+
+        const created = plan.filter(p => !p.existing).length;
+        const reviewed = plan.filter(p => p.action).length;
+        const skipped = plan.filter(p => p.existing && !p.action)
+            .map(p => ({ row: p.record.row, id: p.existing.id, status: p.existing.status }));
+        if (errors.length > 0 || dryRun) {
+            return { success: errors.length === 0, dryRun, created, reviewed, skipped, errors };
+        }
+
+        if (created > 0 || reviewed > 0) {
+            this.commit(() => {
+                plan.forEach(({ record, existing, action }) => {
+                    const entry = existing || this.create(record, 'import', proposer);
+                    if (!existing) this.mappings.push(entry);
+                    if (!action) return;
+                    const now = new Date().toISOString();
+                    entry.status = TRANSITIONS[action].to;
+                    if (record.equivalence) entry.equivalence = record.equivalence;
+                    if (action === 'approve' && !entry.equivalence) {
+                        entry.equivalence = (entry.confidence || 0) >= 0.8 ? 'equivalent' : 'wider';
+                    }
+                    entry.updatedAt = now;
+                    entry.reviewedBy = reviewer;
+                    entry.reviewedAt = now;
+                    entry.history.push({ action, status: entry.status, by: reviewer, at: now, comment: record.comment || 'Imported' });
+                });
+            });
+        }
+        return { success: true, dryRun, created, reviewed, skipped, errors };
+    }
+
+    /**
+     * Approve, reject, retire or reopen a mapping
+     * @param {string} id - Mapping id
+     * @param {Object} review - { action, reviewer, comment, equivalence? }
+     * @returns {Object} - { success, mapping } or { success: false, reason: 'not-found'|'invalid'|'conflict', error }
+     */
+    review(id, { action, reviewer, comment = null, equivalence } = {}) {
+        const entry = this.get(id);
+        if (!entry) return { success: false, reason: 'not-found', error: `Mapping ${id} not found` };
+
+        const transition = TRANSITIONS[action];
+        if (!transition) {
+            return { success: false, reason: 'invalid', error: `action must be one of ${Object.keys(TRANSITIONS).join(', ')}` };
+        }
+        if (!reviewer) return { success: false, reason: 'invalid', error: 'reviewer is required' };
+        if (!transition.from.includes(entry.status)) {
+            return { success: false, reason: 'conflict', error: `Cannot ${action} a mapping that is ${entry.status}` };
+        }
+        const error = this.checkFields({ equivalence });
+        if (error) return { success: false, reason: 'invalid', error };
+
+        const now = new Date().toISOString();
+        this.commit(() => {
+            entry.status = transition.to;
+            if (equivalence) entry.equivalence = equivalence;
+            if (action === 'approve' && !entry.equivalence) {
+                entry.equivalence = (entry.confidence || 0) >= 0.8 ? 'equivalent' : 'wider';
+            }
+            entry.updatedAt = now;
+            entry.reviewedBy = reviewer;
+            entry.reviewedAt = now;
+            entry.history.push({ action, status: entry.status, by: reviewer, at: now, comment });
+        });
+        return { success: true, mapping: entry };
+    }
+
+    /**
+     * Change the target, equivalence or confidence of a live mapping
+     * @param {string} id - Mapping id
+     * @param {Object} changes - Subset of targetCode, targetDisplay, equivalence, confidence
+     * @param {Object} review - { reviewer, comment }
+     * @returns {Object} - { success, mapping } or { success: false, reason, error }
+     */
+    edit(id, changes = {}, { reviewer, comment = null } = {}) {
+        const entry = this.get(id);
+        if (!entry) return { success: false, reason: 'not-found', error: `Mapping ${id} not found` };
+        if (!reviewer) return { success: false, reason: 'invalid', error: 'reviewer is required' };
+        if (entry.status === 'retired') {
+            return { success: false, reason: 'conflict', error: 'Retired mappings cannot be edited' };
+        }
+        const error = this.checkFields(changes);
+        if (error) return { success: false, reason: 'invalid', error };
+
+        const changed = {};
+        EDITABLE.forEach(field => {
+            if (changes[field] === undefined) return;
+            const value = field === 'targetCode' ? String(changes[field]).toUpperCase() : changes[field];
+            if (value !== entry[field]) changed[field] = { from: entry[field], to: value };
+        });
+        if (Object.keys(changed).length === 0) {
+            return { success: false, reason: 'invalid', error: `Nothing to change; editable fields are ${EDITABLE.join(', ')}` };
+        }
+        if (changed.targetCode) {
+            const clash = this.findPair(entry.sourceCode, changed.targetCode.to);
+            if (clash && clash.id !== entry.id) {
+                return { success: false, reason: 'conflict', error: `${entry.sourceCode} → ${changed.targetCode.to} already has a ${clash.status} mapping (${clash.id})` };
+            }
+        }
+
+        const now = new Date().toISOString();
+        this.commit(() => {
+            Object.entries(changed).forEach(([field, { to }]) => { entry[field] = to; });
+            entry.updatedAt = now;
+            entry.history.push({ action: 'edit', status: entry.status, by: reviewer, at: now, comment, changes: changed });
+        });
+        return { success: true, mapping: entry };
+    }
+
+    /**
+     * Check field values shared by add/review/edit
+     * @returns {string|null} - Error message
+     */
+    checkFields({ equivalence, confidence } = {}) {
+        if (equivalence !== undefined && equivalence !== null && !EQUIVALENCES.includes(equivalence)) {
+            return `equivalence must be one of ${EQUIVALENCES.join(', ')}`;
+        }
+        if (confidence !== undefined && confidence !== null &&
+            (typeof confidence !== 'number' || Number.isNaN(confidence) || confidence < 0 || confidence > 1)) {
+            return 'confidence must be a number between 0 and 1';
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Object} - Entry counts by status and origin
+     */
+    stats() {
+        const byStatus = Object.fromEntries(STATUSES.map(s => [s, 0]));
+        const byOrigin = {};
+        this.mappings.forEach(m => {
+            byStatus[m.status]++;
+            byOrigin[m.origin] = (byOrigin[m.origin] || 0) + 1;
+        });
+        return { total: this.mappings.length, byStatus, byOrigin };
+    }
+}
+
+MappingStore.STATUSES = STATUSES;
+MappingStore.EQUIVALENCES = EQUIVALENCES;
+
+/**
+ * @param {string} equivalence - Equivalence of a NAMASTE → ICD-11 mapping
+ * @returns {string} - Equivalence of the same mapping read ICD-11 → NAMASTE
+ */
+MappingStore.inverseEquivalence = equivalence => INVERSE_EQUIVALENCE[equivalence] || equivalence;
+
+module.exports = MappingStore;
@@ -0,0 +1,341 @@
+const csv = require('./csv');
+const xlsx = require('./xlsx');
+const { languageForHeader } = require('./designations');
+
+const SYSTEMS = ['Ayurveda', 'Siddha', 'Unani'];
+
+/**
+ * Column aliases used by the official NAMASTE spreadsheets (NAMC/NSMC/NUMC)
+ * and by our own JSON export. Header names are compared after lower-casing
+ * and stripping everything except letters and digits.
+ */
+const COLUMN_ALIASES = {
+    code: ['code', 'namccode', 'nsmccode', 'numccode', 'namastecode'],
+    display: ['display', 'term', 'namcterm', 'nsmcterm', 'numcterm', 'englishterm', 'termenglish'],
+    description: ['description', 'shortdefinition', 'definition', 'longdefinition'],
+    category: ['category', 'ontologybranches', 'ontologybranch', 'group', 'diseasegroup'],
+    parent: ['parent', 'parentcode', 'broader', 'isa', 'groupcode'],
+    synonyms: ['synonyms', 'synonym'],
+    keywords: ['keywords', 'keyword']
+};
+
+const CODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9.\-_]*$/;
+
+// Largest uploaded file (sent as text or base64 in a request body) accepted for import
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.IMPORT_MAX_FILE_MB) || 5) * 1024 * 1024;
+
+/**
+ * Normalise a spreadsheet header for alias matching
+ * @param {string} header - Raw header text
+ * @returns {string} - Normalised header
+ */
+function normaliseHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split a multi-valued cell ("a; b | c") into trimmed values
+ * @param {*} value - Cell value or array
+ * @returns {Array<string>} - Values
+ */
+function splitList(value) {
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+    return String(value || '')
+        .split(/[;|]/)
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Resolve a system name case-insensitively
+ * @param {string} system - System name supplied by the caller
+ * @returns {string|null} - Canonical system name
+ */
+function resolveSystem(system) {
+    const wanted = String(system || '').trim().toLowerCase();
+    return SYSTEMS.find(s => s.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Detect the file format from an explicit format or filename
+ * @param {Object} file - { format, filename }
+ * @returns {string} - 'csv', 'tsv', 'xlsx' or 'json'
+ */
+function detectFormat(file) {
+    const explicit = String(file.format || '').toLowerCase();
+    if (explicit) return explicit === 'xls' ? 'xlsx' : explicit;
+    const ext = String(file.filename || '').toLowerCase().split('.').pop();
+    if (ext === 'xlsx' || ext === 'xls') return 'xlsx';
+    if (ext === 'tsv' || ext === 'txt') return 'tsv';
+    if (ext === 'json') return 'json';
+    return 'csv';
+}
+
+/**
+ * Decode file content into a Buffer or string as the format requires.
+ * Uploaded (string) content is limited to MAX_UPLOAD_BYTES; Buffers read
+ * from local files are not.
+ * @param {Object} file - { content, encoding }
+ * @param {string} format - Detected format
+ * @returns {Buffer|string} - Decoded content
+ */
+function decodeContent(file, format) {
+    const { content, encoding } = file;
+    if (Buffer.isBuffer(content)) {
+        return format === 'xlsx' ? content : content.toString('utf8');
+    }
+    if (typeof content === 'string' && Buffer.byteLength(content) * (encoding === 'base64' ? 0.75 : 1) > MAX_UPLOAD_BYTES) {
+        throw new Error(`File is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB`);
+    }
+    if (encoding === 'base64') {
+        const buffer = Buffer.from(String(content || ''), 'base64');
+        return format === 'xlsx' ? buffer : buffer.toString('utf8');
+    }
+    return format === 'xlsx' ? Buffer.from(String(content || ''), 'binary') : content;
+}
+
+/**
+ * Read raw records (one object per row, keyed by header) from a file
+ * @param {Object} file - { content, encoding, format, filename }
+ * @returns {Array<Object>} - Raw rows, each with its 1-based source row in `__row`
+ */
+function readRecords(file) {
+    const format = detectFormat(file);
+    const content = decodeContent(file, format);
+
+    switch (format) {
+        case 'xlsx':
+            return xlsx.parse(content, { sheet: file.sheet }).records;
+        case 'json': {
+            const data = typeof content === 'string' ? JSON.parse(content) : content;
+            return (Array.isArray(data) ? data : []).map((row, index) => ({ ...row, __row: index + 1 }));
+        }
+        case 'tsv':
+            return csv.parse(content, { delimiter: '\t' }).records;
+        case 'csv':
+            return csv.parse(content).records;
+        default:
+            throw new Error(`Unsupported file format: ${format}`);
+    }
+}
+
+/**
+ * Map a raw row onto the NAMASTE concept model
+ * @param {Object} raw - Raw row keyed by source headers
+ * @param {string} system - Canonical system name
+ * @returns {Object} - Concept
+ */
+function toConcept(raw, system) {
+    const byHeader = {};
+    Object.keys(raw).forEach(key => {
+        if (key !== '__row') byHeader[normaliseHeader(key)] = raw[key];
+    });
+
+    const pick = field => {
+        const alias = COLUMN_ALIASES[field].find(a => byHeader[a] !== undefined && byHeader[a] !== '');
+        return alias ? byHeader[alias] : undefined;
+    };
+
+    // Native-script columns (e.g. NAMC_term_DEVANAGARI, Tamil_term, Urdu_term) become designations
+    const designations = Array.isArray(raw.designations)
+        ? raw.designations
+            .filter(d => d && d.language && d.value)
+            .map(d => ({ language: String(d.language).trim(), value: String(d.value).trim() }))
+        : [];
+    Object.keys(raw).forEach(key => {
+        const language = languageForHeader(normaliseHeader(key));
+        if (!language || Array.isArray(raw[key])) return;
+        splitList(raw[key]).forEach(value => designations.push({ language, value }));
+    });
+
+    return {
+        code: String(pick('code') || '').trim(),
+        display: String(pick('display') || '').trim(),
+        description: String(pick('description') || '').trim(),
+        category: String(pick('category') || '').trim(),
+        system,
+        ...(pick('parent') ? { parent: String(pick('parent')).trim() } : {}),
+        synonyms: splitList(pick('synonyms')),
+        keywords: splitList(pick('keywords')).map(k => k.toLowerCase()),
+        designations
+    };
+}
+
+/**
+ * Parse and validate one NAMASTE release file
+ * @param {Object} file - { system, content, encoding?, format?, filename?, sheet? }
+ * @returns {Object} - { system, concepts, errors, warnings }
+ */
+function parseFile(file) {
+    const errors = [];
+    const warnings = [];
+    const source = file.filename || file.system || 'upload';
+    const system = resolveSystem(file.system);
+
+    if (!system) {
+        errors.push({ file: source, field: 'system', message: `system must be one of ${SYSTEMS.join(', ')}` });
+        return { system: file.system, concepts: [], errors, warnings };
+    }
+
+    let records;
+    try {
+        records = readRecords(file);
+    } catch (error) {
+        errors.push({ file: source, message: `Could not read file: ${error.message}` });
+        return { system, concepts: [], errors, warnings };
+    }
+
+    if (records.length === 0) {
+        errors.push({ file: source, message: 'File contains no data rows' });
+    }
+
+    const seen = new Map();
+    const concepts = [];
+
+    records.forEach(raw => {
+        const row = raw.__row;
+        const concept = toConcept(raw, system);
+
+        if (!concept.code) {
+            errors.push({ file: source, row, field: 'code', message: 'Missing code' });
+            return;
+        }
+        if (!CODE_PATTERN.test(concept.code)) {
+            errors.push({ file: source, row, field: 'code', message: `Invalid code "${concept.code}"` });
+            return;
+        }
+        if (!concept.display) {
+            errors.push({ file: source, row, field: 'display', message: `Missing term for ${concept.code}` });
+            return;
+        }
+        if (seen.has(concept.code)) {
+            errors.push({
+                file: source,
+                row,
+                field: 'code',
+                message: `Duplicate code ${concept.code} (first seen on row ${seen.get(concept.code)})`
+            });
+            return;
+        }
+        if (!concept.description) {
+            warnings.push({ file: source, row, field: 'description', message: `No definition for ${concept.code}` });
+        }
+        if (!concept.category) {
+            warnings.push({ file: source, row, field: 'category', message: `No category for ${concept.code}` });
+        }
+
+        seen.set(concept.code, row);
+        concepts.push(concept);
+    });
+
+    return { system, concepts, errors, warnings };
+}
+
+/**
+ * Check parent links: every parent must exist and the is-a graph must be acyclic
+ * @param {Array} concepts - Concepts of the whole release
+ * @returns {Array<Object>} - Errors
+ */
+function checkHierarchy(concepts) {
+    const errors = [];
+    const byCode = new Map(concepts.map(c => [c.code, c]));
+
+    concepts.forEach(concept => {
+        if (!concept.parent) return;
+        if (concept.parent === concept.code) {
+            errors.push({ field: 'parent', message: `${concept.code} cannot be its own parent` });
+        } else if (!byCode.has(concept.parent)) {
+            errors.push({ field: 'parent', message: `Parent ${concept.parent} of ${concept.code} does not exist` });
+        }
+    });
+
+    const reported = new Set();
+    concepts.forEach(concept => {
+        const path = new Set([concept.code]);
+        let current = byCode.get(concept.parent);
+        while (current) {
+            if (path.has(current.code)) {
+                if (!reported.has(current.code)) {
+                    errors.push({ field: 'parent', message: `Hierarchy cycle through ${Array.from(path).join(' → ')}` });
+                    path.forEach(code => reported.add(code));
+                }
+                break;
+            }
+            path.add(current.code);
+            current = byCode.get(current.parent);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Parse and validate a set of release files, checking codes across systems
+ * @param {Array<Object>} files - Files as accepted by parseFile
+ * @returns {Object} - { valid, systems, concepts, errors, warnings }
+ */
+function parseFiles(files = []) {
+    const errors = [];
+    const warnings = [];
+    const bySystem = new Map();
+
+    if (!Array.isArray(files) || files.length === 0) {
+        errors.push({ message: 'At least one file is required' });
+    }
+
+    (Array.isArray(files) ? files : []).forEach((file, index) => {
+        if (!file || typeof file !== 'object' || Array.isArray(file)) {
+            errors.push({ file: index, message: 'Each file must be an object with system and content' });
+            return;
+        }
+        if (file.content === undefined || file.content === null) {
+            errors.push({ file: file.filename || index, field: 'content', message: 'content is required' });
+            return;
+        }
+        const result = parseFile(file);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+        if (result.concepts.length > 0) {
+            if (bySystem.has(result.system)) {
+                errors.push({ file: file.filename, message: `More than one file supplied for ${result.system}` });
+                return;
+            }
+            bySystem.set(result.system, result.concepts);
+        }
+    });
+
+    // Codes must be unique across the whole terminology, not just within one file
+    const owner = new Map();
+    bySystem.forEach((concepts, system) => {
+        concepts.forEach(concept => {
+            if (owner.has(concept.code)) {
+                errors.push({
+                    field: 'code',
+                    message: `Code ${concept.code} appears in both ${owner.get(concept.code)} and ${system}`
+                });
+            } else {
+                owner.set(concept.code, system);
+            }
+        });
+    });
+
+    const concepts = Array.from(bySystem.values()).flat();
+
+    return {
+        valid: errors.length === 0,
+        systems: Array.from(bySystem.keys()),
+        concepts,
+        errors,
+        warnings
+    };
+}
+
+module.exports = {
+    SYSTEMS,
+    parseFile,
+    parseFiles,
+    resolveSystem,
+    checkHierarchy,
+    readRecords,
+    normaliseHeader
+};
@@ -0,0 +1,198 @@
+/**
+ * Retry, circuit-breaker and error-reporting helpers for upstream calls.
+ */
+
+/**
+ * Raised when an upstream answer could not be obtained and no cached copy exists.
+ * Routes turn it into HTTP 503 with a Retry-After header.
+ */
+class UpstreamUnavailableError extends Error {
+    /**
+     * @param {string} message - What failed
+     * @param {Object} details - { provider, retryAfter (seconds), cause, circuit }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'UpstreamUnavailableError';
+        this.provider = details.provider || null;
+        this.retryAfter = details.retryAfter || 30;
+        this.circuit = details.circuit || null;
+        this.cause = details.cause;
+    }
+
+    toJSON() {
+        return {
+            error: 'ICD-11 service unavailable',
+            status: 'degraded',
+            message: this.message,
+            provider: this.provider,
+            retryAfter: this.retryAfter,
+            ...(this.circuit ? { circuit: this.circuit } : {})
+        };
+    }
+}
+
+/**
+ * Whether an error is worth retrying: network failures, timeouts, 429 and 5xx
+ * @param {Error} error - Error from axios or a provider
+ * @returns {boolean}
+ */
+function isTransient(error) {
+    if (!error) return false;
+    if (error.response) {
+        const status = error.response.status;
+        return status === 429 || status >= 500;
+    }
+    return true;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn, retrying transient failures with exponential backoff and full jitter
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - { retries, baseDelay (ms), maxDelay (ms), shouldRetry }
+ * @returns {Promise<*>} - fn's result; rejects with the last error
+ */
+async function retry(fn, options = {}) {
+    const { retries = 2, baseDelay = 200, maxDelay = 2000, shouldRetry = isTransient } = options;
+    let attempt = 0;
+    for (;;) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) throw error;
+            const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+            await sleep(Math.random() * ceiling);
+            attempt++;
+        }
+    }
+}
+
+/**
+ * Three-state circuit breaker.
+ *
+ * closed: calls pass; consecutive transient failures are counted.
+ * open: calls fail fast until resetTimeout has passed.
+ * half-open: a single trial call is let through; success closes the circuit,
+ * failure opens it again.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options - { name, failureThreshold, resetTimeout (ms) }
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'upstream';
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 30000;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.counters = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+    }
+
+    /**
+     * Seconds until the next call will be attempted (0 when closed)
+     * @returns {number}
+     */
+    get retryAfter() {
+        if (this.state !== 'open') return 0;
+        return Math.max(1, Math.ceil((this.openedAt + this.resetTimeout - Date.now()) / 1000));
+    }
+
+    /**
+     * Whether a call may go out now; moves open → half-open once the timeout has passed
+     * @returns {boolean}
+     */
+    allow() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = 'half-open';
+        }
+        if (this.state === 'half-open') {
+            if (this.trialInFlight) return false;
+            this.trialInFlight = true;
+            return true;
+        }
+        return this.state === 'closed';
+    }
+
+    /**
+     * Run fn through the breaker
+     * @param {Function} fn - Async function
+     * @returns {Promise<*>} - fn's result; rejects with UpstreamUnavailableError when open
+     */
+    async execute(fn) {
+        if (!this.allow()) {
+            this.counters.rejected++;
+            throw new UpstreamUnavailableError(`${this.name} circuit is open after repeated failures`, {
+                provider: this.name,
+                retryAfter: this.retryAfter || Math.ceil(this.resetTimeout / 1000),
+                circuit: this.state
+            });
+        }
+
+        try {
+            const result = await fn();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            // Only outages count; an upstream answer such as 404 leaves the breaker as it was
+            if (isTransient(error)) this.onFailure();
+            else this.trialInFlight = false;
+            throw error;
+        }
+    }
+
+    onSuccess() {
+        this.counters.successes++;
+        this.failures = 0;
+        this.trialInFlight = false;
+        if (this.state !== 'closed') {
+            console.log(`✅ ${this.name} circuit closed`);
+        }
+        this.state = 'closed';
+    }
+
+    onFailure() {
+        this.counters.failures++;
+        this.failures++;
+        const trialFailed = this.state === 'half-open';
+        this.trialInFlight = false;
+        if (trialFailed || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                this.counters.opened++;
+                console.error(`❌ ${this.name} circuit opened after ${this.failures} consecutive failure(s)`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * @returns {Object} - State and counters
+     */
+    stats() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.failures,
+            failureThreshold: this.failureThreshold,
+            resetTimeoutSeconds: Math.round(this.resetTimeout / 1000),
+            retryAfter: this.retryAfter,
+            ...this.counters
+        };
+    }
+}
+
+/**
+ * Send an UpstreamUnavailableError as 503 with Retry-After
+ * @param {Object} res - Express response
+ * @param {UpstreamUnavailableError} error - Error to report
+ * @returns {Object} - Express response
+ */
+function sendUnavailable(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(503).json(error.toJSON());
+}
+
+module.exports = { UpstreamUnavailableError, CircuitBreaker, retry, isTransient, sendUnavailable };
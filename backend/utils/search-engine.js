@@ -0,0 +1,378 @@
+const { fold, skeleton, tokenize } = require('./transliteration');
+
+/**
+ * Searchable NAMASTE concept fields and their BM25F weights
+ */
+const NAMASTE_FIELDS = [
+    { name: 'code', weight: 4, values: c => [c.code] },
+    { name: 'display', weight: 3, values: c => [c.display] },
+    { name: 'synonyms', weight: 2, values: c => c.synonyms || [] },
+    { name: 'designations', weight: 2, values: c => (c.designations || []).map(d => d.value) },
+    { name: 'keywords', weight: 1.5, values: c => c.keywords || [] },
+    { name: 'description', weight: 1, values: c => [c.description] },
+    { name: 'category', weight: 0.5, values: c => [c.category] }
+];
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'due', 'including', 'is'
+]);
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_PREFIX_EXPANSIONS = 50;
+
+/**
+ * Prefix trie over search keys, used for autocomplete expansion
+ */
+class PrefixTrie {
+    constructor() {
+        this.root = { children: new Map(), terminal: false };
+    }
+
+    /**
+     * @param {string} term - Search key to insert
+     */
+    insert(term) {
+        let node = this.root;
+        for (const ch of term) {
+            if (!node.children.has(ch)) {
+                node.children.set(ch, { children: new Map(), terminal: false });
+            }
+            node = node.children.get(ch);
+        }
+        node.terminal = true;
+    }
+
+    /**
+     * All terms starting with a prefix, shortest first
+     * @param {string} prefix - Key prefix
+     * @param {number} limit - Maximum number of terms
+     * @returns {Array<string>} - Matching terms
+     */
+    withPrefix(prefix, limit = MAX_PREFIX_EXPANSIONS) {
+        let node = this.root;
+        for (const ch of prefix) {
+            node = node.children.get(ch);
+            if (!node) return [];
+        }
+
+        // Breadth-first so the closest completions win when the limit is hit
+        const out = [];
+        const queue = [[node, prefix]];
+        while (queue.length > 0 && out.length < limit) {
+            const [current, text] = queue.shift();
+            if (current.terminal) out.push(text);
+            current.children.forEach((child, ch) => queue.push([child, text + ch]));
+        }
+        return out;
+    }
+}
+
+/**
+ * Restricted Damerau-Levenshtein distance with early exit
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @param {number} max - Give up once the distance exceeds this
+ * @returns {number} - Edit distance (max + 1 when over the limit)
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/**
+ * Escape text for safe inclusion in HTML highlight snippets
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Ranked full-text search over terminology concepts (NAMASTE by default).
+ *
+ * Tokens in every field are folded with the transliteration rules so that
+ * IAST, Harvard-Kyoto, popular romanisation and native scripts meet on one
+ * key. Ranking is BM25F (field-weighted BM25); query terms are expanded with
+ * trie prefix matches for autocomplete and bounded edit-distance matches for
+ * typos, each at a discount to exact hits.
+ */
+class SearchEngine {
+    /**
+     * @param {EventEmitter} repository - Source with list(); the index rebuilds on its 'change' event
+     * @param {Object} options - { fields, label }
+     */
+    constructor(repository, options = {}) {
+        this.repository = repository;
+        this.fields = options.fields || NAMASTE_FIELDS;
+        this.label = options.label || 'NAMASTE concepts';
+        this.build(repository.list());
+        repository.on('change', () => this.build(repository.list()));
+    }
+
+    /**
+     * (Re)build the inverted index
+     * @param {Array} concepts - Concepts to index
+     */
+    build(concepts) {
+        this.docs = concepts;
+        this.postings = new Map();
+        this.docLengths = [];
+        this.trie = new PrefixTrie();
+
+        concepts.forEach((concept, docId) => {
+            let length = 0;
+            this.fields.forEach(field => {
+                field.values(concept).forEach(value => {
+                    tokenize(value).forEach(token => {
+                        if (STOP_WORDS.has(token.text.toLowerCase())) return;
+                        const key = fold(token.text);
+                        if (!key) return;
+
+                        length += field.weight;
+                        this.addPosting(key, docId, field.weight);
+
+                        const skel = skeleton(key);
+                        if (skel.length >= 2) {
+                            this.addPosting(`s:${skel}`, docId, field.weight);
+                            if (token.script === 'arabic') {
+                                this.addPosting(`sa:${skel}`, docId, field.weight);
+                            }
+                        }
+                    });
+                });
+            });
+            this.docLengths.push(length);
+        });
+
+        this.postings.forEach((_, term) => {
+            if (!term.includes(':')) this.trie.insert(term);
+        });
+        this.vocabulary = Array.from(this.postings.keys()).filter(term => !term.includes(':'));
+        this.avgDocLength = this.docLengths.reduce((a, b) => a + b, 0) / (this.docLengths.length || 1);
+
+        console.log(`🔎 Indexed ${concepts.length} ${this.label} (${this.vocabulary.length} terms)`);
+    }
+
+    addPosting(term, docId, weight) {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const docs = this.postings.get(term);
+        docs.set(docId, (docs.get(docId) || 0) + weight);
+    }
+
+    /**
+     * Expand one query token into index terms with score factors
+     * @param {Object} token - { text, key, script }
+     * @param {Object} options - { prefix, fuzzy }
+     * @returns {Array<Object>} - [{ term, factor, kind, key }]
+     */
+    expand(token, options) {
+        const { key } = token;
+        const expansions = [];
+
+        if (this.postings.has(key)) {
+            expansions.push({ term: key, factor: 1, kind: 'exact', key });
+        }
+
+        if (options.prefix && key.length >= 2) {
+            this.trie.withPrefix(key).forEach(term => {
+                if (term === key) return;
+                expansions.push({ term, factor: 0.6 + 0.3 * (key.length / term.length), kind: 'prefix', key: term });
+            });
+        }
+
+        // Length as typed: folding drops vowels, so "jwra" is only the 3-character key "jvr"
+        if (options.fuzzy && (token.text || key).length >= 4) {
+            const maxDistance = key.length >= 8 ? 2 : 1;
+            this.vocabulary.forEach(term => {
+                if (term === key || term.length < 3) return;
+                const distance = editDistance(key, term, maxDistance);
+                if (distance <= maxDistance) {
+                    expansions.push({ term, factor: distance === 1 ? 0.75 : 0.55, kind: 'fuzzy', key: term });
+                }
+            });
+        }
+
+        const skel = skeleton(key);
+        if (skel.length >= 2) {
+            const term = token.script === 'arabic' ? `s:${skel}` : `sa:${skel}`;
+            if (this.postings.has(term)) {
+                expansions.push({ term, factor: 0.6, kind: 'transliteration', key: term });
+            }
+        }
+
+        return expansions;
+    }
+
+    /**
+     * BM25 contribution of a term to a document
+     * @param {string} term - Index term
+     * @param {number} tf - Weighted term frequency in the document
+     * @param {number} docId - Document id
+     * @returns {number} - Score
+     */
+    bm25(term, tf, docId) {
+        const n = this.docs.length;
+        const df = this.postings.get(term).size;
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        const norm = 1 - BM25_B + BM25_B * (this.docLengths[docId] / (this.avgDocLength || 1));
+        return idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+    }
+
+    /**
+     * Ranked search
+     * @param {string} query - Free text in any supported script
+     * @param {Object} options - { limit, offset, category, system, prefix, fuzzy, filter }
+     * @returns {Object} - { total, results: [{ concept, score, matches, highlight }] }
+     */
+    search(query, options = {}) {
+        const { limit = 50, offset = 0, category = '', system = '', prefix = false, fuzzy = true, filter = null } = options;
+
+        const queryTokens = tokenize(query)
+            .filter(t => !STOP_WORDS.has(t.text.toLowerCase()))
+            .map(t => ({ ...t, key: fold(t.text) }))
+            .filter(t => t.key);
+
+        if (queryTokens.length === 0) {
+            return { total: 0, results: [] };
+        }
+
+        const hits = new Map();
+        queryTokens.forEach((token, index) => {
+            const allowPrefix = prefix || index === queryTokens.length - 1;
+            const best = new Map();
+
+            this.expand(token, { prefix: allowPrefix, fuzzy }).forEach(expansion => {
+                this.postings.get(expansion.term).forEach((tf, docId) => {
+                    const score = expansion.factor * this.bm25(expansion.term, tf, docId);
+                    const current = best.get(docId);
+                    if (!current || current.score < score) {
+                        best.set(docId, { score, expansion });
+                    }
+                });
+            });
+
+            best.forEach(({ score, expansion }, docId) => {
+                if (!hits.has(docId)) {
+                    hits.set(docId, { score: 0, tokens: 0, keys: new Set(), kinds: new Set() });
+                }
+                const hit = hits.get(docId);
+                hit.score += score;
+                hit.tokens += 1;
+                hit.keys.add(expansion.key);
+                hit.kinds.add(expansion.kind);
+            });
+        });
+
+        const c = String(category).toLowerCase();
+        const s = String(system).toLowerCase();
+        const ranked = Array.from(hits.entries())
+            .map(([docId, hit]) => ({ docId, hit, concept: this.docs[docId] }))
+            .filter(({ concept }) => !c || String(concept.category || '').toLowerCase().includes(c))
+            .filter(({ concept }) => !s || String(concept.system || '').toLowerCase() === s)
+            .filter(({ concept }) => !filter || filter(concept))
+            .map(entry => ({
+                ...entry,
+                score: entry.hit.score * (entry.hit.tokens / queryTokens.length)
+            }))
+            .sort((a, b) => b.score - a.score || a.concept.code.localeCompare(b.concept.code));
+
+        const page = ranked.slice(offset, offset + limit).map(({ concept, hit, score }) => ({
+            concept,
+            score: Math.round(score * 1000) / 1000,
+            matchTypes: Array.from(hit.kinds),
+            ...this.highlight(concept, hit.keys)
+        }));
+
+        return { total: ranked.length, results: page };
+    }
+
+    /**
+     * Prefix-oriented search for type-ahead
+     * @param {string} query - Partial text
+     * @param {Object} options - As for search()
+     * @returns {Object} - As for search()
+     */
+    autocomplete(query, options = {}) {
+        return this.search(query, { ...options, prefix: true });
+    }
+
+    /**
+     * Locate matched spans in a concept's fields
+     * @param {Object} concept - Concept
+     * @param {Set<string>} keys - Index terms that matched
+     * @returns {Object} - { matches: [{ field, index?, start, end, text }], highlight }
+     */
+    highlight(concept, keys) {
+        const matches = [];
+        const highlight = {};
+
+        this.fields.forEach(field => {
+            const values = field.values(concept);
+            const marked = values.map((value, index) => {
+                const spans = tokenize(value).filter(token => {
+                    const key = fold(token.text);
+                    if (!key) return false;
+                    const skel = skeleton(key);
+                    return keys.has(key) ||
+                        keys.has(`s:${skel}`) ||
+                        (token.script === 'arabic' && keys.has(`sa:${skel}`));
+                });
+                if (spans.length === 0) return null;
+
+                spans.forEach(span => {
+                    matches.push({
+                        field: field.name,
+                        ...(values.length > 1 || Array.isArray(concept[field.name]) ? { index } : {}),
+                        start: span.start,
+                        end: span.end,
+                        text: span.text
+                    });
+                });
+
+                let html = '';
+                let cursor = 0;
+                spans.forEach(span => {
+                    html += escapeHtml(value.slice(cursor, span.start)) + `<mark>${escapeHtml(span.text)}</mark>`;
+                    cursor = span.end;
+                });
+                return html + escapeHtml(value.slice(cursor));
+            });
+
+            if (marked.some(Boolean)) {
+                highlight[field.name] = Array.isArray(concept[field.name])
+                    ? marked.map((html, i) => html || escapeHtml(values[i]))
+                    : marked[0];
+            }
+        });
+
+        return { matches, highlight };
+    }
+}
+
+module.exports = SearchEngine;
+module.exports.NAMASTE_FIELDS = NAMASTE_FIELDS;
@@ -0,0 +1,44 @@
+/**
+ * Upstream search terms derived from NAMASTE concepts.
+ * Shared by the mapping routes and ICD-11 cache warming so both ask the
+ * provider exactly the same questions.
+ */
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'due', 'including',
+    'disease', 'disorder'
+]);
+
+/**
+ * Extract keywords from text (very simple tokenizer)
+ * @param {string} text - Free text
+ * @returns {Array<string>} - Lower-case keywords
+ */
+function extractKeywords(text = '') {
+    return String(text)
+        .toLowerCase()
+        .split(/[\s\-,._/()]+/)
+        .filter(w => w.length > 2 && !STOP_WORDS.has(w));
+}
+
+/**
+ * ICD-11 search terms for a NAMASTE concept: keywords, synonyms and words of its term and definition,
+ * plus thesaurus expansions (e.g. Jwara → fever) when a thesaurus is given
+ * @param {Object} concept - NAMASTE concept
+ * @param {Thesaurus} thesaurus - Optional thesaurus for query expansion
+ * @returns {Array<string>} - Unique terms
+ */
+function namasteSearchTerms(concept, thesaurus = null) {
+    const terms = [
+        ...(concept.keywords || []),
+        ...(concept.synonyms || []).map(s => String(s).toLowerCase()),
+        ...extractKeywords(concept.display),
+        ...extractKeywords(concept.description)
+    ];
+    if (thesaurus) {
+        terms.push(...thesaurus.expand([String(concept.display || '').toLowerCase(), ...terms]));
+    }
+    return [...new Set(terms)].filter(Boolean);
+}
+
+module.exports = { extractKeywords, namasteSearchTerms };
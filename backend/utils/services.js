@@ -0,0 +1,171 @@
+const path = require('path');
+
+const TerminologyRepository = require('./terminology-repository');
+const SearchEngine = require('./search-engine');
+const ICD11Store = require('./icd11-store');
+const ICD11Client = require('./icd11-client');
+const { configFromEnv } = require('./icd11-providers');
+const PersistentLRUCache = require('./lru-cache');
+const UpstreamScheduler = require('./upstream-scheduler');
+const MappingStore = require('./mapping-store');
+const MappingScorer = require('./mapping-scorer');
+const Thesaurus = require('./thesaurus');
+const ConceptMapper = require('./concept-mapper');
+const MappingJobs = require('./mapping-jobs');
+const MappingEvaluator = require('./mapping-evaluator');
+const MappingCoverage = require('./mapping-coverage');
+const FhirStore = require('./fhir-store');
+const FhirValidator = require('./fhir-validator');
+
+/**
+ * Process-wide shared services.
+ * Routers used to construct their own copies of data and clients at require
+ * time; everything that holds state lives here instead and is created lazily
+ * on first use so all routers see the same instance.
+ */
+const dataDir = process.env.NAMASTE_DATA_DIR || path.join(__dirname, '../var');
+
+const instances = new Map();
+
+function lazy(name, factory) {
+    if (!instances.has(name)) {
+        instances.set(name, factory());
+    }
+    return instances.get(name);
+}
+
+const services = {
+    dataDir,
+
+    /** @returns {TerminologyRepository} */
+    get terminology() {
+        return lazy('terminology', () => new TerminologyRepository({
+            dataDir,
+            seedFile: path.join(__dirname, '../data/namaste-sample.json')
+        }));
+    },
+
+    /** @returns {SearchEngine} */
+    get search() {
+        return lazy('search', () => new SearchEngine(services.terminology));
+    },
+
+    /** @returns {ICD11Store} */
+    get icd11Store() {
+        return lazy('icd11Store', () => new ICD11Store({ dataDir }));
+    },
+
+    /** @returns {PersistentLRUCache} */
+    get icd11Cache() {
+        return lazy('icd11Cache', () => new PersistentLRUCache({
+            filePath: path.join(dataDir, 'icd11', 'cache.json'),
+            maxEntries: parseInt(process.env.ICD11_CACHE_MAX_ENTRIES, 10) || 2000,
+            defaultTtl: (parseInt(process.env.ICD11_CACHE_TTL, 10) || 3600) * 1000
+        }));
+    },
+
+    /** @returns {MappingStore} */
+    get mappings() {
+        return lazy('mappings', () => new MappingStore({ dataDir }));
+    },
+
+    /** @returns {Thesaurus} */
+    get thesaurus() {
+        return lazy('thesaurus', () => new Thesaurus({
+            dataDir,
+            seedFile: path.join(__dirname, '../data/thesaurus-seed.json')
+        }));
+    },
+
+    /** @returns {MappingScorer} */
+    get scorer() {
+        return lazy('scorer', () => {
+            let weights = {};
+            try {
+                weights = JSON.parse(process.env.MAPPING_SCORE_WEIGHTS || '{}');
+            } catch (error) {
+                console.error('❌ MAPPING_SCORE_WEIGHTS is not valid JSON; using default weights');
+            }
+            return new MappingScorer({ weights, thesaurus: services.thesaurus });
+        });
+    },
+
+    /** @returns {ICD11Client} */
+    get icd11() {
+        return lazy('icd11', () => new ICD11Client({
+            store: services.icd11Store,
+            mode: process.env.ICD11_MODE || 'auto',
+            provider: configFromEnv(),
+            cache: services.icd11Cache,
+            cacheTtl: services.icd11Cache.defaultTtl,
+            retry: { retries: parseInt(process.env.ICD11_RETRIES, 10) >= 0 ? parseInt(process.env.ICD11_RETRIES, 10) : 2 },
+            circuit: {
+                failureThreshold: parseInt(process.env.ICD11_CIRCUIT_THRESHOLD, 10) || 5,
+                resetTimeout: (parseInt(process.env.ICD11_CIRCUIT_RESET, 10) || 30) * 1000
+            },
+            scheduler: new UpstreamScheduler({
+                concurrency: parseInt(process.env.ICD11_CONCURRENCY, 10) || 4
+            })
+        }));
+    },
+
+    /** @returns {ConceptMapper} */
+    get mapper() {
+        return lazy('mapper', () => new ConceptMapper({
+            terminology: services.terminology,
+            icd11: services.icd11,
+            mappings: services.mappings,
+            scorer: services.scorer,
+            thesaurus: services.thesaurus
+        }));
+    },
+
+    /** @returns {MappingJobs} */
+    get mappingJobs() {
+        return lazy('mappingJobs', () => new MappingJobs({
+            dataDir,
+            mapper: services.mapper,
+            terminology: services.terminology,
+            concurrency: parseInt(process.env.MAPPING_JOB_CONCURRENCY, 10) || 8
+        }));
+    },
+
+    /** @returns {MappingEvaluator} */
+    get evaluator() {
+        return lazy('evaluator', () => new MappingEvaluator({
+            dataDir,
+            terminology: services.terminology,
+            thesaurus: services.thesaurus,
+            scorer: services.scorer,
+            goldFile: path.join(__dirname, '../data/evaluation/gold-crosswalk.json'),
+            fixtureFile: path.join(__dirname, '../data/evaluation/icd11-fixtures.json')
+        }));
+    },
+
+    /** @returns {MappingCoverage} */
+    get coverage() {
+        return lazy('coverage', () => new MappingCoverage({
+            terminology: services.terminology,
+            mappings: services.mappings
+        }));
+    },
+
+    /** @returns {FhirStore} */
+    get fhirStore() {
+        return lazy('fhirStore', () => new FhirStore({ dataDir }));
+    },
+
+    /** @returns {FhirValidator} */
+    get fhirValidator() {
+        return lazy('fhirValidator', () => new FhirValidator({
+            terminology: services.terminology,
+            // Shipped R4 subset and NAMASTE profiles, then e.g. an extracted hl7.fhir.r4.core package
+            directories: [
+                path.join(__dirname, '../data/fhir'),
+                ...(process.env.FHIR_DEFINITIONS_DIR || '').split(path.delimiter).filter(Boolean)
+            ]
+        }));
+    }
+};
+
+module.exports = services;
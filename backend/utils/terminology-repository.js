@@ -0,0 +1,449 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const JsonStore = require('./json-store');
+const importer = require('./namaste-importer');
+
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9.\-_]*$/;
+
+// ValueSet filter operators compileFilters() understands, by property
+const FILTER_OPERATORS = {
+    concept: ['is-a', 'descendent-of', 'is-not-a', 'generalizes'],
+    code: ['is-a', 'descendent-of', 'is-not-a', 'generalizes'],
+    category: ['='],
+    system: ['='],
+    parent: ['=']
+};
+
+/**
+ * Single source of NAMASTE terminology for every router.
+ *
+ * Holds numbered releases: release 1 is the bundled sample file, later
+ * releases come from CSV/XLSX imports and are stored under
+ * `<dataDir>/terminology`. Exactly one release is active at a time and it
+ * can be switched at runtime; a 'change' event is emitted whenever the
+ * served content changes so dependants (e.g. search indexes) can rebuild.
+ */
+class TerminologyRepository extends EventEmitter {
+    /**
+     * @param {Object} options - { dataDir, seedFile, seedVersion }
+     */
+    constructor(options = {}) {
+        super();
+        this.dataDir = path.join(options.dataDir, 'terminology');
+        this.seedFile = options.seedFile;
+        this.seedVersion = options.seedVersion || '2025.1.0';
+        this.manifest = new JsonStore(path.join(this.dataDir, 'manifest.json'), { active: null, releases: [] });
+        this.releases = new Map();
+        this.active = null;
+        this.load();
+    }
+
+    /**
+     * Load the manifest and activate the recorded release
+     */
+    load() {
+        const manifest = this.manifest.read();
+        const wanted = manifest.active || this.seedVersion;
+        const release = this.readRelease(wanted) || this.readRelease(this.seedVersion);
+        this.setActive(release);
+    }
+
+    /**
+     * Build the bundled sample release
+     * @returns {Object|null} - Release
+     */
+    readSeedRelease() {
+        try {
+            const concepts = JSON.parse(fs.readFileSync(this.seedFile, 'utf8'));
+            return this.buildRelease({
+                version: this.seedVersion,
+                number: 1,
+                createdAt: fs.statSync(this.seedFile).mtime.toISOString(),
+                notes: 'Bundled sample data',
+                source: path.basename(this.seedFile),
+                builtin: true
+            }, concepts);
+        } catch (error) {
+            console.error('❌ Failed to load NAMASTE data:', error.message);
+            return this.buildRelease({ version: this.seedVersion, number: 1, builtin: true }, []);
+        }
+    }
+
+    /**
+     * Read a release (metadata and concepts) by version
+     * @param {string} version - Release version
+     * @returns {Object|null} - Release or null if unknown
+     */
+    readRelease(version) {
+        if (this.releases.has(version)) return this.releases.get(version);
+
+        let release = null;
+        if (version === this.seedVersion) {
+            release = this.readSeedRelease();
+        } else if (VERSION_PATTERN.test(version)) {
+            const stored = this.releaseStore(version).read();
+            if (stored) release = this.buildRelease(stored.meta, stored.concepts);
+        }
+
+        if (release) this.releases.set(version, release);
+        return release;
+    }
+
+    /**
+     * @param {string} version - Release version
+     * @returns {JsonStore} - Store for that release's document
+     */
+    releaseStore(version) {
+        return new JsonStore(path.join(this.dataDir, 'releases', `${version}.json`), null);
+    }
+
+    /**
+     * Attach lookup structures to release content
+     * @param {Object} meta - Release metadata
+     * @param {Array} concepts - Concepts
+     * @returns {Object} - Release
+     */
+    buildRelease(meta, concepts) {
+        const systems = [...new Set(concepts.map(c => c.system || 'AYUSH'))];
+        const children = new Map();
+        concepts.forEach(c => {
+            if (!c.parent) return;
+            if (!children.has(c.parent)) children.set(c.parent, []);
+            children.get(c.parent).push(c.code);
+        });
+
+        return {
+            meta: {
+                ...meta,
+                systems,
+                count: concepts.length
+            },
+            concepts,
+            byCode: new Map(concepts.map(c => [c.code, c])),
+            children
+        };
+    }
+
+    /**
+     * Switch the served release and notify listeners
+     * @param {Object} release - Release to serve
+     */
+    setActive(release) {
+        const previous = this.active ? this.active.meta.version : null;
+        this.active = release;
+        console.log(`📚 Serving NAMASTE release ${release.meta.version} (${release.concepts.length} codes)`);
+        if (previous !== release.meta.version) {
+            this.emit('change', { version: release.meta.version, previous });
+        }
+    }
+
+    /**
+     * @returns {string} - Version of the served release
+     */
+    get version() {
+        return this.active.meta.version;
+    }
+
+    /**
+     * @returns {Object} - Metadata of the served release
+     */
+    getActiveRelease() {
+        return { ...this.active.meta, active: true };
+    }
+
+    /**
+     * All concepts in the served release
+     * @returns {Array} - Concepts
+     */
+    list() {
+        return this.active.concepts;
+    }
+
+    /**
+     * Look up one concept in the served release
+     * @param {string} code - NAMASTE code
+     * @returns {Object|undefined} - Concept
+     */
+    get(code) {
+        return this.active.byCode.get(code);
+    }
+
+    /**
+     * @param {string} code - NAMASTE code
+     * @returns {boolean} - Whether the served release contains the code
+     */
+    has(code) {
+        return this.active.byCode.has(code);
+    }
+
+    /**
+     * Direct children of a concept
+     * @param {string} code - NAMASTE code
+     * @returns {Array<string>} - Child codes
+     */
+    children(code) {
+        return this.active.children.get(code) || [];
+    }
+
+    /**
+     * Ancestors of a concept, nearest first
+     * @param {string} code - NAMASTE code
+     * @returns {Array<string>} - Ancestor codes
+     */
+    ancestors(code) {
+        const out = [];
+        let current = this.get(code);
+        while (current && current.parent && !out.includes(current.parent)) {
+            out.push(current.parent);
+            current = this.get(current.parent);
+        }
+        return out;
+    }
+
+    /**
+     * All descendants of a concept, breadth-first
+     * @param {string} code - NAMASTE code
+     * @returns {Array<string>} - Descendant codes
+     */
+    descendants(code) {
+        const out = [];
+        const queue = [...this.children(code)];
+        while (queue.length > 0) {
+            const next = queue.shift();
+            if (out.includes(next)) continue;
+            out.push(next);
+            queue.push(...this.children(next));
+        }
+        return out;
+    }
+
+    /**
+     * Subsumption test between two codes (FHIR CodeSystem/$subsumes outcome)
+     * @param {string} codeA - First code
+     * @param {string} codeB - Second code
+     * @returns {string} - 'equivalent', 'subsumes', 'subsumed-by' or 'not-subsumed'
+     */
+    subsumes(codeA, codeB) {
+        if (codeA === codeB) return 'equivalent';
+        if (this.ancestors(codeB).includes(codeA)) return 'subsumes';
+        if (this.ancestors(codeA).includes(codeB)) return 'subsumed-by';
+        return 'not-subsumed';
+    }
+
+    /**
+     * Compile ValueSet compose filters into a concept predicate
+     * @param {Array<Object>} filters - [{ property, op, value }] as in ValueSet.compose.include.filter
+     * @returns {Object} - { predicate, errors }
+     */
+    compileFilters(filters = []) {
+        const errors = [];
+        const tests = filters.map(filter => {
+            const { property, op, value } = filter || {};
+
+            if (property === 'concept' || property === 'code') {
+                if (!this.has(value)) {
+                    errors.push(`Filter value ${value} is not a NAMASTE code`);
+                    return () => false;
+                }
+                switch (op) {
+                    case 'is-a':
+                        return c => c.code === value || this.ancestors(c.code).includes(value);
+                    case 'descendent-of':
+                        return c => this.ancestors(c.code).includes(value);
+                    case 'is-not-a':
+                        return c => c.code !== value && !this.ancestors(c.code).includes(value);
+                    case 'generalizes':
+                        return c => c.code === value || this.ancestors(value).includes(c.code);
+                    default:
+                        errors.push(`Unsupported operator "${op}" for property concept`);
+                        return () => false;
+                }
+            }
+
+            if (['category', 'system', 'parent'].includes(property)) {
+                if (op !== '=') {
+                    errors.push(`Unsupported operator "${op}" for property ${property}`);
+                    return () => false;
+                }
+                return c => String(c[property] || '').toLowerCase() === String(value || '').toLowerCase();
+            }
+
+            errors.push(`Unsupported filter property "${property}"`);
+            return () => false;
+        });
+
+        return {
+            predicate: concept => tests.every(test => test(concept)),
+            errors
+        };
+    }
+
+    /**
+     * Category counts for the served release
+     * @returns {Array} - [{ category, count }] sorted by name
+     */
+    categories() {
+        const counts = new Map();
+        this.active.concepts.forEach(item => {
+            const c = item.category || 'Uncategorized';
+            counts.set(c, (counts.get(c) || 0) + 1);
+        });
+        return Array.from(counts.entries())
+            .map(([category, count]) => ({ category, count }))
+            .sort((a, b) => a.category.localeCompare(b.category));
+    }
+
+    /**
+     * Metadata for every known release, newest first
+     * @returns {Array} - Release metadata
+     */
+    listReleases() {
+        const seed = this.readRelease(this.seedVersion);
+        const stored = this.manifest.read().releases || [];
+        return [seed.meta, ...stored]
+            .map(meta => ({ ...meta, active: meta.version === this.version }))
+            .sort((a, b) => b.number - a.number);
+    }
+
+    /**
+     * Full release including concepts
+     * @param {string} version - Release version
+     * @returns {Object|null} - { ...meta, concepts } or null
+     */
+    getRelease(version) {
+        const release = this.readRelease(version);
+        if (!release) return null;
+        return { ...release.meta, active: version === this.version, concepts: release.concepts };
+    }
+
+    /**
+     * Parse uploaded files and merge them with the systems carried over from
+     * the served release, collecting every validation problem
+     * @param {Array} files - Files as accepted by the NAMASTE importer
+     * @param {string} version - Requested version (optional)
+     * @returns {Object} - { validation, concepts, parsed, version, number }
+     */
+    prepare(files, version) {
+        const parsed = importer.parseFiles(files);
+        const errors = [...parsed.errors];
+
+        const releases = this.listReleases();
+        const number = Math.max(...releases.map(r => r.number)) + 1;
+        const newVersion = version ? String(version).trim() : `${new Date().getFullYear()}.${number}.0`;
+
+        if (!VERSION_PATTERN.test(newVersion)) {
+            errors.push({ field: 'version', message: `Invalid version "${newVersion}"` });
+        } else if (releases.some(r => r.version === newVersion)) {
+            errors.push({ field: 'version', message: `Release ${newVersion} already exists` });
+        }
+
+        const carried = this.active.concepts.filter(c => !parsed.systems.includes(c.system));
+        const importedCodes = new Set(parsed.concepts.map(c => c.code));
+        carried.forEach(c => {
+            if (importedCodes.has(c.code)) {
+                errors.push({
+                    field: 'code',
+                    message: `Code ${c.code} already belongs to ${c.system} in release ${this.version}`
+                });
+            }
+        });
+
+        const concepts = [...parsed.concepts, ...carried];
+        errors.push(...importer.checkHierarchy(concepts));
+
+        return {
+            validation: {
+                valid: errors.length === 0,
+                systems: parsed.systems,
+                count: parsed.concepts.length,
+                errors,
+                warnings: parsed.warnings
+            },
+            concepts,
+            parsed,
+            version: newVersion,
+            number
+        };
+    }
+
+    /**
+     * Validate release files without storing anything
+     * @param {Array} files - Files as accepted by the NAMASTE importer
+     * @returns {Object} - Validation report
+     */
+    validate(files) {
+        return this.prepare(files).validation;
+    }
+
+    /**
+     * Import CSV/XLSX files as a new numbered release.
+     * Systems not present in the upload are carried over from the served release.
+     * @param {Object} options - { files, version?, notes?, activate? }
+     * @returns {Object} - { success, release?, validation }
+     */
+    importRelease({ files, version, notes = '', activate = true } = {}) {
+        const { validation, concepts, parsed, version: newVersion, number } = this.prepare(files, version);
+        if (!validation.valid) {
+            return { success: false, validation };
+        }
+
+        const release = this.buildRelease({
+            version: newVersion,
+            number,
+            createdAt: new Date().toISOString(),
+            notes,
+            source: (files || []).map(f => f.filename || `${f.system}.${f.format || 'csv'}`),
+            basedOn: this.version,
+            importedSystems: parsed.systems
+        }, concepts);
+
+        this.releaseStore(newVersion).write({ meta: release.meta, concepts });
+        const manifest = this.manifest.read();
+        manifest.releases = [...(manifest.releases || []), release.meta];
+        manifest.active = activate ? newVersion : (manifest.active || this.version);
+        this.manifest.write(manifest);
+        this.releases.set(newVersion, release);
+
+        console.log(`📦 Imported NAMASTE release ${newVersion} (${concepts.length} codes)`);
+        if (activate) this.setActive(release);
+
+        return { success: true, release: { ...release.meta, active: activate }, validation };
+    }
+
+    /**
+     * Serve a different release without restarting
+     * @param {string} version - Release version to activate
+     * @returns {Object|null} - Activated release metadata, or null if unknown
+     */
+    activate(version) {
+        const release = this.readRelease(String(version || ''));
+        if (!release) return null;
+
+        const manifest = this.manifest.read();
+        manifest.active = release.meta.version;
+        this.manifest.write(manifest);
+        this.setActive(release);
+        return { ...release.meta, active: true };
+    }
+
+    /**
+     * Summary counts for the served release
+     * @returns {Object} - Stats
+     */
+    stats() {
+        const concepts = this.active.concepts;
+        return {
+            version: this.version,
+            total: concepts.length,
+            categories: [...new Set(concepts.map(x => x.category || 'Uncategorized'))].length,
+            systems: [...new Set(concepts.map(x => x.system || 'AYUSH'))],
+            releases: this.listReleases().length
+        };
+    }
+}
+
+TerminologyRepository.FILTER_OPERATORS = FILTER_OPERATORS;
+
+module.exports = TerminologyRepository;
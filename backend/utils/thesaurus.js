@@ -0,0 +1,389 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JsonStore = require('./json-store');
+const { readRecords, normaliseHeader } = require('./namaste-importer');
+
+/**
+ * Relation types. A relation reads "`to` is a <type> of `from`":
+ * { from: 'jwara', to: 'vataja jwara', type: 'narrower' } makes Vataja Jwara
+ * a narrower term of Jwara. Looking a relation up from the `to` side yields
+ * the inverse type.
+ */
+const TYPES = ['synonym', 'broader', 'narrower', 'translation'];
+
+const INVERSE = { synonym: 'synonym', translation: 'translation', broader: 'narrower', narrower: 'broader' };
+
+/**
+ * Import column names (normalised) accepted for each relation field
+ */
+const COLUMN_ALIASES = {
+    from: ['from', 'term', 'sourceterm', 'subject'],
+    to: ['to', 'related', 'relatedterm', 'targetterm', 'object'],
+    type: ['type', 'relation', 'relationship', 'predicate'],
+    source: ['source', 'attribution', 'origin'],
+    language: ['language', 'lang'],
+    note: ['note', 'comment', 'reference']
+};
+
+/**
+ * Lower-case, trim and collapse whitespace so terms compare equal
+ * @param {string} term - Term as entered
+ * @returns {string} - Normalised term
+ */
+function normaliseTerm(term) {
+    return String(term || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Managed Ayurveda–biomedical thesaurus.
+ *
+ * Stores term-to-term relations (synonym, broader, narrower, translation),
+ * each attributed to a named source. The mapping routes use it to expand
+ * ICD-11 search terms (Jwara → fever) and the mapping scorer uses it for the
+ * synonym feature. Kept under `<dataDir>/thesaurus/thesaurus.json` and seeded
+ * from the bundled glossary on first use; a 'change' event is emitted after
+ * each write.
+ */
+class Thesaurus extends EventEmitter {
+    /**
+     * @param {Object} options - { dataDir, seedFile }
+     */
+    constructor(options = {}) {
+        super();
+        this.store = new JsonStore(path.join(options.dataDir, 'thesaurus', 'thesaurus.json'), null);
+        this.seedFile = options.seedFile;
+        this.load();
+    }
+
+    /**
+     * Load stored relations, seeding from the bundled glossary the first time
+     */
+    load() {
+        let stored = this.store.read();
+        if (!stored && this.seedFile) {
+            stored = this.readSeed();
+            // An unreadable thesaurus is served from the seed but left on disk as it is
+            if (!this.store.unreadable) {
+                this.store.write(stored);
+                console.log(`📖 Seeded thesaurus with ${stored.relations.length} relations`);
+            }
+        }
+        this.sources = (stored && stored.sources) || {};
+        this.relations = (stored && stored.relations) || [];
+        this.reindex();
+    }
+
+    /**
+     * @returns {Object} - { sources, relations } from the seed file
+     */
+    readSeed() {
+        try {
+            const seed = JSON.parse(fs.readFileSync(this.seedFile, 'utf8'));
+            const now = new Date().toISOString();
+            return {
+                sources: seed.sources || {},
+                relations: (seed.relations || []).map(r => this.build(r, now))
+            };
+        } catch (error) {
+            console.error('❌ Failed to load thesaurus seed:', error.message);
+            return { sources: {}, relations: [] };
+        }
+    }
+
+    /**
+     * Rebuild the term → relations index
+     */
+    reindex() {
+        this.byTerm = new Map();
+        const add = (term, entry) => {
+            if (!this.byTerm.has(term)) this.byTerm.set(term, []);
+            this.byTerm.get(term).push(entry);
+        };
+        this.relations.forEach(relation => {
+            add(relation.from, { term: relation.to, type: relation.type, relation });
+            add(relation.to, { term: relation.from, type: INVERSE[relation.type], relation });
+        });
+    }
+
+    /**
+     * Persist, reindex and notify listeners
+     */
+    save() {
+        this.store.write({ sources: this.sources, relations: this.relations });
+        this.reindex();
+        this.emit('change');
+    }
+
+    /**
+     * Build a stored relation from input fields
+     * @param {Object} input - { from, to, type, source, language, note }
+     * @param {string} now - Timestamp
+     * @returns {Object} - Relation
+     */
+    build(input, now = new Date().toISOString()) {
+        return {
+            id: uuidv4(),
+            from: normaliseTerm(input.from),
+            to: normaliseTerm(input.to),
+            type: String(input.type || '').toLowerCase(),
+            source: String(input.source || '').trim(),
+            language: input.language || null,
+            note: input.note || null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Check a relation's fields
+     * @param {Object} relation - Relation (normalised)
+     * @returns {string|null} - Error message
+     */
+    check(relation) {
+        if (!relation.from || !relation.to) return 'from and to are required';
+        if (relation.from === relation.to) return 'from and to must be different terms';
+        if (!TYPES.includes(relation.type)) return `type must be one of ${TYPES.join(', ')}`;
+        if (!relation.source) return 'source is required';
+        return null;
+    }
+
+    /**
+     * Existing relation with the same terms and type (in either direction)
+     * @param {Object} relation - { from, to, type }
+     * @param {string} ignoreId - Relation to leave out (when updating)
+     * @returns {Object|null} - Relation
+     */
+    findDuplicate({ from, to, type }, ignoreId = null) {
+        return this.relations.find(r => r.id !== ignoreId && (
+            (r.from === from && r.to === to && r.type === type) ||
+            (r.from === to && r.to === from && r.type === INVERSE[type])
+        )) || null;
+    }
+
+    /**
+     * @param {string} id - Relation id
+     * @returns {Object|null} - Relation
+     */
+    get(id) {
+        return this.relations.find(r => r.id === id) || null;
+    }
+
+    /**
+     * Filtered, paged listing
+     * @param {Object} filters - { term (either side), type, source, limit, offset }
+     * @returns {Object} - { total, relations }
+     */
+    list(filters = {}) {
+        const { type, source, limit = 50, offset = 0 } = filters;
+        const term = normaliseTerm(filters.term);
+        const matching = this.relations
+            .filter(r => !term || r.from === term || r.to === term)
+            .filter(r => !type || r.type === type)
+            .filter(r => !source || r.source === source)
+            .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+        return { total: matching.length, relations: matching.slice(offset, offset + limit) };
+    }
+
+    /**
+     * Add a relation
+     * @param {Object} input - { from, to, type, source, language?, note? }
+     * @returns {Object} - { success, relation } or { success: false, reason: 'invalid'|'conflict', error }
+     */
+    add(input = {}) {
+        const relation = this.build(input);
+        const error = this.check(relation);
+        if (error) return { success: false, reason: 'invalid', error };
+        const duplicate = this.findDuplicate(relation);
+        if (duplicate) {
+            return { success: false, reason: 'conflict', error: `Relation already exists (${duplicate.id})`, relation: duplicate };
+        }
+
+        this.relations.push(relation);
+        this.save();
+        return { success: true, relation };
+    }
+
+    /**
+     * Change a relation's terms, type, source, language or note
+     * @param {string} id - Relation id
+     * @param {Object} changes - Fields to change
+     * @returns {Object} - { success, relation } or { success: false, reason: 'not-found'|'invalid'|'conflict', error }
+     */
+    update(id, changes = {}) {
+        const existing = this.get(id);
+        if (!existing) return { success: false, reason: 'not-found', error: `Relation ${id} not found` };
+
+        const merged = this.build({ ...existing, ...changes });
+        const error = this.check(merged);
+        if (error) return { success: false, reason: 'invalid', error };
+        const duplicate = this.findDuplicate(merged, id);
+        if (duplicate) return { success: false, reason: 'conflict', error: `Relation already exists (${duplicate.id})` };
+
+        Object.assign(existing, {
+            from: merged.from,
+            to: merged.to,
+            type: merged.type,
+            source: merged.source,
+            language: merged.language,
+            note: merged.note,
+            updatedAt: merged.updatedAt
+        });
+        this.save();
+        return { success: true, relation: existing };
+    }
+
+    /**
+     * Delete a relation
+     * @param {string} id - Relation id
+     * @returns {boolean} - Whether it existed
+     */
+    remove(id) {
+        const index = this.relations.findIndex(r => r.id === id);
+        if (index === -1) return false;
+        this.relations.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Bulk import relations from rows or files (CSV, TSV, XLSX, JSON).
+     * Nothing is written unless every row is valid.
+     * @param {Object} options - {
+     *   relations: [{ from, to, type, source?, language?, note? }] and/or files (see namaste-importer),
+     *   source: default source for rows without one, sourceDescription,
+     *   mode: 'merge' (default; skip duplicates) | 'replace' (drop existing relations of the same sources first),
+     *   dryRun }
+     * @returns {Object} - { success, dryRun, created, duplicates, replaced, errors: [{ row, message }] }
+     */
+    import(options = {}) {
+        const { relations = [], files = [], source, sourceDescription, mode = 'merge', dryRun = false } = options;
+        const errors = [];
+
+        if (!['merge', 'replace'].includes(mode)) {
+            return { success: false, dryRun, created: 0, duplicates: 0, replaced: 0, errors: [{ message: 'mode must be merge or replace' }] };
+        }
+
+        const rows = relations.map((row, index) => ({ ...row, __row: index + 1 }));
+        (files || []).forEach(file => {
+            try {
+                readRecords(file).forEach(raw => rows.push({ ...this.fromRecord(raw), __row: raw.__row, __file: file.filename }));
+            } catch (error) {
+                errors.push({ file: file.filename, message: error.message });
+            }
+        });
+        if (rows.length === 0 && errors.length === 0) {
+            errors.push({ message: 'No relations to import' });
+        }
+
+        const now = new Date().toISOString();
+        const candidates = [];
+        rows.forEach(row => {
+            const relation = this.build({ ...row, source: row.source || source }, now);
+            const error = this.check(relation);
+            if (error) {
+                errors.push({ row: row.__row, ...(row.__file ? { file: row.__file } : {}), message: error });
+            } else {
+                candidates.push(relation);
+            }
+        });
+
+        const sources = new Set(candidates.map(r => r.source));
+        const kept = mode === 'replace' ? this.relations.filter(r => !sources.has(r.source)) : [...this.relations];
+        const replaced = this.relations.length - kept.length;
+
+        let created = 0;
+        let duplicates = 0;
+        const previous = this.relations;
+        this.relations = kept;
+        candidates.forEach(relation => {
+            if (this.findDuplicate(relation)) {
+                duplicates++;
+            } else {
+                this.relations.push(relation);
+                created++;
+            }
+        });
+
+        const success = errors.length === 0;
+        if (!success || dryRun) {
+            this.relations = previous;
+        } else {
+            if (source && sourceDescription) this.sources[source] = sourceDescription;
+            sources.forEach(name => {
+                if (!this.sources[name]) this.sources[name] = null;
+            });
+            this.save();
+            console.log(`📖 Imported ${created} thesaurus relations (${duplicates} duplicates skipped, ${replaced} replaced)`);
+        }
+
+        return { success, dryRun, created, duplicates, replaced, errors };
+    }
+
+    /**
+     * Map an imported row onto relation fields using COLUMN_ALIASES
+     * @param {Object} raw - Row keyed by source headers
+     * @returns {Object} - { from, to, type, source, language, note }
+     */
+    fromRecord(raw) {
+        const byHeader = {};
+        Object.keys(raw).forEach(key => {
+            if (key !== '__row') byHeader[normaliseHeader(key)] = raw[key];
+        });
+        const out = {};
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const alias = aliases.find(a => byHeader[a] !== undefined && byHeader[a] !== '');
+            if (alias) out[field] = byHeader[alias];
+        });
+        return out;
+    }
+
+    /**
+     * Terms directly related to a term, in either direction
+     * @param {string} term - Term
+     * @param {Object} options - { types } relation types to follow (default: all)
+     * @returns {Array} - [{ term, type, source, relationId }]
+     */
+    related(term, { types = TYPES } = {}) {
+        return (this.byTerm.get(normaliseTerm(term)) || [])
+            .filter(entry => types.includes(entry.type))
+            .map(entry => ({ term: entry.term, type: entry.type, source: entry.relation.source, relationId: entry.relation.id }));
+    }
+
+    /**
+     * Extra search terms for a set of terms: synonyms, translations and narrower terms
+     * @param {Array<string>} terms - Terms to expand
+     * @param {Object} options - { types, limit }
+     * @returns {Array<string>} - New terms not already in the input, at most `limit`
+     */
+    expand(terms, { types = ['synonym', 'translation', 'narrower'], limit = 10 } = {}) {
+        const seen = new Set((terms || []).map(normaliseTerm));
+        const out = [];
+        seen.forEach(term => {
+            this.related(term, { types }).forEach(({ term: related }) => {
+                if (!seen.has(related) && !out.includes(related)) out.push(related);
+            });
+        });
+        return out.slice(0, limit);
+    }
+
+    /**
+     * @returns {Object} - Relation counts by type and source, and source descriptions
+     */
+    stats() {
+        const byType = Object.fromEntries(TYPES.map(t => [t, 0]));
+        const bySource = {};
+        this.relations.forEach(r => {
+            byType[r.type]++;
+            bySource[r.source] = (bySource[r.source] || 0) + 1;
+        });
+        return { relations: this.relations.length, terms: this.byTerm.size, byType, bySource, sources: this.sources };
+    }
+}
+
+Thesaurus.TYPES = TYPES;
+Thesaurus.normaliseTerm = normaliseTerm;
+
+module.exports = Thesaurus;
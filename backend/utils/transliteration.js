@@ -0,0 +1,245 @@
+/**
+ * Transliteration folding for Sanskrit, Tamil and Urdu terms.
+ *
+ * Every token is reduced to a loose ASCII "search key" so that the common
+ * spellings of one word collide: IAST (jvara), Harvard-Kyoto (jvAra),
+ * popular romanisation (jwar, Jwara) and the original Devanagari or Tamil
+ * script all fold to `jvar`. Urdu is written without most vowels, so tokens
+ * in Arabic script are additionally compared by consonant skeleton.
+ */
+
+const DEVANAGARI_VOWELS = {
+    'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu', 'ऋ': 'ri', 'ॠ': 'ri',
+    'ऌ': 'li', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o'
+};
+
+const DEVANAGARI_SIGNS = {
+    'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri', 'ॄ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o'
+};
+
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'c', 'छ': 'ch', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h', 'ळ': 'l'
+};
+
+const DEVANAGARI_OTHER = { 'ं': 'm', 'ँ': 'n', 'ः': 'h', 'ऽ': '' };
+
+const TAMIL_VOWELS = {
+    'அ': 'a', 'ஆ': 'aa', 'இ': 'i', 'ஈ': 'ii', 'உ': 'u', 'ஊ': 'uu',
+    'எ': 'e', 'ஏ': 'e', 'ஐ': 'ai', 'ஒ': 'o', 'ஓ': 'o', 'ஔ': 'au'
+};
+
+const TAMIL_SIGNS = {
+    'ா': 'aa', 'ி': 'i', 'ீ': 'ii', 'ு': 'u', 'ூ': 'uu',
+    'ெ': 'e', 'ே': 'e', 'ை': 'ai', 'ொ': 'o', 'ோ': 'o', 'ௌ': 'au'
+};
+
+const TAMIL_CONSONANTS = {
+    'க': 'k', 'ங': 'n', 'ச': 's', 'ஞ': 'n', 'ட': 't', 'ண': 'n', 'த': 't', 'ந': 'n',
+    'ப': 'p', 'ம': 'm', 'ய': 'y', 'ர': 'r', 'ல': 'l', 'வ': 'v', 'ழ': 'l', 'ள': 'l',
+    'ற': 'r', 'ன': 'n', 'ஜ': 'j', 'ஷ': 'sh', 'ஸ': 's', 'ஹ': 'h'
+};
+
+const ARABIC_LETTERS = {
+    'ا': 'a', 'آ': 'a', 'أ': 'a', 'إ': 'i', 'ب': 'b', 'پ': 'p', 'ت': 't', 'ٹ': 't', 'ث': 's',
+    'ج': 'j', 'چ': 'ch', 'ح': 'h', 'خ': 'kh', 'د': 'd', 'ڈ': 'd', 'ذ': 'z', 'ر': 'r', 'ڑ': 'r',
+    'ز': 'z', 'ژ': 'z', 'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'z', 'ط': 't', 'ظ': 'z', 'ع': '',
+    'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ک': 'k', 'ك': 'k', 'گ': 'g', 'ل': 'l', 'م': 'm', 'ن': 'n',
+    'ں': 'n', 'و': 'u', 'ؤ': 'u', 'ہ': 'h', 'ه': 'h', 'ھ': 'h', 'ۃ': 'h', 'ة': 'h', 'ء': '',
+    'ی': 'i', 'ي': 'i', 'ى': 'a', 'ئ': 'i', 'ے': 'e', 'ۓ': 'e'
+};
+
+const ARABIC_HARAKAT = { 'َ': 'a', 'ِ': 'i', 'ُ': 'u', 'ً': 'an', 'ٍ': 'in', 'ٌ': 'un' };
+
+const IAST = {
+    'ā': 'aa', 'ī': 'ii', 'ū': 'uu', 'ṛ': 'ri', 'ṝ': 'ri', 'ḷ': 'li', 'ḹ': 'li', 'r̥': 'ri',
+    'ṃ': 'm', 'ṁ': 'm', 'ḥ': 'h', 'ṅ': 'n', 'ñ': 'n', 'ṭ': 't', 'ḍ': 'd', 'ṇ': 'n',
+    'ś': 'sh', 'ṣ': 'sh', 'ē': 'e', 'ō': 'o', 'ḻ': 'l', 'ṟ': 'r', 'ṉ': 'n'
+};
+
+// Harvard-Kyoto uses upper case for retroflex, long and nasal sounds
+const HARVARD_KYOTO = {
+    'A': 'aa', 'I': 'ii', 'U': 'uu', 'R': 'ri', 'M': 'm', 'H': 'h', 'G': 'n',
+    'J': 'n', 'T': 't', 'D': 'd', 'N': 'n', 'S': 'sh', 'z': 'sh'
+};
+
+const SCRIPT_PATTERNS = {
+    devanagari: /[\u0900-\u097F]/,
+    tamil: /[\u0B80-\u0BFF]/,
+    arabic: /[\u0600-\u06FF\u0750-\u077F]/
+};
+
+/**
+ * Detect the script of a token
+ * @param {string} token - Token text
+ * @returns {string} - 'devanagari', 'tamil', 'arabic' or 'latin'
+ */
+function detectScript(token) {
+    for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+        if (pattern.test(token)) return script;
+    }
+    return 'latin';
+}
+
+/**
+ * Transliterate an abugida (Devanagari/Tamil) token with inherent vowel handling
+ * @param {string} token - Token text
+ * @param {Object} tables - { vowels, signs, consonants, other, virama }
+ * @returns {string} - Latin text
+ */
+function transliterateAbugida(token, tables) {
+    const chars = Array.from(token.normalize('NFD').replace(/\u093C/g, ''));
+    let out = '';
+
+    for (let i = 0; i < chars.length; i++) {
+        const ch = chars[i];
+        if (tables.consonants[ch]) {
+            out += tables.consonants[ch];
+            const next = chars[i + 1];
+            if (next === tables.virama) {
+                i++;
+            } else if (tables.signs[next]) {
+                out += tables.signs[next];
+                i++;
+            } else {
+                out += 'a';
+            }
+        } else if (tables.vowels[ch]) {
+            out += tables.vowels[ch];
+        } else if (tables.signs[ch]) {
+            out += tables.signs[ch];
+        } else if (tables.other && tables.other[ch] !== undefined) {
+            out += tables.other[ch];
+        } else if (/[0-9a-z]/i.test(ch)) {
+            out += ch;
+        }
+    }
+    return out;
+}
+
+/**
+ * Transliterate an Arabic-script (Urdu) token
+ * @param {string} token - Token text
+ * @returns {string} - Latin text
+ */
+function transliterateArabic(token) {
+    let out = '';
+    for (const ch of Array.from(token)) {
+        if (ARABIC_LETTERS[ch] !== undefined) out += ARABIC_LETTERS[ch];
+        else if (ARABIC_HARAKAT[ch] !== undefined) out += ARABIC_HARAKAT[ch];
+        else if (/[0-9a-z]/i.test(ch)) out += ch;
+    }
+    return out;
+}
+
+/**
+ * Convert a Latin token (IAST, Harvard-Kyoto or plain) to plain lower-case ASCII
+ * @param {string} token - Token text
+ * @returns {string} - ASCII text
+ */
+function romanise(token) {
+    let text = token.normalize('NFC');
+
+    // Mixed case beyond the first letter ("jvAra", "zvAsa") is Harvard-Kyoto
+    if (/[A-Z]/.test(text.slice(1)) && /[a-z]/.test(text)) {
+        text = Array.from(text)
+            .map((ch, i) => (i === 0 && ch !== 'z' ? ch : (HARVARD_KYOTO[ch] || ch)))
+            .join('');
+    }
+
+    text = text.toLowerCase();
+    text = Array.from(text).map(ch => (IAST[ch] !== undefined ? IAST[ch] : ch)).join('');
+    return text.normalize('NFD').replace(/[\u0300-\u036F]/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Collapse spelling variants of an ASCII romanisation into one key
+ * @param {string} text - ASCII text
+ * @returns {string} - Search key
+ */
+function phoneticFold(text) {
+    let key = text
+        .replace(/w/g, 'v')
+        .replace(/ee/g, 'i')
+        .replace(/oo/g, 'u')
+        .replace(/([kgcjtdpbs])h/g, '$1')
+        .replace(/([a-z])\1+/g, '$1');
+
+    // Schwa deletion: "jvara" and "jwar" should meet
+    if (key.length > 3 && !/^[0-9]+$/.test(key)) {
+        key = key.replace(/a$/, '');
+    }
+    return key;
+}
+
+/**
+ * Fold one token to its search key
+ * @param {string} token - Token in any supported script or romanisation
+ * @returns {string} - Search key ('' if nothing indexable)
+ */
+function fold(token) {
+    const script = detectScript(token);
+    let latin;
+    switch (script) {
+        case 'devanagari':
+            latin = transliterateAbugida(token, {
+                vowels: DEVANAGARI_VOWELS,
+                signs: DEVANAGARI_SIGNS,
+                consonants: DEVANAGARI_CONSONANTS,
+                other: DEVANAGARI_OTHER,
+                virama: '्'
+            });
+            break;
+        case 'tamil':
+            latin = transliterateAbugida(token, {
+                vowels: TAMIL_VOWELS,
+                signs: TAMIL_SIGNS,
+                consonants: TAMIL_CONSONANTS,
+                virama: '்'
+            });
+            break;
+        case 'arabic':
+            latin = transliterateArabic(token);
+            break;
+        default:
+            latin = romanise(token);
+    }
+    return phoneticFold(latin.toLowerCase());
+}
+
+/**
+ * Consonant skeleton of a search key, used to compare against vowel-less Urdu
+ * @param {string} key - Search key produced by fold()
+ * @returns {string} - Skeleton
+ */
+function skeleton(key) {
+    return String(key || '')
+        .replace(/[aeiouyv]/g, '')
+        .replace(/([a-z])\1+/g, '$1')
+        .replace(/h$/, '');
+}
+
+/**
+ * Split text into tokens with their character offsets
+ * @param {string} text - Text to tokenize
+ * @returns {Array<Object>} - [{ text, start, end, script }]
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text || '').matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+        tokens.push({
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length,
+            script: detectScript(match[0])
+        });
+    }
+    return tokens;
+}
+
+module.exports = { fold, skeleton, tokenize, detectScript, romanise };
@@ -0,0 +1,107 @@
+/**
+ * Scheduler for calls to a rate-sensitive upstream service.
+ *
+ * - Identical calls (same key) that are queued or in flight share one promise.
+ * - At most `concurrency` calls run at once, process-wide.
+ * - Waiting calls are grouped into lanes (one per API request or batch job) and
+ *   lanes are served round-robin, so a large batch cannot starve a single lookup.
+ */
+class UpstreamScheduler {
+    /**
+     * @param {Object} options - { concurrency }
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        this.running = 0;
+        this.queued = 0;
+        this.lanes = new Map();
+        this.pending = new Map();
+        this.counters = { scheduled: 0, coalesced: 0, completed: 0, failed: 0, peakRunning: 0, peakQueued: 0 };
+        this.laneSeq = 0;
+    }
+
+    /**
+     * A fresh lane name, for callers that need their calls grouped together
+     * @param {string} prefix - Label shown in stats
+     * @returns {string}
+     */
+    lane(prefix = 'request') {
+        this.laneSeq++;
+        return `${prefix}-${this.laneSeq}`;
+    }
+
+    /**
+     * Run fn when a slot is free, or join an identical call that is already pending
+     * @param {string} key - Identity of the call (e.g. the cache key)
+     * @param {Function} fn - Async function making the upstream call
+     * @param {string} lane - Fairness lane; defaults to a lane of its own
+     * @returns {Promise<*>} - fn's result
+     */
+    run(key, fn, lane) {
+        if (this.pending.has(key)) {
+            this.counters.coalesced++;
+            return this.pending.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            const laneName = lane || this.lane();
+            if (!this.lanes.has(laneName)) this.lanes.set(laneName, []);
+            this.lanes.get(laneName).push({ fn, resolve, reject });
+            this.queued++;
+            this.counters.scheduled++;
+            this.counters.peakQueued = Math.max(this.counters.peakQueued, this.queued);
+        }).finally(() => {
+            this.pending.delete(key);
+        });
+
+        this.pending.set(key, promise);
+        this.drain();
+        return promise;
+    }
+
+    /**
+     * Start queued calls while slots are free, taking one call per lane in turn
+     */
+    drain() {
+        while (this.running < this.concurrency && this.queued > 0) {
+            const [laneName, tasks] = this.lanes.entries().next().value;
+            const task = tasks.shift();
+            // Re-inserting moves the lane to the back of the rotation
+            this.lanes.delete(laneName);
+            if (tasks.length > 0) this.lanes.set(laneName, tasks);
+
+            this.queued--;
+            this.running++;
+            this.counters.peakRunning = Math.max(this.counters.peakRunning, this.running);
+
+            Promise.resolve()
+                .then(task.fn)
+                .then(result => {
+                    this.counters.completed++;
+                    task.resolve(result);
+                }, error => {
+                    this.counters.failed++;
+                    task.reject(error);
+                })
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * @returns {Object} - Limits, current load and counters
+     */
+    stats() {
+        return {
+            concurrency: this.concurrency,
+            running: this.running,
+            queued: this.queued,
+            activeLanes: this.lanes.size,
+            ...this.counters
+        };
+    }
+}
+
+module.exports = UpstreamScheduler;
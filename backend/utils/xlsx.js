@@ -0,0 +1,144 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) reader.
+ * Reads cell text of one worksheet: shared and inline strings, numbers,
+ * booleans and formula results. Number formats are not applied, so dates
+ * come out as serial numbers. Legacy binary .xls workbooks are not supported.
+ */
+const { Unzip, UnzipInflate } = require('fflate');
+const { XMLParser } = require('fast-xml-parser');
+
+// Upper bound on the XML a workbook may expand to, against zip bombs
+const MAX_EXPANDED_BYTES = 100 * 1024 * 1024;
+
+const xml = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: false,
+    htmlEntities: true,
+    isArray: name => ['sheet', 'Relationship', 'si', 'r', 'row', 'c'].includes(name)
+});
+
+/**
+ * Inflate the workbook parts that wanted() accepts
+ * @param {Buffer} buffer - XLSX file
+ * @param {Function} wanted - Part name → whether to read it
+ * @param {number} maxBytes - Limit on the total size of the parts read
+ * @returns {Object} - Part name → XML text
+ */
+function readParts(buffer, wanted, maxBytes) {
+    if (buffer.length < 4 || buffer.readUInt32LE(0) !== 0x04034b50) {
+        throw new Error('Not an XLSX workbook (save legacy .xls files as .xlsx)');
+    }
+    const parts = {};
+    let total = 0;
+    const unzip = new Unzip(file => {
+        if (!wanted(file.name)) return;
+        const chunks = [];
+        file.ondata = (error, chunk, final) => {
+            if (error) throw error;
+            total += chunk.length;
+            if (total > maxBytes) {
+                throw new Error(`Workbook expands to more than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+            }
+            chunks.push(chunk);
+            if (final) parts[file.name] = Buffer.concat(chunks).toString('utf8');
+        };
+        file.start();
+    });
+    unzip.register(UnzipInflate);
+    unzip.push(buffer, true);
+    return parts;
+}
+
+/**
+ * Text of a string item (<si>, <is>): a plain <t> or rich-text runs
+ * @param {Object} item - Parsed element
+ * @returns {string}
+ */
+function itemText(item) {
+    if (!item) return '';
+    const text = t => (t === undefined ? '' : typeof t === 'object' ? t['#text'] || '' : String(t));
+    if (item.t !== undefined) return text(item.t);
+    return (item.r || []).map(run => text(run.t)).join('');
+}
+
+/**
+ * 0-based column index of a cell reference ("C7" → 2)
+ * @param {string} ref - Cell reference
+ * @returns {number}
+ */
+function columnIndex(ref) {
+    const letters = String(ref).match(/^[A-Z]+/i)[0].toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Read the rows of one worksheet
+ * @param {Buffer} buffer - XLSX file
+ * @param {Object} options - { sheet (name; default the first), maxBytes }
+ * @returns {Array<Object>|null} - [{ row (1-based sheet row), cells: [string] }], or null when the sheet does not exist
+ */
+function parseRows(buffer, options = {}) {
+    const parts = readParts(buffer, name => /^xl\/(workbook\.xml|_rels\/workbook\.xml\.rels|sharedStrings\.xml|worksheets\/[^/]+\.xml)$/.test(name),
+        options.maxBytes || MAX_EXPANDED_BYTES);
+    if (!parts['xl/workbook.xml']) throw new Error('Not an XLSX workbook (no xl/workbook.xml)');
+
+    const sheets = ((xml.parse(parts['xl/workbook.xml']).workbook || {}).sheets || {}).sheet || [];
+    const sheet = options.sheet ? sheets.find(s => s.name === options.sheet) : sheets[0];
+    if (!sheet) return null;
+    const relations = ((xml.parse(parts['xl/_rels/workbook.xml.rels'] || '').Relationships || {}).Relationship || []);
+    const relation = relations.find(r => r.Id === sheet.id);
+    if (!relation) return null;
+    const target = relation.Target.startsWith('/') ? relation.Target.slice(1) : `xl/${relation.Target}`;
+    if (!parts[target]) return null;
+
+    const shared = parts['xl/sharedStrings.xml']
+        ? ((xml.parse(parts['xl/sharedStrings.xml']).sst || {}).si || []).map(itemText)
+        : [];
+    const rows = ((xml.parse(parts[target]).worksheet || {}).sheetData || {}).row || [];
+
+    return rows.map((row, index) => {
+        const cells = [];
+        (row.c || []).forEach((c, position) => {
+            const value = c.v === undefined ? '' : typeof c.v === 'object' ? c.v['#text'] || '' : String(c.v);
+            let text;
+            switch (c.t) {
+                case 's': text = shared[Number(value)] || ''; break;
+                case 'inlineStr': text = itemText(c.is); break;
+                case 'b': text = value === '1' ? 'TRUE' : 'FALSE'; break;
+                default: text = value;
+            }
+            cells[c.r ? columnIndex(c.r) : position] = text;
+        });
+        return { row: row.r ? Number(row.r) : index + 1, cells: Array.from(cells, cell => cell || '') };
+    });
+}
+
+/**
+ * Read a worksheet with a header row into objects, like csv.parse
+ * @param {Buffer} buffer - XLSX file
+ * @param {Object} options - { sheet, maxBytes }
+ * @returns {Object} - { headers, records } where records carry their 1-based sheet row in `__row`
+ */
+function parse(buffer, options = {}) {
+    const rows = (parseRows(buffer, options) || []).filter(r => r.cells.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = rows[0].cells.map(h => String(h).trim());
+    const records = rows.slice(1).map(({ row, cells }) => {
+        const record = { __row: row };
+        headers.forEach((header, col) => {
+            if (header) record[header] = cells[col] !== undefined ? String(cells[col]).trim() : '';
+        });
+        return record;
+    });
+
+    return { headers, records };
+}
+
+module.exports = { parse, parseRows, MAX_EXPANDED_BYTES };
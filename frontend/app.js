@@ -5,11 +5,13 @@ class NAMASTEApp {
         this.selectedNamasteCode = null;
         this.currentMappings = [];
         this.currentFHIRResource = null;
+        this.currentFHIRSummary = null;
         this.authToken = null;
         this.statistics = {
             mappings: 0,
             fhirResources: 0
         };
+        this.coverageReport = null;
 
         this.initializeApp();
     }
@@ -18,6 +20,7 @@ class NAMASTEApp {
     async initializeApp() {
         this.bindEvents();
         await this.loadStatistics();
+        await this.loadCoverage();
         this.showToast('success', 'Application initialized successfully!');
     }
 
@@ -53,6 +56,21 @@ class NAMASTEApp {
         document.getElementById('downloadBtn').addEventListener('click', 
             this.downloadFHIRResource.bind(this));
 
+        // Mapping coverage
+        document.getElementById('coverageGroup').addEventListener('change', () => this.displayCoverage());
+
+        document.getElementById('coverageThreshold').addEventListener('change',
+            this.loadCoverage.bind(this));
+
+        document.getElementById('refreshCoverageBtn').addEventListener('click',
+            this.loadCoverage.bind(this));
+
+        document.getElementById('exportCoverageGroupsBtn').addEventListener('click',
+            () => this.exportCoverage(document.getElementById('coverageGroup').value));
+
+        document.getElementById('exportCoverageCodesBtn').addEventListener('click',
+            () => this.exportCoverage('codes'));
+
         // Smooth scrolling for navigation
         document.querySelectorAll('a[href^="#"]').forEach(anchor => {
             anchor.addEventListener('click', function (e) {
@@ -111,14 +129,21 @@ class NAMASTEApp {
             return;
         }
 
-        const html = results.map(code => `
+        // Highlight snippets come back HTML-escaped with <mark> around matched spans
+        const html = results.map(code => {
+            const highlight = code.highlight || {};
+            const score = typeof code.score === 'number'
+                ? `<span class="search-result-score" title="Relevance score">${code.score.toFixed(2)}</span>`
+                : '';
+            return `
             <div class="search-result-item" data-code="${code.code}" onclick="app.selectNamasteCode('${code.code}')">
-                <div class="search-result-code">${code.code}</div>
-                <div class="search-result-title">${code.display}</div>
-                <div class="search-result-desc">${code.description}</div>
+                <div class="search-result-code">${code.code}${score}</div>
+                <div class="search-result-title">${highlight.display || code.display}</div>
+                <div class="search-result-desc">${highlight.description || code.description}</div>
                 <div class="search-result-category">${code.category}</div>
             </div>
-        `).join('');
+        `;
+        }).join('');
 
         container.innerHTML = html;
         container.classList.add('fade-in');
@@ -160,6 +185,10 @@ class NAMASTEApp {
                     <span class="badge bg-primary">${namasteCode.system}</span>
                 </div>
                 <p class="text-muted mb-2">${namasteCode.description}</p>
+                ${(namasteCode.designations || []).length ? `
+                <p class="mb-2" lang="${this.escapeHtml(namasteCode.designations[0].language)}">
+                    ${namasteCode.designations.map(d => `<span class="me-2" lang="${this.escapeHtml(d.language)}" title="${this.escapeHtml(d.language)}">${this.escapeHtml(d.value)}</span>`).join('')}
+                </p>` : ''}
                 <div>
                     <small class="text-secondary">
                         <strong>Category:</strong> ${namasteCode.category} |
@@ -207,11 +236,10 @@ class NAMASTEApp {
             }
 
             statusDiv.style.display = 'none';
-            this.displayICD11Mappings(data.mappings, resultsDiv);
+            this.displayICD11Mappings(data.mappings, resultsDiv, data.bestPair);
 
-            // Update statistics
-            this.statistics.mappings += data.mappings.length;
-            this.updateStatistics();
+            // Heuristic matches were recorded as proposals, so coverage may have changed
+            this.loadCoverage();
 
         } catch (error) {
             statusDiv.innerHTML = '<i class="fas fa-exclamation-circle text-danger me-2"></i>Mapping failed';
@@ -219,21 +247,35 @@ class NAMASTEApp {
         }
     }
 
-    // Display ICD-11 mapping results
-    displayICD11Mappings(mappings, container) {
-        const html = mappings.map(mapping => {
+    // Display ICD-11 mapping results, led by the suggested TM2 + MMS pair
+    displayICD11Mappings(mappings, container, bestPair = null) {
+        const pairHtml = bestPair ? `
+            <div class="mapping-pair">
+                <div class="d-flex justify-content-between align-items-start mb-1">
+                    <strong><i class="fas fa-link me-1"></i>Suggested ${bestPair.complete ? 'TM2 + MMS pair' : 'coding'}</strong>
+                    <span class="mapping-confidence">${Math.round(bestPair.confidence * 100)}%</span>
+                </div>
+                <div class="mapping-code">${this.escapeHtml(bestPair.targetCode)}</div>
+                <div class="mapping-display">${this.escapeHtml(bestPair.targetDisplay)}</div>
+            </div>
+        ` : '';
+
+        const html = pairHtml + mappings.map(mapping => {
             const confidenceClass = mapping.confidence >= 0.8 ? 'high' : 
                                   mapping.confidence >= 0.6 ? 'medium' : 'low';
             const confidencePercent = Math.round(mapping.confidence * 100);
 
             return `
-                <div class="mapping-item" onclick="app.selectMapping('${mapping.targetCode}')">
+                <div class="mapping-item" data-code="${this.escapeHtml(mapping.targetCode)}" onclick="app.selectMapping(this.dataset.code)">
                     <div class="d-flex justify-content-between align-items-start mb-2">
-                        <div class="mapping-code">${mapping.targetCode}</div>
+                        <div class="mapping-code">
+                            ${this.escapeHtml(mapping.targetCode)}
+                            ${mapping.targetKind ? `<span class="target-kind ${this.escapeHtml(mapping.targetKind)}">${this.escapeHtml(this.targetKindLabel(mapping.targetKind))}</span>` : ''}
+                        </div>
                         <span class="mapping-confidence ${confidenceClass}">${confidencePercent}%</span>
                     </div>
-                    <div class="mapping-display">${mapping.targetDisplay}</div>
-                    <div class="mapping-reasoning">${mapping.reasoning}</div>
+                    <div class="mapping-display">${this.escapeHtml(mapping.targetDisplay)}</div>
+                    <div class="mapping-reasoning">${this.describeScore(mapping)}</div>
                 </div>
             `;
         }).join('');
@@ -242,6 +284,25 @@ class NAMASTEApp {
         container.classList.add('fade-in');
     }
 
+    // Label of an ICD-11 target kind
+    targetKindLabel(kind) {
+        return { tm2: 'TM2', mms: 'MMS', pair: 'TM2 + MMS' }[kind] || kind;
+    }
+
+    // Explain a mapping as HTML: curator approval, or the scoring features that contributed
+    describeScore(mapping) {
+        if (mapping.curation && mapping.curation.status === 'approved') {
+            return `Approved by ${this.escapeHtml(mapping.curation.reviewedBy)}`;
+        }
+        const features = (mapping.features || [])
+            .filter(f => f.contribution > 0)
+            .sort((a, b) => b.contribution - a.contribution);
+        if (features.length === 0) return 'No matching features';
+        return features
+            .map(f => this.escapeHtml(`${f.feature} +${f.contribution.toFixed(2)}${f.detail ? ` (${f.detail})` : ''}`))
+            .join(' · ');
+    }
+
     // Select a specific mapping
     selectMapping(icd11Code) {
         this.showToast('success', `Selected ICD-11 code: ${icd11Code}`);
@@ -283,7 +344,12 @@ class NAMASTEApp {
             });
 
             const data = await response.json();
+            if (!response.ok) {
+                // FHIR errors are OperationOutcomes
+                throw new Error((data.issue || []).map(issue => issue.diagnostics).join('; ') || response.statusText);
+            }
             this.currentFHIRResource = data.resource;
+            this.currentFHIRSummary = data;
 
             this.displayFHIRResource(data);
             this.statistics.fhirResources++;
@@ -315,7 +381,7 @@ class NAMASTEApp {
                 
                 <div class="row g-2 mb-3">
                     <div class="col-md-6">
-                        <strong>Patient:</strong> ${data.mappingInfo.namaste.display}
+                        <strong>Patient:</strong> ${this.escapeHtml(data.mappingInfo.namaste.display)}
                     </div>
                     <div class="col-md-6">
                         <strong>Status:</strong> 
@@ -327,14 +393,14 @@ class NAMASTEApp {
                     <strong>Coding Systems:</strong>
                     <div class="mt-1">
                         <span class="badge bg-primary me-2">
-                            ${data.mappingInfo.namaste.code} - ${data.mappingInfo.namaste.display}
+                            ${this.escapeHtml(data.mappingInfo.namaste.code)} - ${this.escapeHtml(data.mappingInfo.namaste.display)}
                         </span>
-                        ${data.mappingInfo.icd11 ? `
-                            <span class="badge bg-success">
-                                ${data.mappingInfo.icd11.code} - ${data.mappingInfo.icd11.display}
-                                ${data.mappingInfo.icd11.autoMapped ? '(Auto-mapped)' : ''}
+                        ${['tm2', 'mms', 'pair'].filter(kind => data.mappingInfo[kind]).map(kind => `
+                            <span class="badge bg-success me-2">
+                                ${this.targetKindLabel(kind)}: ${this.escapeHtml(data.mappingInfo[kind].code)} - ${this.escapeHtml(data.mappingInfo[kind].display)}
+                                ${data.mappingInfo[kind].autoMapped ? '(Auto-mapped)' : ''}
                             </span>
-                        ` : ''}
+                        `).join('')}
                     </div>
                 </div>
                 
@@ -342,7 +408,7 @@ class NAMASTEApp {
                     <i class="fas fa-${data.validation.valid ? 'check-circle' : 'exclamation-circle'} me-2"></i>
                     FHIR Validation: ${data.validation.valid ? 'Valid' : 'Invalid'}
                     ${data.validation.warnings.length > 0 ? 
-                        `<small class="d-block mt-1">Warnings: ${data.validation.warnings.join(', ')}</small>` : ''}
+                        `<small class="d-block mt-1">Warnings: ${this.escapeHtml(data.validation.warnings.join(', '))}</small>` : ''}
                 </div>
             </div>
         `;
@@ -363,26 +429,12 @@ class NAMASTEApp {
         if (btn.textContent.includes('JSON')) {
             // Show JSON view
             previewContainer.innerHTML = `
-                <div class="fhir-json">${JSON.stringify(this.currentFHIRResource, null, 2)}</div>
+                <div class="fhir-json">${this.escapeHtml(JSON.stringify(this.currentFHIRResource, null, 2))}</div>
             `;
             btn.innerHTML = '<i class="fas fa-eye me-1"></i> Summary';
         } else {
             // Show summary view
-            this.displayFHIRResource({
-                resource: this.currentFHIRResource,
-                mappingInfo: {
-                    namaste: {
-                        code: this.selectedNamasteCode,
-                        display: this.currentFHIRResource.code.coding[0].display
-                    },
-                    icd11: this.currentFHIRResource.code.coding[1] ? {
-                        code: this.currentFHIRResource.code.coding[1].code,
-                        display: this.currentFHIRResource.code.coding[1].display,
-                        autoMapped: true
-                    } : null
-                },
-                validation: { valid: true, warnings: [] }
-            });
+            this.displayFHIRResource(this.currentFHIRSummary);
             btn.innerHTML = '<i class="fas fa-code me-1"></i> JSON';
         }
     }
@@ -542,6 +594,7 @@ class NAMASTEApp {
             const data = await response.json();
 
             document.getElementById('namasteCount').textContent = data.namaste.total;
+            this.statistics.mappings = data.mappings.byStatus.approved;
             this.updateStatistics();
 
         } catch (error) {
@@ -549,6 +602,88 @@ class NAMASTEApp {
         }
     }
 
+    // Load the mapping coverage report
+    async loadCoverage() {
+        const threshold = document.getElementById('coverageThreshold').value || 0.7;
+
+        try {
+            const response = await fetch(`${this.baseURL}/api/mapping/coverage?threshold=${encodeURIComponent(threshold)}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            this.coverageReport = data;
+            this.displayCoverage();
+
+        } catch (error) {
+            document.getElementById('coverageGroups').innerHTML =
+                '<div class="text-danger">Failed to load coverage.</div>';
+            console.error('Failed to load coverage:', error);
+        }
+    }
+
+    // Display coverage per category or system, the confidence histogram and the gap list
+    displayCoverage() {
+        const report = this.coverageReport;
+        if (!report) return;
+
+        const group = document.getElementById('coverageGroup').value;
+        const groups = group === 'system' ? report.bySystem : report.byCategory;
+        const statuses = [
+            ['approved', 'approved', 'approved'],
+            ['awaitingReview', 'awaiting-review', 'awaiting review'],
+            ['lowConfidence', 'low-confidence', 'low confidence only'],
+            ['noCandidates', 'no-candidates', 'no candidates']
+        ];
+        const row = (name, g) => `
+            <div class="coverage-row">
+                <div class="d-flex justify-content-between small mb-1">
+                    <strong>${name}</strong>
+                    <span class="text-muted">${g.approved}/${g.codes} approved (${Math.round((g.coverage || 0) * 100)}%)</span>
+                </div>
+                <div class="coverage-bar">
+                    ${statuses.filter(([key]) => g[key] > 0).map(([key, cls, label]) => `
+                        <div class="${cls}" style="width: ${g[key] / g.codes * 100}%" title="${g[key]} ${label}"></div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+        document.getElementById('coverageGroups').innerHTML =
+            row('All codes', report.overall) + groups.map(g => row(g[group], g)).join('');
+
+        const bins = report.overall.distribution;
+        const highest = Math.max(1, ...bins.map(b => b.count));
+        document.getElementById('coverageHistogram').innerHTML = bins.map(b => `
+            <div class="coverage-histogram-bin" title="${b.count} code(s) with best candidate ${b.from.toFixed(1)}–${b.to.toFixed(1)}">
+                <span>${b.count || ''}</span>
+                <div class="coverage-histogram-bar" style="height: ${b.count / highest * 100}%"></div>
+                <span>${b.from.toFixed(1)}</span>
+            </div>
+        `).join('');
+
+        const gaps = report.codes.filter(c => c.status === 'low-confidence' || c.status === 'no-candidates');
+        document.getElementById('coverageGaps').innerHTML = gaps.length === 0
+            ? '<div class="text-muted">Every code has an approved mapping or a candidate awaiting review</div>'
+            : gaps.map(c => `
+                <div class="d-flex justify-content-between border-bottom py-1">
+                    <span><span class="code-highlight">${c.code}</span> ${c.display}</span>
+                    <span class="${c.status === 'no-candidates' ? 'text-danger' : 'text-warning'} text-nowrap ms-2">
+                        ${c.status === 'no-candidates' ? 'none' : c.bestConfidence === null ? '–' : `${Math.round(c.bestConfidence * 100)}%`}
+                    </span>
+                </div>
+            `).join('');
+    }
+
+    // Download the coverage report as CSV (one row per code, category or system)
+    exportCoverage(view) {
+        const threshold = document.getElementById('coverageThreshold').value || 0.7;
+        const a = document.createElement('a');
+        a.href = `${this.baseURL}/api/mapping/coverage?format=csv&view=${view}&threshold=${encodeURIComponent(threshold)}`;
+        a.download = `mapping-coverage-${view}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+    }
+
     // Update statistics display
     updateStatistics() {
         document.getElementById('mappingCount').textContent = this.statistics.mappings;
@@ -577,6 +712,16 @@ class NAMASTEApp {
         bootstrapToast.show();
     }
 
+    // Utility: Escape server text for insertion into HTML, as the search highlight snippets are
+    escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // Utility: Sleep function for demo delays
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));